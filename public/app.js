@@ -4,11 +4,15 @@ const PREVIEW_TRUNCATE_LENGTH = 100;
 const TOOL_COMMAND_PREVIEW_LENGTH = 80;
 const WS_RECONNECT_MAX_DELAY = 30000;
 const SEARCH_DEBOUNCE_MS = 300;
+const TOKEN_REFRESH_MARGIN_S = 60;
 
 const MAX_SESSIONS = 5;
 
 const state = {
   token: localStorage.getItem('token'),
+  refreshToken: localStorage.getItem('refreshToken'),
+  refreshPromise: null,
+  refreshTimer: null,
   ws: null,
   wsReconnectAttempts: 0,
   notificationsEnabled: false,
@@ -19,9 +23,15 @@ const state = {
   modeIndex: 2,
   currentMode: 'bypass',
   searchTimeout: null,
+  transcriptSearchTimeout: null,
+  sessionListProject: null,          // Project whose sessions the sidebar lists
+  sessionTagFilter: null,
+  sessionListOffset: 0,              // Sessions already listed (for "Load more")
+  selectedSessionIds: new Set(),     // Sessions ticked for a bulk action
   customCommands: [],
   forceNewTab: false,
   selectedModel: localStorage.getItem('selectedModel') || 'sonnet',
+  shareToken: null,                  // Set when viewing a read-only share link
 };
 
 // Session object factory
@@ -30,11 +40,14 @@ function createSession(project, sessionId = null) {
     id: crypto.randomUUID(),          // Internal tab ID
     sessionId: sessionId,              // Claude SDK session ID (null = new)
     project: project,                  // { name, path, displayName }
+    title: null,                       // Session title (custom or auto-generated)
     isStreaming: false,
     isReplaying: false,
     pendingText: '',
     pendingQuestion: null,
     pendingPlanConfirmation: null,
+    queue: [],                         // Follow-ups queued server-side while streaming
+    continuation: null,                // How the last turn continued: 'resume' | 'replay' | 'new'
     attachments: [],
     lastTokenUsage: null,
     lastContextWindow: null,
@@ -54,6 +67,8 @@ function createSession(project, sessionId = null) {
     // Task panel state (per-session)
     tasks: [],                         // Active tasks array
     taskPanelExpanded: false,          // Task panel expand/collapse state
+    changes: [],                       // Files the agent changed (GET /api/sessions/:id/changes)
+    changesPanelExpanded: false,
     activityState: null                // Current AI activity state
   };
 }
@@ -203,7 +218,7 @@ function renderSessionBar() {
   sessionTabsEl.innerHTML = state.sessions.map((s, i) => `
     <button class="session-tab${i === state.activeSessionIndex ? ' active' : ''}${s.hasUnread ? ' unread' : ''}" data-index="${i}">
       <span class="session-tab-number">[${i + 1}]</span>
-      <span class="session-tab-name">${escapeHtml(s.project.displayName || s.project.name)}</span>
+      <span class="session-tab-name" title="${escapeAttr(s.project.path || s.project.name)}">${escapeHtml(s.title || s.project.displayName || s.project.name)}</span>
       <span class="close-tab" title="Close session">&times;</span>
     </button>
   `).join('');
@@ -240,8 +255,9 @@ function switchToSession(index) {
 
   if (newSession.isStreaming) {
     abortBtn.classList.remove('hidden');
-    chatInput.disabled = true;
-    sendBtn.disabled = true;
+    // Input stays enabled while streaming - follow-ups are queued
+    chatInput.disabled = false;
+    sendBtn.disabled = false;
     modeBtn.disabled = true;
     modelBtn.disabled = true;
     attachBtn.disabled = true;
@@ -254,13 +270,18 @@ function switchToSession(index) {
     attachBtn.disabled = false;
   }
 
+  updateQueueComposer(newSession);
+  renderQueuedMessages(newSession);
+
   projectNameEl.textContent = newSession.project.displayName || newSession.project.name;
   updateTokenUsage(newSession.lastTokenUsage, newSession.lastContextWindow, newSession);
+  updateContinuationIndicator(newSession);
   renderAttachmentPreview();
   updateHash(newSession.project.name, newSession.sessionId);
   renderSessionBar();
   updateScrollFAB(newSession);
   renderTaskPanel(); // Render task panel for the new session
+  loadSessionChanges(newSession);
   saveSessionState();
   if (!newSession.isStreaming) chatInput.focus();
 }
@@ -290,6 +311,7 @@ function closeSession(index) {
   if (state.sessions.length === 0) {
     state.activeSessionIndex = -1;
     renderSessionBar();
+    renderChangesPanel();
     openSidebar();
     return;
   }
@@ -497,10 +519,115 @@ function syncTasks(session, tasks) {
 
 // ==================== End Task Panel Functions ====================
 
+// ==================== Changes Panel ====================
+
+const changesPanel = $('#changes-panel');
+const changesList = $('#changes-list');
+const CHANGE_STATUS_LABELS = { added: 'A', modified: 'M', deleted: 'D' };
+
+function changesUrl(session, action = 'changes') {
+  return `/api/sessions/${encodeURIComponent(session.sessionId)}/${action}`;
+}
+
+// Fetch the files the agent changed in a session (after each turn and on switching tabs)
+async function loadSessionChanges(session) {
+  if (!session) return;
+  if (!session.sessionId || state.shareToken) {
+    session.changes = [];
+  } else {
+    try {
+      session.changes = (await api(changesUrl(session))).files;
+    } catch (err) {
+      console.error('[Changes] Failed to load changes:', err);
+      session.changes = [];
+    }
+  }
+  if (session === getActiveSession()) renderChangesPanel();
+}
+
+function renderChangesPanel() {
+  const session = getActiveSession();
+  const files = session?.changes || [];
+  changesPanel.classList.toggle('hidden', files.length === 0);
+  if (files.length === 0) return;
+
+  $('#changes-panel-count').textContent = files.length === 1 ? '1 file changed' : `${files.length} files changed`;
+  changesPanel.classList.toggle('expanded', Boolean(session.changesPanelExpanded));
+  $('#changes-panel-toggle').setAttribute('aria-expanded', String(Boolean(session.changesPanelExpanded)));
+  $('#changes-revert-all').classList.toggle('hidden', !files.some(f => f.revertable));
+
+  changesList.innerHTML = files.map(file => {
+    const stats = file.diff
+      ? `<span class="edit-diff-stats"><span class="add">+${file.diff.added}</span> <span class="remove">-${file.diff.removed}</span></span>`
+      : '';
+    const diffHtml = file.diff
+      ? renderEditDiff(file.diff, session, file.status !== 'deleted') || '<div class="edit-diff-truncated">No line changes</div>'
+      : '<div class="edit-diff-truncated">No diff (binary or too large)</div>';
+    return `
+      <li class="changes-item" data-path="${escapeAttr(file.path)}">
+        <div class="changes-item-row">
+          <span class="changes-status ${file.status}" title="${file.status}">${CHANGE_STATUS_LABELS[file.status]}</span>
+          <button type="button" class="changes-item-path" title="Show diff">${escapeHtml(file.path)}</button>
+          ${stats}
+          ${file.revertable ? '<button type="button" class="changes-btn changes-revert">Revert</button>' : ''}
+        </div>
+        <div class="changes-item-diff hidden">${diffHtml}</div>
+      </li>`;
+  }).join('');
+}
+
+function toggleChangesPanel() {
+  const session = getActiveSession();
+  if (!session) return;
+  session.changesPanelExpanded = !session.changesPanelExpanded;
+  renderChangesPanel();
+}
+
+/**
+ * Revert one file, or every change, to how it was before the session changed it
+ */
+async function revertSessionChanges(session, filePath = null) {
+  const what = filePath || (session.changes.length === 1 ? 'the changed file' : `all ${session.changes.length} changed files`);
+  if (!confirm(`Revert ${what} to how it was before this session? Files the session created are deleted.`)) return;
+
+  try {
+    const { failed } = await api(changesUrl(session, 'revert'), filePath ? { path: filePath } : {});
+    if (failed.length > 0) {
+      alert(`Could not revert:\n${failed.map(f => `${f.path}: ${f.error}`).join('\n')}`);
+    }
+  } catch (err) {
+    alert(`Revert failed: ${err.message}`);
+  }
+  await loadSessionChanges(session);
+}
+
+$('#changes-panel-toggle').addEventListener('click', toggleChangesPanel);
+$('#changes-revert-all').addEventListener('click', () => {
+  const session = getActiveSession();
+  if (session) revertSessionChanges(session);
+});
+
+changesList.addEventListener('click', (e) => {
+  const session = getActiveSession();
+  const item = e.target.closest('.changes-item');
+  if (!session || !item) return;
+
+  if (e.target.closest('.changes-item-path')) {
+    item.querySelector('.changes-item-diff').classList.toggle('hidden');
+  } else if (e.target.closest('.changes-revert')) {
+    revertSessionChanges(session, item.dataset.path);
+  } else {
+    handleEditDiffClick(e);
+  }
+});
+
 function saveSessionState() {
+  // A share viewer's tab must not replace the signed-in user's saved tabs
+  if (state.shareToken) return;
   const sessionData = state.sessions.map(s => ({
     sessionId: s.sessionId,
     project: s.project,
+    title: s.title,
     lastTokenUsage: s.lastTokenUsage,
     lastContextWindow: s.lastContextWindow,
     model: s.model,
@@ -518,6 +645,7 @@ async function restoreSessionState() {
 
     for (const data of saved) {
       const session = createSession(data.project, data.sessionId);
+      session.title = data.title || null;
       session.lastTokenUsage = data.lastTokenUsage;
       session.lastContextWindow = data.lastContextWindow;
       session.model = data.model || null;
@@ -646,12 +774,14 @@ const chatInput = $('#chat-input');
 const sendBtn = $('#send-btn');
 const modeBtn = $('#mode-btn');
 const sessionContainersEl = $('#session-containers');
+const contextMenuEl = $('#message-context-menu');
 const sessionBarEl = $('#session-bar');
 const sessionTabsEl = $('#session-tabs');
 const newSessionTabBtn = $('#new-session-tab-btn');
 const abortBtn = $('#abort-btn');
 const projectNameEl = $('#project-name');
 const tokenUsageEl = $('#token-usage');
+const continuationIndicatorEl = $('#continuation-indicator');
 const slashCommandsEl = $('#slash-commands');
 const fileMentionsEl = $('#file-mentions');
 const attachmentPreviewEl = $('#attachment-preview');
@@ -729,7 +859,9 @@ modelDropdown.querySelectorAll('.dropdown-item').forEach(item => {
 });
 
 document.addEventListener('click', () => {
+  contextMenuEl.classList.add('hidden');
   modelDropdown.classList.add('hidden');
+  exportDropdown.classList.add('hidden');
 });
 
 // Execute a built-in command locally
@@ -751,6 +883,8 @@ function handleClearCommand() {
   }
 
   session.sessionId = null;
+  session.title = null;
+  renderSessionBar();
   updateHash(session.project.name);
   clearMessages(session);
   enableChat();
@@ -882,6 +1016,13 @@ async function loadCustomCommands(projectPath = null) {
 
 
 async function init() {
+  // Share links open a read-only viewer without signing in
+  const shareToken = parseShareHash();
+  if (shareToken) {
+    openSharedSession(shareToken);
+    return;
+  }
+
   const status = await api('/api/auth/status').catch(() => ({ needsSetup: true }));
   
   if (status.needsSetup) {
@@ -889,13 +1030,77 @@ async function init() {
     authForm.dataset.mode = 'register';
   }
   
-  if (state.token) {
+  // Access tokens are short-lived; a stored refresh token starts a fresh one
+  if (state.refreshToken && await refreshAccessToken()) {
     showMain();
   } else {
     showAuth();
   }
 }
 
+// ==================== Access Tokens ====================
+
+function storeTokens({ token, refreshToken, expiresIn }) {
+  state.token = token;
+  state.refreshToken = refreshToken;
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+
+  clearTimeout(state.refreshTimer);
+  state.refreshTimer = setTimeout(refreshAccessToken, Math.max(expiresIn - TOKEN_REFRESH_MARGIN_S, 10) * 1000);
+}
+
+function signOut() {
+  clearTimeout(state.refreshTimer);
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  state.token = null;
+  state.refreshToken = null;
+  state.ws?.close();
+  state.eventSource?.close();
+  showAuth();
+}
+
+/**
+ * Trade the refresh token for a new access token
+ * Concurrent callers share one request, since each refresh token works once.
+ * @returns {Promise<boolean>} false if the login has expired or was revoked
+ */
+function refreshAccessToken() {
+  if (!state.refreshPromise) {
+    // Another tab may have rotated the token since this one last looked
+    const refreshToken = localStorage.getItem('refreshToken') || state.refreshToken;
+    state.refreshPromise = fetch('/api/auth/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    })
+      .then(async res => {
+        if (!res.ok) {
+          if (res.status === 401) signOut();
+          return false;
+        }
+        storeTokens(await res.json());
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => { state.refreshPromise = null; });
+  }
+  return state.refreshPromise;
+}
+
+// Single-use ticket for the ?token= of the WebSocket and event stream
+async function getConnectionTicket() {
+  const { ticket } = await api('/api/auth/ticket', {});
+  return ticket;
+}
+
+// Pick up tokens rotated by another tab
+window.addEventListener('storage', (e) => {
+  if (e.key === 'token') state.token = e.newValue;
+  if (e.key === 'refreshToken') state.refreshToken = e.newValue;
+});
+
 function showAuth() {
   authScreen.classList.remove('hidden');
   mainScreen.classList.add('hidden');
@@ -958,13 +1163,13 @@ authForm.addEventListener('submit', async (e) => {
   e.preventDefault();
   const username = $('#username').value.trim();
   const password = $('#password').value;
-  const isRegister = authForm.dataset.mode === 'register';
+  const mode = authForm.dataset.mode;
   
   authError.classList.add('hidden');
   authBtn.disabled = true;
   
   try {
-    if (isRegister) {
+    if (mode === 'register') {
       await api('/api/auth/register', { username, password });
       authBtn.textContent = 'Log In';
       authForm.dataset.mode = 'login';
@@ -973,11 +1178,20 @@ authForm.addEventListener('submit', async (e) => {
       return;
     }
     
-    const { token } = await api('/api/auth/login', { username, password });
-    state.token = token;
-    localStorage.setItem('token', token);
-    showMain();
+    if (mode === 'two-factor' || mode === 'two-factor-enroll') {
+      const url = mode === 'two-factor' ? '/api/auth/login/2fa' : '/api/auth/login/2fa/enable';
+      finishLogin(await api(url, { challenge: twoFactorChallenge, code: $('#auth-code').value.trim() }));
+      return;
+    }
+
+    const result = await api('/api/auth/login', { username, password });
+    if (result.twoFactor) {
+      await showTwoFactorStep(result);
+    } else {
+      finishLogin(result);
+    }
   } catch (err) {
+    if (err.message.startsWith('Login expired')) resetAuthForm();
     showAuthError(err.message);
   } finally {
     authBtn.disabled = false;
@@ -989,13 +1203,82 @@ function showAuthError(msg) {
   authError.classList.remove('hidden');
 }
 
+// ==================== Two-Factor Login ====================
+
+// Proof of the password step, sent with the code
+let twoFactorChallenge = null;
+
+async function showTwoFactorStep({ twoFactor, challenge }) {
+  twoFactorChallenge = challenge;
+  const enroll = twoFactor === 'enroll';
+
+  if (enroll) {
+    const { qrSvg, secret } = await api('/api/auth/login/2fa/setup', { challenge });
+    $('#auth-two-factor-qr').innerHTML = qrSvg;
+    $('#auth-two-factor-secret').textContent = secret;
+  }
+
+  authForm.dataset.mode = enroll ? 'two-factor-enroll' : 'two-factor';
+  $('#username').classList.add('hidden');
+  $('#password').classList.add('hidden');
+  $('#auth-two-factor-enroll').classList.toggle('hidden', !enroll);
+  $('#auth-two-factor-hint').classList.toggle('hidden', enroll);
+  $('#auth-two-factor').classList.remove('hidden');
+  authBtn.textContent = 'Verify';
+  $('#auth-code').value = '';
+  $('#auth-code').focus();
+}
+
+function resetAuthForm() {
+  twoFactorChallenge = null;
+  authForm.dataset.mode = 'login';
+  $('#username').classList.remove('hidden');
+  $('#password').classList.remove('hidden');
+  $('#password').value = '';
+  $('#auth-two-factor').classList.add('hidden');
+  $('#auth-two-factor-qr').innerHTML = '';
+  $('#auth-two-factor-secret').textContent = '';
+  $('#auth-code').value = '';
+  authBtn.textContent = 'Log In';
+}
+
+// Store the new tokens; a login that just enrolled shows its recovery codes first
+function finishLogin(result) {
+  storeTokens(result);
+  resetAuthForm();
+
+  if (result.recoveryCodes) {
+    $('#auth-recovery-codes').textContent = result.recoveryCodes.join('\n');
+    authForm.classList.add('hidden');
+    $('#auth-recovery').classList.remove('hidden');
+    return;
+  }
+  showMain();
+}
+
+$('#auth-recovery-continue').addEventListener('click', () => {
+  $('#auth-recovery-codes').textContent = '';
+  $('#auth-recovery').classList.add('hidden');
+  authForm.classList.remove('hidden');
+  showMain();
+});
+
 
 
-function connectWebSocket() {
-  if (state.ws?.readyState === WebSocket.OPEN) return;
+async function connectWebSocket() {
+  if (state.ws?.readyState === WebSocket.OPEN || !state.token) return;
+
+  let ticket;
+  try {
+    ticket = await getConnectionTicket();
+  } catch (err) {
+    console.warn('[WS] Could not get a connection ticket:', err.message);
+    if (state.token) setTimeout(connectWebSocket, WS_RECONNECT_MAX_DELAY);
+    return;
+  }
 
   const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
-  state.ws = new WebSocket(`${protocol}//${location.host}?token=${state.token}`);
+  state.ws = new WebSocket(`${protocol}//${location.host}?token=${encodeURIComponent(ticket)}`);
 
   state.ws.onopen = () => {
     console.log('[WS] Connected (command channel)');
@@ -1004,6 +1287,7 @@ function connectWebSocket() {
 
   state.ws.onclose = () => {
     console.log('[WS] Disconnected');
+    if (!state.token) return; // Signed out
     state.wsReconnectAttempts++;
     const delay = Math.min(1000 * Math.pow(2, state.wsReconnectAttempts), 30000);
     setTimeout(connectWebSocket, delay);
@@ -1014,13 +1298,24 @@ function connectWebSocket() {
   };
 }
 
-function connectEventStream() {
+async function connectEventStream() {
   if (state.eventSource) {
     state.eventSource.close();
     state.eventSource = null;
   }
+  if (!state.token) return;
+
+  let ticket;
+  try {
+    ticket = await getConnectionTicket();
+  } catch (err) {
+    console.warn('[SSE] Could not get a connection ticket:', err.message);
+    if (state.token) setTimeout(connectEventStream, 2000);
+    return;
+  }
 
-  const es = new EventSource(`/api/events?token=${state.token}`);
+  // Tickets are single-use, so a dropped stream always reconnects with a new one
+  const es = new EventSource(`/api/events?token=${encodeURIComponent(ticket)}`);
   state.eventSource = es;
 
   es.onopen = () => {
@@ -1049,12 +1344,36 @@ function connectEventStream() {
 function handleServerEvent(event) {
   if (event.type === 'heartbeat') return;
 
+  if (event.type === 'file-changed') {
+    handleFileChanged(event);
+    return;
+  }
+
   if (event.type === 'state-snapshot') {
     if (event.sessions) {
       for (const serverSession of event.sessions) {
         const localSession = getSessionBySessionId(serverSession.sessionId);
         if (localSession) {
           localSession.isStreaming = (serverSession.status === 'streaming');
+          if (serverSession.continuation) localSession.continuation = serverSession.continuation;
+          if (serverSession.title) localSession.title = serverSession.title;
+        }
+      }
+      renderSessionBar();
+    }
+    // Restore queued follow-ups
+    if (event.queues) {
+      for (const localSession of state.sessions) {
+        const serverQueue = event.queues.find(q => q.sessionId === localSession.sessionId);
+        localSession.queue = serverQueue ? serverQueue.items : [];
+      }
+    }
+    // Re-render prompts the agent is still waiting on (the replay buffer may have dropped them)
+    if (event.pendingPrompts) {
+      for (const prompt of event.pendingPrompts) {
+        const localSession = getSessionBySessionId(prompt.sessionId);
+        if (localSession && !localSession.needsHistoryLoad) {
+          handleClaudeMessage(prompt.data, localSession);
         }
       }
     }
@@ -1062,8 +1381,8 @@ function handleServerEvent(event) {
     if (activeSession) {
       if (activeSession.isStreaming) {
         abortBtn.classList.remove('hidden');
-        chatInput.disabled = true;
-        sendBtn.disabled = true;
+        chatInput.disabled = false;
+        sendBtn.disabled = false;
         modeBtn.disabled = true;
         modelBtn.disabled = true;
         attachBtn.disabled = true;
@@ -1075,7 +1394,40 @@ function handleServerEvent(event) {
         modelBtn.disabled = false;
         attachBtn.disabled = false;
       }
+      updateQueueComposer(activeSession);
+      renderQueuedMessages(activeSession);
+      updateContinuationIndicator(activeSession);
+    }
+    return;
+  }
+
+  if (event.type === 'job-run') {
+    handleJobRunEvent();
+    return;
+  }
+
+  if (event.type === 'session-title') {
+    for (const session of state.sessions) {
+      if (session.sessionId === event.sessionId) session.title = event.title;
+    }
+    renderSessionBar();
+    saveSessionState();
+    return;
+  }
+
+  if (event.type === 'session-deleted') {
+    const active = getActiveSession();
+    for (const session of state.sessions) {
+      if (session.sessionId !== event.sessionId) continue;
+      session.sessionId = null;
+      session.title = null;
+      session.isStreaming = false;
+      if (session === active) updateHash(session.project.name);
+      clearMessages(session);
+      appendCommandMessage('This session was deleted. Messages sent here start a new session.', session);
     }
+    renderSessionBar();
+    saveSessionState();
     return;
   }
 
@@ -1086,8 +1438,8 @@ function handleServerEvent(event) {
       if (state.sessions.indexOf(session) === state.activeSessionIndex) {
         if (session.isStreaming) {
           abortBtn.classList.remove('hidden');
-          chatInput.disabled = true;
-          sendBtn.disabled = true;
+          chatInput.disabled = false;
+          sendBtn.disabled = false;
           modeBtn.disabled = true;
           modelBtn.disabled = true;
           attachBtn.disabled = true;
@@ -1099,6 +1451,7 @@ function handleServerEvent(event) {
           modelBtn.disabled = false;
           attachBtn.disabled = false;
         }
+        updateQueueComposer(session);
       }
     }
     return;
@@ -1111,7 +1464,10 @@ function handleWsMessage(msg) {
   let session;
 
   if (msg.type === 'session-created') {
-    session = state.sessions.find(s => s.sessionId === null && s.isStreaming);
+    // previousSessionId is set when a session that could not be resumed continues under a new ID
+    session = msg.previousSessionId
+      ? getSessionBySessionId(msg.previousSessionId)
+      : state.sessions.find(s => s.sessionId === null && s.isStreaming);
     if (session) {
       session.sessionId = msg.sessionId;
       saveSessionState();
@@ -1138,6 +1494,7 @@ function handleWsMessage(msg) {
       break;
     case 'claude-done':
       finishStreaming(session);
+      loadSessionChanges(session);
       sendNotification('Claude finished', session.project.displayName || session.project.name);
       if (isInactive) { session.hasUnread = true; renderSessionBar(); }
       break;
@@ -1152,6 +1509,21 @@ function handleWsMessage(msg) {
       break;
     case 'plan-response-result':
       break;
+    case 'permission-response-result':
+      break;
+    case 'queue-updated':
+      session.queue = msg.queue || [];
+      if (!isInactive) renderQueuedMessages(session);
+      break;
+    case 'queue-dispatched':
+      // A queued follow-up is now the active turn
+      appendMessage('user', msg.item.content, session);
+      session.isStreaming = true;
+      if (!isInactive) updateQueueComposer(session);
+      break;
+    case 'queue-result':
+      if (!msg.success && msg.error) appendSystemMessage(`Queue: ${msg.error}`, session);
+      break;
     case 'error':
       appendSystemMessage(`Error: ${msg.message}`, session);
       sendNotification('Error', msg.message);
@@ -1268,6 +1640,8 @@ function handleClaudeMessage(data, session) {
         model: data.model || null
       };
     }
+    // Track the latest transcript UUID so "fork from here" covers the whole reply
+    if (data.uuid) session.currentMessageMetadata.uuid = data.uuid;
 
     // During replay, render instantly without animation
     if (session.isReplaying) {
@@ -1284,6 +1658,7 @@ function handleClaudeMessage(data, session) {
       }
       // Set text content directly without animation
       el.textContent = session.pendingText;
+      if (data.uuid) el.dataset.uuid = data.uuid;
       return;
     }
 
@@ -1303,6 +1678,10 @@ function handleClaudeMessage(data, session) {
       }
       session.streamingRenderer = new StreamingRenderer(el);
     }
+    if (data.uuid) {
+      const streamingEl = session.containerEl.querySelector('.message.streaming');
+      if (streamingEl) streamingEl.dataset.uuid = data.uuid;
+    }
 
     // Append network chunk to renderer
     session.streamingRenderer.appendNetworkChunk(data.content);
@@ -1311,6 +1690,8 @@ function handleClaudeMessage(data, session) {
   }
 
   if (data.type === 'question') {
+    // Ignore duplicates (snapshot and replay can both deliver the same prompt)
+    if (session.containerEl?.querySelector(`.question-block[data-question-id="${data.id}"]`)) return;
     flushPendingText(session);
     session.pendingQuestion = {
       id: data.id,
@@ -1332,6 +1713,27 @@ function handleClaudeMessage(data, session) {
     return;
   }
 
+  if (data.type === 'prompt-resolved') {
+    resolvePromptCard(data, session);
+    return;
+  }
+
+  if (data.type === 'session-continuation') {
+    session.continuation = data.strategy;
+    session.continuationHistory = data.historyMessages || 0;
+    updateContinuationIndicator(session);
+    return;
+  }
+
+  if (data.type === 'permission-request') {
+    // Ignore duplicates (e.g. replayed after reconnect)
+    if (session.containerEl?.querySelector(`.permission-request-block[data-permission-id="${data.id}"]`)) return;
+    flushPendingText(session);
+    renderPermissionRequest(data, session);
+    if (!session.isReplaying) sendNotification('Permission needed', `${data.tool} in ${session.project.displayName || session.project.name}`);
+    return;
+  }
+
   if (data.type === 'tool_use') {
     flushPendingText(session);
     // Pass enhanced metadata to appendToolMessage
@@ -1340,7 +1742,8 @@ function handleClaudeMessage(data, session) {
       messageId: data.messageId || null,
       model: data.model || null,
       startTime: data.startTime || null,
-      summary: data.summary || null
+      summary: data.summary || null,
+      diff: data.diff || null
     };
     // During replay, render tools as completed since the result follows immediately
     const status = session.isReplaying ? 'success' : 'running';
@@ -1348,6 +1751,11 @@ function handleClaudeMessage(data, session) {
     return;
   }
 
+  if (data.type === 'tool-diff') {
+    attachToolDiff(data.id, data.diff, session);
+    return;
+  }
+
   if (data.type === 'tool_result') {
     // Pass timing metadata to updateToolResult
     const resultMetadata = {
@@ -1449,6 +1857,11 @@ function finishStreaming(session) {
   session.activityState = null;
   renderActivityStatus(session);
 
+  // Permission requests die with the query
+  session.containerEl?.querySelectorAll('.permission-request-block:not(.submitted)').forEach(el => {
+    markPermissionRequestSubmitted(el, 'cancelled');
+  });
+
   // Ensure renderer is cleaned up
   if (session.streamingRenderer) {
     session.streamingRenderer.skipToEnd();
@@ -1466,6 +1879,7 @@ function finishStreaming(session) {
     modeBtn.disabled = false;
     modelBtn.disabled = false;
     attachBtn.disabled = false;
+    updateQueueComposer(session);
   }
 
   // Scope question cancellation to session container
@@ -1530,6 +1944,7 @@ function appendMessage(role, content, session, attachments = null) {
     if (timestamp) div.dataset.timestamp = timestamp;
     if (messageId) div.dataset.messageId = messageId;
     if (model) div.dataset.model = model;
+    if (metadata.uuid) div.dataset.uuid = metadata.uuid;
   } else if (role === 'user' && attachments && attachments.length > 0) {
     // Render user message with image attachments
     const imageAttachments = attachments.filter(att => att.type === 'image');
@@ -1545,6 +1960,10 @@ function appendMessage(role, content, session, attachments = null) {
     div.innerHTML = escapeHtml(content);
   }
 
+  if (role === 'user') {
+    div.insertAdjacentHTML('beforeend', '<button type="button" class="message-edit-btn" title="Edit and resend" aria-label="Edit message">✎</button>');
+  }
+
   session.containerEl.appendChild(div);
   scrollToBottom(session);
 }
@@ -1876,6 +2295,7 @@ function appendToolMessage(tool, summary, id, status, session, metadata = null,
   const serverSummary = typeof summary === 'object' ? (summary.summary || JSON.stringify(summary)) : summary;
   const compactSummary = getCompactSummary(tool, input || {}) || serverSummary;
   const detailsHtml = renderToolDetails(tool, input || {});
+  const diffHtml = metadata?.diff ? renderEditDiff(metadata.diff, session) : '';
 
   const statusText = status === 'running' ? '⋯' : status === 'success' ? '✓' : '✗';
   const durationHtml = status === 'running' ? '<span class="tool-pill-duration">0.0s</span>' : '';
@@ -1895,7 +2315,7 @@ function appendToolMessage(tool, summary, id, status, session, metadata = null,
         </div>
       </div>
     </div>
-    <div class="tool-pill-output">${detailsHtml ? `<div class="tool-pill-output-command">${detailsHtml}</div>` : ''}</div>
+    <div class="tool-pill-output">${detailsHtml ? `<div class="tool-pill-output-command">${detailsHtml}</div>` : ''}${diffHtml}</div>
   `;
 
   session.containerEl.appendChild(div);
@@ -1903,6 +2323,17 @@ function appendToolMessage(tool, summary, id, status, session, metadata = null,
   maybeCluster(session);
 }
 
+// Add an Edit/Write diff that arrived after its tool pill (see captureToolDiff in server/claude.js)
+function attachToolDiff(id, diff, session) {
+  const outputEl = session.containerEl?.querySelector(`.message.tool-pill[data-tool-id="${id}"] .tool-pill-output`);
+  const diffHtml = outputEl && diff ? renderEditDiff(diff, session) : '';
+  if (!diffHtml) return;
+  outputEl.querySelector('.edit-diff')?.remove();
+  const command = outputEl.querySelector('.tool-pill-output-command');
+  if (command) command.insertAdjacentHTML('afterend', diffHtml);
+  else outputEl.insertAdjacentHTML('afterbegin', diffHtml);
+}
+
 function updateToolResult(id, success, output, session, resultMetadata = null) {
   session = session || getActiveSession();
   if (!session?.containerEl) return;
@@ -1944,8 +2375,8 @@ function updateToolResult(id, success, output, session, resultMetadata = null) {
     if (output && output.trim()) {
       const outputEl = target.querySelector('.tool-pill-output');
       if (outputEl) {
-        // If there's an existing command detail div, keep it and append output after
-        const existingCommand = outputEl.querySelector('.tool-pill-output-command');
+        // If there's an existing command detail or diff, keep it and append output after
+        const existingCommand = outputEl.querySelector('.tool-pill-output-command, .edit-diff');
         if (existingCommand) {
           const outputText = document.createElement('pre');
           outputText.textContent = output;
@@ -2091,6 +2522,72 @@ function renderPlanConfirmation(data, session) {
   scrollToBottom(session);
 }
 
+function renderPermissionRequest(data, session) {
+  if (!session || !session.containerEl) return;
+
+  const summary = data.summary || {};
+  const detail = summary.fullCommand || summary.filePath || data.input?.file_path || '';
+  const alwaysAllowTitle = data.alwaysAllowRules?.length
+    ? `Saves rule: ${data.alwaysAllowRules.join(', ')}`
+    : 'Allow for the rest of this session';
+
+  const div = document.createElement('div');
+  div.className = 'message permission-request-block';
+  div.dataset.permissionId = data.id;
+
+  div.innerHTML = `
+    <div class="permission-request-header">
+      <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+        <path d="M7 11V7a5 5 0 0110 0v4"/>
+      </svg>
+      <span>Allow <strong>${escapeHtml(data.tool)}</strong>?</span>
+    </div>
+    ${detail ? `<pre class="permission-request-detail">${escapeHtml(detail)}</pre>` : ''}
+    ${data.reason ? `<div class="permission-request-reason">${escapeHtml(data.reason)}</div>` : ''}
+    <div class="permission-request-actions">
+      <button class="plan-confirm-btn permission-allow-btn" data-decision="allow">Allow once</button>
+      <button class="plan-confirm-btn permission-allow-always-btn" data-decision="allow-always" title="${escapeAttr(alwaysAllowTitle)}">Always allow</button>
+      <button class="plan-confirm-btn plan-reject-btn permission-deny-btn" data-decision="deny">Deny</button>
+    </div>
+    <div class="plan-feedback-container permission-reason-container hidden">
+      <input type="text" class="plan-feedback-input permission-reason-input" placeholder="Tell Claude what to do instead (optional)">
+      <button class="plan-confirm-btn plan-send-feedback-btn permission-send-deny-btn">Deny</button>
+    </div>
+  `;
+
+  div.querySelector('.permission-allow-btn').addEventListener('click', () => {
+    sendPermissionResponse(session, data.id, 'allow', null);
+    markPermissionRequestSubmitted(div, 'allow');
+  });
+
+  div.querySelector('.permission-allow-always-btn').addEventListener('click', () => {
+    sendPermissionResponse(session, data.id, 'allow-always', null);
+    markPermissionRequestSubmitted(div, 'allow-always');
+  });
+
+  // Deny button handler - shows optional reason input
+  div.querySelector('.permission-deny-btn').addEventListener('click', () => {
+    div.querySelector('.permission-reason-container').classList.remove('hidden');
+    div.querySelector('.permission-deny-btn').classList.add('hidden');
+    div.querySelector('.permission-reason-input').focus();
+  });
+
+  const submitDeny = () => {
+    const reason = div.querySelector('.permission-reason-input').value.trim();
+    sendPermissionResponse(session, data.id, 'deny', reason || null);
+    markPermissionRequestSubmitted(div, 'deny');
+  };
+
+  div.querySelector('.permission-send-deny-btn').addEventListener('click', submitDeny);
+  div.querySelector('.permission-reason-input').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') submitDeny();
+  });
+
+  session.containerEl.appendChild(div);
+  scrollToBottom(session);
+}
+
 function handleOptionSelect(optionEl) {
   const qIndex = parseInt(optionEl.dataset.qindex);
   const label = optionEl.dataset.label;
@@ -2215,11 +2712,76 @@ function sendPlanResponse(session, toolUseId, approved, feedback) {
   }));
 }
 
+function sendPermissionResponse(session, toolUseId, decision, reason) {
+  if (!session || !session.sessionId || !state.ws) return;
+  state.ws.send(JSON.stringify({
+    type: 'permission-response',
+    sessionId: session.sessionId,
+    toolUseId: toolUseId,
+    decision: decision,
+    reason: reason
+  }));
+}
+
+// Labels for prompts resolved by the server rather than by this client
+const PROMPT_RESOLVED_LABELS = {
+  answered: 'Answered on another device',
+  timeout: 'Timed out - auto-denied',
+  cancelled: 'Cancelled'
+};
+
+/**
+ * Close out a question, plan or permission card once the server stops waiting on it
+ * (answered from another client, timed out, or cancelled)
+ */
+function resolvePromptCard(data, session) {
+  if (!session?.containerEl) return;
+  const label = PROMPT_RESOLVED_LABELS[data.reason] || PROMPT_RESOLVED_LABELS.cancelled;
+
+  const questionBlock = session.containerEl.querySelector(`.question-block[data-question-id="${data.id}"]:not(.submitted)`);
+  if (questionBlock) {
+    questionBlock.classList.add('submitted');
+    const submitBtn = questionBlock.querySelector('.question-submit');
+    if (submitBtn) { submitBtn.disabled = true; submitBtn.textContent = label; }
+    questionBlock.querySelectorAll('.question-option').forEach(opt => { opt.style.pointerEvents = 'none'; });
+    questionBlock.querySelectorAll('.question-custom-input').forEach(input => { input.disabled = true; });
+  }
+  if (session.pendingQuestion?.id === data.id) session.pendingQuestion = null;
+
+  const planBlock = session.containerEl.querySelector(`.plan-confirmation-block[data-confirmation-id="${data.id}"]:not(.submitted)`);
+  if (planBlock) markPlanConfirmationSubmitted(planBlock, data.reason);
+  if (session.pendingPlanConfirmation?.id === data.id) session.pendingPlanConfirmation = null;
+
+  const permissionBlock = session.containerEl.querySelector(`.permission-request-block[data-permission-id="${data.id}"]:not(.submitted)`);
+  if (permissionBlock) markPermissionRequestSubmitted(permissionBlock, data.reason);
+}
+
+function markPermissionRequestSubmitted(element, status) {
+  const labels = {
+    'allow': 'Allowed once',
+    'allow-always': 'Always allowed',
+    'deny': 'Denied',
+    ...PROMPT_RESOLVED_LABELS
+  };
+  element.classList.add('submitted');
+  const actions = element.querySelector('.permission-request-actions');
+  const reasonContainer = element.querySelector('.permission-reason-container');
+  const statusClass = status.startsWith('allow') || status === 'answered' ? 'approved' : 'rejected';
+  if (actions) actions.innerHTML = `<span class="plan-status plan-status-${statusClass}">${labels[status] || labels.cancelled}</span>`;
+  if (reasonContainer) reasonContainer.classList.add('hidden');
+}
+
 function markPlanConfirmationSubmitted(element, status) {
   element.classList.add('submitted');
   const actions = element.querySelector('.plan-confirmation-actions');
   const feedbackContainer = element.querySelector('.plan-feedback-container');
-  if (actions) actions.innerHTML = `<span class="plan-status plan-status-${status}">${status === 'approved' ? 'Plan approved' : 'Plan rejected — revising...'}</span>`;
+  const labels = {
+    approved: 'Plan approved',
+    rejected: 'Plan rejected — revising...',
+    ...PROMPT_RESOLVED_LABELS
+  };
+  const statusClass = status === 'approved' || status === 'answered' ? 'approved' : 'rejected';
+  if (actions) actions.innerHTML = `<span class="plan-status plan-status-${statusClass}">${labels[status] || labels.rejected}</span>`;
   if (feedbackContainer) feedbackContainer.classList.add('hidden');
 }
 
@@ -2285,7 +2847,7 @@ chatForm.addEventListener('submit', (e) => {
   e.preventDefault();
   const content = chatInput.value.trim();
   const session = getActiveSession();
-  if (!content || session?.isStreaming) return;
+  if (!content) return;
 
   if (!session) {
     alert('Please select a project first (tap the menu icon)');
@@ -2312,6 +2874,11 @@ function sendMessage(content) {
     return;
   }
 
+  if (session.isStreaming) {
+    queueMessage(session, content);
+    return;
+  }
+
   const mode = MODES[state.modeIndex];
 
   console.log('[Session] Sending message with sessionId:', session.sessionId, 'isNewSession:', !session.sessionId);
@@ -2366,13 +2933,103 @@ function sendMessage(content) {
 
   session.isStreaming = true;
   abortBtn.classList.remove('hidden');
-  chatInput.disabled = true;
-  sendBtn.disabled = true;
   modeBtn.disabled = true;
   modelBtn.disabled = true;
   attachBtn.disabled = true;
+  updateQueueComposer(session);
+}
+
+// ==================== Message Queue ====================
+
+const queuedMessagesEl = $('#queued-messages');
+
+// Queue a follow-up on the server while the current turn streams
+function queueMessage(session, content) {
+  if (!session.sessionId) {
+    appendSystemMessage('Wait for the session to start before queueing follow-ups.', session);
+    return;
+  }
+  if (!sendQueueCommand('queue-message', session, {
+    content,
+    mode: MODES[state.modeIndex].name,
+    model: state.selectedModel
+  })) return;
+
+  chatInput.value = '';
+  chatInput.style.height = 'auto';
+}
+
+function sendQueueCommand(type, session, fields) {
+  if (!state.ws || state.ws.readyState !== WebSocket.OPEN) {
+    appendSystemMessage('Connection lost. Reconnecting...', session);
+    return false;
+  }
+  state.ws.send(JSON.stringify({ type, sessionId: session.sessionId, ...fields }));
+  return true;
+}
+
+// While a session streams, the composer queues follow-ups instead of sending
+function updateQueueComposer(session) {
+  const queueing = !!session?.isStreaming;
+  chatInput.placeholder = queueing ? 'Queue a follow-up...' : 'Message Claude...';
+  sendBtn.classList.toggle('queue-mode', queueing);
+  sendBtn.title = queueing ? 'Queue message' : '';
+}
+
+function renderQueuedMessages(session) {
+  if (!session || session !== getActiveSession()) return;
+  const queue = session.queue || [];
+  queuedMessagesEl.classList.toggle('hidden', queue.length === 0);
+  queuedMessagesEl.innerHTML = queue.map((item, index) => `
+    <div class="queued-message" data-item-id="${escapeAttr(item.id)}">
+      <div class="queued-message-label">Queued #${index + 1}</div>
+      <div class="queued-message-content">${escapeHtml(item.content)}</div>
+      <div class="queued-message-actions">
+        <button type="button" data-action="edit">Edit</button>
+        <button type="button" data-action="send-now" title="Interrupt Claude and send this now">Send now</button>
+        <button type="button" data-action="cancel">Cancel</button>
+      </div>
+    </div>
+  `).join('');
 }
 
+queuedMessagesEl.addEventListener('click', (e) => {
+  const btn = e.target.closest('[data-action]');
+  if (!btn) return;
+  const session = getActiveSession();
+  const itemEl = btn.closest('.queued-message');
+  const item = session?.queue.find(i => i.id === itemEl?.dataset.itemId);
+  if (!item) return;
+
+  switch (btn.dataset.action) {
+    case 'edit':
+      itemEl.querySelector('.queued-message-content').innerHTML =
+        `<textarea class="queued-message-input" rows="2">${escapeHtml(item.content)}</textarea>`;
+      itemEl.querySelector('.queued-message-actions').innerHTML = `
+        <button type="button" data-action="save">Save</button>
+        <button type="button" data-action="discard">Discard</button>
+      `;
+      itemEl.querySelector('.queued-message-input').focus();
+      break;
+    case 'save': {
+      const content = itemEl.querySelector('.queued-message-input').value.trim();
+      if (content) sendQueueCommand('queue-edit', session, { itemId: item.id, content });
+      break;
+    }
+    case 'discard':
+      renderQueuedMessages(session);
+      break;
+    case 'send-now':
+      sendQueueCommand('queue-send-now', session, { itemId: item.id });
+      break;
+    case 'cancel':
+      sendQueueCommand('queue-cancel', session, { itemId: item.id });
+      break;
+  }
+});
+
+// ==================== End Message Queue ====================
+
 chatInput.addEventListener('input', () => {
   chatInput.style.height = 'auto';
   chatInput.style.height = Math.min(chatInput.scrollHeight, 150) + 'px';
@@ -2489,20 +3146,342 @@ sessionContainersEl.addEventListener('click', (e) => {
   }
 });
 
+// ==================== Edit Diffs ====================
+
+// Prism grammar per file extension (only the bundled grammars)
+const prismLanguageMap = {
+  js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'javascript',
+  ts: 'typescript', tsx: 'typescript',
+  py: 'python',
+  sh: 'bash', bash: 'bash', zsh: 'bash',
+  json: 'json',
+  css: 'css',
+  html: 'markup', htm: 'markup', xml: 'markup', svg: 'markup'
+};
 
-// Keyboard shortcuts for session switching (Ctrl+1 through Ctrl+5)
-document.addEventListener('keydown', (e) => {
-  if (e.ctrlKey && !e.shiftKey && !e.altKey && !e.metaKey) {
-    const num = parseInt(e.key);
-    if (num >= 1 && num <= MAX_SESSIONS) {
-      e.preventDefault();
-      const index = num - 1;
-      if (index < state.sessions.length) {
-        switchToSession(index);
-      }
-    }
-  }
-});
+function highlightDiffLine(text, lang) {
+  const grammar = typeof Prism !== 'undefined' && lang ? Prism.languages[lang] : null;
+  return grammar ? Prism.highlight(text, grammar, lang) : escapeHtml(text);
+}
+
+// Path of a file relative to the session's project, or null if it's outside it
+function projectRelativePath(filePath, session) {
+  if (!filePath.startsWith('/')) return filePath;
+  const root = session?.project?.path;
+  return root && filePath.startsWith(root + '/') ? filePath.slice(root.length + 1) : null;
+}
+
+function diffLineHtml(line, lang, side = null) {
+  if (!line) return '<div class="edit-diff-line empty"><span class="edit-diff-num"></span><code></code></div>';
+  const sign = line.type === 'add' ? '+' : line.type === 'remove' ? '-' : ' ';
+  const nums = side === 'old' ? [line.oldLine]
+    : side === 'new' ? [line.newLine]
+    : [line.oldLine, line.newLine];
+  return `<div class="edit-diff-line ${line.type}">${nums.map(n => `<span class="edit-diff-num">${n ?? ''}</span>`).join('')}<span class="edit-diff-sign">${sign}</span><code>${highlightDiffLine(line.text, lang)}</code></div>`;
+}
+
+// Pair each run of removed lines with the added lines that follow it
+function sideBySideRows(lines) {
+  const rows = [];
+  for (let i = 0; i < lines.length;) {
+    if (lines[i].type === 'context') {
+      rows.push([lines[i], lines[i]]);
+      i++;
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (i < lines.length && lines[i].type === 'remove') removed.push(lines[i++]);
+    while (i < lines.length && lines[i].type === 'add') added.push(lines[i++]);
+    for (let j = 0; j < Math.max(removed.length, added.length); j++) rows.push([removed[j], added[j]]);
+  }
+  return rows;
+}
+
+/**
+ * Render an Edit/MultiEdit/Write diff (from the server) for a tool pill
+ * Unified and side-by-side views are both rendered; the toggle switches between them.
+ */
+function renderEditDiff(diff, session, canOpen = true) {
+  if (!diff.hunks?.length) return '';
+  const lang = prismLanguageMap[diff.filePath.split('.').pop()?.toLowerCase()] || null;
+  const openPath = canOpen && !state.shareToken ? projectRelativePath(diff.filePath, session) : null;
+  const mode = localStorage.getItem('diffMode') === 'split' ? 'split' : 'unified';
+
+  const hunksHtml = diff.hunks.map(hunk => {
+    const firstChange = hunk.lines.find(l => l.type !== 'context') || hunk.lines[0];
+    // Snippet diffs have no file line numbers; the editor searches for the new text instead
+    const target = diff.lineNumbers
+      ? `data-line="${firstChange.newLine ?? hunk.newStart}"`
+      : `data-find="${escapeAttr((hunk.lines.find(l => l.type === 'add' && l.text.trim()) || hunk.lines.find(l => l.text.trim()) || firstChange).text)}"`;
+    const openBtn = openPath
+      ? `<button type="button" class="edit-diff-open" data-path="${escapeAttr(openPath)}" ${target}>${diff.lineNumbers ? `Open at line ${firstChange.newLine ?? hunk.newStart}` : 'Open in editor'}</button>`
+      : '';
+    const range = diff.lineNumbers ? `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@` : '@@';
+    return `
+      <div class="edit-diff-hunk">
+        <div class="edit-diff-hunk-header"><span>${range}</span>${openBtn}</div>
+        <div class="edit-diff-unified">${hunk.lines.map(line => diffLineHtml(line, lang)).join('')}</div>
+        <div class="edit-diff-split">${sideBySideRows(hunk.lines).map(([oldLine, newLine]) =>
+          `<div class="edit-diff-row">${diffLineHtml(oldLine, lang, 'old')}${diffLineHtml(newLine, lang, 'new')}</div>`).join('')}</div>
+      </div>`;
+  }).join('');
+
+  return `
+    <div class="edit-diff ${mode}">
+      <div class="edit-diff-bar">
+        <span class="edit-diff-stats">${diff.created ? 'New file ' : ''}<span class="add">+${diff.added}</span> <span class="remove">-${diff.removed}</span></span>
+        <span class="edit-diff-modes">
+          <button type="button" class="edit-diff-mode" data-mode="unified">Unified</button>
+          <button type="button" class="edit-diff-mode" data-mode="split">Side by side</button>
+        </span>
+      </div>
+      ${hunksHtml}
+      ${diff.truncated ? '<div class="edit-diff-truncated">Diff truncated</div>' : ''}
+    </div>`;
+}
+
+// Unified/side-by-side toggle and "open in editor" for diffs in the chat and the changes panel
+function handleEditDiffClick(e) {
+  const modeBtn = e.target.closest('.edit-diff-mode');
+  if (modeBtn) {
+    const mode = modeBtn.dataset.mode;
+    localStorage.setItem('diffMode', mode);
+    const diffEl = modeBtn.closest('.edit-diff');
+    diffEl.classList.toggle('split', mode === 'split');
+    diffEl.classList.toggle('unified', mode === 'unified');
+    return;
+  }
+
+  const openBtn = e.target.closest('.edit-diff-open');
+  if (openBtn) {
+    openFile(openBtn.dataset.path, Number(openBtn.dataset.line) || null, openBtn.dataset.find || null);
+  }
+}
+
+sessionContainersEl.addEventListener('click', handleEditDiffClick);
+
+// ==================== Message Context Menu ====================
+
+const CONTEXT_MENU_TARGETS = '.message.user, .message.assistant';
+let longPressTimer = null;
+let longPressShown = false;
+let contextMenuTarget = null;
+
+function showContextMenu(messageEl, x, y) {
+  contextMenuTarget = messageEl;
+  const hasCode = !!messageEl.querySelector('pre code');
+  contextMenuEl.querySelector('[data-action="copy-code"]').style.display = hasCode ? '' : 'none';
+  // Forking needs the message's transcript UUID and a saved session
+  const canFork = !!(!state.shareToken && messageEl.dataset.uuid && getActiveSession()?.sessionId);
+  contextMenuEl.querySelector('[data-action="fork"]').style.display = canFork ? '' : 'none';
+
+  contextMenuEl.classList.remove('hidden');
+  // Keep the menu inside the viewport
+  const maxX = window.innerWidth - contextMenuEl.offsetWidth - 8;
+  const maxY = window.innerHeight - contextMenuEl.offsetHeight - 8;
+  contextMenuEl.style.left = `${Math.max(8, Math.min(x, maxX))}px`;
+  contextMenuEl.style.top = `${Math.max(8, Math.min(y, maxY))}px`;
+}
+
+function showLongPressMenu(messageEl, x, y) {
+  longPressShown = true;
+  showContextMenu(messageEl, x, y);
+}
+
+function getMessageText(messageEl) {
+  const clone = messageEl.cloneNode(true);
+  clone.querySelectorAll('.message-header, .code-copy-btn, .message-edit-btn, .message-images').forEach(el => el.remove());
+  return clone.textContent.trim();
+}
+
+sessionContainersEl.addEventListener('touchstart', (e) => {
+  const messageEl = e.target.closest(CONTEXT_MENU_TARGETS);
+  if (!messageEl) return;
+  const { clientX, clientY } = e.touches[0];
+  longPressTimer = setTimeout(() => showLongPressMenu(messageEl, clientX, clientY), 500);
+}, { passive: true });
+
+sessionContainersEl.addEventListener('touchend', (e) => {
+  clearTimeout(longPressTimer);
+  // Swallow the click that follows a long press so it doesn't dismiss the menu
+  if (longPressShown) {
+    e.preventDefault();
+    longPressShown = false;
+  }
+});
+
+sessionContainersEl.addEventListener('touchmove', () => {
+  clearTimeout(longPressTimer);
+}, { passive: true });
+
+sessionContainersEl.addEventListener('contextmenu', (e) => {
+  const messageEl = e.target.closest(CONTEXT_MENU_TARGETS);
+  if (!messageEl) return;
+  e.preventDefault();
+  showContextMenu(messageEl, e.clientX, e.clientY);
+});
+
+document.addEventListener('touchstart', (e) => {
+  if (!contextMenuEl.contains(e.target)) contextMenuEl.classList.add('hidden');
+}, { passive: true });
+
+contextMenuEl.addEventListener('click', (e) => {
+  const action = e.target.closest('[data-action]')?.dataset.action;
+  const messageEl = contextMenuTarget;
+  contextMenuEl.classList.add('hidden');
+  contextMenuTarget = null;
+  if (!action || !messageEl) return;
+
+  if (action === 'copy-text') {
+    navigator.clipboard.writeText(getMessageText(messageEl));
+  } else if (action === 'copy-code') {
+    const codeEl = messageEl.querySelector('pre code');
+    if (codeEl) navigator.clipboard.writeText(codeEl.textContent);
+  } else if (action === 'fork') {
+    forkFromMessage(getActiveSession(), messageEl.dataset.uuid);
+  }
+});
+
+// Fork the session at a message and open the fork in a new tab
+async function forkFromMessage(session, messageUuid) {
+  if (!session?.sessionId || !messageUuid) return;
+  if (state.sessions.length >= MAX_SESSIONS) {
+    alert(`Maximum ${MAX_SESSIONS} sessions allowed`);
+    return;
+  }
+
+  try {
+    const fork = await api(
+      `/api/projects/${encodeURIComponent(session.project.name)}/sessions/${encodeURIComponent(session.sessionId)}/fork`,
+      { messageUuid }
+    );
+
+    const forked = createSession({ ...session.project }, fork.sessionId);
+    forked.needsHistoryLoad = true;
+    state.sessions.push(forked);
+    createSessionContainer(forked);
+    switchToSession(state.sessions.length - 1);
+  } catch (err) {
+    appendSystemMessage(`Fork failed: ${err.message}`, session);
+  }
+}
+
+// ==================== End Message Context Menu ====================
+
+// ==================== Edit & Resend ====================
+
+sessionContainersEl.addEventListener('click', (e) => {
+  const editBtn = e.target.closest('.message-edit-btn');
+  if (!editBtn) return;
+  e.stopPropagation();
+  startEditMessage(editBtn.closest('.message.user'));
+});
+
+// Replace a user bubble with an inline editor
+function startEditMessage(messageEl) {
+  const session = getActiveSession();
+  if (!session || !messageEl || messageEl.classList.contains('editing')) return;
+  if (session.isStreaming) {
+    appendSystemMessage('Stop Claude before editing an earlier message.', session);
+    return;
+  }
+
+  const originalHtml = messageEl.innerHTML;
+  const originalText = getMessageText(messageEl);
+  messageEl.classList.add('editing');
+  messageEl.innerHTML = `
+    <textarea class="message-edit-input" rows="3">${escapeHtml(originalText)}</textarea>
+    <div class="message-edit-actions">
+      <button type="button" class="message-edit-send">Resend</button>
+      <button type="button" class="message-edit-cancel">Cancel</button>
+    </div>
+  `;
+  const input = messageEl.querySelector('.message-edit-input');
+  input.focus();
+  input.setSelectionRange(input.value.length, input.value.length);
+
+  messageEl.querySelector('.message-edit-cancel').addEventListener('click', () => {
+    messageEl.classList.remove('editing');
+    messageEl.innerHTML = originalHtml;
+  });
+  messageEl.querySelector('.message-edit-send').addEventListener('click', () => {
+    const content = input.value.trim();
+    if (content) resendEditedMessage(session, messageEl, content);
+  });
+}
+
+/**
+ * Find the assistant message an edited prompt branches from
+ * @returns {{ resumeAt: string|null, firstPrompt: boolean }} resumeAt is the
+ *   transcript UUID of the reply before this prompt; firstPrompt is true when
+ *   there is no earlier turn to keep
+ */
+function findBranchPoint(messageEl) {
+  let el = messageEl.previousElementSibling;
+  while (el) {
+    if (el.matches('.message.assistant[data-uuid]')) return { resumeAt: el.dataset.uuid, firstPrompt: false };
+    if (el.matches('.message.user')) break;
+    el = el.previousElementSibling;
+  }
+  const firstPrompt = messageEl.parentElement.querySelector('.message.user') === messageEl;
+  return { resumeAt: null, firstPrompt };
+}
+
+// Discard everything from the edited prompt onward and branch the conversation
+function resendEditedMessage(session, messageEl, content) {
+  const { resumeAt, firstPrompt } = findBranchPoint(messageEl);
+  if (!resumeAt && !firstPrompt) {
+    appendSystemMessage('This message can\'t be edited yet - reopen the session to load its history first.', session);
+    return;
+  }
+  if (!state.ws || state.ws.readyState !== WebSocket.OPEN) {
+    appendSystemMessage('Connection lost. Reconnecting...', session);
+    return;
+  }
+
+  // Editing the first prompt starts over in a brand-new session
+  const branchSessionId = resumeAt ? session.sessionId : null;
+  state.ws.send(JSON.stringify({
+    type: 'chat',
+    content,
+    mode: MODES[state.modeIndex].name,
+    model: state.selectedModel,
+    projectPath: session.project.path,
+    sessionId: branchSessionId,
+    isNewSession: !branchSessionId,
+    resumeAt
+  }));
+
+  while (messageEl.nextElementSibling) messageEl.nextElementSibling.remove();
+  messageEl.remove();
+  clearTasks(session);
+  session.sessionId = branchSessionId;
+  appendMessage('user', content, session);
+
+  session.isStreaming = true;
+  abortBtn.classList.remove('hidden');
+  modeBtn.disabled = true;
+  modelBtn.disabled = true;
+  attachBtn.disabled = true;
+  updateQueueComposer(session);
+}
+
+// ==================== End Edit & Resend ====================
+
+// Keyboard shortcuts for session switching (Ctrl+1 through Ctrl+5)
+document.addEventListener('keydown', (e) => {
+  if (e.ctrlKey && !e.shiftKey && !e.altKey && !e.metaKey) {
+    const num = parseInt(e.key);
+    if (num >= 1 && num <= MAX_SESSIONS) {
+      e.preventDefault();
+      const index = num - 1;
+      if (index < state.sessions.length) {
+        switchToSession(index);
+      }
+    }
+  }
+});
 
 // Mobile keyboard handling - scroll input into view when focused
 chatInput.addEventListener('focus', () => {
@@ -3005,7 +3984,7 @@ projectSearch.addEventListener('input', () => {
 });
 
 projectSearch.addEventListener('focus', () => {
-  if (!projectSearch.value) {
+  if (!projectSearch.value && !transcriptQuery.value.trim()) {
     searchProjects('');
   }
 });
@@ -3013,6 +3992,7 @@ projectSearch.addEventListener('focus', () => {
 async function searchProjects(query) {
   projectList.innerHTML = '<div class="loading">Searching</div>';
   sessionList.classList.add('hidden');
+  transcriptResults.classList.add('hidden');
   projectList.classList.remove('hidden');
   newSessionBtn.classList.add('hidden');
   
@@ -3076,6 +4056,88 @@ async function searchProjects(query) {
   }
 }
 
+// ==================== Transcript Search ====================
+
+const transcriptSearchForm = $('#transcript-search');
+const transcriptQuery = $('#transcript-query');
+const transcriptResults = $('#transcript-results');
+
+function transcriptSearchParams() {
+  const params = new URLSearchParams({ q: transcriptQuery.value.trim() });
+  const role = $('#transcript-role').value;
+  const since = $('#transcript-since').value;
+  const until = $('#transcript-until').value;
+  const project = getActiveSession()?.project?.name;
+  if (role) params.set('role', role);
+  if (since) params.set('since', since);
+  if (until) params.set('until', until);
+  if ($('#transcript-this-project').checked && project) params.set('project', project);
+  return params;
+}
+
+// Results replace the project/session lists while there is a query
+async function searchTranscripts() {
+  const query = transcriptQuery.value.trim();
+  if (!query) {
+    transcriptResults.classList.add('hidden');
+    searchProjects(projectSearch.value);
+    return;
+  }
+
+  projectList.classList.add('hidden');
+  sessionList.classList.add('hidden');
+  newSessionBtn.classList.add('hidden');
+  transcriptResults.classList.remove('hidden');
+  transcriptResults.innerHTML = '<div class="loading">Searching</div>';
+
+  try {
+    const { results } = await api(`/api/search?${transcriptSearchParams()}`);
+    if (transcriptQuery.value.trim() !== query) return; // a newer search is running
+
+    if (results.length === 0) {
+      transcriptResults.innerHTML = '<div class="empty-state">No messages match your search</div>';
+      return;
+    }
+
+    // Snippets come from the server as escaped HTML with <mark> around matches
+    transcriptResults.innerHTML = results.map(r => `
+      <div class="transcript-result" data-link="${escapeAttr(r.link)}">
+        <div class="transcript-result-meta">
+          <span class="transcript-result-role">${escapeHtml(r.role)}</span>
+          <span class="transcript-result-project" title="${escapeAttr(r.projectPath)}">${escapeHtml(r.projectPath.split('/').pop())}</span>
+          ${r.timestamp ? `<span>${escapeHtml(formatDate(r.timestamp))}</span>` : ''}
+        </div>
+        <div class="transcript-result-snippet">${r.snippet}</div>
+      </div>
+    `).join('');
+
+    transcriptResults.querySelectorAll('.transcript-result').forEach(el => {
+      el.addEventListener('click', () => {
+        closeSidebar();
+        if (window.location.hash !== el.dataset.link) window.location.hash = el.dataset.link;
+      });
+    });
+  } catch (err) {
+    transcriptResults.innerHTML = `<div class="empty-state">Error: ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+transcriptQuery.addEventListener('input', () => {
+  clearTimeout(state.transcriptSearchTimeout);
+  state.transcriptSearchTimeout = setTimeout(searchTranscripts, SEARCH_DEBOUNCE_MS);
+});
+
+transcriptSearchForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  clearTimeout(state.transcriptSearchTimeout);
+  searchTranscripts();
+});
+
+// Changing a filter re-runs the current search
+transcriptSearchForm.addEventListener('change', (e) => {
+  if (e.target !== transcriptQuery && transcriptQuery.value.trim()) searchTranscripts();
+});
+
 async function selectProject(name, path, displayName, skipHashUpdate = false) {
   const project = { name, path, displayName };
 
@@ -3090,6 +4152,7 @@ async function selectProject(name, path, displayName, skipHashUpdate = false) {
     // Reuse existing session - reset all properties
     activeSession.project = { name, path, displayName };
     activeSession.sessionId = null;
+    activeSession.title = null;
     activeSession.isStreaming = false;
     activeSession.pendingText = '';
     activeSession.pendingQuestion = null;
@@ -3127,30 +4190,11 @@ async function selectProject(name, path, displayName, skipHashUpdate = false) {
 
     // Load and display sessions in sidebar
     projectList.classList.add('hidden');
+    transcriptResults.classList.add('hidden');
     sessionList.classList.remove('hidden');
-    sessionsContainer.innerHTML = '<div class="loading">Loading sessions</div>';
     newSessionBtn.classList.remove('hidden');
 
-    try {
-      const sessions = await api(`/api/projects/${encodeURIComponent(name)}/sessions`);
-
-      if (sessions.length === 0) {
-        sessionsContainer.innerHTML = '<div class="empty-state">No sessions yet</div>';
-      } else {
-        sessionsContainer.innerHTML = sessions.map(s => `
-          <div class="session-item" data-id="${escapeAttr(s.id)}">
-            <span class="session-preview">${escapeHtml(s.preview)}</span>
-            <span class="session-date">${formatDate(s.lastModified)}</span>
-          </div>
-        `).join('');
-
-        sessionsContainer.querySelectorAll('.session-item').forEach(el => {
-          el.addEventListener('click', () => resumeSession(el.dataset.id));
-        });
-      }
-    } catch (err) {
-      sessionsContainer.innerHTML = `<div class="empty-state">Error: ${escapeHtml(err.message)}</div>`;
-    }
+    await loadSessionList(name);
 
     return;
   }
@@ -3182,35 +4226,319 @@ async function selectProject(name, path, displayName, skipHashUpdate = false) {
   loadCustomCommands(path);
 
   projectList.classList.add('hidden');
+  transcriptResults.classList.add('hidden');
   sessionList.classList.remove('hidden');
-  sessionsContainer.innerHTML = '<div class="loading">Loading sessions</div>';
   newSessionBtn.classList.remove('hidden');
 
   // Initialize container with welcome message
   clearMessages(session);
 
+  await loadSessionList(name);
+
+  saveSessionState();
+}
+
+// Sidebar session list for a project, using the filter bar's settings
+// With append, the next page is added below the sessions already listed
+const SESSION_PAGE_SIZE = 30;
+
+async function loadSessionList(projectName, append = false) {
+  if ($('#session-show').value === 'trash') return loadTrashList(projectName);
+
+  state.sessionListProject = projectName;
+  if (!append) {
+    state.sessionListOffset = 0;
+    state.selectedSessionIds.clear();
+    updateBulkBar();
+    sessionsContainer.innerHTML = '<div class="loading">Loading sessions</div>';
+  }
+
+  const params = new URLSearchParams({
+    archived: $('#session-show').value,
+    sort: $('#session-sort').value,
+    offset: state.sessionListOffset,
+    limit: SESSION_PAGE_SIZE
+  });
+  const pinnedOnly = $('#session-pinned-only').checked;
+  if (pinnedOnly) params.set('pinned', 'true');
+  if (state.sessionTagFilter) params.set('tag', state.sessionTagFilter);
+  const tagFilterBtn = $('#session-tag-filter');
+  tagFilterBtn.textContent = `#${state.sessionTagFilter} ×`;
+  tagFilterBtn.classList.toggle('hidden', !state.sessionTagFilter);
+
   try {
-    const sessions = await api(`/api/projects/${encodeURIComponent(name)}/sessions`);
+    const sessions = await api(`/api/projects/${encodeURIComponent(projectName)}/sessions?${params}`);
+    if (state.sessionListProject !== projectName) return; // switched projects meanwhile
 
-    if (sessions.length === 0) {
-      sessionsContainer.innerHTML = '<div class="empty-state">No sessions yet</div>';
-    } else {
-      sessionsContainer.innerHTML = sessions.map(s => `
-        <div class="session-item" data-id="${escapeAttr(s.id)}">
-          <span class="session-preview">${escapeHtml(s.preview)}</span>
-          <span class="session-date">${formatDate(s.lastModified)}</span>
-        </div>
-      `).join('');
+    sessionsContainer.querySelector('.session-load-more')?.remove();
+    if (sessions.length === 0 && !append) {
+      const filtered = pinnedOnly || state.sessionTagFilter || params.get('archived') !== 'false';
+      sessionsContainer.innerHTML = `<div class="empty-state">${filtered ? 'No matching sessions' : 'No sessions yet'}</div>`;
+      return;
+    }
+
+    const page = document.createElement('div');
+    page.innerHTML = sessions.map(renderSessionItem).join('');
+    if (!append) sessionsContainer.innerHTML = '';
+    page.querySelectorAll('.session-item').forEach(el => {
+      const session = sessions.find(s => s.id === el.dataset.id);
+      el.addEventListener('click', () => resumeSession(session.id, false, session.title));
+      el.querySelector('.session-select').addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (e.target.checked) state.selectedSessionIds.add(session.id);
+        else state.selectedSessionIds.delete(session.id);
+        el.classList.toggle('selected', e.target.checked);
+        updateBulkBar();
+      });
+      el.querySelectorAll('.session-action').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          updateSessionMeta(projectName, session, btn.dataset.action);
+        });
+      });
+      el.querySelectorAll('.session-tag').forEach(tag => {
+        tag.addEventListener('click', (e) => {
+          e.stopPropagation();
+          state.sessionTagFilter = tag.dataset.tag;
+          loadSessionList(projectName);
+        });
+      });
+      sessionsContainer.appendChild(el);
+    });
 
-      sessionsContainer.querySelectorAll('.session-item').forEach(el => {
-        el.addEventListener('click', () => resumeSession(el.dataset.id));
+    state.sessionListOffset += sessions.length;
+    if (sessions.length === SESSION_PAGE_SIZE) {
+      const more = document.createElement('button');
+      more.type = 'button';
+      more.className = 'session-action session-load-more';
+      more.textContent = 'Load more';
+      more.addEventListener('click', () => {
+        more.disabled = true;
+        loadSessionList(projectName, true);
       });
+      sessionsContainer.appendChild(more);
+    }
+  } catch (err) {
+    sessionsContainer.innerHTML = `<div class="empty-state">Error: ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+// Trashed sessions with restore and delete-forever actions
+async function loadTrashList(projectName) {
+  state.sessionListProject = projectName;
+  state.selectedSessionIds.clear();
+  updateBulkBar();
+  $('#session-tag-filter').classList.add('hidden');
+  sessionsContainer.innerHTML = '<div class="loading">Loading trash</div>';
+
+  try {
+    const trashed = await api(`/api/projects/${encodeURIComponent(projectName)}/trash`);
+    if (state.sessionListProject !== projectName) return;
+    if (trashed.length === 0) {
+      sessionsContainer.innerHTML = '<div class="empty-state">Trash is empty</div>';
+      return;
     }
+
+    sessionsContainer.innerHTML = trashed.map(s => `
+      <div class="session-item trashed" data-id="${escapeAttr(s.id)}">
+        <span class="session-preview">${escapeHtml(s.title || s.id)}</span>
+        <span class="session-date">${s.reason === 'retention' ? 'Expired' : 'Deleted'} ${formatDate(s.deletedAt)}${s.purgeAt ? ` · purged ${formatDate(s.purgeAt)}` : ''}</span>
+        <span class="session-actions">
+          <button type="button" class="session-action" data-trash="restore">Restore</button>
+          <button type="button" class="session-action" data-trash="purge">Delete forever</button>
+        </span>
+      </div>
+    `).join('');
+    sessionsContainer.querySelectorAll('[data-trash]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const sessionId = btn.closest('.session-item').dataset.id;
+        const base = `/api/projects/${encodeURIComponent(projectName)}/trash/${encodeURIComponent(sessionId)}`;
+        try {
+          if (btn.dataset.trash === 'restore') {
+            await api(`${base}/restore`, {});
+          } else {
+            if (!confirm('Delete this session for good? This cannot be undone.')) return;
+            await api(base, null, 'DELETE');
+          }
+          loadTrashList(projectName);
+        } catch (err) {
+          alert(`Failed: ${err.message}`);
+        }
+      });
+    });
   } catch (err) {
     sessionsContainer.innerHTML = `<div class="empty-state">Error: ${escapeHtml(err.message)}</div>`;
   }
+}
 
-  saveSessionState();
+function updateBulkBar() {
+  const count = state.selectedSessionIds.size;
+  $('#session-bulk-bar').classList.toggle('hidden', count === 0);
+  $('#session-bulk-count').textContent = `${count} selected`;
+  const archiveBtn = $('#session-bulk-bar [data-bulk="archive"]');
+  const unarchive = $('#session-show').value === 'true';
+  archiveBtn.textContent = unarchive ? 'Unarchive' : 'Archive';
+  archiveBtn.dataset.action = unarchive ? 'unarchive' : 'archive';
+}
+
+$('#session-bulk-bar').addEventListener('click', async (e) => {
+  const btn = e.target.closest('[data-bulk]');
+  const projectName = state.sessionListProject;
+  if (!btn || !projectName) return;
+  if (btn.dataset.bulk === 'cancel') {
+    loadSessionList(projectName);
+    return;
+  }
+
+  const sessionIds = [...state.selectedSessionIds];
+  const action = btn.dataset.bulk === 'delete' ? 'delete' : btn.dataset.action;
+  if (action === 'delete' && !confirm(`Move ${sessionIds.length} session(s) to the trash?`)) return;
+  try {
+    const { failed } = await api(`/api/projects/${encodeURIComponent(projectName)}/sessions/bulk`, { action, sessionIds });
+    if (failed.length > 0) {
+      alert(`${failed.length} session(s) could not be changed:\n${failed.map(f => `${getShortId(f.sessionId)}: ${f.error}`).join('\n')}`);
+    }
+  } catch (err) {
+    alert(`Failed to update sessions: ${err.message}`);
+  }
+  loadSessionList(projectName);
+});
+
+$('#session-retention').addEventListener('click', async () => {
+  const projectName = state.sessionListProject;
+  if (!projectName) return;
+  const base = `/api/projects/${encodeURIComponent(projectName)}/retention`;
+  try {
+    const { days } = await api(base);
+    const answer = prompt('Move sessions untouched for this many days to the trash (pinned sessions are kept). Leave empty to keep sessions forever.', days ?? '');
+    if (answer === null) return;
+    await api(base, { days: answer.trim() ? Number(answer) : null }, 'PUT');
+  } catch (err) {
+    alert(`Failed to set retention: ${err.message}`);
+  }
+});
+
+// Rename, tag, pin, archive or delete a session from the sidebar
+async function updateSessionMeta(projectName, session, action) {
+  let changes;
+  if (action === 'rename') {
+    const title = prompt('Session title (leave empty for the automatic title)', session.customTitle || session.title);
+    if (title === null) return;
+    changes = { title };
+  } else if (action === 'tags') {
+    const tags = prompt('Tags, separated by commas', session.tags.join(', '));
+    if (tags === null) return;
+    changes = { tags: tags.split(',') };
+  } else if (action === 'pin') {
+    changes = { pinned: !session.pinned };
+  } else if (action === 'archive') {
+    changes = { archived: !session.archived };
+  } else if (action === 'delete') {
+    if (!confirm('Move this session to the trash?')) return;
+  }
+
+  try {
+    const url = `/api/projects/${encodeURIComponent(projectName)}/sessions/${encodeURIComponent(session.id)}`;
+    await (changes ? api(url, changes, 'PATCH') : api(url, null, 'DELETE'));
+    loadSessionList(projectName);
+  } catch (err) {
+    alert(`Failed to update session: ${err.message}`);
+  }
+}
+
+$('#session-filters').addEventListener('change', () => {
+  if (state.sessionListProject) loadSessionList(state.sessionListProject);
+});
+
+$('#session-tag-filter').addEventListener('click', () => {
+  state.sessionTagFilter = null;
+  if (state.sessionListProject) loadSessionList(state.sessionListProject);
+});
+
+// Session list entry: selection box, title, fork lineage, tags and rename/tag/pin/archive/delete actions
+function renderSessionItem(s) {
+  const forkCount = s.childSessionIds?.length || 0;
+  let lineage = '';
+  if (s.parentSessionId) {
+    lineage += `<span class="session-lineage" title="Forked from ${escapeAttr(s.parentSessionId)}">⑂ fork of ${escapeHtml(getShortId(s.parentSessionId))}</span>`;
+  }
+  if (forkCount > 0) {
+    lineage += `<span class="session-lineage" title="${escapeAttr(s.childSessionIds.join('\n'))}">⑂ ${forkCount} fork${forkCount === 1 ? '' : 's'}</span>`;
+  }
+  const tags = s.tags.map(tag => `<button type="button" class="session-tag" data-tag="${escapeAttr(tag)}">#${escapeHtml(tag)}</button>`).join('');
+  return `
+    <div class="session-item${s.parentSessionId ? ' forked' : ''}${s.archived ? ' archived' : ''}" data-id="${escapeAttr(s.id)}">
+      <input type="checkbox" class="session-select" aria-label="Select session">
+      <span class="session-preview" title="${escapeAttr(s.preview)}">${s.pinned ? '📌 ' : ''}${escapeHtml(s.title)}</span>
+      ${lineage}
+      ${tags}
+      <span class="session-date">${formatDate(s.lastModified)}</span>
+      <span class="session-actions">
+        <button type="button" class="session-action" data-action="rename" title="Rename">✎</button>
+        <button type="button" class="session-action" data-action="tags" title="Edit tags">#</button>
+        <button type="button" class="session-action" data-action="pin">${s.pinned ? 'Unpin' : 'Pin'}</button>
+        <button type="button" class="session-action" data-action="archive">${s.archived ? 'Unarchive' : 'Archive'}</button>
+        <button type="button" class="session-action" data-action="delete" title="Move to trash">🗑</button>
+      </span>
+    </div>
+  `;
+}
+
+// Render transcript messages from the API (history, share links)
+function renderHistoryMessages(session, messages) {
+  for (const msg of messages) {
+    if (msg.role === 'user') {
+      appendMessage('user', msg.content, session);
+      if (msg.uuid) session.containerEl.lastElementChild.dataset.uuid = msg.uuid;
+    } else if (msg.role === 'assistant') {
+      // Create element directly with metadata to preserve message header
+      const div = document.createElement('div');
+      div.className = 'message assistant';
+
+      // Build message header with metadata from API
+      let headerHtml = '';
+      if (msg.timestamp || msg.messageId || msg.model) {
+        headerHtml = '<div class="message-header">';
+        if (msg.timestamp) {
+          headerHtml += `<span class="message-timestamp" title="${escapeAttr(msg.timestamp)}">${escapeHtml(formatTimestamp(msg.timestamp))}</span>`;
+        }
+        if (msg.messageId) {
+          headerHtml += `<span class="message-id" title="${escapeAttr(msg.messageId)}">· ${escapeHtml(getShortId(msg.messageId))}</span>`;
+        }
+        if (msg.model) {
+          headerHtml += `<span class="model-badge">${escapeHtml(msg.model)}</span>`;
+        }
+        headerHtml += '</div>';
+      }
+
+      div.innerHTML = headerHtml + formatMarkdown(msg.content);
+
+      // Store metadata on element for reference
+      if (msg.timestamp) div.dataset.timestamp = msg.timestamp;
+      if (msg.messageId) div.dataset.messageId = msg.messageId;
+      if (msg.model) div.dataset.model = msg.model;
+      if (msg.uuid) div.dataset.uuid = msg.uuid;
+
+      session.containerEl.appendChild(div);
+    } else if (msg.role === 'tool') {
+      // Build metadata object for historical tool messages
+      const toolMetadata = {
+        timestamp: msg.timestamp || null,
+        messageId: msg.messageId || null,
+        model: msg.model || null,
+        diff: msg.diff || null
+      };
+
+      // Use enhanced summary from API if available, otherwise fall back to legacy
+      const summary = msg.summary || getToolSummaryFromInput(msg.tool, msg.input);
+      appendToolMessage(msg.tool, summary, null, 'success', session, toolMetadata, msg.input);
+    }
+  }
+  // Scroll to bottom to show most recent messages
+  if (session.containerEl) {
+    session.containerEl.scrollTop = session.containerEl.scrollHeight;
+    session.isAtBottom = true;
+  }
 }
 
 async function loadSessionHistory(session) {
@@ -3239,56 +4567,7 @@ async function loadSessionHistory(session) {
         `;
       }
     } else {
-      for (const msg of messages) {
-        if (msg.role === 'user') {
-          appendMessage('user', msg.content, session);
-        } else if (msg.role === 'assistant') {
-          // Create element directly with metadata to preserve message header
-          const div = document.createElement('div');
-          div.className = 'message assistant';
-
-          // Build message header with metadata from API
-          let headerHtml = '';
-          if (msg.timestamp || msg.messageId || msg.model) {
-            headerHtml = '<div class="message-header">';
-            if (msg.timestamp) {
-              headerHtml += `<span class="message-timestamp" title="${escapeAttr(msg.timestamp)}">${escapeHtml(formatTimestamp(msg.timestamp))}</span>`;
-            }
-            if (msg.messageId) {
-              headerHtml += `<span class="message-id" title="${escapeAttr(msg.messageId)}">· ${escapeHtml(getShortId(msg.messageId))}</span>`;
-            }
-            if (msg.model) {
-              headerHtml += `<span class="model-badge">${escapeHtml(msg.model)}</span>`;
-            }
-            headerHtml += '</div>';
-          }
-
-          div.innerHTML = headerHtml + formatMarkdown(msg.content);
-
-          // Store metadata on element for reference
-          if (msg.timestamp) div.dataset.timestamp = msg.timestamp;
-          if (msg.messageId) div.dataset.messageId = msg.messageId;
-          if (msg.model) div.dataset.model = msg.model;
-
-          session.containerEl.appendChild(div);
-        } else if (msg.role === 'tool') {
-          // Build metadata object for historical tool messages
-          const toolMetadata = {
-            timestamp: msg.timestamp || null,
-            messageId: msg.messageId || null,
-            model: msg.model || null
-          };
-
-          // Use enhanced summary from API if available, otherwise fall back to legacy
-          const summary = msg.summary || getToolSummaryFromInput(msg.tool, msg.input);
-          appendToolMessage(msg.tool, summary, null, 'success', session, toolMetadata, msg.input);
-        }
-      }
-      // Scroll to bottom to show most recent messages
-      if (session.containerEl) {
-        session.containerEl.scrollTop = session.containerEl.scrollHeight;
-        session.isAtBottom = true;
-      }
+      renderHistoryMessages(session, messages);
     }
   } catch (err) {
     console.warn('[Session] History load failed for', session.sessionId, '- session resume still functional:', err.message);
@@ -3304,14 +4583,32 @@ async function loadSessionHistory(session) {
     }
   }
 
+  await restorePendingPrompts(session);
+
   session.needsHistoryLoad = false;
 }
 
-async function resumeSession(sessionId, skipHashUpdate = false) {
+// Re-render any question, plan or permission prompt the agent is still waiting on
+async function restorePendingPrompts(session) {
+  if (!session.sessionId) return;
+  try {
+    const { prompts } = await api(`/api/prompts?sessionId=${encodeURIComponent(session.sessionId)}`);
+    for (const prompt of prompts) {
+      handleClaudeMessage(prompt.data, session);
+    }
+  } catch (err) {
+    console.warn('[Session] Failed to load pending prompts:', err.message);
+  }
+}
+
+async function resumeSession(sessionId, skipHashUpdate = false, title = null) {
   const session = getActiveSession();
   if (!session) return;
 
   session.sessionId = sessionId;
+  session.title = title;
+  renderSessionBar();
+  if (!title) loadSessionTitle(session);
   saveSessionState(); // Persist immediately before history load - ensures sessionId survives even if loadSessionHistory fails
   if (!skipHashUpdate) updateHash(session.project.name, sessionId);
   closeSidebar();
@@ -3322,6 +4619,20 @@ async function resumeSession(sessionId, skipHashUpdate = false) {
   saveSessionState();
 }
 
+// Fetch the title of a session opened without one (e.g. from a link)
+async function loadSessionTitle(session) {
+  const { sessionId } = session;
+  try {
+    const meta = await api(`/api/projects/${encodeURIComponent(session.project.name)}/sessions/${encodeURIComponent(sessionId)}`);
+    if (session.sessionId !== sessionId) return;
+    session.title = meta.title;
+    renderSessionBar();
+    saveSessionState();
+  } catch {
+    // Unknown sessions keep showing the project name
+  }
+}
+
 function getToolSummaryFromInput(tool, input) {
   if (!input) return tool;
   switch (tool) {
@@ -3340,6 +4651,8 @@ newSessionBtn.addEventListener('click', () => {
   if (!session) return;
 
   session.sessionId = null;
+  session.title = null;
+  renderSessionBar();
   updateHash(session.project.name);
   clearMessages(session);
   enableChat();
@@ -3363,6 +4676,25 @@ function enableChat() {
   chatInput.focus();
 }
 
+const CONTINUATION_LABELS = {
+  resume: { text: 'resumed', title: 'Context restored by SDK session resume' },
+  replay: { text: 'rebuilt', title: 'Transcript not found where the SDK expects it - recent history was replayed into the prompt' },
+  new: { text: 'no history', title: 'No transcript found - the conversation continued without earlier context' }
+};
+
+// Show how the active session's last turn picked up its context
+function updateContinuationIndicator(session) {
+  if (!session || session !== getActiveSession()) return;
+  const label = CONTINUATION_LABELS[session.continuation];
+  continuationIndicatorEl.classList.toggle('hidden', !label);
+  continuationIndicatorEl.dataset.strategy = session.continuation || '';
+  if (!label) return;
+  continuationIndicatorEl.textContent = session.continuation === 'replay' && session.continuationHistory
+    ? `${label.text} (${session.continuationHistory} msgs)`
+    : label.text;
+  continuationIndicatorEl.title = label.title;
+}
+
 function updateTokenUsage(usage, session) {
   session = session || getActiveSession();
   if (!usage || !session) {
@@ -3583,7 +4915,7 @@ function formatDate(isoString) {
   return d.toLocaleDateString();
 }
 
-async function api(url, body = null) {
+async function api(url, body = null, method = null, retried = false) {
   const opts = { headers: {} };
   
   if (state.token) {
@@ -3595,15 +4927,22 @@ async function api(url, body = null) {
     opts.headers['Content-Type'] = 'application/json';
     opts.body = JSON.stringify(body);
   }
+
+  if (method) {
+    opts.method = method;
+  }
   
   const res = await fetch(url, opts);
   const data = await res.json();
   
   if (!res.ok) {
-    if (res.status === 401 || res.status === 403) {
-      localStorage.removeItem('token');
-      state.token = null;
-      showAuth();
+    // An expired access token is refreshed once and the request retried;
+    // other 403s are role or project denials, which shouldn't end the session
+    if (state.token && data.error === 'Invalid or expired token') {
+      if (!retried && await refreshAccessToken()) {
+        return api(url, body, method, true);
+      }
+      if (retried) signOut();
     }
     throw new Error(data.error || 'Request failed');
   }
@@ -3612,7 +4951,7 @@ async function api(url, body = null) {
 }
 
 window.addEventListener('hashchange', () => {
-  if (state.token) {
+  if (state.token && !state.shareToken) {
     const session = getActiveSession();
     const route = parseHash();
 
@@ -4031,6 +5370,7 @@ async function openFileTree() {
   fileTreeDrawer.classList.remove('hidden');
   fileTreeOverlay.classList.remove('hidden');
   state.fileEditor.isOpen = true;
+  updateFileWatch();
 
   // Load tree if not already cached
   if (!state.fileEditor.dirCache['']) {
@@ -4046,6 +5386,7 @@ function closeFileTree() {
   fileTreeDrawer.classList.add('hidden');
   fileTreeOverlay.classList.add('hidden');
   state.fileEditor.isOpen = false;
+  updateFileWatch();
 }
 
 // Load file tree from server (lazy loading)
@@ -4264,8 +5605,8 @@ async function toggleFolder(path, header = null) {
   localStorage.setItem('expandedFolders', JSON.stringify([...state.fileEditor.expandedFolders]));
 }
 
-// Open file in editor
-async function openFile(filePath) {
+// Open file in editor, optionally at a line (or the first line containing findText)
+async function openFile(filePath, line = null, findText = null) {
   const session = getActiveSession();
   if (!session) return;
 
@@ -4303,7 +5644,8 @@ async function openFile(filePath) {
     currentEditorFile = {
       path: data.path,
       content: data.content,
-      language: data.language
+      language: data.language,
+      etag: data.etag              // Sent back as If-Match so saves can't clobber newer changes
     };
     editorOriginalContent = data.content;
 
@@ -4321,8 +5663,19 @@ async function openFile(filePath) {
     updateEditorStatus();
 
     // Show editor
+    hideFileChangedBar();
     editorScreen.classList.remove('hidden');
     state.fileEditor.editorMode = true;
+    updateFileWatch();
+
+    if (findText && !line) {
+      const match = monacoEditor.getModel().findMatches(findText, false, false, true, null, false)[0];
+      line = match?.range.startLineNumber || null;
+    }
+    if (line) {
+      monacoEditor.revealLineInCenter(line);
+      monacoEditor.setPosition({ lineNumber: line, column: 1 });
+    }
 
     // Focus editor
     monacoEditor.focus();
@@ -4366,19 +5719,30 @@ async function saveCurrentFile() {
       method: 'PUT',
       headers: {
         'Authorization': `Bearer ${state.token}`,
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...(currentEditorFile.etag ? { 'If-Match': currentEditorFile.etag } : {})
       },
       body: JSON.stringify({ content })
     });
 
+    if (res.status === 409) {
+      // Someone (usually the agent) changed the file since it was opened
+      const conflict = await res.json();
+      editorSaveBtn.disabled = false;
+      showMergeView(conflict);
+      return;
+    }
+
     if (!res.ok) {
       const err = await res.json();
       throw new Error(err.error || 'Failed to save file');
     }
 
     // Update original content
+    const saved = await res.json();
     editorOriginalContent = content;
     currentEditorFile.content = content;
+    currentEditorFile.etag = saved.etag;
 
     // Show success
     editorStatus.textContent = 'Saved!';
@@ -4405,6 +5769,9 @@ function closeEditor() {
     }
   }
 
+  closeMergeView();
+  hideFileChangedBar();
+
   // Clear editor content
   monacoEditor.setValue('');
 
@@ -4412,11 +5779,327 @@ function closeEditor() {
   state.fileEditor.editorMode = false;
   currentEditorFile = null;
   editorOriginalContent = '';
+  updateFileWatch();
 
   // Reset any mobile viewport adjustments
   resetEditorViewport();
 }
 
+// ==================== Save Conflicts ====================
+
+const editorMergeEl = $('#editor-merge');
+const editorMergeMessage = $('#editor-merge-message');
+let mergeEditor = null;
+let mergeConflict = null;           // { content, etag } of the server's version
+
+// Side-by-side view of the server's version (left, read-only) and yours (right, editable)
+function showMergeView(conflict) {
+  mergeConflict = conflict;
+  const deleted = conflict.content === null;
+  editorMergeMessage.textContent = deleted
+    ? 'This file was deleted since you opened it. Save to recreate it with your version.'
+    : 'This file changed since you opened it. Left: current version on disk. Right: yours - edit it into the version to keep.';
+  $('#merge-use-server').classList.toggle('hidden', deleted);
+
+  if (!mergeEditor) {
+    mergeEditor = monaco.editor.createDiffEditor($('#editor-merge-container'), {
+      theme: 'vs-dark',
+      automaticLayout: true,
+      renderSideBySide: true,
+      originalEditable: false,
+      fontSize: 14,
+      fontFamily: "'SF Mono', Monaco, 'Cascadia Code', 'Consolas', monospace",
+      minimap: { enabled: false },
+      wordWrap: 'on'
+    });
+  }
+  disposeMergeModels();
+  mergeEditor.setModel({
+    original: monaco.editor.createModel(conflict.content ?? '', editorLanguage),
+    modified: monaco.editor.createModel(monacoEditor.getValue(), editorLanguage)
+  });
+
+  editorContainer.classList.add('hidden');
+  editorMergeEl.classList.remove('hidden');
+  editorStatus.textContent = 'Conflict';
+  mergeEditor.getModifiedEditor().focus();
+}
+
+function disposeMergeModels() {
+  const model = mergeEditor?.getModel();
+  if (!model) return;
+  mergeEditor.setModel(null);
+  model.original.dispose();
+  model.modified.dispose();
+}
+
+function closeMergeView() {
+  if (!mergeConflict) return;
+  mergeConflict = null;
+  disposeMergeModels();
+  editorMergeEl.classList.add('hidden');
+  editorContainer.classList.remove('hidden');
+  updateEditorStatus();
+}
+
+// Save the right-hand side over the server's version
+function saveMerged() {
+  const merged = mergeEditor.getModifiedEditor().getValue();
+  const { content, etag } = mergeConflict;
+  closeMergeView();
+  currentEditorFile.etag = etag;
+  currentEditorFile.content = content ?? '';
+  editorOriginalContent = content ?? '';
+  monacoEditor.setValue(merged);
+  saveCurrentFile();
+}
+
+function applyServerVersion({ content, etag }) {
+  currentEditorFile.etag = etag;
+  currentEditorFile.content = content;
+  editorOriginalContent = content;
+  monacoEditor.setValue(content);
+}
+
+// Drop your changes and take the server's version
+function useServerVersion() {
+  const conflict = mergeConflict;
+  closeMergeView();
+  applyServerVersion(conflict);
+}
+
+$('#merge-save').addEventListener('click', saveMerged);
+$('#merge-use-server').addEventListener('click', useServerVersion);
+$('#merge-cancel').addEventListener('click', closeMergeView);
+
+// ==================== File Watching ====================
+
+const editorChangedBar = $('#editor-changed-bar');
+const FILE_WATCH_RENEW_MS = 60 * 1000;  // Server leases last two minutes
+let fileWatchProject = null;
+let fileWatchTimer = null;
+let diskVersion = null;              // { content, etag } of the open file's newer version on disk
+
+// Watch the active project while the file tree or editor is open
+function updateFileWatch() {
+  const session = getActiveSession();
+  const wanted = session && (state.fileEditor.isOpen || state.fileEditor.editorMode) ? session.project.name : null;
+  if (wanted === fileWatchProject) return;
+
+  if (fileWatchProject) {
+    clearInterval(fileWatchTimer);
+    api(`/api/files/watch/${encodeURIComponent(fileWatchProject)}`, null, 'DELETE').catch(() => {});
+  }
+  fileWatchProject = wanted;
+  if (!wanted) return;
+
+  const renew = () => api(`/api/files/watch/${encodeURIComponent(wanted)}`, {}).catch(err => {
+    console.warn('[Files] Watch failed:', err.message);
+  });
+  renew();
+  fileWatchTimer = setInterval(renew, FILE_WATCH_RENEW_MS);
+}
+
+function handleFileChanged(event) {
+  if (event.project !== fileWatchProject) return;
+
+  // Drop cached listings of the directories that changed
+  if (event.truncated) {
+    state.fileEditor.dirCache = {};
+  } else {
+    for (const changed of event.paths) {
+      delete state.fileEditor.dirCache[changed.includes('/') ? changed.slice(0, changed.lastIndexOf('/')) : ''];
+    }
+  }
+  if (state.fileEditor.isOpen) renderFileTree();
+
+  if (state.fileEditor.editorMode && currentEditorFile && (event.truncated || event.paths.includes(currentEditorFile.path))) {
+    checkOpenFileOnDisk();
+  }
+}
+
+// Offer to reload or compare when the open file no longer matches the disk
+async function checkOpenFileOnDisk() {
+  const file = currentEditorFile;
+  const res = await fetch(`/api/files/${encodeURIComponent(fileWatchProject)}/${encodeURIComponent(file.path)}`, {
+    headers: { 'Authorization': `Bearer ${state.token}` }
+  }).catch(() => null);
+  if (!res || file !== currentEditorFile) return;
+
+  if (res.status === 404) {
+    diskVersion = { content: null, etag: null };
+  } else if (res.ok) {
+    const data = await res.json();
+    if (data.etag === file.etag) return;   // Our own save
+    diskVersion = { content: data.content, etag: data.etag };
+  } else {
+    return;
+  }
+
+  const deleted = diskVersion.content === null;
+  $('#editor-changed-message').textContent = deleted ? 'This file was deleted on disk.' : 'This file changed on disk.';
+  $('#changed-reload').classList.toggle('hidden', deleted);
+  editorChangedBar.classList.remove('hidden');
+}
+
+function hideFileChangedBar() {
+  diskVersion = null;
+  editorChangedBar.classList.add('hidden');
+}
+
+$('#changed-reload').addEventListener('click', () => {
+  const version = diskVersion;
+  hideFileChangedBar();
+  if (monacoEditor.getValue() !== editorOriginalContent && !confirm('Discard your unsaved changes and reload the file?')) return;
+  applyServerVersion(version);
+});
+$('#changed-compare').addEventListener('click', () => {
+  const version = diskVersion;
+  hideFileChangedBar();
+  showMergeView(version);
+});
+$('#changed-dismiss').addEventListener('click', hideFileChangedBar);
+
+// ==================== File Operations ====================
+
+const fileContextMenuEl = $('#file-context-menu');
+const FILE_TREE_TARGETS = '.tree-file, .tree-folder-header';
+let fileMenuTarget = null;           // { path, isDirectory } the menu acts on ('' = project root)
+let fileLongPressTimer = null;
+let fileLongPressShown = false;
+
+function showFileContextMenu(target, x, y) {
+  fileMenuTarget = target;
+  // Files can't hold new entries; the root can't be renamed or deleted
+  fileContextMenuEl.querySelectorAll('[data-action="new-file"], [data-action="new-folder"]').forEach(item => {
+    item.style.display = target.isDirectory ? '' : 'none';
+  });
+  fileContextMenuEl.querySelectorAll('[data-action="rename"], [data-action="delete"]').forEach(item => {
+    item.style.display = target.path ? '' : 'none';
+  });
+
+  fileContextMenuEl.classList.remove('hidden');
+  const maxX = window.innerWidth - fileContextMenuEl.offsetWidth - 8;
+  const maxY = window.innerHeight - fileContextMenuEl.offsetHeight - 8;
+  fileContextMenuEl.style.left = `${Math.max(8, Math.min(x, maxX))}px`;
+  fileContextMenuEl.style.top = `${Math.max(8, Math.min(y, maxY))}px`;
+}
+
+function fileTreeTarget(e) {
+  const item = e.target.closest(FILE_TREE_TARGETS);
+  if (item) return { path: item.dataset.path, isDirectory: item.classList.contains('tree-folder-header') };
+  return { path: '', isDirectory: true };
+}
+
+fileTreeContent.addEventListener('contextmenu', (e) => {
+  e.preventDefault();
+  showFileContextMenu(fileTreeTarget(e), e.clientX, e.clientY);
+});
+
+fileTreeContent.addEventListener('touchstart', (e) => {
+  const target = fileTreeTarget(e);
+  const { clientX, clientY } = e.touches[0];
+  fileLongPressTimer = setTimeout(() => {
+    fileLongPressShown = true;
+    showFileContextMenu(target, clientX, clientY);
+  }, 500);
+}, { passive: true });
+
+fileTreeContent.addEventListener('touchend', (e) => {
+  clearTimeout(fileLongPressTimer);
+  // Swallow the click that follows a long press so it doesn't open the file
+  if (fileLongPressShown) {
+    e.preventDefault();
+    fileLongPressShown = false;
+  }
+});
+
+fileTreeContent.addEventListener('touchmove', () => {
+  clearTimeout(fileLongPressTimer);
+}, { passive: true });
+
+$('#file-tree-new').addEventListener('click', (e) => {
+  e.stopPropagation();
+  const rect = e.currentTarget.getBoundingClientRect();
+  showFileContextMenu({ path: '', isDirectory: true }, rect.left, rect.bottom + 4);
+});
+
+document.addEventListener('click', () => fileContextMenuEl.classList.add('hidden'));
+document.addEventListener('touchstart', (e) => {
+  if (!fileContextMenuEl.contains(e.target)) fileContextMenuEl.classList.add('hidden');
+}, { passive: true });
+
+fileContextMenuEl.addEventListener('click', (e) => {
+  e.stopPropagation();
+  const action = e.target.closest('[data-action]')?.dataset.action;
+  fileContextMenuEl.classList.add('hidden');
+  if (!action || !fileMenuTarget) return;
+  const target = fileMenuTarget;
+  fileMenuTarget = null;
+
+  if (action === 'new-file') createFileEntry(target.path, 'file');
+  else if (action === 'new-folder') createFileEntry(target.path, 'directory');
+  else if (action === 'rename') renameFileEntry(target.path);
+  else if (action === 'delete') deleteFileEntry(target);
+});
+
+function fileEntryUrl(filePath) {
+  return `/api/files/${encodeURIComponent(getActiveSession().project.name)}/${encodeURIComponent(filePath)}`;
+}
+
+// Re-list the tree after a change (the watcher's event may come later)
+function refreshFileTree() {
+  state.fileEditor.dirCache = {};
+  if (state.fileEditor.isOpen) renderFileTree();
+}
+
+async function createFileEntry(dirPath, type) {
+  const label = type === 'directory' ? 'folder' : 'file';
+  const name = prompt(`New ${label} name${dirPath ? ` in ${dirPath}` : ''}:`)?.trim();
+  if (!name) return;
+  const filePath = dirPath ? `${dirPath}/${name}` : name;
+
+  try {
+    await api(fileEntryUrl(filePath), { type });
+    if (dirPath) {
+      state.fileEditor.expandedFolders.add(dirPath);
+      localStorage.setItem('expandedFolders', JSON.stringify([...state.fileEditor.expandedFolders]));
+    }
+    refreshFileTree();
+  } catch (err) {
+    alert(`Could not create ${label}: ${err.message}`);
+  }
+}
+
+async function renameFileEntry(filePath) {
+  const to = prompt('Rename or move to (path within the project):', filePath)?.trim();
+  if (!to || to === filePath) return;
+
+  try {
+    await api(fileEntryUrl(filePath), { to }, 'PATCH');
+    // Keep the editor pointed at a file that moved (or lives in a moved folder)
+    if (currentEditorFile && (currentEditorFile.path === filePath || currentEditorFile.path.startsWith(`${filePath}/`))) {
+      currentEditorFile.path = to + currentEditorFile.path.slice(filePath.length);
+      editorFilePath.textContent = currentEditorFile.path;
+    }
+    refreshFileTree();
+  } catch (err) {
+    alert(`Could not rename: ${err.message}`);
+  }
+}
+
+async function deleteFileEntry({ path: filePath, isDirectory }) {
+  const message = isDirectory ? `Delete the folder ${filePath} and everything in it?` : `Delete ${filePath}?`;
+  if (!confirm(message)) return;
+
+  try {
+    await api(fileEntryUrl(filePath), null, 'DELETE');
+    refreshFileTree();
+  } catch (err) {
+    alert(`Could not delete: ${err.message}`);
+  }
+}
+
 // Event listeners for file tree
 filesBtn.addEventListener('click', openFileTree);
 closeFileTreeBtn.addEventListener('click', closeFileTree);
@@ -4436,6 +6119,7 @@ editorSaveBtn.addEventListener('click', saveCurrentFile);
 function updateFilesButtonState() {
   const session = getActiveSession();
   filesBtn.disabled = !session;
+  exportBtn.disabled = !session;
 }
 
 // Hook into session switching
@@ -4467,4 +6151,979 @@ closeSession = function(index) {
 
 // ==================== End File Tree & Editor Functions ====================
 
+// ==================== Session Export ====================
+
+const exportBtn = $('#export-btn');
+const exportDropdown = $('#export-dropdown');
+
+exportBtn.addEventListener('click', (e) => {
+  e.stopPropagation();
+  exportDropdown.classList.toggle('hidden');
+  if (!exportDropdown.classList.contains('hidden')) {
+    shareUrlEl.classList.add('hidden');
+    loadShareLinks(getActiveSession());
+  }
+});
+
+// Keep the menu open while ticking the redaction and share options
+exportDropdown.addEventListener('click', (e) => {
+  e.stopPropagation();
+  if (e.target.id === 'share-create-btn') {
+    createShareLink(getActiveSession());
+    return;
+  }
+  const revokeId = e.target.closest('[data-revoke-share]')?.dataset.revokeShare;
+  if (revokeId) {
+    revokeShareLink(getActiveSession(), revokeId);
+    return;
+  }
+  const format = e.target.closest('[data-export]')?.dataset.export;
+  if (!format) return;
+  exportDropdown.classList.add('hidden');
+  exportSession(getActiveSession(), format);
+});
+
+// Download a session as Markdown, HTML or JSON (fetched with the auth header, like the audit export)
+async function exportSession(session, format) {
+  if (!session?.sessionId) {
+    alert('Nothing to export yet - send a message first.');
+    return;
+  }
+  const params = new URLSearchParams({ format });
+  const redact = [
+    $('#export-redact-output').checked && 'tool-output',
+    $('#export-redact-files').checked && 'file-contents'
+  ].filter(Boolean);
+  if (redact.length > 0) params.set('redact', redact.join(','));
+
+  const url = `/api/projects/${encodeURIComponent(session.project.name)}/sessions/${encodeURIComponent(session.sessionId)}/export?${params}`;
+  const request = () => fetch(url, { headers: { Authorization: `Bearer ${state.token}` } });
+  let res = await request();
+  if (res.status === 403 && await refreshAccessToken()) res = await request();
+  if (!res.ok) {
+    alert((await res.json()).error || 'Export failed');
+    return;
+  }
+
+  const blobUrl = URL.createObjectURL(await res.blob());
+  const link = document.createElement('a');
+  link.href = blobUrl;
+  link.download = `${(session.title || 'session').replace(/[^\w.-]+/g, '-').slice(0, 60)}.${format}`;
+  link.click();
+  URL.revokeObjectURL(blobUrl);
+}
+
+// ==================== Share Links ====================
+
+const shareListEl = $('#share-list');
+const shareUrlEl = $('#share-url');
+const HOUR_MS = 60 * 60 * 1000;
+
+function sharesUrl(session) {
+  return `/api/projects/${encodeURIComponent(session.project.name)}/sessions/${encodeURIComponent(session.sessionId)}/shares`;
+}
+
+async function loadShareLinks(session) {
+  if (!session?.sessionId) {
+    shareListEl.innerHTML = '';
+    return;
+  }
+  try {
+    const shares = await api(sharesUrl(session));
+    shareListEl.innerHTML = shares.map(share => `
+      <div class="share-link">
+        <span>${share.live ? 'Live' : 'Transcript'} · ${share.expiresAt ? `expires ${escapeHtml(formatDate(share.expiresAt))}` : 'no expiry'}</span>
+        <button type="button" class="icon-btn" data-revoke-share="${share.id}" title="Revoke link">✕</button>
+      </div>
+    `).join('');
+  } catch (err) {
+    shareListEl.innerHTML = '';
+    console.warn('[Share] Failed to load links:', err.message);
+  }
+}
+
+// The link is only shown once; the server keeps just a hash of it
+async function createShareLink(session) {
+  if (!session?.sessionId) {
+    alert('Nothing to share yet - send a message first.');
+    return;
+  }
+  const hours = Number($('#share-expiry').value);
+  try {
+    const share = await api(sharesUrl(session), {
+      live: $('#share-live').checked,
+      expiresAt: hours ? new Date(Date.now() + hours * HOUR_MS).toISOString() : null
+    });
+    shareUrlEl.value = `${location.origin}${share.url}`;
+    shareUrlEl.classList.remove('hidden');
+    shareUrlEl.select();
+    navigator.clipboard?.writeText(shareUrlEl.value).catch(() => {});
+    await loadShareLinks(session);
+  } catch (err) {
+    alert(`Could not create share link: ${err.message}`);
+  }
+}
+
+async function revokeShareLink(session, shareId) {
+  if (!confirm('Revoke this share link? Anyone using it will lose access.')) return;
+  try {
+    await api(`${sharesUrl(session)}/${encodeURIComponent(shareId)}`, null, 'DELETE');
+    await loadShareLinks(session);
+  } catch (err) {
+    alert(`Could not revoke share link: ${err.message}`);
+  }
+}
+
+function parseShareHash() {
+  const match = window.location.hash.match(/^#\/share\/([\w-]+)$/);
+  return match ? match[1] : null;
+}
+
+async function fetchSharedSession(token) {
+  const res = await fetch(`/api/share/${encodeURIComponent(token)}`);
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Share link not found or expired');
+  return data;
+}
+
+// Show a shared transcript read-only, following it live if the link allows
+async function openSharedSession(token) {
+  state.shareToken = token;
+  document.body.classList.add('share-mode');
+  authScreen.classList.add('hidden');
+  mainScreen.classList.remove('hidden');
+  $('#share-banner').classList.remove('hidden');
+
+  let shared;
+  try {
+    shared = await fetchSharedSession(token);
+  } catch (err) {
+    sessionContainersEl.innerHTML = `<div class="welcome-message"><h2>Link unavailable</h2><p>${escapeHtml(err.message)}</p></div>`;
+    return;
+  }
+
+  const name = shared.projectName || 'Shared session';
+  const session = createSession({ name, displayName: name }, shared.sessionId);
+  session.title = shared.title;
+  createSessionContainer(session);
+  state.sessions.push(session);
+  state.activeSessionIndex = 0;
+  session.containerEl.classList.add('active');
+  projectNameEl.textContent = shared.title || name;
+  renderHistoryMessages(session, shared.messages);
+
+  if (shared.live) followSharedSession(session, token);
+}
+
+function followSharedSession(session, token) {
+  const source = new EventSource(`/api/share/${encodeURIComponent(token)}/events`);
+  source.onmessage = async (e) => {
+    const event = JSON.parse(e.data);
+    if (event.type === 'heartbeat') return;
+    if (event.type === 'share-ended') {
+      source.close();
+      finishStreaming(session);
+      appendSystemMessage('This share link is no longer available.', session);
+      return;
+    }
+    if (event.type === 'session-title') {
+      session.title = event.title;
+      projectNameEl.textContent = event.title || session.project.name;
+      return;
+    }
+    if (event.type === 'session-status') {
+      if (event.status === 'streaming') {
+        session.isStreaming = true;
+        return;
+      }
+      if (!session.isStreaming) return;
+      // The turn is over: redraw from the transcript, which also has the prompt that started it
+      finishStreaming(session);
+      try {
+        const { messages } = await fetchSharedSession(token);
+        session.containerEl.innerHTML = '';
+        renderHistoryMessages(session, messages);
+      } catch (err) {
+        console.warn('[Share] Reload failed:', err.message);
+      }
+      return;
+    }
+    handleWsMessage(event);
+  };
+}
+
+// ==================== Settings Panel ====================
+
+const settingsBtn = $('#settings-btn');
+const settingsDrawer = $('#settings-drawer');
+const settingsOverlay = $('#settings-overlay');
+const closeSettingsBtn = $('#close-settings');
+const permissionRulesScope = $('#permission-rules-scope');
+const permissionRulesList = $('#permission-rules-list');
+const permissionRuleForm = $('#permission-rule-form');
+const permissionRuleInput = $('#permission-rule-input');
+const permissionRuleBehavior = $('#permission-rule-behavior');
+const jobsScope = $('#jobs-scope');
+const jobsList = $('#jobs-list');
+const jobForm = $('#job-form');
+const apiTokensList = $('#api-tokens-list');
+const apiTokenForm = $('#api-token-form');
+const apiTokenCreated = $('#api-token-created');
+const devicesList = $('#devices-list');
+const usersSection = $('#users-section');
+const usersList = $('#users-list');
+const userForm = $('#user-form');
+const auditList = $('#audit-list');
+
+// Rules currently shown in the panel (for inline editing)
+let permissionRules = [];
+
+function openSettings() {
+  settingsDrawer.classList.remove('hidden');
+  settingsOverlay.classList.remove('hidden');
+  loadPermissionRules();
+  loadJobs();
+  loadApiTokens();
+  loadAccount();
+  loadTwoFactor();
+  loadDevices();
+  loadUsers();
+  loadAudit();
+}
+
+function closeSettings() {
+  settingsDrawer.classList.add('hidden');
+  settingsOverlay.classList.add('hidden');
+  // A new token is only ever shown once
+  apiTokenCreated.classList.add('hidden');
+  $('#api-token-value').textContent = '';
+  // Secrets and recovery codes are only ever shown once
+  $('#two-factor-enroll').classList.add('hidden');
+  $('#two-factor-qr').innerHTML = '';
+  $('#two-factor-secret').textContent = '';
+  $('#two-factor-recovery').classList.add('hidden');
+  $('#two-factor-recovery-codes').textContent = '';
+}
+
+// Rules are scoped to the active tab's project; with no tab open, list everything
+async function loadPermissionRules() {
+  const session = getActiveSession();
+  const projectPath = session?.project?.path || null;
+
+  permissionRulesScope.textContent = projectPath
+    ? (session.project.displayName || projectPath)
+    : 'All projects';
+  permissionRuleForm.classList.toggle('hidden', !projectPath);
+
+  try {
+    const url = projectPath
+      ? `/api/permissions/rules?projectPath=${encodeURIComponent(projectPath)}`
+      : '/api/permissions/rules';
+    const data = await api(url);
+    permissionRules = data.rules || [];
+    renderPermissionRules(!projectPath);
+  } catch (err) {
+    permissionRulesList.innerHTML = `<div class="settings-empty">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function renderPermissionRules(showProject) {
+  if (permissionRules.length === 0) {
+    permissionRulesList.innerHTML = '<div class="settings-empty">No rules yet. Choose "Always allow" on a permission prompt or add one above.</div>';
+    return;
+  }
+
+  permissionRulesList.innerHTML = permissionRules.map(rule => `
+    <div class="permission-rule" data-rule-id="${rule.id}">
+      <span class="permission-rule-behavior ${rule.behavior}">${rule.behavior}</span>
+      <div class="permission-rule-body">
+        <code class="permission-rule-text">${escapeHtml(rule.rule)}</code>
+        ${showProject ? `<span class="permission-rule-project">${escapeHtml(rule.project_path)}</span>` : ''}
+      </div>
+      ${rule.source === 'settings'
+        ? '<span class="permission-rule-source" title="Imported from .claude/settings.json">settings</span>'
+        : `<button class="permission-rule-btn" data-action="edit">Edit</button>
+           <button class="permission-rule-btn danger" data-action="revoke">Revoke</button>`}
+    </div>
+  `).join('');
+}
+
+function editPermissionRule(rowEl, rule) {
+  rowEl.innerHTML = `
+    <select class="permission-rule-edit-behavior">
+      <option value="allow"${rule.behavior === 'allow' ? ' selected' : ''}>allow</option>
+      <option value="deny"${rule.behavior === 'deny' ? ' selected' : ''}>deny</option>
+    </select>
+    <input type="text" class="permission-rule-edit-input" value="${escapeAttr(rule.rule)}">
+    <button class="permission-rule-btn" data-action="save">Save</button>
+    <button class="permission-rule-btn" data-action="cancel">Cancel</button>
+  `;
+  rowEl.querySelector('.permission-rule-edit-input').focus();
+}
+
+permissionRulesList.addEventListener('click', async (e) => {
+  const btn = e.target.closest('[data-action]');
+  if (!btn) return;
+  const rowEl = btn.closest('.permission-rule');
+  const rule = permissionRules.find(r => r.id === Number(rowEl.dataset.ruleId));
+  if (!rule) return;
+
+  try {
+    switch (btn.dataset.action) {
+      case 'edit':
+        editPermissionRule(rowEl, rule);
+        return;
+      case 'cancel':
+        break;
+      case 'save':
+        await api(`/api/permissions/rules/${rule.id}`, {
+          rule: rowEl.querySelector('.permission-rule-edit-input').value.trim(),
+          behavior: rowEl.querySelector('.permission-rule-edit-behavior').value
+        }, 'PUT');
+        break;
+      case 'revoke':
+        if (!confirm(`Revoke rule ${rule.rule}?`)) return;
+        await api(`/api/permissions/rules/${rule.id}`, null, 'DELETE');
+        break;
+    }
+  } catch (err) {
+    alert(err.message);
+  }
+  loadPermissionRules();
+});
+
+permissionRuleForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const session = getActiveSession();
+  const rule = permissionRuleInput.value.trim();
+  if (!session || !rule) return;
+
+  try {
+    await api('/api/permissions/rules', {
+      projectPath: session.project.path,
+      rule,
+      behavior: permissionRuleBehavior.value
+    });
+    permissionRuleInput.value = '';
+    loadPermissionRules();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+// ---------- Scheduled jobs ----------
+
+// Jobs currently shown in the panel, and which job's run history is expanded
+let jobs = [];
+let expandedJobId = null;
+
+// New jobs run in the active tab's project; the list always shows every job
+async function loadJobs() {
+  const session = getActiveSession();
+  jobsScope.textContent = session
+    ? `New jobs run in ${session.project.displayName || session.project.path}`
+    : 'Open a project to add a job';
+  jobForm.classList.toggle('hidden', !session);
+
+  try {
+    const data = await api('/api/jobs');
+    jobs = data.jobs || [];
+    await renderJobs();
+  } catch (err) {
+    jobsList.innerHTML = `<div class="settings-empty">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function formatJobTime(isoString) {
+  if (!isoString) return 'never';
+  return new Date(isoString).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+async function renderJobs() {
+  if (jobs.length === 0) {
+    jobsList.innerHTML = '<div class="settings-empty">No scheduled jobs yet.</div>';
+    return;
+  }
+
+  jobsList.innerHTML = jobs.map(job => `
+    <div class="job${job.enabled ? '' : ' paused'}" data-job-id="${job.id}">
+      <div class="job-header">
+        <span class="job-name" title="${escapeAttr(job.prompt)}">${escapeHtml(job.name)}</span>
+        ${job.running ? '<span class="job-status running">running</span>' : ''}
+        ${job.enabled ? '' : '<span class="job-status">paused</span>'}
+      </div>
+      <div class="job-meta">
+        <code>${escapeHtml(job.cron)}</code> &middot; ${escapeHtml(job.mode)}${job.model ? ` &middot; ${escapeHtml(job.model)}` : ''}
+        &middot; next ${job.enabled ? formatJobTime(job.nextRunAt) : '—'} &middot; last ${formatJobTime(job.lastRunAt)}
+        <br>${escapeHtml(job.projectPath)}
+      </div>
+      <div class="job-actions">
+        <button class="permission-rule-btn" data-action="run"${job.running ? ' disabled' : ''}>Run now</button>
+        <button class="permission-rule-btn" data-action="toggle">${job.enabled ? 'Pause' : 'Resume'}</button>
+        <button class="permission-rule-btn" data-action="runs">${expandedJobId === job.id ? 'Hide runs' : 'Runs'}</button>
+        <button class="permission-rule-btn danger" data-action="delete">Delete</button>
+      </div>
+      ${expandedJobId === job.id ? '<div class="job-runs"><div class="settings-empty">Loading runs...</div></div>' : ''}
+    </div>
+  `).join('');
+
+  if (expandedJobId !== null) await loadJobRuns(expandedJobId);
+}
+
+async function loadJobRuns(jobId) {
+  const runsEl = jobsList.querySelector(`.job[data-job-id="${jobId}"] .job-runs`);
+  if (!runsEl) return;
+
+  try {
+    const { runs } = await api(`/api/jobs/${jobId}/runs`);
+    runsEl.innerHTML = runs.length === 0
+      ? '<div class="settings-empty">No runs yet.</div>'
+      : runs.map(run => `
+        <button class="job-run" data-action="transcript" data-run-id="${run.id}">
+          <span class="job-status ${run.status}">${run.status}</span>
+          <span>${formatJobTime(run.startedAt)}</span>
+          <span class="job-meta">${run.trigger}</span>
+        </button>
+        <div class="job-run-detail hidden" data-run-id="${run.id}"></div>
+      `).join('');
+  } catch (err) {
+    runsEl.innerHTML = `<div class="settings-empty">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+async function toggleRunTranscript(jobId, runId) {
+  const detailEl = jobsList.querySelector(`.job-run-detail[data-run-id="${runId}"]`);
+  if (!detailEl) return;
+  if (!detailEl.classList.contains('hidden')) {
+    detailEl.classList.add('hidden');
+    return;
+  }
+
+  const { run } = await api(`/api/jobs/${jobId}/runs/${runId}`);
+  detailEl.innerHTML = `
+    ${run.error ? `<div class="job-run-error">${escapeHtml(run.error)}</div>` : ''}
+    <div class="job-run-transcript">${run.transcript.length === 0
+      ? '<div class="settings-empty">No transcript recorded.</div>'
+      : run.transcript.map(m => `<div><span class="transcript-role">${m.role}:</span> ${escapeHtml(m.content)}</div>`).join('')}
+    </div>
+  `;
+  detailEl.classList.remove('hidden');
+}
+
+jobsList.addEventListener('click', async (e) => {
+  const btn = e.target.closest('[data-action]');
+  if (!btn) return;
+  const job = jobs.find(j => j.id === Number(btn.closest('.job').dataset.jobId));
+  if (!job) return;
+
+  try {
+    switch (btn.dataset.action) {
+      case 'run':
+        await api(`/api/jobs/${job.id}/run`, {});
+        expandedJobId = job.id;
+        break;
+      case 'toggle':
+        await api(`/api/jobs/${job.id}`, { enabled: !job.enabled }, 'PUT');
+        break;
+      case 'runs':
+        expandedJobId = expandedJobId === job.id ? null : job.id;
+        await renderJobs();
+        return;
+      case 'transcript':
+        await toggleRunTranscript(job.id, Number(btn.dataset.runId));
+        return;
+      case 'delete':
+        if (!confirm(`Delete job "${job.name}" and its run history?`)) return;
+        await api(`/api/jobs/${job.id}`, null, 'DELETE');
+        break;
+    }
+  } catch (err) {
+    alert(err.message);
+  }
+  loadJobs();
+});
+
+jobForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const session = getActiveSession();
+  if (!session) return;
+
+  try {
+    await api('/api/jobs', {
+      name: $('#job-name-input').value.trim(),
+      cron: $('#job-cron-input').value.trim(),
+      prompt: $('#job-prompt-input').value,
+      mode: $('#job-mode-select').value,
+      model: $('#job-model-input').value.trim() || null,
+      projectPath: session.project.path
+    });
+    jobForm.reset();
+    loadJobs();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+// Job runs are headless; refresh the panel when one starts or finishes
+function handleJobRunEvent() {
+  if (!settingsDrawer.classList.contains('hidden')) loadJobs();
+}
+
+// ---------- API tokens ----------
+
+async function loadApiTokens() {
+  try {
+    const { tokens } = await api('/api/auth/tokens');
+    renderApiTokens(tokens);
+  } catch (err) {
+    apiTokensList.innerHTML = `<div class="settings-empty">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function renderApiTokens(tokens) {
+  if (tokens.length === 0) {
+    apiTokensList.innerHTML = '<div class="settings-empty">No API tokens.</div>';
+    return;
+  }
+
+  const now = new Date().toISOString();
+  apiTokensList.innerHTML = tokens.map(token => `
+    <div class="permission-rule" data-token-id="${token.id}">
+      <div class="permission-rule-body">
+        <span>${escapeHtml(token.name)} <code class="permission-rule-project">${escapeHtml(token.prefix)}…</code></span>
+        <span>${token.scopes.map(scope => `<span class="api-token-scope">${escapeHtml(scope)}</span>`).join('')}</span>
+        <span class="permission-rule-project">
+          last used ${token.lastUsedAt ? formatDate(token.lastUsedAt) : 'never'} &middot;
+          ${token.expiresAt
+            ? `${token.expiresAt <= now ? 'expired' : 'expires'} ${new Date(token.expiresAt).toLocaleDateString()}`
+            : 'no expiry'}
+        </span>
+      </div>
+      <button class="permission-rule-btn danger" data-action="revoke">Revoke</button>
+    </div>
+  `).join('');
+}
+
+apiTokensList.addEventListener('click', async (e) => {
+  const btn = e.target.closest('[data-action="revoke"]');
+  if (!btn) return;
+  const id = btn.closest('[data-token-id]').dataset.tokenId;
+  if (!confirm('Revoke this token? Scripts using it will stop working.')) return;
+
+  try {
+    await api(`/api/auth/tokens/${id}`, null, 'DELETE');
+  } catch (err) {
+    alert(err.message);
+  }
+  loadApiTokens();
+});
+
+apiTokenForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const scopes = [...apiTokenForm.querySelectorAll('input[name="scope"]:checked')].map(input => input.value);
+  const expiryDays = Number($('#api-token-expiry-select').value);
+
+  try {
+    const { token } = await api('/api/auth/tokens', {
+      name: $('#api-token-name-input').value.trim(),
+      scopes,
+      expiresAt: expiryDays ? new Date(Date.now() + expiryDays * 86400000).toISOString() : null
+    });
+    $('#api-token-value').textContent = token;
+    apiTokenCreated.classList.remove('hidden');
+    apiTokenForm.reset();
+    loadApiTokens();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+$('#api-token-copy').addEventListener('click', (e) => {
+  copyToClipboard($('#api-token-value').textContent, e.target);
+});
+
+// ---------- Account ----------
+
+async function loadAccount() {
+  try {
+    const { user } = await api('/api/auth/me');
+    $('#account-status').textContent = `Signed in as ${user.username} (${user.role})`;
+  } catch (err) {
+    $('#account-status').textContent = err.message;
+  }
+}
+
+$('#username-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    await api('/api/auth/username', {
+      username: $('#account-username').value.trim(),
+      password: $('#account-username-password').value
+    }, 'PUT');
+    e.target.reset();
+    loadAccount();
+    loadUsers();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+$('#password-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const newPassword = $('#account-new-password').value;
+  if (newPassword !== $('#account-confirm-password').value) {
+    alert('New passwords do not match');
+    return;
+  }
+  try {
+    await api('/api/auth/password', { currentPassword: $('#account-current-password').value, newPassword }, 'PUT');
+    e.target.reset();
+    alert('Password changed. Your other devices were logged out.');
+    loadDevices();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+// ---------- Two-factor authentication ----------
+
+async function loadTwoFactor() {
+  const status = $('#two-factor-status');
+  try {
+    const { enabled, required, recoveryCodesRemaining } = await api('/api/auth/2fa');
+    status.textContent = enabled
+      ? `Enabled \u00b7 ${recoveryCodesRemaining} recovery code${recoveryCodesRemaining === 1 ? '' : 's'} left`
+      : (required ? 'Required by your administrator' : 'Off \u00b7 protect your login with an authenticator app');
+    $('#two-factor-setup-btn').classList.toggle('hidden', enabled);
+    $('#two-factor-manage-form').classList.toggle('hidden', !enabled);
+    $('#two-factor-manage-form [data-action="disable"]').classList.toggle('hidden', required);
+    $('#two-factor-manage-password').classList.toggle('hidden', required);
+  } catch (err) {
+    status.textContent = err.message;
+  }
+}
+
+function showRecoveryCodes(codes) {
+  $('#two-factor-recovery-codes').textContent = codes.join('\n');
+  $('#two-factor-recovery').classList.remove('hidden');
+}
+
+$('#two-factor-setup-btn').addEventListener('click', async () => {
+  try {
+    const { qrSvg, secret } = await api('/api/auth/2fa/setup', {});
+    $('#two-factor-qr').innerHTML = qrSvg;
+    $('#two-factor-secret').textContent = secret;
+    $('#two-factor-enroll').classList.remove('hidden');
+    $('#two-factor-setup-btn').classList.add('hidden');
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+$('#two-factor-enable-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    const { recoveryCodes } = await api('/api/auth/2fa/enable', { code: $('#two-factor-enable-code').value.trim() });
+    $('#two-factor-enable-form').reset();
+    $('#two-factor-enroll').classList.add('hidden');
+    $('#two-factor-qr').innerHTML = '';
+    $('#two-factor-secret').textContent = '';
+    showRecoveryCodes(recoveryCodes);
+    loadTwoFactor();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+$('#two-factor-manage-form').addEventListener('click', async (e) => {
+  const btn = e.target.closest('[data-action]');
+  if (!btn) return;
+  const code = $('#two-factor-manage-code').value.trim();
+
+  try {
+    if (btn.dataset.action === 'recovery-codes') {
+      const { recoveryCodes } = await api('/api/auth/2fa/recovery-codes', { code });
+      showRecoveryCodes(recoveryCodes);
+    } else if (btn.dataset.action === 'disable') {
+      if (!confirm('Turn off two-factor authentication?')) return;
+      await api('/api/auth/2fa/disable', { code, password: $('#two-factor-manage-password').value });
+    }
+    $('#two-factor-manage-form').reset();
+  } catch (err) {
+    alert(err.message);
+  }
+  loadTwoFactor();
+});
+
+// ---------- Devices ----------
+
+async function loadDevices() {
+  try {
+    const { devices } = await api('/api/auth/devices');
+    renderDevices(devices);
+  } catch (err) {
+    devicesList.innerHTML = `<div class="settings-empty">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function renderDevices(devices) {
+  if (devices.length === 0) {
+    devicesList.innerHTML = '<div class="settings-empty">No devices.</div>';
+    return;
+  }
+
+  devicesList.innerHTML = devices.map(device => `
+    <div class="permission-rule" data-device-id="${device.id}">
+      <div class="permission-rule-body">
+        <span class="permission-rule-text">${escapeHtml(device.userAgent || 'Unknown client')}</span>
+        <span class="permission-rule-project">
+          ${device.current ? 'this device &middot; ' : ''}${escapeHtml(device.ip || 'unknown IP')} &middot;
+          signed in ${formatDate(device.createdAt)} &middot; active ${formatDate(device.lastUsedAt)}
+        </span>
+      </div>
+      ${device.current ? '' : '<button class="permission-rule-btn danger" data-action="revoke">Log out</button>'}
+    </div>
+  `).join('');
+}
+
+devicesList.addEventListener('click', async (e) => {
+  const btn = e.target.closest('[data-action="revoke"]');
+  if (!btn) return;
+  const id = btn.closest('[data-device-id]').dataset.deviceId;
+
+  try {
+    await api(`/api/auth/devices/${id}`, null, 'DELETE');
+  } catch (err) {
+    alert(err.message);
+  }
+  loadDevices();
+});
+
+$('#logout-btn').addEventListener('click', async () => {
+  try {
+    await api('/api/auth/logout', {});
+  } catch (err) {
+    console.warn('[Auth] Logout request failed:', err.message);
+  }
+  closeSettings();
+  signOut();
+});
+
+// ---------- Users ----------
+
+// One path per line, as typed in the grants textarea
+function parseProjectPaths(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+// Only admins get the section; everyone else sees it stay hidden
+async function loadUsers() {
+  try {
+    const { user } = await api('/api/auth/me');
+    usersSection.classList.toggle('hidden', user.role !== 'admin');
+    $('#audit-user').classList.toggle('hidden', user.role !== 'admin');
+    if (user.role !== 'admin') return;
+
+    const [{ users, roles }, { requireTwoFactor }] = await Promise.all([api('/api/auth/users'), api('/api/auth/policy')]);
+    $('#require-two-factor-checkbox').checked = requireTwoFactor;
+    renderUsers(users, roles, user.id);
+  } catch (err) {
+    usersList.innerHTML = `<div class="settings-empty">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function renderUsers(users, roles, currentUserId) {
+  usersList.innerHTML = users.map(user => `
+    <div class="job user" data-user-id="${user.id}">
+      <div class="job-header">
+        <span class="job-name">${escapeHtml(user.username)}${user.id === currentUserId ? ' (you)' : ''}</span>
+        ${user.twoFactor ? '<span class="api-token-scope">2FA</span>' : ''}
+        <select class="user-role">
+          ${roles.map(role => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>`).join('')}
+        </select>
+      </div>
+      ${user.role === 'admin'
+        ? '<div class="job-meta">All projects</div>'
+        : `<textarea class="user-projects" rows="2" placeholder="No projects granted">${escapeHtml(user.projects.join('\n'))}</textarea>`}
+      <div class="job-actions">
+        <button class="permission-rule-btn" data-action="save">Save</button>
+        ${user.id === currentUserId ? '' : '<button class="permission-rule-btn" data-action="reset-password">Reset password</button>'}
+        ${user.twoFactor && user.id !== currentUserId ? '<button class="permission-rule-btn" data-action="reset-2fa">Reset 2FA</button>' : ''}
+        ${user.id === currentUserId ? '' : '<button class="permission-rule-btn danger" data-action="delete">Delete</button>'}
+      </div>
+    </div>
+  `).join('');
+}
+
+usersList.addEventListener('click', async (e) => {
+  const btn = e.target.closest('[data-action]');
+  if (!btn) return;
+  const row = btn.closest('[data-user-id]');
+  const id = row.dataset.userId;
+
+  try {
+    if (btn.dataset.action === 'save') {
+      const projects = row.querySelector('.user-projects');
+      await api(`/api/auth/users/${id}`, {
+        role: row.querySelector('.user-role').value,
+        ...(projects ? { projects: parseProjectPaths(projects.value) } : {})
+      }, 'PUT');
+    } else if (btn.dataset.action === 'reset-password') {
+      if (!confirm('Reset this user\'s password? They are logged out of every device.')) return;
+      const { password } = await api(`/api/auth/users/${id}/reset-password`, {});
+      prompt('Temporary password (shown once):', password);
+    } else if (btn.dataset.action === 'reset-2fa') {
+      if (!confirm('Reset two-factor authentication for this user? They can set it up again at next login.')) return;
+      await api(`/api/auth/users/${id}/2fa`, null, 'DELETE');
+    } else if (btn.dataset.action === 'delete') {
+      if (!confirm('Delete this user? Their tokens stop working immediately.')) return;
+      await api(`/api/auth/users/${id}`, null, 'DELETE');
+    }
+  } catch (err) {
+    alert(err.message);
+  }
+  loadUsers();
+});
+
+$('#require-two-factor-checkbox').addEventListener('change', async (e) => {
+  try {
+    await api('/api/auth/policy', { requireTwoFactor: e.target.checked }, 'PUT');
+  } catch (err) {
+    alert(err.message);
+  }
+  loadUsers();
+  loadTwoFactor();
+});
+
+userForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    await api('/api/auth/users', {
+      username: $('#user-name-input').value.trim(),
+      password: $('#user-password-input').value,
+      role: $('#user-role-select').value,
+      projects: parseProjectPaths($('#user-projects-input').value)
+    });
+    userForm.reset();
+    loadUsers();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+// ---------- Audit log ----------
+
+// Id to continue from when loading older entries
+let auditNextBefore = null;
+
+function auditFilters() {
+  const params = new URLSearchParams();
+  for (const [key, selector] of [['user', '#audit-user'], ['action', '#audit-action'], ['project', '#audit-project'], ['since', '#audit-since']]) {
+    const value = $(selector).value.trim();
+    if (value) params.set(key, value);
+  }
+  return params;
+}
+
+async function loadAudit(append = false) {
+  const params = auditFilters();
+  if (append && auditNextBefore) params.set('before', auditNextBefore);
+
+  try {
+    const { entries, nextBefore, actions } = await api(`/api/audit?${params}`);
+    const actionSelect = $('#audit-action');
+    if (actionSelect.options.length === 1) {
+      actionSelect.insertAdjacentHTML('beforeend', actions.map(a => `<option value="${a}">${a}</option>`).join(''));
+    }
+    auditNextBefore = nextBefore;
+    $('#audit-more-btn').classList.toggle('hidden', !nextBefore);
+
+    const html = entries.map(renderAuditEntry).join('');
+    if (append) {
+      auditList.insertAdjacentHTML('beforeend', html);
+    } else {
+      auditList.innerHTML = html || '<div class="settings-empty">No matching entries</div>';
+    }
+  } catch (err) {
+    auditList.innerHTML = `<div class="settings-empty">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+// One-line description of what an entry did
+function describeAuditEntry(entry) {
+  const detail = entry.detail || {};
+  switch (entry.action) {
+    case 'tool-call':
+    case 'tool-decision': {
+      const target = detail.input?.command || detail.input?.file_path || detail.input?.pattern || '';
+      const reason = detail.rule ? ` (rule ${detail.rule})` : (detail.decidedBy ? ` (${detail.decidedBy})` : '');
+      return `${entry.tool}${target ? ` ${target}` : ''}${entry.action === 'tool-decision' ? reason : ''}`;
+    }
+    case 'file-write':
+      return `${detail.path} (${detail.size} chars)`;
+    case 'file-create':
+    case 'file-delete':
+    case 'file-revert':
+      return detail.path;
+    case 'file-rename':
+      return `${detail.from} \u2192 ${detail.to}`;
+    case 'login':
+    case 'login-failed':
+      return [detail.ip, detail.reason].filter(Boolean).join(' \u00b7 ');
+    default:
+      return entry.sessionId || '';
+  }
+}
+
+function renderAuditEntry(entry) {
+  return `
+    <div class="job audit-entry ${entry.outcome === 'deny' || entry.action === 'login-failed' ? 'denied' : ''}">
+      <div class="job-header">
+        <span class="job-name">${escapeHtml(entry.action)}${entry.outcome ? ` \u00b7 ${escapeHtml(entry.outcome)}` : ''}</span>
+        <span class="job-meta">${escapeHtml(entry.username || '')} \u00b7 ${new Date(entry.timestamp).toLocaleString()}</span>
+      </div>
+      <div class="audit-detail">${escapeHtml(describeAuditEntry(entry))}</div>
+      ${entry.projectPath ? `<div class="job-meta">${escapeHtml(entry.projectPath)}</div>` : ''}
+    </div>
+  `;
+}
+
+// Download the filtered log; the export needs the auth header, so it can't be a plain link
+async function exportAudit(format) {
+  const params = auditFilters();
+  params.set('format', format);
+  const request = () => fetch(`/api/audit/export?${params}`, { headers: { Authorization: `Bearer ${state.token}` } });
+
+  let res = await request();
+  if (res.status === 403 && await refreshAccessToken()) res = await request();
+  if (!res.ok) {
+    alert((await res.json()).error || 'Export failed');
+    return;
+  }
+
+  const url = URL.createObjectURL(await res.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `cleon-audit.${format}`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+$('#audit-filter-form').addEventListener('submit', (e) => {
+  e.preventDefault();
+  loadAudit();
+});
+
+$('#audit-section').addEventListener('click', (e) => {
+  if (e.target.id === 'audit-more-btn') loadAudit(true);
+  const format = e.target.closest('[data-format]')?.dataset.format;
+  if (format) exportAudit(format);
+});
+
+settingsBtn.addEventListener('click', openSettings);
+closeSettingsBtn.addEventListener('click', closeSettings);
+settingsOverlay.addEventListener('click', closeSettings);
+
+// ==================== End Settings Panel ====================
+
 init();
@@ -0,0 +1,82 @@
+/**
+ * Per-project access control
+ * Admins can use every project. Members and viewers only see the project
+ * paths they have been granted (a grant also covers everything below it);
+ * viewers are read-only.
+ */
+import path from 'path';
+import { openDatabase } from './db.js';
+
+export const ROLES = ['admin', 'member', 'viewer'];
+
+let db = null;
+
+/**
+ * Lazily open auth.db (the users table itself is owned by auth.js)
+ */
+function getDb() {
+  if (!db) {
+    db = openDatabase('auth.db');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS project_grants (
+        user_id INTEGER NOT NULL,
+        project_path TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, project_path)
+      )
+    `);
+  }
+  return db;
+}
+
+/**
+ * List the project paths granted to a user
+ * @returns {string[]}
+ */
+export function listGrants(userId) {
+  return getDb().prepare('SELECT project_path FROM project_grants WHERE user_id = ? ORDER BY project_path')
+    .all(userId)
+    .map(row => row.project_path);
+}
+
+/**
+ * Replace a user's project grants
+ * @param {number} userId - The user
+ * @param {string[]} projectPaths - Absolute project paths
+ * @returns {string[]} The normalized grants
+ * @throws {Error} if a path is not absolute
+ */
+export function setGrants(userId, projectPaths) {
+  if (!Array.isArray(projectPaths)) throw new Error('Projects must be a list of paths');
+  const paths = [...new Set(projectPaths.map(p => String(p).trim()).filter(Boolean))];
+  const relative = paths.find(p => !path.isAbsolute(p));
+  if (relative) throw new Error(`Project path must be absolute: ${relative}`);
+  const normalized = paths.map(p => path.resolve(p));
+
+  const conn = getDb();
+  const insert = conn.prepare('INSERT OR IGNORE INTO project_grants (user_id, project_path) VALUES (?, ?)');
+  conn.transaction(() => {
+    conn.prepare('DELETE FROM project_grants WHERE user_id = ?').run(userId);
+    for (const projectPath of normalized) insert.run(userId, projectPath);
+  })();
+  return listGrants(userId);
+}
+
+/**
+ * Check whether a user may use a project
+ * Roles are read from the database on every call so changes apply immediately.
+ * @param {string} username - The user
+ * @param {string} projectPath - Absolute project path
+ * @param {string} [access] - 'read' or 'write' (chat, file edits, forks)
+ * @returns {boolean}
+ */
+export function canAccessProject(username, projectPath, access = 'read') {
+  if (!username || !projectPath) return false;
+  const user = getDb().prepare('SELECT id, role FROM users WHERE username = ?').get(username);
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  if (access === 'write' && user.role === 'viewer') return false;
+
+  const target = path.resolve(projectPath);
+  return listGrants(user.id).some(grant => target === grant || target.startsWith(grant + path.sep));
+}
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+/**
+ * Host-side account recovery for when nobody can log in
+ * Works directly on ~/.cleon-ui/auth.db (or CLEON_DATA_DIR), so the server may keep running.
+ *
+ * Usage: node server/admin.js reset-password <user>
+ */
+import 'dotenv/config';
+import { resetPassword } from './auth.js';
+
+const USAGE = 'Usage: node server/admin.js reset-password <user>';
+
+async function main([command, username]) {
+  if (command !== 'reset-password' || !username) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const password = await resetPassword(username);
+  if (!password) {
+    console.error(`No such user: ${username}`);
+    return 1;
+  }
+
+  console.log(`Password for ${username} reset. All devices were logged out.`);
+  console.log(`Temporary password: ${password}`);
+  console.log('Change it under Settings → Account after logging in.');
+  return 0;
+}
+
+// Exit explicitly: server modules loaded via auth.js keep timers running
+process.exit(await main(process.argv.slice(2)));
@@ -0,0 +1,187 @@
+/**
+ * Append-only audit log of agent tool calls, file changes, logins and aborts
+ * Entries live in audit.db; triggers reject updates and deletes so the
+ * history can't be rewritten through the app.
+ */
+import express from 'express';
+import { openDatabase } from './db.js';
+import { requireScope } from './scopes.js';
+
+const router = express.Router();
+
+export const AUDIT_ACTIONS = ['tool-call', 'tool-decision', 'file-write', 'file-create', 'file-rename', 'file-delete', 'file-revert', 'login', 'login-failed', 'abort'];
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+const CSV_COLUMNS = ['id', 'timestamp', 'username', 'action', 'sessionId', 'projectPath', 'tool', 'outcome', 'detail'];
+
+let db = null;
+
+/**
+ * Lazily open audit.db so importing this module has no side effects
+ */
+function getDb() {
+  if (!db) {
+    db = openDatabase('audit.db');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        username TEXT,
+        action TEXT NOT NULL,
+        session_id TEXT,
+        project_path TEXT,
+        tool TEXT,
+        outcome TEXT,
+        detail TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(username, created_at);
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'The audit log is append-only'); END;
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'The audit log is append-only'); END;
+    `);
+  }
+  return db;
+}
+
+function toEntry(row) {
+  return {
+    id: row.id,
+    timestamp: row.created_at,
+    username: row.username,
+    action: row.action,
+    sessionId: row.session_id,
+    projectPath: row.project_path,
+    tool: row.tool,
+    outcome: row.outcome,
+    detail: row.detail ? JSON.parse(row.detail) : null
+  };
+}
+
+/**
+ * Append an entry
+ * Never throws: a failing audit write is logged rather than breaking the action.
+ * @param {Object} entry - { username, action, sessionId, projectPath, tool, outcome, detail }
+ *   detail must already be sanitized (tool inputs go through sanitizeToolInput)
+ */
+export function recordAudit({ username = null, action, sessionId = null, projectPath = null, tool = null, outcome = null, detail = null }) {
+  try {
+    getDb().prepare(`
+      INSERT INTO audit_log (created_at, username, action, session_id, project_path, tool, outcome, detail)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(new Date().toISOString(), username, action, sessionId, projectPath, tool, outcome,
+      detail ? JSON.stringify(detail) : null);
+  } catch (err) {
+    console.error(`[Audit] Failed to record ${action}:`, err.message);
+  }
+}
+
+// Parse an ISO date filter
+function toTimestamp(value, name) {
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) throw new Error(`Invalid ${name} date: ${value}`);
+  return time.toISOString();
+}
+
+/**
+ * Build the WHERE clause for a set of filters
+ * Non-admins only ever see their own entries.
+ * @param {Object} filters - { user, action, tool, project, session, since, until }
+ * @param {Object} viewer - The requesting user ({ username, role })
+ * @throws {Error} on an unknown action or a bad date
+ */
+function buildFilter(filters, viewer) {
+  const where = [];
+  const params = [];
+  const add = (clause, value) => { where.push(clause); params.push(value); };
+
+  const username = viewer.role === 'admin' ? filters.user : viewer.username;
+  if (username) add('username = ?', username);
+  if (filters.action) {
+    if (!AUDIT_ACTIONS.includes(filters.action)) throw new Error(`Invalid action: ${filters.action}`);
+    add('action = ?', filters.action);
+  }
+  if (filters.tool) add('tool = ?', filters.tool);
+  if (filters.project) add("project_path LIKE ? ESCAPE '\\'", `%${filters.project.replace(/[\\%_]/g, '\\$&')}%`);
+  if (filters.session) add('session_id = ?', filters.session);
+  if (filters.since) add('created_at >= ?', toTimestamp(filters.since, 'since'));
+  if (filters.until) add('created_at <= ?', toTimestamp(filters.until, 'until'));
+
+  return { clause: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+}
+
+/**
+ * A page of entries, newest first
+ * @param {Object} filters - See buildFilter, plus { before, limit } for paging by id
+ * @param {Object} viewer - The requesting user
+ * @returns {{ entries: Array, nextBefore: number|null }}
+ */
+export function listAudit(filters, viewer) {
+  const { clause, params } = buildFilter(filters, viewer);
+  const limit = Math.min(Math.max(Number(filters.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const before = Number(filters.before);
+  const paging = Number.isInteger(before) && before > 0
+    ? `${clause ? `${clause} AND` : 'WHERE'} id < ${before}`
+    : clause;
+
+  const rows = getDb().prepare(`SELECT * FROM audit_log ${paging} ORDER BY id DESC LIMIT ?`).all(...params, limit + 1);
+  const entries = rows.slice(0, limit).map(toEntry);
+  return { entries, nextBefore: rows.length > limit ? entries[entries.length - 1].id : null };
+}
+
+// Quote a CSV cell; a leading formula character is neutralised for spreadsheets
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ==================== Routes ====================
+
+/**
+ * GET /api/audit
+ * Query: user, action, tool, project, session, since, until, before, limit
+ * Admins see everyone's entries; other users only their own.
+ */
+router.get('/', requireScope('admin'), (req, res) => {
+  try {
+    res.json({ ...listAudit(req.query, req.user), actions: AUDIT_ACTIONS });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/audit/export
+ * Query: format=jsonl|csv plus the same filters - every matching entry, oldest first
+ */
+router.get('/export', requireScope('admin'), (req, res) => {
+  const format = req.query.format || 'jsonl';
+  if (!['jsonl', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'format must be jsonl or csv' });
+  }
+
+  let filter;
+  try {
+    filter = buildFilter(req.query, req.user);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+  res.attachment(`cleon-audit.${format}`);
+  if (format === 'csv') res.write(`${CSV_COLUMNS.join(',')}\n`);
+
+  const rows = getDb().prepare(`SELECT * FROM audit_log ${filter.clause} ORDER BY id`).iterate(...filter.params);
+  for (const row of rows) {
+    const entry = toEntry(row);
+    res.write(format === 'csv'
+      ? `${CSV_COLUMNS.map(column => csvCell(entry[column])).join(',')}\n`
+      : `${JSON.stringify(entry)}\n`);
+  }
+  res.end();
+});
+
+export { router as auditRoutes };
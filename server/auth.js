@@ -1,27 +1,28 @@
 import express from 'express';
-import Database from 'better-sqlite3';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
-import path from 'path';
-import os from 'os';
-import fs from 'fs';
+import { createHash, randomBytes } from 'crypto';
+import { openDatabase } from './db.js';
+import { TOKEN_SCOPES, requireScope, requireRole } from './scopes.js';
+import { ROLES, listGrants, setGrants } from './access.js';
+import { publish } from './bus.js';
+import { recordAudit } from './audit.js';
+import {
+  isTwoFactorEnabled, getTwoFactorStatus, beginEnrollment, confirmEnrollment, verifySecondFactor,
+  regenerateRecoveryCodes, disableTwoFactor, isTwoFactorRequired, setTwoFactorRequired
+} from './two-factor.js';
+import { renameSessionOwner } from './session-registry.js';
+import { renameQueueOwner, deleteQueueOwner } from './message-queue.js';
+import { renameRuleOwner, deleteRuleOwner } from './permissions.js';
+import { renameForkOwner, deleteForkOwner } from './forks.js';
+import { renameJobOwner, deleteJobOwner } from './jobs.js';
+import { renameChangeSetOwner, deleteChangeSetOwner } from './change-sets.js';
+import { renameShareOwner, revokeUserShares } from './shares.js';
+import { renameTrashOwner } from './session-trash.js';
 
 const router = express.Router();
 
-// Database in ~/.cleon-ui/
-// Migrate from old directory if it exists
-const oldDbDir = path.join(os.homedir(), '.claude-lite');
-const dbDir = path.join(os.homedir(), '.cleon-ui');
-
-if (!fs.existsSync(dbDir) && fs.existsSync(oldDbDir)) {
-  console.log('[Auth] Migrating from .claude-lite to .cleon-ui...');
-  fs.renameSync(oldDbDir, dbDir);
-  console.log('[Auth] Migration complete');
-} else if (!fs.existsSync(dbDir)) {
-  fs.mkdirSync(dbDir, { recursive: true });
-}
-
-const db = new Database(path.join(dbDir, 'auth.db'));
+const db = openDatabase('auth.db');
 
 // Initialize schema
 db.exec(`
@@ -29,12 +30,55 @@ db.exec(`
     id INTEGER PRIMARY KEY,
     username TEXT UNIQUE NOT NULL,
     password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'member',
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )
+  );
+  CREATE TABLE IF NOT EXISTS api_tokens (
+    id INTEGER PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    name TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    token_prefix TEXT NOT NULL,
+    scopes TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TEXT,
+    expires_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS devices (
+    id INTEGER PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    token_hash TEXT UNIQUE NOT NULL,
+    previous_hash TEXT,
+    user_agent TEXT,
+    ip TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TEXT,
+    expires_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_devices_previous_hash ON devices(previous_hash);
 `);
 
+// Single-user installs predate roles: add the column and make that account the admin
+if (!db.prepare('PRAGMA table_info(users)').all().some(col => col.name === 'role')) {
+  db.exec(`
+    ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'member';
+    UPDATE users SET role = 'admin' WHERE id = (SELECT MIN(id) FROM users);
+  `);
+}
+
+const TOKEN_PREFIX = 'cln_';
+const REFRESH_PREFIX = 'clr_';
+const TICKET_PREFIX = 'clt_';
+const MIN_USERNAME_LENGTH = 3;
+const MIN_PASSWORD_LENGTH = 6;
+
 const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRY = '7d';
+const ACCESS_TOKEN_EXPIRY_SECONDS = 15 * 60;
+const REFRESH_TOKEN_EXPIRY_MS = 30 * 24 * 60 * 60 * 1000;
+const TICKET_EXPIRY_MS = 30 * 1000;
+const TWO_FACTOR_CHALLENGE_EXPIRY = '5m';
+// Two tabs of one browser can race to refresh; only a later replay counts as theft
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
 
 // Enforce JWT_SECRET in production
 if (!JWT_SECRET) {
@@ -63,9 +107,17 @@ router.get('/status', (req, res) => {
   res.json({ needsSetup: !hasUser() });
 });
 
+// Returns an error message for an unusable username or password, or null
+function validateCredentials(username, password) {
+  if (!username || !password) return 'Username and password required';
+  if (username.length < MIN_USERNAME_LENGTH) return `Username must be at least ${MIN_USERNAME_LENGTH} characters`;
+  if (password.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  return null;
+}
+
 /**
  * POST /api/auth/register
- * Create account - only allowed once (first user)
+ * Create the first account, which becomes the admin - later accounts are added via /users
  */
 router.post('/register', async (req, res) => {
   try {
@@ -76,22 +128,16 @@ router.post('/register', async (req, res) => {
     }
 
     const { username, password } = req.body;
-    
-    if (!username || !password) {
-      return res.status(400).json({ error: 'Username and password required' });
-    }
 
-    if (username.length < 3) {
-      return res.status(400).json({ error: 'Username must be at least 3 characters' });
-    }
-
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    const invalid = validateCredentials(username, password);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
     }
 
     const hash = await bcrypt.hash(password, 10);
     
-    db.prepare('INSERT INTO users (username, password_hash) VALUES (?, ?)')
+    // The first account administers the install; others are added by an admin
+    db.prepare("INSERT INTO users (username, password_hash, role) VALUES (?, ?, 'admin')")
       .run(username, hash);
 
     console.log(`[Cleon Auth] Account created: ${username}`);
@@ -105,7 +151,7 @@ router.post('/register', async (req, res) => {
 
 /**
  * POST /api/auth/login
- * Authenticate and return JWT
+ * Authenticate and return a short-lived access token plus a refresh token
  */
 router.post('/login', async (req, res) => {
   try {
@@ -118,23 +164,26 @@ router.post('/login', async (req, res) => {
     const user = db.prepare('SELECT * FROM users WHERE username = ?').get(username);
     
     if (!user) {
+      auditLogin(req, username, 'login-failed', { reason: 'unknown user' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
     const valid = await bcrypt.compare(password, user.password_hash);
     
     if (!valid) {
+      auditLogin(req, username, 'login-failed', { reason: 'password' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { id: user.id, username: user.username },
-      EFFECTIVE_JWT_SECRET,
-      { expiresIn: JWT_EXPIRY }
-    );
+    // No tokens until the second factor is checked (or, under the policy, set up)
+    if (isTwoFactorEnabled(user.id) || isTwoFactorRequired()) {
+      return res.json({
+        twoFactor: isTwoFactorEnabled(user.id) ? 'verify' : 'enroll',
+        challenge: signTwoFactorChallenge(user)
+      });
+    }
 
-    console.log(`[Cleon Auth] Login successful: ${username}`);
-    res.json({ token, username: user.username });
+    completeLogin(req, res, user);
 
   } catch (err) {
     console.error('[Auth] Login error:', err);
@@ -142,38 +191,775 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Record a login attempt with where it came from
+function auditLogin(req, username, action, detail = {}) {
+  recordAudit({ username, action, detail: { ...detail, ip: req.ip, userAgent: req.get('user-agent') || null } });
+}
+
+// Issue tokens for a fully authenticated login
+function completeLogin(req, res, user, extra = {}) {
+  const { refreshToken, device } = createDevice(user.id, req);
+  console.log(`[Cleon Auth] Login successful: ${user.username}`);
+  auditLogin(req, user.username, 'login', { deviceId: device.id });
+  res.json({ ...issueTokens(user, device.id, refreshToken), role: user.role, ...extra });
+}
+
+// Proof that the password step passed; only accepted by the /login/2fa routes
+function signTwoFactorChallenge(user) {
+  return jwt.sign({ id: user.id, purpose: 'two-factor' }, EFFECTIVE_JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY });
+}
+
+function verifyTwoFactorChallenge(challenge) {
+  try {
+    const payload = jwt.verify(challenge, EFFECTIVE_JWT_SECRET);
+    if (payload.purpose !== 'two-factor') return null;
+    return db.prepare('SELECT * FROM users WHERE id = ?').get(payload.id) || null;
+  } catch {
+    return null;
+  }
+}
+
+// ==================== Personal access tokens ====================
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function toApiToken(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.token_prefix,
+    scopes: row.scopes.split(' '),
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.expires_at
+  };
+}
+
 /**
- * Middleware: Verify JWT token for protected routes
+ * Create a personal access token
+ * Only the SHA-256 hash is stored; the plaintext is returned once.
+ * @param {number} userId - Owner
+ * @param {Object} options - { name, scopes: string[], expiresAt?: ISO string }
+ * @returns {{ token: string, apiToken: Object }}
+ * @throws {Error} if the name, scopes or expiry are invalid
  */
-export function authenticateToken(req, res, next) {
-  const authHeader = req.headers.authorization;
+export function createApiToken(userId, { name, scopes, expiresAt = null }) {
+  if (!name || !String(name).trim()) throw new Error('Token name is required');
+  if (!Array.isArray(scopes) || scopes.length === 0) throw new Error('At least one scope is required');
+  const invalid = scopes.filter(scope => !TOKEN_SCOPES.includes(scope));
+  if (invalid.length > 0) throw new Error(`Invalid scope: ${invalid.join(', ')}`);
+  if (expiresAt !== null && !(new Date(expiresAt).getTime() > Date.now())) {
+    throw new Error('Expiry must be a future date');
+  }
+
+  const token = TOKEN_PREFIX + randomBytes(32).toString('base64url');
+  const result = db.prepare(`
+    INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(userId, String(name).trim(), hashToken(token), token.slice(0, TOKEN_PREFIX.length + 6),
+    [...new Set(scopes)].join(' '), expiresAt && new Date(expiresAt).toISOString());
+
+  console.log(`[Cleon Auth] API token created: ${name} (${scopes.join(' ')})`);
+  return { token, apiToken: toApiToken(db.prepare('SELECT * FROM api_tokens WHERE id = ?').get(result.lastInsertRowid)) };
+}
+
+export function listApiTokens(userId) {
+  return db.prepare('SELECT * FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC, id DESC').all(userId).map(toApiToken);
+}
+
+/**
+ * Revoke a personal access token
+ * @returns {boolean} false if not found
+ */
+export function revokeApiToken(userId, id) {
+  return db.prepare('DELETE FROM api_tokens WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+}
+
+/**
+ * Resolve a personal access token to its user and record the use
+ * @returns {Object|null} { id, username, scopes, tokenId }, or null if unknown or expired
+ */
+export function verifyApiToken(token) {
+  if (!token?.startsWith(TOKEN_PREFIX)) return null;
+  const row = db.prepare(`
+    SELECT api_tokens.*, users.username FROM api_tokens JOIN users ON users.id = api_tokens.user_id
+    WHERE token_hash = ?
+  `).get(hashToken(token));
+  if (!row) return null;
+
+  const now = new Date().toISOString();
+  if (row.expires_at && row.expires_at <= now) return null;
+
+  db.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?').run(now, row.id);
+  return { id: row.user_id, username: row.username, scopes: row.scopes.split(' '), tokenId: row.id };
+}
+
+// ==================== Devices and refresh tokens ====================
+
+// Each login is a device: a rotating refresh token in auth.db. Access tokens
+// are short-lived JWTs bound to the device, so revoking it ends the login.
+
+function toDevice(row) {
+  return {
+    id: row.id,
+    userAgent: row.user_agent,
+    ip: row.ip,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.expires_at
+  };
+}
+
+function newRefreshToken() {
+  return REFRESH_PREFIX + randomBytes(32).toString('base64url');
+}
+
+/**
+ * Record a login and return its first refresh token
+ * @param {number} userId - The user
+ * @param {Object} [req] - Login request, for the user agent and IP shown in the devices list
+ * @returns {{ refreshToken: string, device: Object }}
+ */
+export function createDevice(userId, req = null) {
+  const refreshToken = newRefreshToken();
+  const now = new Date();
+  const result = db.prepare(`
+    INSERT INTO devices (user_id, token_hash, user_agent, ip, created_at, last_used_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(userId, hashToken(refreshToken), req?.get?.('user-agent') || null, req?.ip || null,
+    now.toISOString(), now.toISOString(), new Date(now.getTime() + REFRESH_TOKEN_EXPIRY_MS).toISOString());
+  return { refreshToken, device: toDevice(db.prepare('SELECT * FROM devices WHERE id = ?').get(result.lastInsertRowid)) };
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ * Presenting an already-rotated token (outside a short grace period) means it
+ * was copied, so the device is revoked.
+ * @returns {Object|null} { user, deviceId, refreshToken }, or null if unknown, expired or reused
+ */
+export function rotateRefreshToken(refreshToken) {
+  if (!refreshToken?.startsWith(REFRESH_PREFIX)) return null;
+  const hash = hashToken(refreshToken);
+  const row = db.prepare('SELECT * FROM devices WHERE token_hash = ?').get(hash);
+
+  if (!row) {
+    const reused = db.prepare('SELECT * FROM devices WHERE previous_hash = ?').get(hash);
+    if (reused && Date.now() - new Date(reused.last_used_at).getTime() > REFRESH_REUSE_GRACE_MS) {
+      console.warn(`[Cleon Auth] Refresh token reused, revoking device ${reused.id}`);
+      revokeDevice(reused.user_id, reused.id);
+    }
+    return null;
+  }
+
+  const now = new Date();
+  if (row.expires_at <= now.toISOString()) {
+    revokeDevice(row.user_id, row.id);
+    return null;
+  }
+
+  const user = db.prepare('SELECT id, username, role FROM users WHERE id = ?').get(row.user_id);
+  if (!user) return null;
+
+  const next = newRefreshToken();
+  db.prepare(`
+    UPDATE devices SET token_hash = ?, previous_hash = ?, last_used_at = ?, expires_at = ? WHERE id = ?
+  `).run(hashToken(next), hash, now.toISOString(), new Date(now.getTime() + REFRESH_TOKEN_EXPIRY_MS).toISOString(), row.id);
+  return { user, deviceId: row.id, refreshToken: next };
+}
+
+export function listDevices(userId) {
+  return db.prepare('SELECT * FROM devices WHERE user_id = ? ORDER BY last_used_at DESC, id DESC').all(userId).map(toDevice);
+}
+
+/**
+ * Revoke a device: its refresh token stops working, as do its access tokens,
+ * and its open event streams and WebSockets are closed
+ * @returns {boolean} false if not found
+ */
+export function revokeDevice(userId, id) {
+  const user = db.prepare('SELECT username FROM users WHERE id = ?').get(userId);
+  const removed = db.prepare('DELETE FROM devices WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+  if (removed && user) publish(user.username, { type: 'device-revoked', deviceId: id });
+  return removed;
+}
+
+// Log a user out everywhere (password change, account removal)
+function revokeAllDevices(userId, exceptDeviceId = null) {
+  for (const device of listDevices(userId)) {
+    if (device.id !== exceptDeviceId) revokeDevice(userId, device.id);
+  }
+}
+
+// Sign a short-lived access token bound to a device
+function issueTokens(user, deviceId, refreshToken) {
+  const token = jwt.sign(
+    { id: user.id, username: user.username, deviceId },
+    EFFECTIVE_JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRY_SECONDS }
+  );
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_EXPIRY_SECONDS, username: user.username };
+}
+
+// ==================== Connection tickets ====================
+
+// Browsers can't set headers on EventSource or WebSocket, so they trade their
+// bearer token for a single-use ticket that is safe to put in the URL
+const tickets = new Map();
+
+/**
+ * Issue a single-use ticket for an authenticated user
+ * @param {Object} user - req.user; the connection gets the same identity and scopes
+ * @returns {string} The ticket, valid for TICKET_EXPIRY_MS
+ */
+export function createTicket(user) {
+  const now = Date.now();
+  for (const [hash, entry] of tickets) {
+    if (entry.expiresAt <= now) tickets.delete(hash);
+  }
+
+  const ticket = TICKET_PREFIX + randomBytes(24).toString('base64url');
+  tickets.set(hashToken(ticket), { user, expiresAt: now + TICKET_EXPIRY_MS });
+  return ticket;
+}
+
+/**
+ * Redeem a ticket (once)
+ * @returns {Object|null} The user it was issued to, or null if unknown, used or expired
+ */
+export function consumeTicket(ticket) {
+  if (!ticket?.startsWith(TICKET_PREFIX)) return null;
+  const hash = hashToken(ticket);
+  const entry = tickets.get(hash);
+  tickets.delete(hash);
+  if (!entry || entry.expiresAt <= Date.now()) return null;
+  return entry.user;
+}
+
+// Resolve a bearer token: personal access token or access JWT
+// The username, role and device are looked up on every request so renames,
+// role changes, deleted accounts and revoked devices apply immediately.
+function verifyToken(token) {
+  if (token.startsWith(TOKEN_PREFIX)) {
+    const user = verifyApiToken(token);
+    const row = user && db.prepare('SELECT role FROM users WHERE id = ?').get(user.id);
+    return row ? { ...user, role: row.role } : null;
+  }
+
+  let user;
+  try {
+    user = jwt.verify(token, EFFECTIVE_JWT_SECRET);
+  } catch {
+    return null;
+  }
+  const row = user.deviceId && db.prepare(`
+    SELECT users.username, users.role FROM devices JOIN users ON users.id = devices.user_id
+    WHERE devices.id = ? AND devices.user_id = ?
+  `).get(user.deviceId, user.id);
+  return row ? { ...user, username: row.username, role: row.role } : null;
+}
+
+/**
+ * Resolve an Authorization header to a user
+ * @returns {Object|null} The user, or null if missing or invalid
+ */
+export function authenticateHeader(authHeader) {
   const token = authHeader?.split(' ')[1];
+  return token ? verifyToken(token) : null;
+}
 
-  if (!token) {
+/**
+ * Middleware: Verify access token or personal access token for protected routes
+ */
+export function authenticateToken(req, res, next) {
+  if (!req.headers.authorization?.split(' ')[1]) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
-  try {
-    const user = jwt.verify(token, EFFECTIVE_JWT_SECRET);
-    req.user = user;
-    next();
-  } catch (err) {
+  const user = authenticateHeader(req.headers.authorization);
+  if (!user) {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
+  req.user = user;
+  next();
 }
 
 /**
- * Verify JWT for WebSocket connections
+ * Verify the ?token= of a WebSocket or SSE connection
+ * Only single-use tickets are accepted, so no reusable credential ends up in URLs.
  * Returns user object or null
  */
 export function authenticateWebSocket(token) {
   if (!token) return null;
+  return consumeTicket(token);
+}
+
+/**
+ * POST /api/auth/refresh
+ * Body: { refreshToken } - returns a new access token and the next refresh token
+ */
+router.post('/refresh', (req, res) => {
+  const rotated = rotateRefreshToken(req.body?.refreshToken);
+  if (!rotated) {
+    return res.status(401).json({ error: 'Invalid or expired refresh token' });
+  }
+  // Logins from before the 2FA policy was switched on must sign in again and enrol
+  if (isTwoFactorRequired() && !isTwoFactorEnabled(rotated.user.id)) {
+    revokeDevice(rotated.user.id, rotated.deviceId);
+    return res.status(401).json({ error: 'Two-factor authentication required' });
+  }
+  res.json({ ...issueTokens(rotated.user, rotated.deviceId, rotated.refreshToken), role: rotated.user.role });
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the device the access token belongs to
+ */
+router.post('/logout', authenticateToken, (req, res) => {
+  if (req.user.deviceId) revokeDevice(req.user.id, req.user.deviceId);
+  res.json({ success: true });
+});
+
+/**
+ * POST /api/auth/ticket
+ * Single-use ticket for opening /api/events or the WebSocket (?token=<ticket>)
+ */
+router.post('/ticket', authenticateToken, (req, res) => {
+  res.json({ ticket: createTicket(req.user), expiresIn: TICKET_EXPIRY_MS / 1000 });
+});
 
+/**
+ * GET /api/auth/devices
+ * The current user's logged-in devices
+ */
+router.get('/devices', authenticateToken, requireScope('admin'), (req, res) => {
+  const devices = listDevices(req.user.id).map(device => ({ ...device, current: device.id === req.user.deviceId }));
+  res.json({ devices });
+});
+
+/**
+ * DELETE /api/auth/devices/:id
+ * Log a device out
+ */
+router.delete('/devices/:id', authenticateToken, requireScope('admin'), (req, res) => {
+  if (!revokeDevice(req.user.id, Number(req.params.id))) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/auth/tokens
+ * List the current user's personal access tokens (never the token values)
+ */
+router.get('/tokens', authenticateToken, requireScope('admin'), (req, res) => {
+  res.json({ tokens: listApiTokens(req.user.id), scopes: TOKEN_SCOPES });
+});
+
+/**
+ * POST /api/auth/tokens
+ * Body: { name, scopes, expiresAt? } - the token value is only returned here
+ */
+router.post('/tokens', authenticateToken, requireScope('admin'), (req, res) => {
   try {
-    return jwt.verify(token, EFFECTIVE_JWT_SECRET);
-  } catch {
-    return null;
+    const { token, apiToken } = createApiToken(req.user.id, req.body || {});
+    res.status(201).json({ token, apiToken });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
   }
+});
+
+/**
+ * DELETE /api/auth/tokens/:id
+ * Revoke a personal access token
+ */
+router.delete('/tokens/:id', authenticateToken, requireScope('admin'), (req, res) => {
+  if (!revokeApiToken(req.user.id, Number(req.params.id))) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+  res.json({ success: true });
+});
+
+// ==================== Users ====================
+
+function toUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    projects: listGrants(row.id),
+    twoFactor: isTwoFactorEnabled(row.id),
+    createdAt: row.created_at
+  };
+}
+
+function getUserRow(id) {
+  return db.prepare('SELECT id, username, role, created_at FROM users WHERE id = ?').get(id);
 }
 
+// True if removing or demoting this user would leave the install without an admin
+function isLastAdmin(id) {
+  const admins = db.prepare("SELECT id FROM users WHERE role = 'admin'").all();
+  return admins.length === 1 && admins[0].id === id;
+}
+
+const requireAdmin = [authenticateToken, requireScope('admin'), requireRole('admin')];
+
+/**
+ * GET /api/auth/me
+ * The signed-in user, with their role and project grants
+ */
+router.get('/me', authenticateToken, (req, res) => {
+  const row = getUserRow(req.user.id);
+  if (!row) return res.status(404).json({ error: 'User not found' });
+  res.json({ user: toUser(row), roles: ROLES });
+});
+
+/**
+ * GET /api/auth/users
+ * List all accounts (admin only)
+ */
+router.get('/users', ...requireAdmin, (req, res) => {
+  const rows = db.prepare('SELECT id, username, role, created_at FROM users ORDER BY id').all();
+  res.json({ users: rows.map(toUser), roles: ROLES });
+});
+
+/**
+ * POST /api/auth/users
+ * Body: { username, password, role?, projects? } - create an account (admin only)
+ */
+router.post('/users', ...requireAdmin, async (req, res) => {
+  const { username, password, role = 'member', projects = [] } = req.body || {};
+
+  const invalid = validateCredentials(username, password);
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `Invalid role: ${role}` });
+  if (db.prepare('SELECT 1 FROM users WHERE username = ?').get(username)) {
+    return res.status(409).json({ error: 'Username already taken' });
+  }
+
+  try {
+    const hash = await bcrypt.hash(password, 10);
+    const id = db.transaction(() => {
+      const result = db.prepare('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)').run(username, hash, role);
+      setGrants(result.lastInsertRowid, projects);
+      return result.lastInsertRowid;
+    })();
+
+    console.log(`[Cleon Auth] User created by ${req.user.username}: ${username} (${role})`);
+    res.status(201).json({ user: toUser(getUserRow(id)) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /api/auth/users/:id
+ * Body: { role?, projects?, password? } - change an account (admin only)
+ * A new password logs the account out of every device.
+ */
+router.put('/users/:id', ...requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  const row = getUserRow(id);
+  if (!row) return res.status(404).json({ error: 'User not found' });
+
+  const { role, projects, password } = req.body || {};
+  if (role !== undefined && !ROLES.includes(role)) {
+    return res.status(400).json({ error: `Invalid role: ${role}` });
+  }
+  if (role !== undefined && role !== 'admin' && isLastAdmin(id)) {
+    return res.status(400).json({ error: 'Cannot demote the last admin' });
+  }
+  if (password !== undefined && password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  try {
+    const hash = password !== undefined ? await bcrypt.hash(password, 10) : null;
+    db.transaction(() => {
+      if (role !== undefined) db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, id);
+      if (hash) db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(hash, id);
+      if (projects !== undefined) setGrants(id, projects);
+    })();
+    if (hash) revokeAllDevices(id);
+    res.json({ user: toUser(getUserRow(id)) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/users/:id
+ * Remove an account with its tokens, devices and grants (admin only), and
+ * the jobs, permission rules, fork records, queued messages and change sets
+ * kept under its username, so a new account with the same name starts with
+ * none of them. Share links it created are revoked.
+ */
+router.delete('/users/:id', ...requireAdmin, (req, res) => {
+  const id = Number(req.params.id);
+  const row = getUserRow(id);
+  if (!row) return res.status(404).json({ error: 'User not found' });
+  if (id === req.user.id) return res.status(400).json({ error: 'Cannot delete your own account' });
+  if (isLastAdmin(id)) return res.status(400).json({ error: 'Cannot delete the last admin' });
+
+  revokeAllDevices(id);
+  db.transaction(() => {
+    db.prepare('DELETE FROM api_tokens WHERE user_id = ?').run(id);
+    setGrants(id, []);
+    disableTwoFactor(id);
+    db.prepare('DELETE FROM users WHERE id = ?').run(id);
+  })();
+  deleteJobOwner(row.username);
+  deleteRuleOwner(row.username);
+  deleteForkOwner(row.username);
+  deleteQueueOwner(row.username);
+  deleteChangeSetOwner(row.username);
+  revokeUserShares(row.username);
+  res.json({ success: true });
+});
+
+/**
+ * POST /api/auth/users/:id/reset-password
+ * Body: { password? } - set a new password, or generate one, and log the user out everywhere (admin only)
+ * Returns the new password so it can be passed on.
+ */
+router.post('/users/:id/reset-password', ...requireAdmin, async (req, res) => {
+  const row = getUserRow(Number(req.params.id));
+  if (!row) return res.status(404).json({ error: 'User not found' });
+  if (row.id === req.user.id) {
+    return res.status(400).json({ error: 'Change your own password under Account' });
+  }
+
+  try {
+    const password = await resetPassword(row.username, req.body?.password || undefined);
+    console.log(`[Cleon Auth] Password of ${row.username} reset by ${req.user.username}`);
+    res.json({ password });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/users/:id/2fa
+ * Reset a user's two-factor authentication, e.g. after a lost phone (admin only)
+ */
+router.delete('/users/:id/2fa', ...requireAdmin, (req, res) => {
+  const id = Number(req.params.id);
+  if (!getUserRow(id)) return res.status(404).json({ error: 'User not found' });
+  disableTwoFactor(id);
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/auth/policy
+ * Account security policy (admin only)
+ */
+router.get('/policy', ...requireAdmin, (req, res) => {
+  res.json({ requireTwoFactor: isTwoFactorRequired() });
+});
+
+/**
+ * PUT /api/auth/policy
+ * Body: { requireTwoFactor } - when on, users without 2FA must set it up at their next login
+ */
+router.put('/policy', ...requireAdmin, (req, res) => {
+  if (typeof req.body?.requireTwoFactor !== 'boolean') {
+    return res.status(400).json({ error: 'requireTwoFactor must be true or false' });
+  }
+  setTwoFactorRequired(req.body.requireTwoFactor);
+  console.log(`[Cleon Auth] Two-factor policy ${req.body.requireTwoFactor ? 'enabled' : 'disabled'} by ${req.user.username}`);
+  res.json({ requireTwoFactor: isTwoFactorRequired() });
+});
+
+// ==================== Account ====================
+
+// Re-verify the password before sensitive account changes
+async function checkPassword(userId, password) {
+  const row = db.prepare('SELECT password_hash FROM users WHERE id = ?').get(userId);
+  return Boolean(row && password && await bcrypt.compare(password, row.password_hash));
+}
+
+/**
+ * Set a new password and log the account out of every device
+ * Used by the admin reset route and by server/admin.js for lockout recovery.
+ * @param {string} username - The account
+ * @param {string} [password] - The new password; a random one is generated if omitted
+ * @returns {Promise<string|null>} The new password, or null if there is no such user
+ * @throws {Error} if the password is too short
+ */
+export async function resetPassword(username, password = randomBytes(12).toString('base64url')) {
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const row = db.prepare('SELECT id FROM users WHERE username = ?').get(username);
+  if (!row) return null;
+
+  db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(await bcrypt.hash(password, 10), row.id);
+  revokeAllDevices(row.id);
+  return password;
+}
+
+/**
+ * PUT /api/auth/password
+ * Body: { currentPassword, newPassword } - change your password; other devices are logged out
+ */
+router.put('/password', authenticateToken, requireScope('admin'), async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  if (!(await checkPassword(req.user.id, currentPassword))) {
+    return res.status(401).json({ error: 'Invalid password' });
+  }
+
+  db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(await bcrypt.hash(newPassword, 10), req.user.id);
+  revokeAllDevices(req.user.id, req.user.deviceId ?? null);
+  console.log(`[Cleon Auth] Password changed: ${req.user.username}`);
+  res.json({ success: true });
+});
+
+/**
+ * PUT /api/auth/username
+ * Body: { username, password } - rename your account
+ * Sessions, queues, permission rules, scheduled jobs, share links and trash
+ * records move to the new name.
+ */
+router.put('/username', authenticateToken, requireScope('admin'), async (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || username.length < MIN_USERNAME_LENGTH) {
+    return res.status(400).json({ error: `Username must be at least ${MIN_USERNAME_LENGTH} characters` });
+  }
+  if (!(await checkPassword(req.user.id, password))) {
+    return res.status(401).json({ error: 'Invalid password' });
+  }
+
+  const from = getUserRow(req.user.id).username;
+  if (username !== from) {
+    if (db.prepare('SELECT 1 FROM users WHERE username = ?').get(username)) {
+      return res.status(409).json({ error: 'Username already taken' });
+    }
+    db.prepare('UPDATE users SET username = ? WHERE id = ?').run(username, req.user.id);
+    renameSessionOwner(from, username);
+    renameQueueOwner(from, username);
+    renameRuleOwner(from, username);
+    renameForkOwner(from, username);
+    renameJobOwner(from, username);
+    renameChangeSetOwner(from, username);
+    renameShareOwner(from, username);
+    renameTrashOwner(from, username);
+    // Open event streams are subscribed under the old name; they reconnect as the new one
+    publish(from, { type: 'user-renamed', username });
+    console.log(`[Cleon Auth] User renamed: ${from} -> ${username}`);
+  }
+  res.json({ user: toUser(getUserRow(req.user.id)) });
+});
+
+// ==================== Two-factor authentication ====================
+
+/**
+ * POST /api/auth/login/2fa
+ * Body: { challenge, code } - second login step; code is from the authenticator app or a recovery code
+ */
+router.post('/login/2fa', (req, res) => {
+  const user = verifyTwoFactorChallenge(req.body?.challenge);
+  if (!user) return res.status(401).json({ error: 'Login expired, please sign in again' });
+  if (!verifySecondFactor(user.id, req.body.code, Date.now())) {
+    auditLogin(req, user.username, 'login-failed', { reason: 'two-factor code' });
+    return res.status(401).json({ error: 'Invalid code' });
+  }
+  completeLogin(req, res, user);
+});
+
+/**
+ * POST /api/auth/login/2fa/setup
+ * Body: { challenge } - start enrolment during login when the policy requires 2FA
+ */
+router.post('/login/2fa/setup', (req, res) => {
+  const user = verifyTwoFactorChallenge(req.body?.challenge);
+  if (!user) return res.status(401).json({ error: 'Login expired, please sign in again' });
+  try {
+    res.json(beginEnrollment(user.id, user.username));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/auth/login/2fa/enable
+ * Body: { challenge, code } - finish enrolment and log in; returns recoveryCodes once
+ */
+router.post('/login/2fa/enable', (req, res) => {
+  const user = verifyTwoFactorChallenge(req.body?.challenge);
+  if (!user) return res.status(401).json({ error: 'Login expired, please sign in again' });
+  try {
+    const recoveryCodes = confirmEnrollment(user.id, req.body.code, Date.now());
+    completeLogin(req, res, user, { recoveryCodes });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/auth/2fa
+ * The current user's 2FA status and whether the policy requires it
+ */
+router.get('/2fa', authenticateToken, requireScope('admin'), (req, res) => {
+  res.json({ ...getTwoFactorStatus(req.user.id), required: isTwoFactorRequired() });
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrolment: returns the secret, otpauth URI and a QR code (SVG)
+ */
+router.post('/2fa/setup', authenticateToken, requireScope('admin'), (req, res) => {
+  try {
+    res.json(beginEnrollment(req.user.id, req.user.username));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Body: { code } - confirm enrolment; returns recoveryCodes once
+ */
+router.post('/2fa/enable', authenticateToken, requireScope('admin'), (req, res) => {
+  try {
+    res.json({ recoveryCodes: confirmEnrollment(req.user.id, req.body?.code, Date.now()) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Body: { code } - replace the recovery codes; returns the new ones once
+ */
+router.post('/2fa/recovery-codes', authenticateToken, requireScope('admin'), (req, res) => {
+  if (!verifySecondFactor(req.user.id, req.body?.code, Date.now())) {
+    return res.status(401).json({ error: 'Invalid code' });
+  }
+  res.json({ recoveryCodes: regenerateRecoveryCodes(req.user.id) });
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Body: { password, code } - turn 2FA off (not allowed while the policy requires it)
+ */
+router.post('/2fa/disable', authenticateToken, requireScope('admin'), async (req, res) => {
+  if (isTwoFactorRequired()) {
+    return res.status(400).json({ error: 'Two-factor authentication is required by policy' });
+  }
+  const { password, code } = req.body || {};
+  if (!(await checkPassword(req.user.id, password))) {
+    return res.status(401).json({ error: 'Invalid password' });
+  }
+  if (!verifySecondFactor(req.user.id, code, Date.now())) {
+    return res.status(401).json({ error: 'Invalid code' });
+  }
+  disableTwoFactor(req.user.id);
+  res.json({ success: true });
+});
+
 export { router as authRoutes };
@@ -77,13 +77,15 @@ export function replayBufferToClient(sessionId, ws) {
  * Replay buffered messages to an SSE client (Express response)
  * @param {string} sessionId - The session ID to replay
  * @param {object} res - Express response object (SSE stream)
+ * @param {Function} [filter] - Only replay messages it returns true for
  */
-export function replayBufferToSSE(sessionId, res) {
+export function replayBufferToSSE(sessionId, res, filter = null) {
   const buffer = sessionMessageBuffers.get(sessionId);
   if (!buffer || buffer.length === 0) return;
 
   res.write(`data: ${JSON.stringify({ type: 'replay-start', sessionId })}\n\n`);
   for (const messageStr of buffer) {
+    if (filter && !filter(JSON.parse(messageStr))) continue;
     res.write(`data: ${messageStr}\n\n`);
   }
   res.write(`data: ${JSON.stringify({ type: 'replay-end', sessionId })}\n\n`);
@@ -5,33 +5,59 @@
 
 // Map of username -> Set<callback>
 const subscribers = new Map();
+// Map of sessionId -> Set<callback>, for feeds that follow one session (share links)
+const sessionSubscribers = new Map();
 
-/**
- * Subscribe to events for a specific user
- * @param {string} username - The username to subscribe to
- * @param {Function} callback - Function called with each event: (event) => void
- * @returns {Function} Unsubscribe function
- */
-export function subscribe(username, callback) {
-  if (!subscribers.has(username)) {
-    subscribers.set(username, new Set());
+function addSubscriber(map, key, callback) {
+  if (!map.has(key)) {
+    map.set(key, new Set());
   }
-  subscribers.get(username).add(callback);
+  map.get(key).add(callback);
 
   // Return unsubscribe function
   return () => {
-    const subs = subscribers.get(username);
+    const subs = map.get(key);
     if (subs) {
       subs.delete(callback);
       if (subs.size === 0) {
-        subscribers.delete(username);
+        map.delete(key);
       }
     }
   };
 }
 
+function deliver(subs, payload) {
+  for (const cb of subs || []) {
+    try {
+      cb(payload);
+    } catch (err) {
+      console.error('[Bus] Subscriber error:', err);
+    }
+  }
+}
+
+/**
+ * Subscribe to events for a specific user
+ * @param {string} username - The username to subscribe to
+ * @param {Function} callback - Function called with each event: (event) => void
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(username, callback) {
+  return addSubscriber(subscribers, username, callback);
+}
+
 /**
- * Publish an event to all subscribers for a user
+ * Subscribe to every event about one session, whoever it is published to
+ * @param {string} sessionId - The session to follow
+ * @param {Function} callback - Function called with each event: (event) => void
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeSession(sessionId, callback) {
+  return addSubscriber(sessionSubscribers, sessionId, callback);
+}
+
+/**
+ * Publish an event to all subscribers for a user, and to anyone following its session
  * @param {string} username - The username to publish to
  * @param {Object} event - The event object
  * @param {string} event.type - Event type (e.g., 'claude-message', 'session-created')
@@ -40,21 +66,32 @@ export function subscribe(username, callback) {
  * @param {string} [event.timestamp] - ISO timestamp (auto-set if not provided)
  */
 export function publish(username, event) {
-  const subs = subscribers.get(username);
-  if (!subs) return;
+  const payload = {
+    ...event,
+    timestamp: event.timestamp || new Date().toISOString()
+  };
+
+  deliver(subscribers.get(username), payload);
+  if (event.sessionId) deliver(sessionSubscribers.get(event.sessionId), payload);
+}
 
+/**
+ * Publish an event to every connected user
+ * For changes that affect clients regardless of who caused them (e.g. a deleted session)
+ * @param {Object} event - The event object
+ * @param {Function} [canReceive] - (username) => boolean; when given, only those users get it
+ */
+export function publishAll(event, canReceive = null) {
   const payload = {
     ...event,
     timestamp: event.timestamp || new Date().toISOString()
   };
 
-  for (const cb of subs) {
-    try {
-      cb(payload);
-    } catch (err) {
-      console.error('[Bus] Subscriber error:', err);
-    }
+  for (const [username, subs] of [...subscribers]) {
+    if (canReceive && !canReceive(username)) continue;
+    deliver(subs, payload);
   }
+  if (event.sessionId) deliver(sessionSubscribers.get(event.sessionId), payload);
 }
 
 /**
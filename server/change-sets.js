@@ -0,0 +1,370 @@
+/**
+ * Per-session change sets - what the agent changed on disk, and undoing it
+ * Before a Write/Edit/MultiEdit/NotebookEdit call, or a Bash command that
+ * writes files, each file it touches is snapshotted once per session in
+ * changes.db. Comparing the snapshots with the files now lists the session's
+ * changes, and writing them back reverts them.
+ */
+import { promises as fs, existsSync, lstatSync, readFileSync, realpathSync } from 'fs';
+import path from 'path';
+import { openDatabase } from './db.js';
+import { textDiff } from './edit-diffs.js';
+
+// Larger files are listed but can't be reverted
+const MAX_SNAPSHOT_BYTES = 1024 * 1024;
+const FILE_TOOLS = new Set(['Write', 'Edit', 'MultiEdit', 'NotebookEdit']);
+
+let db = null;
+
+function getDb() {
+  if (db) return db;
+  db = openDatabase('changes.db');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS file_snapshots (
+      session_id TEXT NOT NULL,
+      file_path TEXT NOT NULL,
+      project_path TEXT NOT NULL,
+      username TEXT,
+      existed INTEGER NOT NULL,
+      content BLOB,
+      too_large INTEGER NOT NULL DEFAULT 0,
+      tool TEXT,
+      captured_at TEXT NOT NULL,
+      touched_at TEXT NOT NULL,
+      PRIMARY KEY (session_id, file_path)
+    );
+  `);
+  return db;
+}
+
+// ==================== Bash ====================
+
+// Split a command into words and control/redirection operators, honouring quotes
+function tokenize(command) {
+  const tokens = [];
+  let word = null;
+  let quote = null;
+  const flush = () => {
+    if (word !== null) tokens.push(word);
+    word = null;
+  };
+
+  for (let i = 0; i < command.length; i++) {
+    const ch = command[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      else if (ch === '\\' && quote === '"' && i + 1 < command.length) word += command[++i];
+      else word += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      word = word ?? '';
+    } else if (ch === '\\' && i + 1 < command.length) {
+      word = (word ?? '') + command[++i];
+    } else if (ch === '>' || (ch === '&' && command[i + 1] === '>')) {
+      // A file descriptor number before the > belongs to the operator
+      if (word !== null && /^\d+$/.test(word)) word = null;
+      flush();
+      if (ch === '&') i++;
+      if (command[i + 1] === '>') i++;
+      if (command[i + 1] === '&') {
+        i++;
+        tokens.push({ op: '>&' });
+      } else {
+        tokens.push({ op: '>' });
+      }
+    } else if (ch === '<') {
+      flush();
+      tokens.push({ op: '<' });
+    } else if (';&|\n'.includes(ch)) {
+      flush();
+      tokens.push({ op: ';' });
+    } else if (/\s/.test(ch)) {
+      flush();
+    } else {
+      word = (word ?? '') + ch;
+    }
+  }
+  flush();
+  return tokens;
+}
+
+// Operands of a command, skipping options (and the values of optionsWithValue)
+function operands(args, optionsWithValue = []) {
+  const result = [];
+  let endOfOptions = false;
+  for (let i = 0; i < args.length; i++) {
+    if (!endOfOptions && args[i] === '--') endOfOptions = true;
+    else if (!endOfOptions && optionsWithValue.includes(args[i])) i++;
+    else if (endOfOptions || !args[i].startsWith('-')) result.push(args[i]);
+  }
+  return result;
+}
+
+// mv/cp into a directory writes dir/<source name>; both are candidates
+function copyTargets(args) {
+  const paths = operands(args, ['-t', '--target-directory', '-S', '--suffix']);
+  if (paths.length < 2) return [];
+  const destination = paths.pop();
+  return [destination, ...paths.map(source => path.join(destination, path.basename(source)))];
+}
+
+function commandTargets(words) {
+  while (words.length && (/^\w+=/.test(words[0]) || ['sudo', 'env', 'nohup', 'time', 'command'].includes(words[0]))) {
+    words = words.slice(1);
+  }
+  const [name, ...args] = words;
+
+  switch (name) {
+    case 'rm':
+    case 'unlink':
+    case 'touch':
+    case 'shred':
+    case 'tee':
+      return operands(args);
+    case 'truncate':
+      return operands(args, ['-s', '--size', '-r', '--reference']);
+    case 'mv':
+      return [...operands(args, ['-t', '--target-directory', '-S', '--suffix']), ...copyTargets(args)];
+    case 'cp':
+      return copyTargets(args);
+    case 'sed':
+    case 'perl': {
+      if (!args.some(arg => arg.startsWith('-i') || arg === '--in-place')) return [];
+      const scriptOptions = ['-e', '-f', '--expression', '--file'];
+      const files = operands(args, scriptOptions);
+      // Without -e the first operand is the script
+      return args.some(arg => scriptOptions.includes(arg)) ? files : files.slice(1);
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Files a Bash command looks like it writes, from redirections and common
+ * file commands (rm, mv, cp, touch, tee, sed -i, ...)
+ * Best effort: writes made by scripts, build tools or through globs and
+ * variables aren't seen.
+ * @param {string} command - The Bash command
+ * @returns {string[]} Paths as written in the command
+ */
+export function bashWriteTargets(command) {
+  const targets = [];
+  let words = [];
+  const endCommand = () => {
+    targets.push(...commandTargets(words));
+    words = [];
+  };
+
+  const tokens = tokenize(String(command || ''));
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (typeof token === 'string') {
+      words.push(token);
+    } else if (token.op === ';') {
+      endCommand();
+    } else {
+      const operand = tokens[i + 1];
+      if (typeof operand === 'string') {
+        i++;
+        if (token.op === '>') targets.push(operand);
+      }
+    }
+  }
+  endCommand();
+
+  return [...new Set(targets)].filter(target =>
+    target && !target.startsWith('/dev/') && !/[*?[\]$`~]/.test(target));
+}
+
+// ==================== Snapshots ====================
+
+function isInside(root, filePath) {
+  const relative = path.relative(root, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// The file as it is now: { existed, content, tooLarge }, or null if it's not a regular file
+function readSnapshot(absolutePath) {
+  let stat;
+  try {
+    stat = lstatSync(absolutePath);
+  } catch (err) {
+    return err.code === 'ENOENT' ? { existed: false, content: null, tooLarge: false } : null;
+  }
+  if (!stat.isFile()) return null;
+  if (stat.size > MAX_SNAPSHOT_BYTES) return { existed: true, content: null, tooLarge: true };
+  return { existed: true, content: readFileSync(absolutePath), tooLarge: false };
+}
+
+/**
+ * Snapshot the files a tool call is about to change, the first time the
+ * session touches each one
+ * Only files inside the project are tracked.
+ * @param {Object} options - { sessionId, username, projectPath, tool, input }
+ * @returns {string[]} Project-relative paths now tracked for this call
+ */
+export function recordSnapshots({ sessionId, username = null, projectPath, tool, input }) {
+  if (!sessionId || !projectPath || !input) return [];
+
+  let paths;
+  if (FILE_TOOLS.has(tool)) paths = [input.file_path || input.notebook_path || input.path].filter(Boolean);
+  else if (tool === 'Bash') paths = bashWriteTargets(input.command);
+  else return [];
+
+  const now = new Date().toISOString();
+  const insert = getDb().prepare(`
+    INSERT INTO file_snapshots (session_id, file_path, project_path, username, existed, content, too_large, tool, captured_at, touched_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (session_id, file_path) DO UPDATE SET tool = excluded.tool, touched_at = excluded.touched_at
+  `);
+
+  const tracked = [];
+  for (const filePath of paths) {
+    const absolutePath = path.resolve(projectPath, filePath);
+    if (!isInside(projectPath, absolutePath)) continue;
+    const relativePath = path.relative(projectPath, absolutePath).split(path.sep).join('/');
+    const snapshot = readSnapshot(absolutePath);
+    if (!snapshot) continue;
+
+    insert.run(sessionId, relativePath, projectPath, username, snapshot.existed ? 1 : 0, snapshot.content,
+      snapshot.tooLarge ? 1 : 0, tool, now, now);
+    tracked.push(relativePath);
+  }
+  return tracked;
+}
+
+/**
+ * The project a session's change set belongs to and the user whose session
+ * recorded it, or null if nothing was recorded
+ * @returns {{ projectPath: string, username: string|null }|null}
+ */
+export function getChangeSetOwner(sessionId) {
+  const row = getDb().prepare('SELECT project_path, username FROM file_snapshots WHERE session_id = ? LIMIT 1').get(sessionId);
+  return row ? { projectPath: row.project_path, username: row.username } : null;
+}
+
+/**
+ * Move a user's change sets to their new username after a rename
+ */
+export function renameChangeSetOwner(from, to) {
+  getDb().prepare('UPDATE file_snapshots SET username = ? WHERE username = ?').run(to, from);
+}
+
+/**
+ * Delete a removed account's change sets
+ */
+export function deleteChangeSetOwner(username) {
+  getDb().prepare('DELETE FROM file_snapshots WHERE username = ?').run(username);
+}
+
+// ==================== Changes ====================
+
+async function readCurrent(absolutePath) {
+  try {
+    const stat = await fs.lstat(absolutePath);
+    if (!stat.isFile()) return { exists: true, content: null, regular: false };
+    return { exists: true, content: stat.size > MAX_SNAPSHOT_BYTES ? null : await fs.readFile(absolutePath), regular: true };
+  } catch (err) {
+    if (err.code === 'ENOENT') return { exists: false, content: null, regular: true };
+    throw err;
+  }
+}
+
+const isBinary = (buffer) => buffer.includes(0);
+
+// Compare a snapshot row with the file now; null if it's unchanged
+async function describeChange(row) {
+  const absolutePath = path.join(row.project_path, row.file_path);
+  const current = await readCurrent(absolutePath);
+  const existed = Boolean(row.existed);
+
+  if (!existed && !current.exists) return null;
+  if (existed && current.exists && row.content && current.content && Buffer.compare(row.content, current.content) === 0) return null;
+
+  const status = !existed ? 'added' : !current.exists ? 'deleted' : 'modified';
+  const before = existed ? row.content : Buffer.alloc(0);
+  const after = current.exists ? current.content : Buffer.alloc(0);
+  const diffable = before && after && !isBinary(before) && !isBinary(after);
+
+  return {
+    path: row.file_path,
+    status,
+    tool: row.tool,
+    capturedAt: row.captured_at,
+    touchedAt: row.touched_at,
+    revertable: !row.too_large && current.regular,
+    diff: diffable ? textDiff(row.file_path, before.toString('utf8'), after.toString('utf8')) : null
+  };
+}
+
+/**
+ * Files a session changed, each with a diff from before the session's first change
+ * Files that are back to how they were are left out.
+ * @returns {Promise<Array>} { path, status: 'added'|'modified'|'deleted', tool, capturedAt, touchedAt, revertable, diff }
+ */
+export async function listChanges(sessionId) {
+  const rows = getDb().prepare('SELECT * FROM file_snapshots WHERE session_id = ? ORDER BY file_path').all(sessionId);
+  const changes = [];
+  for (const row of rows) {
+    const change = await describeChange(row);
+    if (change) changes.push(change);
+  }
+  return changes;
+}
+
+// Throw unless the file's directory resolves inside the project (no symlinked escapes)
+function checkWritable(projectPath, absolutePath) {
+  let dir = path.dirname(absolutePath);
+  while (dir !== projectPath && !existsSync(dir)) dir = path.dirname(dir);
+  const root = realpathSync(projectPath);
+  const resolved = realpathSync(dir);
+  if (resolved !== root && !isInside(root, resolved)) throw new Error('Path escapes the project through a symlink');
+}
+
+/**
+ * Put files back the way they were before the session first changed them
+ * @param {string} sessionId - The session
+ * @param {string|null} filePath - One project-relative path, or null for every change
+ * @returns {Promise<{reverted: Array<{path, status}>, failed: Array<{path, error}>}>}
+ * @throws {Error} if filePath isn't one of the session's changes
+ */
+export async function revertChanges(sessionId, filePath = null) {
+  const rows = filePath === null
+    ? getDb().prepare('SELECT * FROM file_snapshots WHERE session_id = ?').all(sessionId)
+    : getDb().prepare('SELECT * FROM file_snapshots WHERE session_id = ? AND file_path = ?').all(sessionId, filePath);
+  if (filePath !== null && rows.length === 0) throw new Error('No changes recorded for this file');
+
+  const reverted = [];
+  const failed = [];
+  for (const row of rows) {
+    const change = await describeChange(row);
+    if (!change) continue;
+    if (!change.revertable) {
+      failed.push({ path: row.file_path, error: row.too_large ? 'File was too large to snapshot' : 'Not a regular file' });
+      continue;
+    }
+
+    const absolutePath = path.join(row.project_path, row.file_path);
+    try {
+      checkWritable(row.project_path, absolutePath);
+      if (row.existed) {
+        await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+        await fs.writeFile(absolutePath, row.content);
+      } else {
+        await fs.rm(absolutePath, { force: true });
+      }
+      reverted.push({ path: row.file_path, status: change.status });
+    } catch (err) {
+      failed.push({ path: row.file_path, error: err.message });
+    }
+  }
+  return { reverted, failed };
+}
+
+/**
+ * Forget a session's snapshots once the session is deleted for good
+ */
+export function deleteSessionChanges(sessionId) {
+  getDb().prepare('DELETE FROM file_snapshots WHERE session_id = ?').run(sessionId);
+}
@@ -7,12 +7,41 @@ import { taskManager, broadcastTaskUpdate } from './tasks.js';
 import { broadcastToSession, startSessionBuffer } from './broadcast.js';
 import { publish } from './bus.js';
 import { createActivityTracker } from './activity.js';
-import { register, setStatus } from './session-registry.js';
+import { register, setStatus, getSession, setTitle } from './session-registry.js';
+import { checkPermission, addRule, importSettingsRules, rulesForAlwaysAllow } from './permissions.js';
+import { enqueue, getQueue, isQueueOwner, updateItem, removeItem, moveToFront, dequeue } from './message-queue.js';
+import { recordFork } from './forks.js';
+import { ensureAutoTitle, getSessionMeta } from './session-meta.js';
+import { canAccessProject } from './access.js';
+import { recordAudit } from './audit.js';
+import { captureEditDiff, EDIT_DIFF_TOOLS } from './edit-diffs.js';
+import { recordSnapshots } from './change-sets.js';
 
 // Constants
 const DEFAULT_CONTEXT_WINDOW = 200000;
 const TOOL_OUTPUT_TRUNCATE_LENGTH = 1500;
 const TOOL_SUMMARY_TRUNCATE_LENGTH = 200;
+const SECRET_FIELD_PATTERN = /secret|passw|api_?key|token$|authorization|credential/i;
+
+// Auto-deny questions, plan confirmations and permission requests nobody answers
+// (PROMPT_TIMEOUT_MINUTES=0 disables the timeout)
+const DEFAULT_PROMPT_TIMEOUT_MINUTES = 30;
+// setTimeout fires immediately for delays that don't fit in 32 bits
+const MAX_PROMPT_TIMEOUT_MINUTES = Math.floor((2 ** 31 - 1) / 60000);
+const PROMPT_TIMEOUT_MS = readPromptTimeoutMinutes() * 60 * 1000;
+const PROMPT_TIMEOUT_MESSAGE = 'No response from the user before the prompt timed out';
+
+// Invalid values fall back to the default rather than disabling or misfiring the timer
+function readPromptTimeoutMinutes() {
+  const raw = process.env.PROMPT_TIMEOUT_MINUTES;
+  if (raw === undefined || raw.trim() === '') return DEFAULT_PROMPT_TIMEOUT_MINUTES;
+  const minutes = Number(raw);
+  if (!Number.isFinite(minutes) || minutes < 0) {
+    console.warn(`[Claude] Invalid PROMPT_TIMEOUT_MINUTES "${raw}", using ${DEFAULT_PROMPT_TIMEOUT_MINUTES}`);
+    return DEFAULT_PROMPT_TIMEOUT_MINUTES;
+  }
+  return Math.min(minutes, MAX_PROMPT_TIMEOUT_MINUTES);
+}
 
 // Model-specific context window sizes
 const MODEL_CONTEXT_WINDOWS = {
@@ -69,27 +98,53 @@ ${lines.join('\n\n')}
 `;
 }
 
-async function loadSessionHistory(projectPath, sessionId, limit = 50) {
-  const CLAUDE_PROJECTS = path.join(os.homedir(), '.claude', 'projects');
+const CLAUDE_PROJECTS_DIR = path.join(os.homedir(), '.claude', 'projects');
 
-  const projectName = '-' + projectPath.slice(1).replace(/\//g, '-');
-  const projectDir = path.join(CLAUDE_PROJECTS, projectName);
+// Claude Code stores transcripts under the project path with every
+// non-alphanumeric character replaced by '-'
+function encodeProjectDir(projectPath) {
+  return projectPath.replace(/[^a-zA-Z0-9]/g, '-');
+}
 
+async function fileExists(filePath) {
   try {
-    const files = await fs.readdir(projectDir);
-    const jsonlFiles = files.filter(f =>
-      f.endsWith('.jsonl') &&
-      !f.startsWith('agent-') &&
-      f.startsWith(sessionId)
-    );
-
-    if (jsonlFiles.length === 0) {
-      console.log(`[Claude] No session file found for ${sessionId}`);
-      return [];
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Locate a session's JSONL transcript
+ * @returns {Promise<Object|null>} { path, resumable } - resumable is false when the
+ *   transcript only exists under another project directory (e.g. the project was
+ *   moved), where SDK resume cannot find it
+ */
+async function findSessionTranscript(projectPath, sessionId) {
+  const expected = path.join(CLAUDE_PROJECTS_DIR, encodeProjectDir(projectPath), `${sessionId}.jsonl`);
+  if (await fileExists(expected)) {
+    return { path: expected, resumable: true };
+  }
+
+  let projectDirs = [];
+  try {
+    projectDirs = await fs.readdir(CLAUDE_PROJECTS_DIR);
+  } catch {
+    return null;
+  }
+  for (const dir of projectDirs) {
+    const candidate = path.join(CLAUDE_PROJECTS_DIR, dir, `${sessionId}.jsonl`);
+    if (await fileExists(candidate)) {
+      return { path: candidate, resumable: false };
     }
+  }
+  return null;
+}
 
+async function loadSessionHistory(sessionFile, sessionId, limit = 50) {
+  try {
     const messages = [];
-    const sessionFile = path.join(projectDir, jsonlFiles[0]);
     const content = await fs.readFile(sessionFile, 'utf8');
     const lines = content.split('\n').filter(Boolean);
 
@@ -112,6 +167,38 @@ async function loadSessionHistory(projectPath, sessionId, limit = 50) {
   }
 }
 
+/**
+ * Decide how to continue an existing session
+ * - 'resume': the transcript is where the SDK expects it, so options.resume
+ *   restores the full context and the prompt carries only the new message
+ * - 'replay': the transcript only exists elsewhere, so recent history is
+ *   rebuilt into the prompt of a fresh SDK session
+ * - 'new': no usable transcript, the conversation starts without context
+ * @returns {Promise<Object>} { strategy, historyMessages, historyBlock }
+ */
+export async function resolveContinuation(projectPath, sessionId) {
+  const transcript = await findSessionTranscript(projectPath, sessionId);
+  if (transcript?.resumable) {
+    return { strategy: 'resume', historyMessages: 0, historyBlock: '' };
+  }
+
+  const history = transcript ? await loadSessionHistory(transcript.path, sessionId, 50) : [];
+  const historyBlock = formatConversationHistory(history);
+  return historyBlock
+    ? { strategy: 'replay', historyMessages: history.length, historyBlock }
+    : { strategy: 'new', historyMessages: 0, historyBlock: '' };
+}
+
+/**
+ * Read back the user/assistant messages of a finished session
+ * Used to record the transcript of headless runs (scheduled jobs)
+ * @returns {Promise<Array>} [{ role, content, timestamp }], empty if the transcript is missing
+ */
+export async function getSessionTranscript(projectPath, sessionId, limit = 500) {
+  const transcript = await findSessionTranscript(projectPath, sessionId);
+  return transcript ? loadSessionHistory(transcript.path, sessionId, limit) : [];
+}
+
 function parseHistoryEntry(entry) {
   const timestamp = entry.timestamp || new Date().toISOString();
 
@@ -146,6 +233,12 @@ function parseHistoryEntry(entry) {
 // Track active sessions for abort capability
 const activeSessions = new Map();
 
+// Sessions whose next queued message is being dispatched (handleChat not yet registered)
+const dispatchingSessions = new Set();
+
+// Pending prompt maps below hold { resolve, reject, sessionInfo, sessionId, username, data, createdAt }
+// so outstanding prompts can be re-sent to any client (see getPendingPrompts)
+
 // Track pending question responses - map of toolUseId -> { resolve, reject }
 // Used by canUseTool callback to wait for user responses to AskUserQuestion
 const pendingQuestionCallbacks = new Map();
@@ -154,6 +247,21 @@ const pendingQuestionCallbacks = new Map();
 // Used by canUseTool callback to wait for user confirmation of ExitPlanMode
 const pendingPlanConfirmations = new Map();
 
+// Track pending tool permission requests - map of toolUseId -> { resolve, reject }
+// Used by canUseTool callback to wait for allow/deny decisions in default mode
+const pendingPermissionRequests = new Map();
+
+// Tools that need explicit user approval in default mode (MCP tools match by prefix)
+const PERMISSION_PROMPT_TOOLS = new Set(['Bash', 'Write', 'Edit', 'MultiEdit', 'NotebookEdit']);
+
+/**
+ * Check whether a tool call should be sent to the browser for approval
+ */
+export function requiresPermissionPrompt(toolName) {
+  if (!toolName) return false;
+  return PERMISSION_PROMPT_TOOLS.has(toolName) || toolName.startsWith('mcp__');
+}
+
 // Track tool execution start times - map of toolUseId -> startTime (Date)
 const toolStartTimes = new Map();
 
@@ -164,6 +272,92 @@ const sessionModels = new Map();
 // Used to complete tasks when tool results arrive
 const toolUseToTaskMap = new Map();
 
+// Edit/Write diffs are taken by the PreToolUse hook, which can finish before or
+// after the tool_use message goes out: diffs waiting for their message by tool
+// use id, and ids whose message went out without its diff
+const MAX_TRACKED_DIFFS = 100;
+const hookDiffs = new Map();
+const toolUsesAwaitingDiff = new Set();
+
+/**
+ * Wait for the user's answer to a prompt already sent to the browser
+ * Registers the prompt with its full payload so reconnecting clients can re-render it,
+ * rejects on abort or after PROMPT_TIMEOUT_MS, and announces resolution to all clients
+ */
+function waitForPrompt(pendingMap, toolUseID, sessionInfo, sessionId, data, signal) {
+  return new Promise((resolve, reject) => {
+    let timer = null;
+
+    const settle = (reason) => {
+      clearTimeout(timer);
+      pendingMap.delete(toolUseID);
+      sendMessage(sessionInfo.ws, {
+        type: 'claude-message',
+        sessionId,
+        data: { type: 'prompt-resolved', id: toolUseID, reason }
+      }, sessionInfo.username);
+    };
+
+    const entry = {
+      sessionInfo,
+      sessionId,
+      username: sessionInfo.username,
+      data,
+      createdAt: new Date().toISOString(),
+      resolve: (value) => {
+        settle('answered');
+        resolve(value);
+      },
+      reject: (err) => {
+        settle(err.timedOut ? 'timeout' : 'cancelled');
+        reject(err);
+      }
+    };
+
+    if (PROMPT_TIMEOUT_MS > 0) {
+      timer = setTimeout(() => {
+        console.log(`[Claude] Prompt ${toolUseID} timed out`);
+        const err = new Error(PROMPT_TIMEOUT_MESSAGE);
+        err.timedOut = true;
+        entry.reject(err);
+      }, PROMPT_TIMEOUT_MS);
+    }
+
+    // Handle abort signal
+    signal.addEventListener('abort', () => {
+      if (pendingMap.get(toolUseID) === entry) {
+        entry.reject(new Error('Prompt cancelled'));
+      }
+    });
+
+    pendingMap.set(toolUseID, entry);
+  });
+}
+
+/**
+ * List prompts the agent is currently blocked on for a user
+ * Each entry includes the original claude-message payload for re-rendering
+ * @param {string} username
+ * @param {string|null} sessionId - Optional filter
+ */
+export function getPendingPrompts(username, sessionId = null) {
+  const prompts = [];
+  for (const pendingMap of [pendingQuestionCallbacks, pendingPlanConfirmations, pendingPermissionRequests]) {
+    for (const [toolUseId, entry] of pendingMap) {
+      if (entry.username !== username) continue;
+      if (sessionId && entry.sessionId !== sessionId) continue;
+      prompts.push({
+        sessionId: entry.sessionId,
+        toolUseId,
+        type: entry.data.type,
+        createdAt: entry.createdAt,
+        data: entry.data
+      });
+    }
+  }
+  return prompts.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
 /**
  * Process messages from a query stream
  * Used both for initial query and after question responses
@@ -222,11 +416,24 @@ async function processQueryStream(queryInstance, ws, sessionInfo, onSessionId) {
 
 /**
  * Handle incoming chat message from WebSocket
+ * ws may be null for headless runs (scheduled jobs, REST API); events still reach the bus
+ * Server-side callers may set msg.onSessionId, called once the session ID is known
+ * @returns {Promise<Object>} { sessionId, status: 'success'|'error'|'aborted', error }
  */
 export async function handleChat(msg, ws, username) {
-  const { content, projectPath, sessionId, isNewSession, mode, attachments } = msg;
+  const { content, projectPath, sessionId, isNewSession, mode, attachments, resumeAt, onSessionId } = msg;
   const projectDisplayName = projectPath ? projectPath.split('/').pop() : '';
 
+  // Create session info object (mutable WS reference for reconnection support)
+  const sessionInfo = { queryInstance: null, ws, username, activityTracker: null };
+
+  // Every entry point (WebSocket, REST, queue, jobs) funnels through here
+  if (!canAccessProject(username, projectPath, 'write')) {
+    const error = 'No access to this project';
+    sendMessage(sessionInfo.ws, { type: 'error', sessionId: sessionId || null, message: error }, username);
+    return { sessionId: null, status: 'error', error };
+  }
+
   const permissionModeMap = {
     'default': 'default',
     'plan': 'plan',
@@ -238,18 +445,15 @@ export async function handleChat(msg, ws, username) {
   let prompt = content || '';
   let tempImagePaths = [];
 
+  // Existing sessions continue via SDK resume; history is only replayed into
+  // the prompt when the transcript is missing from where the SDK looks for it
+  let continuation = null;
   if (sessionId && !isNewSession) {
-    try {
-      console.log(`[Claude] Loading history for session ${sessionId}`);
-      const history = await loadSessionHistory(projectPath, sessionId, 50);
-
-      if (history.length > 0) {
-        const historyBlock = formatConversationHistory(history);
-        prompt = historyBlock + 'CONTINUING CONVERSATION - User asks: ' + prompt;
-        console.log(`[Claude] Prepended ${history.length} history messages to prompt`);
-      }
-    } catch (err) {
-      console.error('[Claude] Failed to load history:', err);
+    continuation = await resolveContinuation(projectPath, sessionId);
+    console.log(`[Claude] Continuing session ${sessionId} via ${continuation.strategy}`);
+    if (continuation.historyBlock) {
+      prompt = continuation.historyBlock + 'CONTINUING CONVERSATION - User asks: ' + prompt;
+      console.log(`[Claude] Prepended ${continuation.historyMessages} history messages to prompt`);
     }
   }
 
@@ -288,8 +492,23 @@ export async function handleChat(msg, ws, username) {
   }
 
 
-  // Create session info object (mutable WS reference for reconnection support)
-  const sessionInfo = { queryInstance: null, ws, username, activityTracker: null };
+  // Pick up permission rules from the project's .claude/settings.json
+  try {
+    await importSettingsRules(username, projectPath);
+  } catch (err) {
+    console.error('[Claude] Failed to import permission rules:', err);
+  }
+
+  // Audit who (or which rule) allowed or denied a tool call
+  const auditDecision = (toolName, input, outcome, detail) => recordAudit({
+    username,
+    action: 'tool-decision',
+    sessionId: currentSessionId,
+    projectPath,
+    tool: toolName,
+    outcome,
+    detail: { ...detail, input: sanitizeToolInput(toolName, input) }
+  });
 
   const options = {
     cwd: projectPath,
@@ -301,33 +520,38 @@ export async function handleChat(msg, ws, username) {
     stderr: (data) => {
       console.log(`[Claude:stderr] ${data.trimEnd()}`);
     },
-    // Custom permission callback to intercept AskUserQuestion
-    canUseTool: async (toolName, input, { toolUseID, signal }) => {
+    // Runs right before every tool call in every permission mode, so the change
+    // set's snapshots are taken before the tool can touch the files
+    hooks: {
+      PreToolUse: [{
+        hooks: [async (input) => {
+          const sessionId = input.session_id || currentSessionId;
+          snapshotToolCall(sessionId, username, projectPath, input.tool_name, input.tool_input);
+          await captureToolDiff(sessionInfo, sessionId, input.tool_use_id, input.tool_name, input.tool_input, projectPath);
+          return { continue: true };
+        }]
+      }]
+    },
+    // Custom permission callback to intercept AskUserQuestion, ExitPlanMode and tool approvals
+    canUseTool: async (toolName, input, { toolUseID, signal, suggestions, decisionReason, blockedPath }) => {
       // Intercept AskUserQuestion to wait for user input
       if (toolName === 'AskUserQuestion') {
         console.log(`[Claude] AskUserQuestion intercepted - toolUseId: ${toolUseID}`);
 
+        const question = {
+          type: 'question',
+          id: toolUseID,
+          questions: input.questions || []
+        };
         sendMessage(sessionInfo.ws, {
           type: 'claude-message',
           sessionId: currentSessionId,
-          data: {
-            type: 'question',
-            id: toolUseID,
-            questions: input.questions || []
-          }
+          data: question
         }, username);
 
         // Wait for user response
         try {
-          const answers = await new Promise((resolve, reject) => {
-            pendingQuestionCallbacks.set(toolUseID, { resolve, reject });
-
-            // Handle abort signal
-            signal.addEventListener('abort', () => {
-              pendingQuestionCallbacks.delete(toolUseID);
-              reject(new Error('Question cancelled'));
-            });
-          });
+          const answers = await waitForPrompt(pendingQuestionCallbacks, toolUseID, sessionInfo, currentSessionId, question, signal);
 
           console.log(`[Claude] Question answered - toolUseId: ${toolUseID}`);
 
@@ -343,7 +567,7 @@ export async function handleChat(msg, ws, username) {
           console.log(`[Claude] Question cancelled or error: ${err.message}`);
           return {
             behavior: 'deny',
-            message: 'User cancelled the question'
+            message: err.timedOut ? PROMPT_TIMEOUT_MESSAGE : 'User cancelled the question'
           };
         }
       }
@@ -352,26 +576,19 @@ export async function handleChat(msg, ws, username) {
       if (toolName === 'ExitPlanMode') {
         console.log(`[Claude] ExitPlanMode intercepted - toolUseId: ${toolUseID}`);
 
+        const confirmation = {
+          type: 'plan-confirmation',
+          id: toolUseID
+        };
         sendMessage(sessionInfo.ws, {
           type: 'claude-message',
           sessionId: currentSessionId,
-          data: {
-            type: 'plan-confirmation',
-            id: toolUseID
-          }
+          data: confirmation
         }, username);
 
         // Wait for user approval/rejection
         try {
-          const response = await new Promise((resolve, reject) => {
-            pendingPlanConfirmations.set(toolUseID, { resolve, reject });
-
-            // Handle abort signal
-            signal.addEventListener('abort', () => {
-              pendingPlanConfirmations.delete(toolUseID);
-              reject(new Error('Plan confirmation cancelled'));
-            });
-          });
+          const response = await waitForPrompt(pendingPlanConfirmations, toolUseID, sessionInfo, currentSessionId, confirmation, signal);
 
           console.log(`[Claude] Plan confirmation response - toolUseId: ${toolUseID}, approved: ${response.approved}`);
 
@@ -392,7 +609,91 @@ export async function handleChat(msg, ws, username) {
           console.log(`[Claude] Plan confirmation cancelled or error: ${err.message}`);
           return {
             behavior: 'deny',
-            message: 'Plan confirmation cancelled'
+            message: err.timedOut ? PROMPT_TIMEOUT_MESSAGE : 'Plan confirmation cancelled'
+          };
+        }
+      }
+
+      // Stored permission rules decide before we ever prompt
+      const ruleDecision = checkPermission(username, projectPath, toolName, input);
+      if (ruleDecision?.behavior === 'deny') {
+        console.log(`[Claude] ${toolName} denied by rule ${ruleDecision.rule}`);
+        auditDecision(toolName, input, 'deny', { decidedBy: 'rule', rule: ruleDecision.rule });
+        return {
+          behavior: 'deny',
+          message: `Denied by permission rule ${ruleDecision.rule}`
+        };
+      }
+      if (ruleDecision?.behavior === 'allow') {
+        auditDecision(toolName, input, 'allow', { decidedBy: 'rule', rule: ruleDecision.rule });
+        return {
+          behavior: 'allow',
+          updatedInput: input
+        };
+      }
+
+      // Ask the user before running Bash, file edits and MCP tools
+      if (permissionMode === 'default' && requiresPermissionPrompt(toolName)) {
+        console.log(`[Claude] Permission requested for ${toolName} - toolUseId: ${toolUseID}`);
+        const alwaysAllowRules = rulesForAlwaysAllow(toolName, input, projectPath, suggestions);
+
+        const request = {
+          type: 'permission-request',
+          id: toolUseID,
+          tool: toolName,
+          summary: getToolSummary(toolName, input),
+          input: sanitizeToolInput(toolName, input),
+          reason: decisionReason || null,
+          blockedPath: blockedPath || null,
+          alwaysAllowRules
+        };
+        sendMessage(sessionInfo.ws, {
+          type: 'claude-message',
+          sessionId: currentSessionId,
+          data: request
+        }, username);
+
+        // Wait for user decision
+        try {
+          const response = await waitForPrompt(pendingPermissionRequests, toolUseID, sessionInfo, currentSessionId, request, signal);
+
+          console.log(`[Claude] Permission response - toolUseId: ${toolUseID}, decision: ${response.decision}`);
+          auditDecision(toolName, input, response.decision === 'deny' ? 'deny' : 'allow', {
+            decidedBy: 'user',
+            decision: response.decision,
+            ...(response.reason ? { reason: response.reason } : {})
+          });
+
+          if (response.decision === 'allow-always') {
+            for (const rule of alwaysAllowRules) {
+              try {
+                addRule(username, projectPath, rule, 'allow');
+              } catch (err) {
+                console.error(`[Claude] Failed to save permission rule ${rule}:`, err.message);
+              }
+            }
+            return {
+              behavior: 'allow',
+              updatedInput: input,
+              updatedPermissions: suggestions || []
+            };
+          }
+          if (response.decision === 'allow') {
+            return {
+              behavior: 'allow',
+              updatedInput: input
+            };
+          }
+          // Deny without guidance stops the turn; with a reason Claude can adjust and continue
+          return response.reason
+            ? { behavior: 'deny', message: `User denied ${toolName}: ${response.reason}` }
+            : { behavior: 'deny', message: `User denied ${toolName}`, interrupt: true };
+        } catch (err) {
+          console.log(`[Claude] Permission request cancelled or error: ${err.message}`);
+          auditDecision(toolName, input, 'deny', { decidedBy: err.timedOut ? 'timeout' : 'cancelled' });
+          return {
+            behavior: 'deny',
+            message: err.timedOut ? PROMPT_TIMEOUT_MESSAGE : 'Permission request cancelled'
           };
         }
       }
@@ -405,9 +706,16 @@ export async function handleChat(msg, ws, username) {
     }
   };
 
-  // Resume existing session (unless explicitly new)
-  if (sessionId && !isNewSession) {
+  // Resume existing session (unless explicitly new or the transcript is missing)
+  const isResuming = continuation?.strategy === 'resume';
+  if (isResuming) {
     options.resume = sessionId;
+    if (resumeAt) {
+      // Edit-and-resend: branch from an earlier assistant message into a new
+      // session, leaving the original transcript intact
+      options.resumeSessionAt = resumeAt;
+      options.forkSession = true;
+    }
   }
 
   // Load MCP servers from ~/.claude.json
@@ -417,22 +725,35 @@ export async function handleChat(msg, ws, username) {
   }
 
   let currentSessionId = sessionId;
+  // Without resume (or when branching) the SDK assigns a new session ID, reported via session-created
+  if ((continuation && !isResuming) || options.forkSession) currentSessionId = null;
   let queryInstance = null;
+  let completed = false;
+  let runError = null;
+
+  // Registry entry for the session; its title is what tab bars and snapshots show
+  const registration = (id) => {
+    const { title } = getSessionMeta(id);
+    return { username, projectPath, projectName: projectDisplayName, displayName: title || projectDisplayName, title, status: 'streaming', continuation: continuation?.strategy || null };
+  };
 
   try {
-    console.log(`[Claude] Starting query - project: ${projectPath}, session: ${sessionId || 'NEW'}, resuming: ${!!(sessionId && !isNewSession)}`);
+    console.log(`[Claude] Starting query - project: ${projectPath}, session: ${sessionId || 'NEW'}, resuming: ${isResuming}`);
     if (tempImagePaths.length > 0) {
       console.log(`[Claude] Saved ${tempImagePaths.length} image(s) to temp files:`);
       tempImagePaths.forEach(p => console.log(`  - ${p}`));
     }
     console.log(`[Claude] Prompt length: ${prompt.length} chars`);
 
+    if (resumeAt && !options.resumeSessionAt) {
+      throw new Error('Cannot branch from an earlier message: the session transcript was not found');
+    }
+
     queryInstance = query({
       prompt,
       options
     });
 
-    const isResuming = sessionId && !isNewSession;
     if (isResuming) {
       await queryInstance.setPermissionMode(permissionMode);
     }
@@ -444,9 +765,11 @@ export async function handleChat(msg, ws, username) {
     if (currentSessionId) {
       activeSessions.set(currentSessionId, sessionInfo);
       startSessionBuffer(currentSessionId);
-      register(currentSessionId, { username, projectPath, projectName: projectDisplayName, displayName: projectDisplayName, status: 'streaming' });
+      register(currentSessionId, registration(currentSessionId));
       publish(username, { type: 'session-status', sessionId: currentSessionId, status: 'streaming' });
       sessionInfo.activityTracker = createActivityTracker((event) => publish(username, event), currentSessionId);
+      sendContinuation(sessionInfo, currentSessionId, continuation, username);
+      onSessionId?.(currentSessionId);
     }
 
     // Process streaming messages
@@ -455,22 +778,35 @@ export async function handleChat(msg, ws, username) {
         currentSessionId = sid;
         startSessionBuffer(currentSessionId);
         activeSessions.set(currentSessionId, sessionInfo);
-        register(currentSessionId, { username, projectPath, projectName: projectDisplayName, displayName: projectDisplayName, status: 'streaming' });
+        register(currentSessionId, registration(currentSessionId));
         sendMessage(sessionInfo.ws, {
           type: 'session-created',
-          sessionId: currentSessionId
+          sessionId: currentSessionId,
+          // Set when a session that could not be resumed continues under a new ID
+          previousSessionId: continuation && sessionId !== currentSessionId ? sessionId : null
         }, username);
         publish(username, { type: 'session-status', sessionId: currentSessionId, status: 'streaming' });
         sessionInfo.activityTracker = createActivityTracker((event) => publish(username, event), currentSessionId);
+        sendContinuation(sessionInfo, currentSessionId, continuation, username);
+        if (options.forkSession) {
+          try {
+            recordFork(currentSessionId, sessionId, resumeAt, encodeProjectDir(projectPath), username);
+          } catch (err) {
+            console.error('[Claude] Failed to record branch lineage:', err.message);
+          }
+        }
+        onSessionId?.(currentSessionId);
       }
     });
 
     // Stream complete
     console.log(`[Claude] Query complete - session: ${currentSessionId}`);
+    if (currentSessionId) await refreshSessionTitle(currentSessionId, projectPath, username);
     sendMessage(sessionInfo.ws, {
       type: 'claude-done',
       sessionId: currentSessionId
     }, username);
+    completed = true;
 
   } catch (err) {
     console.error('[Claude] Query error:', err);
@@ -485,6 +821,7 @@ export async function handleChat(msg, ws, username) {
     const userMessage = isRateLimit
       ? 'Rate limit reached. The API is temporarily throttled — please wait a moment and try again.'
       : errMsg || 'Query failed';
+    runError = userMessage;
 
     sendMessage(sessionInfo.ws, {
       type: 'error',
@@ -510,10 +847,14 @@ export async function handleChat(msg, ws, username) {
         }
       }
 
-      // Clean up any pending plan confirmations for this session
-      for (const [toolUseId, callback] of pendingPlanConfirmations) {
-        callback.reject(new Error('Session ended'));
-        pendingPlanConfirmations.delete(toolUseId);
+    }
+
+    // Cancel any prompts still waiting on this query
+    for (const pendingMap of [pendingQuestionCallbacks, pendingPlanConfirmations, pendingPermissionRequests]) {
+      for (const pending of [...pendingMap.values()]) {
+        if (pending.sessionInfo === sessionInfo) {
+          pending.reject(new Error('Session ended'));
+        }
       }
     }
 
@@ -525,16 +866,165 @@ export async function handleChat(msg, ws, username) {
         // Ignore cleanup errors
       }
     }
+
+    // Send the next queued follow-up unless the user stopped the session or the query failed
+    if (currentSessionId && !sessionInfo.aborted && (completed || sessionInfo.injecting)) {
+      setImmediate(() => dispatchNextQueued(currentSessionId, sessionInfo.ws, username));
+    }
+  }
+
+  return {
+    sessionId: currentSessionId,
+    status: completed ? 'success' : sessionInfo.aborted ? 'aborted' : 'error',
+    error: runError
+  };
+}
+
+/**
+ * Tell clients which continuation strategy a turn used
+ */
+function sendContinuation(sessionInfo, sessionId, continuation, username) {
+  if (!continuation) return;
+  sendMessage(sessionInfo.ws, {
+    type: 'claude-message',
+    sessionId,
+    data: {
+      type: 'session-continuation',
+      strategy: continuation.strategy,
+      historyMessages: continuation.historyMessages
+    }
+  }, username);
+}
+
+/**
+ * Give a session its auto title once the first exchange is in the transcript
+ * Clients are told whenever the title they show changes.
+ */
+async function refreshSessionTitle(sessionId, projectPath, username) {
+  try {
+    await ensureAutoTitle(encodeProjectDir(projectPath), sessionId);
+    const { title } = getSessionMeta(sessionId);
+    if (title && title !== getSession(sessionId)?.title) {
+      setTitle(sessionId, title);
+      publish(username, { type: 'session-title', sessionId, title });
+    }
+  } catch (err) {
+    console.error('[Claude] Failed to title session:', err.message);
   }
 }
 
+/**
+ * Publish a session's queue to all of the user's clients
+ */
+function publishQueue(username, sessionId) {
+  publish(username, { type: 'queue-updated', sessionId, queue: getQueue(sessionId) });
+}
+
+/**
+ * Start the next queued message for a session if it is idle
+ * @returns {boolean} True if a message was dispatched
+ */
+function dispatchNextQueued(sessionId, ws, username) {
+  if (activeSessions.has(sessionId) || dispatchingSessions.has(sessionId)) return false;
+
+  const item = dequeue(sessionId);
+  if (!item) return false;
+
+  console.log(`[Claude] Dispatching queued message ${item.id} for session ${sessionId}`);
+  publishQueue(username, sessionId);
+  publish(username, { type: 'queue-dispatched', sessionId, item });
+
+  dispatchingSessions.add(sessionId);
+  handleChat({
+    content: item.content,
+    projectPath: item.projectPath,
+    sessionId,
+    isNewSession: false,
+    mode: item.mode,
+    model: item.model
+  }, ws, username).finally(() => dispatchingSessions.delete(sessionId));
+
+  return true;
+}
+
+/**
+ * Check whether a session is streaming or about to start its next queued message
+ */
+export function isSessionBusy(sessionId) {
+  return activeSessions.has(sessionId) || dispatchingSessions.has(sessionId);
+}
+
+/**
+ * Queue a follow-up message for a session
+ * Dispatches immediately if the session has already gone idle. The follow-up
+ * runs in the session's own project, whatever projectPath the client sends.
+ * @returns {Object} The queued item
+ * @throws {Error} 'Session not found' unless the user has run the session since the server started
+ */
+export function handleQueueMessage(msg, ws, username) {
+  const session = getSession(msg.sessionId);
+  if (!session || session.username !== username) {
+    throw new Error('Session not found');
+  }
+
+  const item = enqueue(msg.sessionId, username, {
+    content: msg.content,
+    mode: msg.mode,
+    model: msg.model,
+    projectPath: session.projectPath
+  });
+  publishQueue(username, msg.sessionId);
+
+  dispatchNextQueued(msg.sessionId, ws, username);
+  return item;
+}
+
+/**
+ * Edit or cancel a queued message
+ * @param {string} action - 'edit' or 'cancel'
+ * @returns {boolean} True if the item was found
+ */
+export function handleQueueChange(sessionId, itemId, action, content, username) {
+  if (!isQueueOwner(sessionId, username)) return false;
+
+  const changed = action === 'edit'
+    ? !!updateItem(sessionId, itemId, content)
+    : removeItem(sessionId, itemId);
+  if (changed) publishQueue(username, sessionId);
+  return changed;
+}
+
+/**
+ * Send a queued message now: interrupt the current turn (if any) and resume with it
+ * @returns {boolean} True if the item was found
+ */
+export async function handleQueueSendNow(sessionId, itemId, ws, username) {
+  if (!isQueueOwner(sessionId, username) || !moveToFront(sessionId, itemId)) return false;
+  publishQueue(username, sessionId);
+
+  const sessionInfo = activeSessions.get(sessionId);
+  if (!sessionInfo) {
+    dispatchNextQueued(sessionId, ws, username);
+    return true;
+  }
+
+  // Interrupted turns still reach handleChat's finally block, which dispatches the queue
+  console.log(`[Claude] Interrupting session ${sessionId} to inject queued message ${itemId}`);
+  sessionInfo.injecting = true;
+  if (typeof sessionInfo.queryInstance?.interrupt === 'function') {
+    await sessionInfo.queryInstance.interrupt();
+  }
+  return true;
+}
+
 /**
  * Abort an active session
+ * @param {string} username - Only the user who started the run can stop it
  */
-export async function handleAbort(sessionId) {
+export async function handleAbort(sessionId, username) {
   const sessionInfo = activeSessions.get(sessionId);
 
-  if (!sessionInfo) {
+  if (!sessionInfo || sessionInfo.username !== username) {
     console.log(`[Claude] Abort: session ${sessionId} not found`);
     return false;
   }
@@ -542,9 +1032,18 @@ export async function handleAbort(sessionId) {
   try {
     console.log(`[Claude] Aborting session: ${sessionId}`);
 
+    // Explicit stop leaves queued follow-ups waiting instead of dispatching them
+    sessionInfo.aborted = true;
+
     if (typeof sessionInfo.queryInstance.interrupt === 'function') {
       await sessionInfo.queryInstance.interrupt();
     }
+    recordAudit({
+      username: sessionInfo.username,
+      action: 'abort',
+      sessionId,
+      projectPath: getSession(sessionId)?.projectPath || null
+    });
 
     if (sessionInfo.activityTracker) {
       sessionInfo.activityTracker.finish();
@@ -591,20 +1090,20 @@ export function resubscribeSession(sessionId, newWs) {
 /**
  * Handle question response from frontend
  * Resolves the pending promise from the canUseTool callback
+ * @param {string} username - Only the user the question was asked of can answer it
  */
-export async function handleQuestionResponse(sessionId, toolUseId, answers) {
+export async function handleQuestionResponse(sessionId, toolUseId, answers, username) {
   console.log(`[Claude] Received question response for tool ${toolUseId}`);
   console.log(`[Claude] Answer payload:`, JSON.stringify(answers, null, 2));
 
   // Find and resolve the pending callback
   const callback = pendingQuestionCallbacks.get(toolUseId);
-  if (!callback) {
+  if (!callback || callback.username !== username) {
     console.log(`[Claude] No pending callback found for toolUseId: ${toolUseId}`);
     return false;
   }
 
-  // Remove from pending and resolve
-  pendingQuestionCallbacks.delete(toolUseId);
+  // Resolve (removes it from pending)
   callback.resolve(answers);
 
   return true;
@@ -613,22 +1112,47 @@ export async function handleQuestionResponse(sessionId, toolUseId, answers) {
 /**
  * Handle plan confirmation response from frontend
  * Resolves the pending promise from the canUseTool callback
+ * @param {string} username - Only the session's owner can confirm the plan
  */
-export async function handlePlanResponse(sessionId, toolUseId, approved, feedback) {
+export async function handlePlanResponse(sessionId, toolUseId, approved, feedback, username) {
   console.log(`[Claude] Received plan response for tool ${toolUseId}, approved: ${approved}`);
 
   const callback = pendingPlanConfirmations.get(toolUseId);
-  if (!callback) {
+  if (!callback || callback.username !== username) {
     console.log(`[Claude] No pending plan callback found for toolUseId: ${toolUseId}`);
     return false;
   }
 
-  pendingPlanConfirmations.delete(toolUseId);
   callback.resolve({ approved, feedback });
 
   return true;
 }
 
+/**
+ * Handle tool permission response from frontend
+ * decision is 'allow', 'allow-always' or 'deny' (with optional reason)
+ * Resolves the pending promise from the canUseTool callback
+ * @param {string} username - Only the session's owner can grant or deny the tool
+ */
+export async function handlePermissionResponse(sessionId, toolUseId, decision, reason, username) {
+  console.log(`[Claude] Received permission response for tool ${toolUseId}, decision: ${decision}`);
+
+  const pending = pendingPermissionRequests.get(toolUseId);
+  if (!pending || pending.username !== username) {
+    console.log(`[Claude] No pending permission request found for toolUseId: ${toolUseId}`);
+    return false;
+  }
+
+  if (!['allow', 'allow-always', 'deny'].includes(decision)) {
+    console.log(`[Claude] Invalid permission decision: ${decision}`);
+    return false;
+  }
+
+  pending.resolve({ decision, reason: reason || null });
+
+  return true;
+}
+
 /**
  * Send message to WebSocket (handles stringify + error checking)
  * Broadcasts to all session subscribers if sessionId is present
@@ -675,6 +1199,8 @@ function transformMessage(msg, model = null, sessionId = null, ws = null, userna
 
     // Extract text blocks
     if (Array.isArray(content)) {
+      auditToolCalls(content, sessionId, username);
+
       const texts = content
         .filter(c => c.type === 'text')
         .map(c => c.text)
@@ -685,7 +1211,8 @@ function transformMessage(msg, model = null, sessionId = null, ws = null, userna
           type: 'text',
           content: texts,
           timestamp,
-          messageId
+          messageId,
+          uuid: msg.uuid || null
         };
         // Add model if available
         if (model) {
@@ -758,6 +1285,11 @@ function transformMessage(msg, model = null, sessionId = null, ws = null, userna
         if (model) {
           result.model = model;
         }
+        // Edit/Write diff taken by the PreToolUse hook; sent as a tool-diff if it isn't ready yet
+        const diff = takeToolDiff(toolUse.id, toolUse.name);
+        if (diff) {
+          result.diff = diff;
+        }
         // Ensure summary is an object with backward-compatible string summary
         if (typeof result.summary === 'object' && result.summary.summary) {
           // Already has object format - good!
@@ -775,7 +1307,8 @@ function transformMessage(msg, model = null, sessionId = null, ws = null, userna
         type: 'text',
         content,
         timestamp,
-        messageId
+        messageId,
+        uuid: msg.uuid || null
       };
       // Add model if available
       if (model) {
@@ -878,6 +1411,79 @@ function sanitizeBashCommand(cmd) {
   return truncateOutput(sanitized, 200);
 }
 
+/**
+ * Record every tool call of an assistant message in the audit log
+ * AskUserQuestion and ExitPlanMode are prompts to the user, not actions.
+ */
+function auditToolCalls(content, sessionId, username) {
+  for (const block of content) {
+    if (block.type !== 'tool_use' || block.name === 'AskUserQuestion' || block.name === 'ExitPlanMode') continue;
+    recordAudit({
+      username,
+      action: 'tool-call',
+      sessionId,
+      projectPath: getSession(sessionId)?.projectPath || null,
+      tool: block.name,
+      detail: { toolUseId: block.id, input: sanitizeToolInput(block.name, block.input) }
+    });
+  }
+}
+
+/**
+ * Snapshot the files a tool call is about to change, from the PreToolUse hook
+ * These are the session's "before" versions for the change set. A failed
+ * snapshot is logged and never blocks the tool.
+ */
+function snapshotToolCall(sessionId, username, projectPath, tool, input) {
+  if (!sessionId || !projectPath) return;
+  try {
+    recordSnapshots({ sessionId, username, projectPath, tool, input });
+  } catch (err) {
+    console.error('[Claude] Failed to snapshot files:', err.message);
+  }
+}
+
+/**
+ * Diff an Edit/MultiEdit/Write call from the PreToolUse hook, before the tool runs
+ * The diff rides on the call's tool_use message, or follows it as a tool-diff
+ * message if that already went out. A failed diff is logged and never blocks the tool.
+ */
+async function captureToolDiff(sessionInfo, sessionId, toolUseId, tool, input, projectPath) {
+  if (!toolUseId || !EDIT_DIFF_TOOLS.has(tool)) return;
+  let diff;
+  try {
+    diff = await captureEditDiff(tool, input, projectPath || null);
+  } catch (err) {
+    console.error('[Claude] Failed to diff tool call:', err.message);
+    return;
+  }
+  if (!diff) return;
+
+  if (toolUsesAwaitingDiff.delete(toolUseId)) {
+    sendMessage(sessionInfo.ws, {
+      type: 'claude-message',
+      sessionId,
+      data: { type: 'tool-diff', id: toolUseId, diff }
+    }, sessionInfo.username);
+    return;
+  }
+  hookDiffs.set(toolUseId, diff);
+  if (hookDiffs.size > MAX_TRACKED_DIFFS) hookDiffs.delete(hookDiffs.keys().next().value);
+}
+
+// The hook's diff for a tool_use message, or null and the id marked as awaiting one
+function takeToolDiff(toolUseId, tool) {
+  if (!toolUseId || !EDIT_DIFF_TOOLS.has(tool)) return null;
+  const diff = hookDiffs.get(toolUseId);
+  if (diff) {
+    hookDiffs.delete(toolUseId);
+    return diff;
+  }
+  toolUsesAwaitingDiff.add(toolUseId);
+  if (toolUsesAwaitingDiff.size > MAX_TRACKED_DIFFS) toolUsesAwaitingDiff.delete(toolUsesAwaitingDiff.values().next().value);
+  return null;
+}
+
 /**
  * Sanitize tool input for client consumption
  */
@@ -900,13 +1506,27 @@ function sanitizeToolInput(tool, input) {
       return { pattern: input.pattern, path: input.path };
     case 'grep':
       return { pattern: input.pattern, path: input.path, glob: input.glob, type: input.type };
+    case 'multiedit':
+      return { file_path: input.file_path || input.path };
+    case 'notebookedit':
+      return { notebook_path: input.notebook_path };
     case 'task':
       return { description: input.description || input.prompt, subagent_type: input.subagent_type };
     default:
+      if (normalizedTool.startsWith('mcp__')) {
+        const [, server, ...name] = tool.split('__');
+        return { server, tool: name.join('__'), input: summarizeMcpInput(input) };
+      }
       return {};
   }
 }
 
+// MCP inputs have no fixed shape: keep a short JSON summary with secret-looking fields blanked
+function summarizeMcpInput(input) {
+  const json = JSON.stringify(input, (key, value) => (SECRET_FIELD_PATTERN.test(key) ? '[REDACTED]' : value));
+  return sanitizeBashCommand(json);
+}
+
 // Tool summary formatters (data-driven approach)
 // Returns object with summary string and full command details
 const toolFormatters = {
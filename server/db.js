@@ -0,0 +1,34 @@
+import Database from 'better-sqlite3';
+import path from 'path';
+import os from 'os';
+import fs from 'fs';
+
+// Databases live in ~/.cleon-ui/ (CLEON_DATA_DIR overrides, e.g. for tests)
+// Migrate from old directory if it exists
+const oldDataDir = path.join(os.homedir(), '.claude-lite');
+export const DATA_DIR = process.env.CLEON_DATA_DIR || path.join(os.homedir(), '.cleon-ui');
+
+if (!fs.existsSync(DATA_DIR) && !process.env.CLEON_DATA_DIR && fs.existsSync(oldDataDir)) {
+  console.log('[DB] Migrating from .claude-lite to .cleon-ui...');
+  fs.renameSync(oldDataDir, DATA_DIR);
+  console.log('[DB] Migration complete');
+} else if (!fs.existsSync(DATA_DIR)) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+// One connection per database file, shared across modules
+const connections = new Map();
+
+/**
+ * Open (or reuse) a SQLite database in the data directory
+ * @param {string} filename - Database file name, e.g. 'auth.db'
+ * @returns {Database.Database}
+ */
+export function openDatabase(filename) {
+  let db = connections.get(filename);
+  if (!db) {
+    db = new Database(path.join(DATA_DIR, filename));
+    connections.set(filename, db);
+  }
+  return db;
+}
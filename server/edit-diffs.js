@@ -0,0 +1,244 @@
+/**
+ * Line diffs of the agent's file edits
+ * Edit/MultiEdit/Write tool calls are diffed from the PreToolUse hook, before
+ * the tool runs, with the file on disk as the "before" side. Only files inside
+ * the session's project are read.
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export const EDIT_DIFF_TOOLS = new Set(['Edit', 'MultiEdit', 'Write']);
+
+const CONTEXT_LINES = 3;
+const MAX_FILE_BYTES = 512 * 1024;
+const MAX_DIFF_LINES = 400;
+const MAX_LINE_LENGTH = 1000;
+// Above this many cells the changed region is shown as a plain replace
+const MAX_LCS_CELLS = 1_000_000;
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Diff two texts line by line
+ * @returns {Array<[string, string]>} [op, line] pairs, op being ' ', '-' or '+'
+ */
+export function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Only the region between the common prefix and suffix needs the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(line => [' ', line]);
+  const n = endA - start;
+  const m = endB - start;
+
+  if (n * m > MAX_LCS_CELLS) {
+    for (let i = start; i < endA; i++) ops.push(['-', a[i]]);
+    for (let j = start; j < endB; j++) ops.push(['+', b[j]]);
+  } else {
+    // lcs[i * (m + 1) + j] = LCS length of a[start + i..endA) and b[start + j..endB)
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = a[start + i] === b[start + j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        ops.push([' ', a[start + i]]);
+        i++;
+        j++;
+      } else if (i < n && (j === m || lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])) {
+        ops.push(['-', a[start + i]]);
+        i++;
+      } else {
+        ops.push(['+', b[start + j]]);
+        j++;
+      }
+    }
+  }
+
+  for (let i = endA; i < a.length; i++) ops.push([' ', a[i]]);
+  return ops;
+}
+
+/**
+ * Group diff ops into hunks with surrounding context lines
+ * @param {Array<[string, string]>} ops - From diffLines
+ * @param {number} context - Unchanged lines kept around each change
+ * @returns {Array<{oldStart, oldLines, newStart, newLines, lines}>} lines are
+ *   { type: 'context'|'remove'|'add', text, oldLine, newLine }
+ */
+export function buildHunks(ops, context = CONTEXT_LINES) {
+  const types = { ' ': 'context', '-': 'remove', '+': 'add' };
+  let oldLine = 1;
+  let newLine = 1;
+  const lines = ops.map(([op, text]) => ({
+    type: types[op],
+    text: text.length > MAX_LINE_LENGTH ? text.slice(0, MAX_LINE_LENGTH) + '…' : text,
+    oldLine: op === '+' ? null : oldLine++,
+    newLine: op === '-' ? null : newLine++
+  }));
+
+  const hunks = [];
+  let hunk = null;
+  let hunkEnd = -1;
+  lines.forEach((line, index) => {
+    if (line.type === 'context') return;
+    const from = Math.max(0, index - context);
+    if (!hunk || from > hunkEnd + 1) {
+      hunk = { from };
+      hunks.push(hunk);
+    }
+    hunkEnd = Math.min(lines.length - 1, index + context);
+    hunk.to = hunkEnd;
+  });
+
+  return hunks.map(({ from, to }) => {
+    const hunkLines = lines.slice(from, to + 1);
+    const first = lines[from];
+    return {
+      oldStart: first.oldLine ?? (first.newLine - countBefore(lines, from, 'add')),
+      oldLines: hunkLines.filter(l => l.type !== 'add').length,
+      newStart: first.newLine ?? (first.oldLine - countBefore(lines, from, 'remove')),
+      newLines: hunkLines.filter(l => l.type !== 'remove').length,
+      lines: hunkLines
+    };
+  });
+}
+
+// Net line offset between the sides up to index, for hunks that open on a one-sided line
+function countBefore(lines, index, type) {
+  let count = 0;
+  for (let i = 0; i < index; i++) {
+    if (lines[i].type === type) count++;
+    else if (lines[i].type !== 'context') count--;
+  }
+  return count;
+}
+
+// Cap the total number of lines sent to the client
+function capHunks(hunks) {
+  const capped = [];
+  let remaining = MAX_DIFF_LINES;
+  for (const hunk of hunks) {
+    if (remaining <= 0) break;
+    capped.push(hunk.lines.length > remaining ? { ...hunk, lines: hunk.lines.slice(0, remaining) } : hunk);
+    remaining -= hunk.lines.length;
+  }
+  return { hunks: capped, truncated: remaining < 0 || capped.length < hunks.length };
+}
+
+function summarize(filePath, hunks, lineNumbers, extra = {}) {
+  const all = hunks.flatMap(h => h.lines);
+  return {
+    filePath,
+    lineNumbers,
+    added: all.filter(l => l.type === 'add').length,
+    removed: all.filter(l => l.type === 'remove').length,
+    ...extra,
+    ...capHunks(hunks)
+  };
+}
+
+/**
+ * Diff two versions of a file
+ * @returns {Object} { filePath, lineNumbers: true, added, removed, hunks, truncated }
+ */
+export function textDiff(filePath, before, after, extra = {}) {
+  return summarize(filePath, buildHunks(diffLines(before, after)), true, extra);
+}
+
+function isInside(root, filePath) {
+  const relative = path.relative(root, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// The file's text; null if it doesn't exist, undefined if it can't be diffed
+// or is outside root (symlinks included)
+async function readSmallFile(filePath, root) {
+  try {
+    if (!isInside(await fs.realpath(root), await fs.realpath(filePath))) return undefined;
+    const stat = await fs.stat(filePath);
+    if (!stat.isFile() || stat.size > MAX_FILE_BYTES) return undefined;
+    return await fs.readFile(filePath, 'utf8');
+  } catch (err) {
+    return err.code === 'ENOENT' ? null : undefined;
+  }
+}
+
+// Apply Edit/MultiEdit edits the way the tools do; null if an old_string isn't found
+function applyEdits(content, edits) {
+  for (const edit of edits) {
+    const oldString = String(edit.old_string ?? '');
+    const newString = String(edit.new_string ?? '');
+    if (!oldString || !content.includes(oldString)) return null;
+    content = edit.replace_all
+      ? content.split(oldString).join(newString)
+      : content.replace(oldString, () => newString);
+  }
+  return content;
+}
+
+function editsOf(tool, input) {
+  return tool === 'MultiEdit' ? (Array.isArray(input.edits) ? input.edits : []) : [input];
+}
+
+/**
+ * Diff of an Edit/MultiEdit call from its old_string/new_string alone
+ * Line numbers are relative to the snippets, not the file.
+ * @returns {Object|null} null for other tools
+ */
+export function snippetEditDiff(tool, input) {
+  if ((tool !== 'Edit' && tool !== 'MultiEdit') || !input) return null;
+  const filePath = input.file_path || input.path;
+  if (!filePath) return null;
+  const hunks = editsOf(tool, input).flatMap(edit =>
+    buildHunks(diffLines(String(edit.old_string ?? ''), String(edit.new_string ?? '')), Infinity));
+  return summarize(filePath, hunks, false);
+}
+
+/**
+ * Diff an Edit/MultiEdit/Write call against the file as it is now on disk
+ * Call it before the tool runs. Falls back to the edit strings when the file
+ * is outside cwd, can't be read or doesn't match them.
+ * @param {string} tool - Tool name
+ * @param {Object} input - The tool's (unsanitized) input
+ * @param {string|null} cwd - The project: relative file paths are resolved
+ *   against it and files outside it are never read
+ * @returns {Promise<Object|null>} { filePath, lineNumbers, added, removed, hunks, truncated, created? }
+ */
+export async function captureEditDiff(tool, input, cwd = null) {
+  if (!EDIT_DIFF_TOOLS.has(tool) || !input) return null;
+  const filePath = input.file_path || input.path;
+  if (!filePath) return null;
+
+  const absolutePath = cwd ? path.resolve(cwd, filePath) : null;
+  const before = absolutePath && isInside(cwd, absolutePath) ? await readSmallFile(absolutePath, cwd) : undefined;
+
+  if (tool === 'Write') {
+    if (before === undefined) return null;
+    return textDiff(filePath, before ?? '', String(input.content ?? ''), { created: before === null });
+  }
+
+  const after = typeof before === 'string' ? applyEdits(before, editsOf(tool, input)) : null;
+  if (after === null) return snippetEditDiff(tool, input);
+  return textDiff(filePath, before, after);
+}
@@ -0,0 +1,220 @@
+/**
+ * Per-project file watchers
+ * While a user has a project's file tree or editor open, changes under the
+ * project (usually the agent's Write/Edit calls) are batched and published to
+ * them as file-changed events. Clients hold a lease on the watcher and renew
+ * it; the watcher closes once every lease has lapsed.
+ *
+ * Each directory gets its own non-recursive fs.watch, so ignored directories
+ * (node_modules, .git, build output, ...) are never watched; a recursive
+ * watch would still walk into them and can run out of inotify watches on
+ * Linux. Only the first MAX_WATCHED_DIRS directories are watched.
+ */
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+import { publish } from './bus.js';
+
+export const WATCH_LEASE_MS = 2 * 60 * 1000;
+const DEBOUNCE_MS = 300;
+const MAX_CHANGED_PATHS = 100;
+const MAX_WATCHED_DIRS = 2000;
+
+// projectName -> { root, dirs: Map<relativeDir, FSWatcher>, ignore: RegExp[], leases: Map<username, timeout>,
+//                  pending: Set<path>, timer, capped }
+const watches = new Map();
+
+/**
+ * Compile a glob ignore pattern (as passed to glob's ignore option) to a RegExp
+ * Supports the forms the file routes use: "**\/dir/**", "**\/name" and "*" wildcards.
+ */
+export function ignorePatternToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern.startsWith('**/', i)) {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (pattern.startsWith('/**', i) && i + 3 === pattern.length) {
+      source += '(?:/.*)?';
+      i += 2;
+    } else if (pattern[i] === '*') {
+      source += '[^/]*';
+    } else {
+      source += pattern[i].replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function flush(projectName) {
+  const watch = watches.get(projectName);
+  if (!watch) return;
+  watch.timer = null;
+  const paths = [...watch.pending].sort();
+  watch.pending.clear();
+  if (paths.length === 0) return;
+
+  const event = {
+    type: 'file-changed',
+    project: projectName,
+    paths: paths.slice(0, MAX_CHANGED_PATHS),
+    truncated: paths.length > MAX_CHANGED_PATHS
+  };
+  for (const username of watch.leases.keys()) publish(username, event);
+}
+
+const isIgnored = (watch, relativePath) => watch.ignore.some(re => re.test(relativePath));
+
+const childPath = (relativeDir, name) => (relativeDir ? `${relativeDir}/${name}` : name);
+
+/**
+ * Watch a directory and its subdirectories, skipping ignored ones
+ * @throws {Error} if the directory itself can't be watched
+ */
+function watchDir(projectName, watch, relativeDir) {
+  if (watch.dirs.has(relativeDir) || (relativeDir && isIgnored(watch, relativeDir))) return;
+  if (watch.dirs.size >= MAX_WATCHED_DIRS) {
+    if (!watch.capped) {
+      watch.capped = true;
+      logger.warn('File watcher directory limit reached, deeper changes are not reported', { project: projectName, max: MAX_WATCHED_DIRS });
+    }
+    return;
+  }
+
+  const absoluteDir = path.join(watch.root, relativeDir);
+  const watcher = fs.watch(absoluteDir, (eventType, filename) => {
+    if (filename) recordChange(projectName, watch, childPath(relativeDir, filename.toString()), eventType);
+  });
+  watcher.on('error', (err) => {
+    if (!relativeDir) {
+      logger.warn('File watcher failed, closing it until the next lease renewal', { project: projectName, error: err.message });
+      closeWatch(projectName);
+      return;
+    }
+    logger.warn('File watcher error', { project: projectName, dir: relativeDir, error: err.message });
+    unwatchDir(watch, relativeDir);
+  });
+  watcher.unref();
+  watch.dirs.set(relativeDir, watcher);
+
+  let entries = [];
+  try {
+    entries = fs.readdirSync(absoluteDir, { withFileTypes: true });
+  } catch { /* removed while we were watching it */ }
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    try {
+      watchDir(projectName, watch, childPath(relativeDir, entry.name));
+    } catch (err) {
+      if (err.code !== 'ENOENT') logger.warn('Cannot watch directory', { project: projectName, dir: childPath(relativeDir, entry.name), error: err.message });
+    }
+  }
+}
+
+// Close the watchers of a directory and everything under it
+function unwatchDir(watch, relativeDir) {
+  for (const [dir, watcher] of watch.dirs) {
+    if (dir === relativeDir || dir.startsWith(`${relativeDir}/`)) {
+      watcher.close();
+      watch.dirs.delete(dir);
+    }
+  }
+}
+
+function recordChange(projectName, watch, relativePath, eventType) {
+  if (isIgnored(watch, relativePath)) return;
+
+  // Directories created or removed since the watch started gain or lose their watchers
+  if (eventType === 'rename') {
+    let isDirectory = false;
+    try {
+      isDirectory = fs.statSync(path.join(watch.root, relativePath)).isDirectory();
+    } catch { /* removed */ }
+    if (isDirectory) {
+      try {
+        watchDir(projectName, watch, relativePath);
+      } catch { /* removed again already */ }
+    } else if (watch.dirs.has(relativePath)) {
+      unwatchDir(watch, relativePath);
+    }
+  }
+
+  watch.pending.add(relativePath);
+  if (!watch.timer) watch.timer = setTimeout(() => flush(projectName), DEBOUNCE_MS);
+}
+
+function startWatcher(projectName, projectPath, ignore) {
+  const watch = {
+    root: projectPath,
+    dirs: new Map(),
+    ignore: ignore.map(ignorePatternToRegExp),
+    leases: new Map(),
+    pending: new Set(),
+    timer: null,
+    capped: false
+  };
+
+  try {
+    watchDir(projectName, watch, '');
+  } catch (err) {
+    for (const watcher of watch.dirs.values()) watcher.close();
+    throw err;
+  }
+
+  watches.set(projectName, watch);
+  logger.info('File watcher started', { project: projectName, dirs: watch.dirs.size });
+  return watch;
+}
+
+function closeWatch(projectName) {
+  const watch = watches.get(projectName);
+  if (!watch) return;
+  watches.delete(projectName);
+  for (const watcher of watch.dirs.values()) watcher.close();
+  clearTimeout(watch.timer);
+  for (const lease of watch.leases.values()) clearTimeout(lease);
+  logger.info('File watcher stopped', { project: projectName });
+}
+
+/**
+ * Start or renew a user's lease on a project's watcher
+ * @param {string} username - Who gets the file-changed events
+ * @param {string} projectName - Project directory name (as in /api/files/:project)
+ * @param {string} projectPath - The project's path on disk
+ * @param {string[]} ignore - Glob patterns of paths not to report
+ * @throws {Error} if the project can't be watched (e.g. it doesn't exist)
+ */
+export function watchProject(username, projectName, projectPath, ignore = []) {
+  const watch = watches.get(projectName) || startWatcher(projectName, projectPath, ignore);
+
+  clearTimeout(watch.leases.get(username));
+  const lease = setTimeout(() => unwatchProject(username, projectName), WATCH_LEASE_MS);
+  lease.unref();
+  watch.leases.set(username, lease);
+}
+
+/**
+ * Give up a user's lease; the watcher closes with the last one
+ */
+export function unwatchProject(username, projectName) {
+  const watch = watches.get(projectName);
+  if (!watch) return;
+  clearTimeout(watch.leases.get(username));
+  watch.leases.delete(username);
+  if (watch.leases.size === 0) closeWatch(projectName);
+}
+
+/**
+ * Directories watched for a project
+ * @returns {string[]} Project-relative paths, '' being the project itself
+ */
+export function getWatchedDirs(projectName) {
+  return [...(watches.get(projectName)?.dirs.keys() || [])].sort();
+}
+
+/**
+ * Close every watcher (for shutdown)
+ */
+export function stopAllWatchers() {
+  for (const projectName of [...watches.keys()]) closeWatch(projectName);
+}
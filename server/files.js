@@ -2,8 +2,13 @@ import express from 'express';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
+import { createHash } from 'crypto';
 import { glob } from 'glob';
 import logger from './logger.js';
+import { requireScope } from './scopes.js';
+import { canAccessProject } from './access.js';
+import { recordAudit } from './audit.js';
+import { watchProject, unwatchProject, WATCH_LEASE_MS } from './file-watcher.js';
 
 const router = express.Router();
 
@@ -12,6 +17,43 @@ const CLAUDE_PROJECTS = path.join(os.homedir(), '.claude', 'projects');
 
 const MAX_TREE_FILES = 500; // Back to reasonable limit - will use lazy loading instead
 
+// Paths the file tree and file watcher leave out
+const TREE_IGNORE = [
+  '**/node_modules/**',
+  '**/.git/**',
+  '**/.DS_Store',
+  '**/dist/**',
+  '**/build/**',
+  '**/.next/**',
+  '**/coverage/**',
+  '**/__pycache__/**',
+  '**/.pytest_cache/**',
+  '**/vendor/**',
+  '**/.venv/**',
+  '**/venv/**',
+  '**/*.min.js',
+  '**/*.min.css',
+  '**/.env.local',
+  '**/.env.*.local',
+  // System directories to skip
+  '**/Library/**',
+  '**/Applications/**',
+  '**/Desktop/**',
+  '**/Documents/**',
+  '**/Downloads/**',
+  '**/Movies/**',
+  '**/Music/**',
+  '**/Pictures/**',
+  '**/.Trash/**',
+  '**/.localized/**',
+  '**/System/**',
+  '**/bin/**',
+  '**/etc/**',
+  '**/usr/**',
+  '**/tmp/**',
+  '**/var/**'
+];
+
 /**
  * Extract actual project path from session files (cwd field)
  * Falls back to decoding the directory name
@@ -46,6 +88,21 @@ async function extractProjectPath(projectDir, projectName) {
   }
 }
 
+/**
+ * Middleware: Require project access for /:project routes
+ * @param {string} access - 'read' or 'write'
+ */
+function requireProjectAccess(access) {
+  return async (req, res, next) => {
+    const { project } = req.params;
+    const actualPath = await extractProjectPath(path.join(CLAUDE_PROJECTS, project), project).catch(() => null);
+    if (!canAccessProject(req.user?.username, actualPath, access)) {
+      return res.status(403).json({ error: 'No access to this project' });
+    }
+    next();
+  };
+}
+
 /**
  * Decode project name from hash format
  */
@@ -101,8 +158,22 @@ async function validateFilePath(actualProjectPath, userPath) {
     throw new Error('Path traversal attempt detected');
   }
 
-  // Resolve symlinks (async to avoid blocking)
-  const realPath = await fs.realpath(resolvedPath);
+  // Resolve symlinks (async to avoid blocking); a file that doesn't exist
+  // yet is checked through its nearest existing parent. A dangling symlink
+  // also fails realpath, but writing to it would create its target wherever
+  // that is, so it is refused.
+  let realPath;
+  try {
+    realPath = await fs.realpath(resolvedPath);
+  } catch (err) {
+    if (err.code !== 'ENOENT' || resolvedPath === resolvedProject) throw err;
+    const isLink = await fs.lstat(resolvedPath).then(stats => stats.isSymbolicLink(), () => false);
+    if (isLink) {
+      throw new Error('Access denied: dangling symlink');
+    }
+    const realParent = await validateFilePath(actualProjectPath, path.dirname(relativePath));
+    realPath = path.join(realParent, path.basename(resolvedPath));
+  }
   const realProject = await fs.realpath(resolvedProject);
 
   if (!realPath.startsWith(realProject)) {
@@ -112,6 +183,29 @@ async function validateFilePath(actualProjectPath, userPath) {
   return realPath;
 }
 
+/**
+ * Security: Validate a path whose entry is itself renamed, moved or deleted
+ * The parent directory goes through validateFilePath; the entry is not
+ * resolved, so a symlink is renamed or removed rather than its target.
+ */
+async function validateEntryPath(actualProjectPath, userPath) {
+  const relativePath = path.relative(path.resolve(actualProjectPath), path.resolve(actualProjectPath, userPath));
+  if (!relativePath) {
+    throw new Error('Cannot change the project root');
+  }
+  const realParent = await validateFilePath(actualProjectPath, path.dirname(relativePath));
+  return path.join(realParent, path.basename(relativePath));
+}
+
+/**
+ * Strong ETag for a file's content
+ * Content-based rather than mtime-based so a save that rewrites the same
+ * bytes doesn't count as a conflict.
+ */
+function contentETag(content) {
+  return `"${createHash('sha256').update(content).digest('hex').slice(0, 32)}"`;
+}
+
 /**
  * Check if a file is editable based on extension
  */
@@ -251,7 +345,7 @@ function sortTreeEntries(entries) {
 /**
  * Get file tree structure for a project
  */
-router.get('/:project/tree', async (req, res) => {
+router.get('/:project/tree', requireScope('read'), requireProjectAccess('read'), async (req, res) => {
   const { project } = req.params;
 
   try {
@@ -272,41 +366,7 @@ router.get('/:project/tree', async (req, res) => {
       absolute: false,
       nodir: false,
       dot: true, // Include hidden files
-      ignore: [
-        '**/node_modules/**',
-        '**/.git/**',
-        '**/.DS_Store',
-        '**/dist/**',
-        '**/build/**',
-        '**/.next/**',
-        '**/coverage/**',
-        '**/__pycache__/**',
-        '**/.pytest_cache/**',
-        '**/vendor/**',
-        '**/.venv/**',
-        '**/venv/**',
-        '**/*.min.js',
-        '**/*.min.css',
-        '**/.env.local',
-        '**/.env.*.local',
-        // System directories to skip
-        '**/Library/**',
-        '**/Applications/**',
-        '**/Desktop/**',
-        '**/Documents/**',
-        '**/Downloads/**',
-        '**/Movies/**',
-        '**/Music/**',
-        '**/Pictures/**',
-        '**/.Trash/**',
-        '**/.localized/**',
-        '**/System/**',
-        '**/bin/**',
-        '**/etc/**',
-        '**/usr/**',
-        '**/tmp/**',
-        '**/var/**'
-      ]
+      ignore: TREE_IGNORE
     });
 
     // Limit file count
@@ -325,10 +385,44 @@ router.get('/:project/tree', async (req, res) => {
   }
 });
 
+/**
+ * Watch a project for file changes
+ * Starts or renews the caller's lease; changes are published as file-changed
+ * events ({ project, paths, truncated }) until the lease lapses.
+ * Mounted as /watch/:project so it can't shadow a file named "watch";
+ * project directory names start with '-', so no project is called "watch".
+ */
+router.post('/watch/:project', requireScope('read'), requireProjectAccess('read'), async (req, res) => {
+  const { project } = req.params;
+
+  try {
+    const actualPath = await extractProjectPath(path.join(CLAUDE_PROJECTS, project), project);
+    try {
+      await fs.access(actualPath);
+    } catch {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    watchProject(req.user.username, project, actualPath, TREE_IGNORE);
+    res.json({ watching: true, leaseMs: WATCH_LEASE_MS });
+  } catch (err) {
+    logger.error('Error watching project', { error: err.message, project });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Stop watching a project
+ */
+router.delete('/watch/:project', requireScope('read'), (req, res) => {
+  unwatchProject(req.user.username, req.params.project);
+  res.json({ watching: false });
+});
+
 /**
  * List directory contents (for lazy loading)
  */
-router.get('/:project/ls', async (req, res) => {
+router.get('/:project/ls', requireScope('read'), requireProjectAccess('read'), async (req, res) => {
   const { project } = req.params;
   const dirPath = req.query.path || '';
 
@@ -431,7 +525,7 @@ router.get('/:project/ls', async (req, res) => {
 /**
  * Get file content
  */
-router.get('/:project/*', async (req, res) => {
+router.get('/:project/*', requireScope('read'), requireProjectAccess('read'), async (req, res) => {
   const { project } = req.params;
   // Handle wildcard - req.params[0] contains everything after :project/
   const relativePath = req.params[0];
@@ -489,13 +583,16 @@ router.get('/:project/*', async (req, res) => {
 
     logger.info('File read', { project, path: relativePath, size: stats.size, editable });
 
+    const etag = contentETag(content);
+    res.set('ETag', etag);
     res.json({
       path: relativePath,
       content,
       size: stats.size,
       modified: stats.mtime,
       editable,
-      language
+      language,
+      etag
     });
   } catch (err) {
     if (err.message.includes('Path traversal') || err.message.includes('symlink')) {
@@ -514,8 +611,11 @@ router.get('/:project/*', async (req, res) => {
 
 /**
  * Save file content
+ * Overwriting an existing file requires If-Match with the ETag from the GET
+ * (or *). If the file has changed since, responds 409 with the current
+ * content and ETag so the editor can merge.
  */
-router.put('/:project/*', async (req, res) => {
+router.put('/:project/*', requireScope('files:write'), requireProjectAccess('write'), async (req, res) => {
   const { project } = req.params;
   const relativePath = req.params[0];
   const { content } = req.body;
@@ -549,13 +649,28 @@ router.put('/:project/*', async (req, res) => {
     }
 
     // Check if file exists (for update vs create)
-    let exists = false;
+    let current = null;
     try {
-      await fs.access(safePath);
-      exists = true;
-    } catch {
+      current = await fs.readFile(safePath, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
       // File doesn't exist, we'll create it
     }
+    const exists = current !== null;
+
+    const ifMatch = req.get('If-Match');
+    if (exists && !ifMatch) {
+      return res.status(428).json({ error: 'If-Match header is required to overwrite a file' });
+    }
+    const matches = exists && (ifMatch === '*' || ifMatch?.split(',').map(tag => tag.trim()).includes(contentETag(current)));
+    if (ifMatch && !matches) {
+      logger.info('File save conflict', { project, path: relativePath, deleted: !exists });
+      return res.status(409).json({
+        error: exists ? 'File has changed since it was opened' : 'File has been deleted since it was opened',
+        content: current,
+        etag: exists ? contentETag(current) : null
+      });
+    }
 
     // Create parent directories if needed
     const parentDir = path.dirname(safePath);
@@ -565,11 +680,21 @@ router.put('/:project/*', async (req, res) => {
     await fs.writeFile(safePath, content, 'utf8');
 
     logger.info('File saved', { project, path: relativePath, size: content.length, created: !exists });
+    recordAudit({
+      username: req.user.username,
+      action: 'file-write',
+      projectPath: actualPath,
+      outcome: exists ? 'updated' : 'created',
+      detail: { path: relativePath, size: content.length }
+    });
 
+    const etag = contentETag(content);
+    res.set('ETag', etag);
     res.json({
       message: exists ? 'File saved' : 'File created',
       path: relativePath,
-      size: content.length
+      size: content.length,
+      etag
     });
   } catch (err) {
     if (err.message.includes('Path traversal') || err.message.includes('symlink')) {
@@ -586,4 +711,142 @@ router.put('/:project/*', async (req, res) => {
   }
 });
 
+// Respond to a failed create, rename or delete
+function sendFileOpError(res, err, operation, project, relativePath) {
+  if (err.message.includes('Path traversal') || err.message.includes('symlink')) {
+    logger.warn(`Security: Invalid file ${operation} attempt`, { project, path: relativePath, error: err.message });
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  if (err.message.includes('project root')) return res.status(400).json({ error: err.message });
+  if (err.code === 'EEXIST') return res.status(409).json({ error: 'A file or folder with that name already exists' });
+  if (err.code === 'ENOENT') return res.status(404).json({ error: 'File not found' });
+  if (err.code === 'EINVAL') return res.status(400).json({ error: 'Cannot move a folder into itself' });
+
+  logger.error(`Error during file ${operation}`, { error: err.message, project, path: relativePath });
+  res.status(500).json({ error: err.message });
+}
+
+/**
+ * Create an empty file or a folder (body: { type: 'file' | 'directory' })
+ * Missing parent folders are created; 409 if the path is taken.
+ */
+router.post('/:project/*', requireScope('files:write'), requireProjectAccess('write'), async (req, res) => {
+  const { project } = req.params;
+  const relativePath = req.params[0];
+  const type = req.body?.type || 'file';
+
+  if (!relativePath) {
+    return res.status(400).json({ error: 'File path is required' });
+  }
+  if (type !== 'file' && type !== 'directory') {
+    return res.status(400).json({ error: "type must be 'file' or 'directory'" });
+  }
+
+  try {
+    const actualPath = await extractProjectPath(path.join(CLAUDE_PROJECTS, project), project);
+    const safePath = await validateEntryPath(actualPath, relativePath);
+
+    await fs.mkdir(path.dirname(safePath), { recursive: true });
+    if (type === 'directory') {
+      await fs.mkdir(safePath);
+    } else {
+      await fs.writeFile(safePath, '', { flag: 'wx' });
+    }
+
+    logger.info('File created', { project, path: relativePath, type });
+    recordAudit({
+      username: req.user.username,
+      action: 'file-create',
+      projectPath: actualPath,
+      outcome: type,
+      detail: { path: relativePath }
+    });
+
+    res.status(201).json({ path: relativePath, type });
+  } catch (err) {
+    sendFileOpError(res, err, 'create', project, relativePath);
+  }
+});
+
+/**
+ * Rename or move a file or folder (body: { to: new path within the project })
+ */
+router.patch('/:project/*', requireScope('files:write'), requireProjectAccess('write'), async (req, res) => {
+  const { project } = req.params;
+  const relativePath = req.params[0];
+  const to = req.body?.to;
+
+  if (!relativePath) {
+    return res.status(400).json({ error: 'File path is required' });
+  }
+  if (typeof to !== 'string' || !to.trim()) {
+    return res.status(400).json({ error: 'New path is required' });
+  }
+
+  try {
+    const actualPath = await extractProjectPath(path.join(CLAUDE_PROJECTS, project), project);
+    const fromPath = await validateEntryPath(actualPath, relativePath);
+    const toPath = await validateEntryPath(actualPath, to);
+
+    const stats = await fs.lstat(fromPath);
+    try {
+      await fs.lstat(toPath);
+      return res.status(409).json({ error: 'A file or folder with that name already exists' });
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    await fs.mkdir(path.dirname(toPath), { recursive: true });
+    await fs.rename(fromPath, toPath);
+
+    const type = stats.isDirectory() ? 'directory' : 'file';
+    logger.info('File renamed', { project, from: relativePath, to, type });
+    recordAudit({
+      username: req.user.username,
+      action: 'file-rename',
+      projectPath: actualPath,
+      outcome: type,
+      detail: { from: relativePath, to }
+    });
+
+    res.json({ from: relativePath, path: to, type });
+  } catch (err) {
+    sendFileOpError(res, err, 'rename', project, relativePath);
+  }
+});
+
+/**
+ * Delete a file, or a folder with everything in it
+ */
+router.delete('/:project/*', requireScope('files:write'), requireProjectAccess('write'), async (req, res) => {
+  const { project } = req.params;
+  const relativePath = req.params[0];
+
+  if (!relativePath) {
+    return res.status(400).json({ error: 'File path is required' });
+  }
+
+  try {
+    const actualPath = await extractProjectPath(path.join(CLAUDE_PROJECTS, project), project);
+    const safePath = await validateEntryPath(actualPath, relativePath);
+
+    const stats = await fs.lstat(safePath);
+    const type = stats.isDirectory() ? 'directory' : 'file';
+    await fs.rm(safePath, { recursive: type === 'directory' });
+
+    logger.info('File deleted', { project, path: relativePath, type });
+    recordAudit({
+      username: req.user.username,
+      action: 'file-delete',
+      projectPath: actualPath,
+      outcome: type,
+      detail: { path: relativePath }
+    });
+
+    res.json({ path: relativePath, type });
+  } catch (err) {
+    sendFileOpError(res, err, 'delete', project, relativePath);
+  }
+});
+
 export { router as fileRoutes };
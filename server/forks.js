@@ -0,0 +1,188 @@
+/**
+ * Session forking - branch a conversation from any message
+ * A fork is a new JSONL transcript holding the parent's entries up to the
+ * chosen message, so the SDK resumes it like any other session.
+ * Parent/child lineage is recorded in sessions.db.
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { openDatabase } from './db.js';
+
+const CLAUDE_PROJECTS = path.join(os.homedir(), '.claude', 'projects');
+
+let db = null;
+
+function getDb() {
+  if (db) return db;
+  db = openDatabase('sessions.db');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS session_forks (
+      session_id TEXT PRIMARY KEY,
+      parent_session_id TEXT NOT NULL,
+      fork_message_uuid TEXT NOT NULL,
+      project_name TEXT NOT NULL,
+      username TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_session_forks_project ON session_forks(project_name);
+  `);
+  return db;
+}
+
+// Tool use IDs an assistant entry is waiting on
+function toolUseIds(entry) {
+  const content = entry.message?.content;
+  if (entry.type !== 'assistant' || !Array.isArray(content)) return [];
+  return content.filter(c => c.type === 'tool_use').map(c => c.id);
+}
+
+// True if a user entry only carries results for the given tool use IDs
+function isToolResultFor(entry, pendingIds) {
+  const content = entry.message?.content;
+  if (entry.type !== 'user' || !Array.isArray(content) || content.length === 0) return false;
+  return content.every(c => c.type === 'tool_result' && pendingIds.has(c.tool_use_id));
+}
+
+/**
+ * Find where a fork taken at an entry must end
+ * The cut is extended past the entry's sibling content blocks (same API
+ * message ID) and the results of its tool calls, so the fork never ends on a
+ * tool_use the API would reject on resume.
+ * @param {Array} entries - Parsed transcript entries (null for malformed lines)
+ * @param {number} index - Index of the chosen entry
+ * @returns {number} Index of the last entry to keep
+ */
+export function findForkEnd(entries, index) {
+  const target = entries[index];
+  const messageId = target.type === 'assistant' ? target.message?.id : null;
+  const pending = new Set(toolUseIds(target));
+
+  let end = index;
+  for (let i = index + 1; i < entries.length; i++) {
+    const entry = entries[i];
+    if (!entry) break;
+
+    if (messageId && entry.type === 'assistant' && entry.message?.id === messageId) {
+      toolUseIds(entry).forEach(id => pending.add(id));
+    } else if (pending.size > 0 && isToolResultFor(entry, pending)) {
+      entry.message.content.forEach(c => pending.delete(c.tool_use_id));
+    } else {
+      break;
+    }
+    end = i;
+  }
+  return end;
+}
+
+/**
+ * Fork a session at a message
+ * @param {string} projectName - Encoded project directory name
+ * @param {string} sessionId - Session to fork
+ * @param {string} messageUuid - Transcript entry UUID to fork from (inclusive)
+ * @param {string} username - User creating the fork
+ * @returns {Promise<Object|null>} { sessionId, parentSessionId, forkMessageUuid, entryCount },
+ *   or null if the session or message does not exist
+ * @throws {Error} if the arguments are invalid
+ */
+export async function forkSession(projectName, sessionId, messageUuid, username) {
+  for (const value of [projectName, sessionId]) {
+    if (!value || value !== path.basename(value) || value.startsWith('.')) {
+      throw new Error('Invalid project or session');
+    }
+  }
+  if (!messageUuid) {
+    throw new Error('messageUuid is required');
+  }
+
+  const projectDir = path.join(CLAUDE_PROJECTS, projectName);
+  let content;
+  try {
+    content = await fs.readFile(path.join(projectDir, `${sessionId}.jsonl`), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+
+  const lines = content.split('\n').filter(Boolean);
+  const entries = lines.map(line => {
+    try { return JSON.parse(line); } catch { return null; }
+  });
+  const index = entries.findIndex(e => e?.uuid === messageUuid);
+  if (index === -1) return null;
+
+  const end = findForkEnd(entries, index);
+  const newSessionId = randomUUID();
+  const forkedLines = entries.slice(0, end + 1)
+    .filter(Boolean)
+    .map(entry => JSON.stringify(entry.sessionId ? { ...entry, sessionId: newSessionId } : entry));
+
+  await fs.writeFile(path.join(projectDir, `${newSessionId}.jsonl`), forkedLines.join('\n') + '\n', { flag: 'wx' });
+  recordFork(newSessionId, sessionId, messageUuid, projectName, username);
+
+  console.log(`[Forks] Forked session ${sessionId} at ${messageUuid} -> ${newSessionId} (${forkedLines.length} entries)`);
+  return {
+    sessionId: newSessionId,
+    parentSessionId: sessionId,
+    forkMessageUuid: messageUuid,
+    entryCount: forkedLines.length
+  };
+}
+
+/**
+ * Record that a session branched from another
+ * Also used for SDK-side forks (edit-and-resend) where the SDK writes the transcript
+ * @param {string} sessionId - The new session
+ * @param {string} parentSessionId - The session it branched from
+ * @param {string} messageUuid - Transcript entry UUID the branch starts after
+ * @param {string} projectName - Encoded project directory name
+ * @param {string} username - User who created the branch
+ */
+export function recordFork(sessionId, parentSessionId, messageUuid, projectName, username) {
+  getDb().prepare(`
+    INSERT OR REPLACE INTO session_forks (session_id, parent_session_id, fork_message_uuid, project_name, username)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(sessionId, parentSessionId, messageUuid, projectName, username || null);
+}
+
+/**
+ * Move a user's fork records to their new username after a rename
+ */
+export function renameForkOwner(from, to) {
+  getDb().prepare('UPDATE session_forks SET username = ? WHERE username = ?').run(to, from);
+}
+
+/**
+ * Disown a removed account's fork records
+ * The sessions stay in the project, so their lineage is kept.
+ */
+export function deleteForkOwner(username) {
+  getDb().prepare('UPDATE session_forks SET username = NULL WHERE username = ?').run(username);
+}
+
+/**
+ * Forget where a permanently deleted session was forked from
+ * Its own forks keep pointing at it as their parent.
+ */
+export function deleteForkRecord(sessionId) {
+  getDb().prepare('DELETE FROM session_forks WHERE session_id = ?').run(sessionId);
+}
+
+/**
+ * Get fork lineage for a project's sessions
+ * @param {string} projectName - Encoded project directory name
+ * @returns {Map<string, Object>} sessionId -> { parentSessionId, forkMessageUuid, createdAt }
+ */
+export function getLineage(projectName) {
+  const rows = getDb().prepare(`
+    SELECT session_id, parent_session_id, fork_message_uuid, created_at
+    FROM session_forks WHERE project_name = ?
+  `).all(projectName);
+
+  return new Map(rows.map(r => [r.session_id, {
+    parentSessionId: r.parent_session_id,
+    forkMessageUuid: r.fork_message_uuid,
+    createdAt: r.created_at
+  }]));
+}
@@ -11,10 +11,21 @@ import helmet from 'helmet';
 import cors from 'cors';
 import rateLimit from 'express-rate-limit';
 
-import { authRoutes, authenticateToken, authenticateWebSocket } from './auth.js';
+import { authRoutes, authenticateToken, authenticateWebSocket, authenticateHeader } from './auth.js';
+import { requireScope, hasScope } from './scopes.js';
 import { projectRoutes } from './projects.js';
 import { fileRoutes } from './files.js';
-import { handleChat, handleAbort, handleQuestionResponse, handlePlanResponse } from './claude.js';
+import { stopAllWatchers } from './file-watcher.js';
+import { permissionRoutes } from './permissions.js';
+import { jobRoutes, startScheduler } from './jobs.js';
+import { sessionRoutes } from './sessions.js';
+import { auditRoutes } from './audit.js';
+import { searchRoutes, startIndexing } from './search.js';
+import { startRetentionSweep } from './session-trash.js';
+import { shareRoutes } from './shares.js';
+import { handleChat, handleAbort, handleQuestionResponse, handlePlanResponse, handlePermissionResponse, getPendingPrompts,
+  isSessionBusy, handleQueueMessage, handleQueueChange, handleQueueSendNow } from './claude.js';
+import { getQueuesForUser } from './message-queue.js';
 import { getAllCommands } from './commands.js';
 import { processUpload, validateFile } from './uploads.js';
 import logger from './logger.js';
@@ -116,10 +127,21 @@ const upload = multer({
 // Static files (frontend)
 app.use(express.static(path.join(__dirname, '../public')));
 
+// Share links open the read-only viewer
+app.get('/share/:token', (req, res) => {
+  res.redirect(`/#/share/${encodeURIComponent(req.params.token)}`);
+});
+
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/share', shareRoutes);
 app.use('/api/projects', authenticateToken, projectRoutes);
 app.use('/api/files', authenticateToken, fileRoutes);
+app.use('/api/permissions', authenticateToken, permissionRoutes);
+app.use('/api/jobs', authenticateToken, jobRoutes);
+app.use('/api/sessions', authenticateToken, sessionRoutes);
+app.use('/api/audit', authenticateToken, auditRoutes);
+app.use('/api/search', authenticateToken, searchRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -127,7 +149,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // Commands API - get global and project slash commands
-app.get('/api/commands', authenticateToken, async (req, res) => {
+app.get('/api/commands', authenticateToken, requireScope('read'), async (req, res) => {
   try {
     const projectPath = req.query.projectPath || null;
     const commands = await getAllCommands(projectPath);
@@ -138,8 +160,13 @@ app.get('/api/commands', authenticateToken, async (req, res) => {
   }
 });
 
+// Pending prompts API - questions, plan confirmations and permission requests awaiting an answer
+app.get('/api/prompts', authenticateToken, requireScope('read'), (req, res) => {
+  res.json({ prompts: getPendingPrompts(req.user.username, req.query.sessionId || null) });
+});
+
 // File upload API - for PDF text extraction
-app.post('/api/upload', authenticateToken, upload.single('file'), async (req, res) => {
+app.post('/api/upload', authenticateToken, requireScope('chat'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file provided' });
@@ -156,12 +183,16 @@ app.post('/api/upload', authenticateToken, upload.single('file'), async (req, re
 });
 
 // SSE Event Stream
+// Browsers pass a single-use ticket (?token=); scripts can send an Authorization header
 app.get('/api/events', (req, res) => {
   const token = req.query.token;
-  const user = authenticateWebSocket(token);
+  const user = token ? authenticateWebSocket(token) : authenticateHeader(req.headers.authorization);
   if (!user) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
+  if (!hasScope(user, 'read')) {
+    return res.status(403).json({ error: 'Token lacks required scope: read' });
+  }
 
   logger.info('SSE connected', { username: user.username });
 
@@ -177,7 +208,12 @@ app.get('/api/events', (req, res) => {
   res.write('retry: 2000\n\n');
 
   const userSessions = getSessionsForUser(user.username);
-  res.write(`data: ${JSON.stringify({ type: 'state-snapshot', sessions: userSessions })}\n\n`);
+  res.write(`data: ${JSON.stringify({
+    type: 'state-snapshot',
+    sessions: userSessions,
+    pendingPrompts: getPendingPrompts(user.username),
+    queues: getQueuesForUser(user.username)
+  })}\n\n`);
 
   for (const s of userSessions.filter(s => s.status === 'streaming')) {
     replayBufferToSSE(s.sessionId, res);
@@ -189,6 +225,7 @@ app.get('/api/events', (req, res) => {
     } catch (err) {
       logger.error('SSE write error', { username: user.username, error: err.message });
     }
+    if (isRevokedDevice(user, event) || event.type === 'user-renamed') res.end();
   });
 
   const heartbeat = setInterval(() => {
@@ -206,6 +243,11 @@ app.get('/api/events', (req, res) => {
   });
 });
 
+// True if the event logs out the device this connection was opened from
+function isRevokedDevice(user, event) {
+  return event.type === 'device-revoked' && user.deviceId !== undefined && event.deviceId === user.deviceId;
+}
+
 // SPA fallback - serve index.html for all non-API routes
 app.get('*', (req, res) => {
   if (!req.path.startsWith('/api')) {
@@ -226,11 +268,11 @@ const wss = new WebSocketServer({
       return false;
     }
 
-    // Extract token from query string
+    // Extract the ticket from the query string (non-browser clients may send a header)
     const url = new URL(info.req.url, 'http://localhost');
     const token = url.searchParams.get('token');
 
-    const user = authenticateWebSocket(token);
+    const user = token ? authenticateWebSocket(token) : authenticateHeader(info.req.headers.authorization);
     if (!user) {
       logger.warn('WebSocket connection rejected: invalid token');
       return false;
@@ -254,13 +296,56 @@ wss.on('connection', (ws, req) => {
     try {
       const msg = JSON.parse(data.toString());
 
+      // Everything but ping starts, steers or answers a run
+      if (msg.type !== 'ping' && !hasScope(user, 'chat')) {
+        ws.send(JSON.stringify({
+          type: 'error',
+          sessionId: msg.sessionId || null,
+          message: 'Token lacks required scope: chat'
+        }));
+        return;
+      }
+
       switch (msg.type) {
         case 'chat':
+          // A chat for a session that is still streaming becomes a queued follow-up
+          if (msg.sessionId && !msg.isNewSession && isSessionBusy(msg.sessionId)) {
+            handleQueueMessage(msg, ws, user.username);
+            break;
+          }
           await handleChat(msg, ws, user.username);
           break;
 
+        case 'queue-message':
+        case 'queue-edit':
+        case 'queue-cancel':
+        case 'queue-send-now': {
+          let queueSuccess = false;
+          let queueError = null;
+          try {
+            if (msg.type === 'queue-message') {
+              queueSuccess = !!handleQueueMessage(msg, ws, user.username);
+            } else if (msg.type === 'queue-send-now') {
+              queueSuccess = await handleQueueSendNow(msg.sessionId, msg.itemId, ws, user.username);
+            } else {
+              const action = msg.type === 'queue-edit' ? 'edit' : 'cancel';
+              queueSuccess = handleQueueChange(msg.sessionId, msg.itemId, action, msg.content, user.username);
+            }
+          } catch (err) {
+            queueError = err.message;
+          }
+          publish(user.username, {
+            type: 'queue-result',
+            sessionId: msg.sessionId,
+            action: msg.type,
+            success: queueSuccess,
+            error: queueError
+          });
+          break;
+        }
+
         case 'abort':
-          const success = await handleAbort(msg.sessionId);
+          const success = await handleAbort(msg.sessionId, user.username);
           publish(user.username, {
             type: 'abort-result',
             sessionId: msg.sessionId,
@@ -272,7 +357,8 @@ wss.on('connection', (ws, req) => {
           const responseSuccess = await handleQuestionResponse(
             msg.sessionId,
             msg.toolUseId,
-            msg.answers
+            msg.answers,
+            user.username
           );
           publish(user.username, {
             type: 'question-response-result',
@@ -286,7 +372,8 @@ wss.on('connection', (ws, req) => {
             msg.sessionId,
             msg.toolUseId,
             msg.approved,
-            msg.feedback
+            msg.feedback,
+            user.username
           );
           publish(user.username, {
             type: 'plan-response-result',
@@ -296,6 +383,22 @@ wss.on('connection', (ws, req) => {
           break;
         }
 
+        case 'permission-response': {
+          const permissionSuccess = await handlePermissionResponse(
+            msg.sessionId,
+            msg.toolUseId,
+            msg.decision,
+            msg.reason,
+            user.username
+          );
+          publish(user.username, {
+            type: 'permission-response-result',
+            sessionId: msg.sessionId,
+            success: permissionSuccess
+          });
+          break;
+        }
+
         case 'ping':
           ws.send(JSON.stringify({ type: 'pong' }));
           break;
@@ -314,8 +417,15 @@ wss.on('connection', (ws, req) => {
     }
   });
 
+  const unsubscribe = subscribe(user.username, (event) => {
+    if (isRevokedDevice(user, event)) ws.close(4001, 'Device logged out');
+    // Reconnecting picks up the new username from a fresh ticket
+    else if (event.type === 'user-renamed') ws.close(4002, 'Account renamed');
+  });
+
   ws.on('close', () => {
     logger.info('WebSocket disconnected', { username: user.username });
+    unsubscribe();
   });
 
   ws.on('error', (err) => {
@@ -347,11 +457,15 @@ server.listen(PORT, HOST, () => {
     local: `http://localhost:${PORT}`,
     network: `http://${HOST}:${PORT}`
   });
+  startScheduler();
+  startRetentionSweep();
+  startIndexing();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down...');
+  stopAllWatchers();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -360,6 +474,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down...');
+  stopAllWatchers();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -0,0 +1,438 @@
+/**
+ * Scheduled jobs - headless agent runs on a cron schedule
+ * Each run goes through handleChat without a WebSocket, so its output still
+ * reaches the event bus; the run status and final transcript are kept in jobs.db.
+ */
+import express from 'express';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { openDatabase } from './db.js';
+import { parseCron, nextRun } from './cron.js';
+import { handleChat, getSessionTranscript } from './claude.js';
+import { publish } from './bus.js';
+import { requireScope } from './scopes.js';
+import { canAccessProject } from './access.js';
+
+const router = express.Router();
+
+const MODES = ['default', 'plan', 'bypass'];
+const SCHEDULER_INTERVAL_MS = 30 * 1000;
+const MAX_RUNS_PER_JOB = 50;
+
+// Job IDs with a run in progress (a job never overlaps itself)
+const runningJobs = new Set();
+
+let db = null;
+let schedulerTimer = null;
+
+/**
+ * Lazily open jobs.db so importing this module has no side effects
+ */
+function getDb() {
+  if (!db) {
+    db = openDatabase('jobs.db');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY,
+        username TEXT NOT NULL,
+        name TEXT NOT NULL,
+        cron TEXT NOT NULL,
+        project_path TEXT NOT NULL,
+        prompt TEXT NOT NULL,
+        mode TEXT NOT NULL DEFAULT 'default' CHECK (mode IN ('default', 'plan', 'bypass')),
+        model TEXT,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        next_run_at TEXT,
+        last_run_at TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS job_runs (
+        id INTEGER PRIMARY KEY,
+        job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        trigger TEXT NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+        status TEXT NOT NULL CHECK (status IN ('running', 'success', 'error', 'aborted')),
+        session_id TEXT,
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        error TEXT,
+        transcript TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job_id, started_at);
+    `);
+  }
+  return db;
+}
+
+function toJob(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    cron: row.cron,
+    projectPath: row.project_path,
+    prompt: row.prompt,
+    mode: row.mode,
+    model: row.model,
+    enabled: row.enabled === 1,
+    running: runningJobs.has(row.id),
+    nextRunAt: row.next_run_at,
+    lastRunAt: row.last_run_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toRun(row, includeTranscript = false) {
+  if (!row) return null;
+  const run = {
+    id: row.id,
+    jobId: row.job_id,
+    trigger: row.trigger,
+    status: row.status,
+    sessionId: row.session_id,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    error: row.error
+  };
+  if (includeTranscript) {
+    run.transcript = row.transcript ? JSON.parse(row.transcript) : [];
+  }
+  return run;
+}
+
+function computeNextRun(cron, enabled, from = new Date()) {
+  return enabled ? nextRun(cron, from)?.toISOString() || null : null;
+}
+
+/**
+ * Validate job fields, filling in defaults from an existing job
+ * @throws {Error} if a field is invalid
+ */
+async function validateJob(username, fields, existing = {}) {
+  const job = { ...existing, ...fields };
+
+  if (!job.name || !String(job.name).trim()) throw new Error('Name is required');
+  if (!job.prompt || !String(job.prompt).trim()) throw new Error('Prompt is required');
+  if (!nextRun(parseCron(job.cron))) throw new Error(`Cron expression never fires: ${job.cron}`);
+  if (!MODES.includes(job.mode || 'default')) throw new Error(`Invalid mode: ${job.mode}`);
+
+  if (!job.projectPath || !path.isAbsolute(job.projectPath)) {
+    throw new Error('Project path must be absolute');
+  }
+  const stat = await fs.stat(job.projectPath).catch(() => null);
+  if (!stat?.isDirectory()) throw new Error(`Project directory not found: ${job.projectPath}`);
+  if (!canAccessProject(username, job.projectPath, 'write')) throw new Error('No access to this project');
+
+  return {
+    name: String(job.name).trim(),
+    cron: job.cron.trim(),
+    projectPath: job.projectPath,
+    prompt: job.prompt,
+    mode: job.mode || 'default',
+    model: job.model || null,
+    enabled: job.enabled !== false
+  };
+}
+
+// ==================== Storage ====================
+
+export function listJobs(username) {
+  return getDb().prepare('SELECT * FROM jobs WHERE username = ? ORDER BY name, id').all(username).map(toJob);
+}
+
+export function getJob(username, id) {
+  return toJob(getDb().prepare('SELECT * FROM jobs WHERE id = ? AND username = ?').get(id, username));
+}
+
+/**
+ * Create a job
+ * @param {Object} fields - { name, cron, projectPath, prompt, mode, model, enabled }
+ * @throws {Error} if a field is invalid
+ */
+export async function createJob(username, fields) {
+  const job = await validateJob(username, fields);
+  const result = getDb().prepare(`
+    INSERT INTO jobs (username, name, cron, project_path, prompt, mode, model, enabled, next_run_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(username, job.name, job.cron, job.projectPath, job.prompt, job.mode, job.model,
+    job.enabled ? 1 : 0, computeNextRun(job.cron, job.enabled));
+  return getJob(username, result.lastInsertRowid);
+}
+
+/**
+ * Update a job (partial updates allowed, e.g. { enabled: false } to pause)
+ * @returns {Promise<Object|null>} Updated job, or null if not found
+ * @throws {Error} if a field is invalid
+ */
+export async function updateJob(username, id, fields) {
+  const existing = getJob(username, id);
+  if (!existing) return null;
+
+  const allowed = ['name', 'cron', 'projectPath', 'prompt', 'mode', 'model', 'enabled'];
+  const changes = Object.fromEntries(Object.entries(fields || {}).filter(([key]) => allowed.includes(key)));
+  const job = await validateJob(username, changes, existing);
+
+  getDb().prepare(`
+    UPDATE jobs SET name = ?, cron = ?, project_path = ?, prompt = ?, mode = ?, model = ?, enabled = ?,
+      next_run_at = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(job.name, job.cron, job.projectPath, job.prompt, job.mode, job.model,
+    job.enabled ? 1 : 0, computeNextRun(job.cron, job.enabled), id);
+  return getJob(username, id);
+}
+
+/**
+ * Delete a job and its run history
+ * @returns {boolean} false if not found
+ */
+export function deleteJob(username, id) {
+  const conn = getDb();
+  if (!getJob(username, id)) return false;
+  // foreign_keys is off, so cascade by hand
+  conn.transaction(() => {
+    conn.prepare('DELETE FROM job_runs WHERE job_id = ?').run(id);
+    conn.prepare('DELETE FROM jobs WHERE id = ?').run(id);
+  })();
+  return true;
+}
+
+/**
+ * Move a user's jobs to their new username after a rename
+ */
+export function renameJobOwner(from, to) {
+  getDb().prepare('UPDATE jobs SET username = ? WHERE username = ?').run(to, from);
+}
+
+/**
+ * Delete a removed account's jobs and their runs
+ */
+export function deleteJobOwner(username) {
+  const conn = getDb();
+  conn.transaction(() => {
+    conn.prepare('DELETE FROM job_runs WHERE job_id IN (SELECT id FROM jobs WHERE username = ?)').run(username);
+    conn.prepare('DELETE FROM jobs WHERE username = ?').run(username);
+  })();
+}
+
+export function listRuns(username, jobId) {
+  if (!getJob(username, jobId)) return null;
+  return getDb().prepare('SELECT * FROM job_runs WHERE job_id = ? ORDER BY started_at DESC, id DESC LIMIT ?')
+    .all(jobId, MAX_RUNS_PER_JOB)
+    .map(row => toRun(row));
+}
+
+export function getRun(username, jobId, runId) {
+  if (!getJob(username, jobId)) return null;
+  return toRun(getDb().prepare('SELECT * FROM job_runs WHERE id = ? AND job_id = ?').get(runId, jobId), true);
+}
+
+// Keep the newest MAX_RUNS_PER_JOB runs
+function pruneRuns(jobId) {
+  getDb().prepare(`
+    DELETE FROM job_runs WHERE job_id = ? AND id NOT IN (
+      SELECT id FROM job_runs WHERE job_id = ? ORDER BY started_at DESC, id DESC LIMIT ?
+    )
+  `).run(jobId, jobId, MAX_RUNS_PER_JOB);
+}
+
+// ==================== Runner ====================
+
+/**
+ * Run a job now through the normal chat pipeline
+ * Publishes a job-run event when the run starts and when it finishes.
+ * @param {Object} job - Job from getJob/listJobs
+ * @param {string} username - Job owner
+ * @param {string} trigger - 'schedule' or 'manual'
+ * @returns {Promise<Object|null>} The finished run, or null if the job was already running
+ */
+export async function runJob(job, username, trigger = 'manual') {
+  if (runningJobs.has(job.id)) return null;
+  runningJobs.add(job.id);
+
+  const conn = getDb();
+  const startedAt = new Date().toISOString();
+  const { lastInsertRowid: runId } = conn.prepare(`
+    INSERT INTO job_runs (job_id, trigger, status, started_at) VALUES (?, ?, 'running', ?)
+  `).run(job.id, trigger, startedAt);
+  conn.prepare('UPDATE jobs SET last_run_at = ? WHERE id = ?').run(startedAt, job.id);
+  publishRun(username, job.id, runId);
+
+  console.log(`[Jobs] Running job ${job.id} "${job.name}" (${trigger})`);
+  let result;
+  try {
+    result = await handleChat({
+      content: job.prompt,
+      projectPath: job.projectPath,
+      isNewSession: true,
+      mode: job.mode,
+      model: job.model
+    }, null, username);
+  } catch (err) {
+    result = { sessionId: null, status: 'error', error: err.message };
+  }
+
+  let transcript = [];
+  if (result.sessionId) {
+    try {
+      transcript = await getSessionTranscript(job.projectPath, result.sessionId);
+    } catch (err) {
+      console.error(`[Jobs] Failed to read transcript for job ${job.id}:`, err.message);
+    }
+  }
+
+  conn.prepare(`
+    UPDATE job_runs SET status = ?, session_id = ?, finished_at = ?, error = ?, transcript = ? WHERE id = ?
+  `).run(result.status, result.sessionId, new Date().toISOString(), result.error, JSON.stringify(transcript), runId);
+  runningJobs.delete(job.id);
+  pruneRuns(job.id);
+
+  console.log(`[Jobs] Job ${job.id} finished: ${result.status}`);
+  publishRun(username, job.id, runId);
+  return toRun(conn.prepare('SELECT * FROM job_runs WHERE id = ?').get(runId), true);
+}
+
+function publishRun(username, jobId, runId) {
+  const run = toRun(getDb().prepare('SELECT * FROM job_runs WHERE id = ?').get(runId));
+  publish(username, { type: 'job-run', jobId, run });
+}
+
+/**
+ * Start every enabled job whose next run time has passed
+ * Missed runs (e.g. while the server was down) fire once, then the schedule moves on.
+ * @param {Date} [now] - Current time
+ * @returns {Array<Promise>} Runs that were started
+ */
+export function runDueJobs(now = new Date()) {
+  const conn = getDb();
+  const due = conn.prepare('SELECT * FROM jobs WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ?')
+    .all(now.toISOString());
+
+  const started = [];
+  for (const row of due) {
+    conn.prepare('UPDATE jobs SET next_run_at = ? WHERE id = ?').run(computeNextRun(row.cron, true, now), row.id);
+    if (runningJobs.has(row.id)) {
+      console.log(`[Jobs] Skipping job ${row.id}: previous run still in progress`);
+      continue;
+    }
+    started.push(runJob(toJob(row), row.username, 'schedule').catch(err => {
+      console.error(`[Jobs] Job ${row.id} failed:`, err);
+    }));
+  }
+  return started;
+}
+
+/**
+ * Start the scheduler loop
+ * Runs left 'running' by a previous server process are marked as errors first.
+ */
+export function startScheduler() {
+  if (schedulerTimer) return;
+  getDb().prepare(`
+    UPDATE job_runs SET status = 'error', finished_at = ?, error = 'Server restarted during run' WHERE status = 'running'
+  `).run(new Date().toISOString());
+
+  schedulerTimer = setInterval(() => {
+    try {
+      runDueJobs();
+    } catch (err) {
+      console.error('[Jobs] Scheduler error:', err);
+    }
+  }, SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref();
+  console.log('[Jobs] Scheduler started');
+}
+
+export function stopScheduler() {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+}
+
+// ==================== Routes ====================
+
+/**
+ * GET /api/jobs
+ * List the current user's jobs
+ */
+router.get('/', requireScope('read'), (req, res) => {
+  try {
+    res.json({ jobs: listJobs(req.user.username) });
+  } catch (err) {
+    console.error('[Jobs] Error listing jobs:', err);
+    res.status(500).json({ error: 'Failed to load jobs' });
+  }
+});
+
+/**
+ * POST /api/jobs
+ * Body: { name, cron, projectPath, prompt, mode, model, enabled }
+ */
+router.post('/', requireScope('chat'), async (req, res) => {
+  try {
+    res.status(201).json({ job: await createJob(req.user.username, req.body || {}) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /api/jobs/:id
+ * Body: any of { name, cron, projectPath, prompt, mode, model, enabled }
+ */
+router.put('/:id', requireScope('chat'), async (req, res) => {
+  try {
+    const job = await updateJob(req.user.username, Number(req.params.id), req.body || {});
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json({ job });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Delete a job and its run history
+ */
+router.delete('/:id', requireScope('chat'), (req, res) => {
+  if (!deleteJob(req.user.username, Number(req.params.id))) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ success: true });
+});
+
+/**
+ * POST /api/jobs/:id/run
+ * Trigger a run now; progress arrives as job-run events
+ */
+router.post('/:id/run', requireScope('chat'), (req, res) => {
+  const job = getJob(req.user.username, Number(req.params.id));
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (job.running) return res.status(409).json({ error: 'Job is already running' });
+
+  runJob(job, req.user.username, 'manual').catch(err => {
+    console.error(`[Jobs] Job ${job.id} failed:`, err);
+  });
+  res.status(202).json({ success: true });
+});
+
+/**
+ * GET /api/jobs/:id/runs
+ * Recent runs, newest first (without transcripts)
+ */
+router.get('/:id/runs', requireScope('read'), (req, res) => {
+  const runs = listRuns(req.user.username, Number(req.params.id));
+  if (!runs) return res.status(404).json({ error: 'Job not found' });
+  res.json({ runs });
+});
+
+/**
+ * GET /api/jobs/:id/runs/:runId
+ * A single run with its transcript
+ */
+router.get('/:id/runs/:runId', requireScope('read'), (req, res) => {
+  const run = getRun(req.user.username, Number(req.params.id), Number(req.params.runId));
+  if (!run) return res.status(404).json({ error: 'Run not found' });
+  res.json({ run });
+});
+
+export { router as jobRoutes };
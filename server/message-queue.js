@@ -0,0 +1,149 @@
+/**
+ * Per-session queue of follow-up messages submitted while a query is streaming
+ * Items are dispatched in order through handleChat when the current query finishes
+ */
+import { randomUUID } from 'crypto';
+
+const MAX_QUEUED_MESSAGES = 20;
+
+// Map of sessionId -> { username, items: [{ id, content, mode, model, projectPath, createdAt }] }
+const queues = new Map();
+
+/**
+ * Add a message to the end of a session's queue
+ * @param {string} sessionId - The session ID
+ * @param {string} username - Username who owns the session
+ * @param {Object} message - { content, mode, model, projectPath }
+ * @returns {Object} The queued item
+ * @throws {Error} if the queue is full or the message is empty
+ */
+export function enqueue(sessionId, username, message) {
+  if (!message.content || !message.content.trim()) {
+    throw new Error('Cannot queue an empty message');
+  }
+
+  let queue = queues.get(sessionId);
+  if (!queue) {
+    queue = { username, items: [] };
+    queues.set(sessionId, queue);
+  }
+  if (queue.items.length >= MAX_QUEUED_MESSAGES) {
+    throw new Error(`Queue is full (max ${MAX_QUEUED_MESSAGES} messages)`);
+  }
+
+  const item = {
+    id: randomUUID(),
+    content: message.content,
+    mode: message.mode || 'default',
+    model: message.model || null,
+    projectPath: message.projectPath,
+    createdAt: new Date().toISOString()
+  };
+  queue.items.push(item);
+  return item;
+}
+
+/**
+ * Get the queued items for a session
+ * @param {string} sessionId - The session ID
+ * @returns {Array} Copy of the queued items (oldest first)
+ */
+export function getQueue(sessionId) {
+  return [...(queues.get(sessionId)?.items || [])];
+}
+
+/**
+ * Get all non-empty queues for a user
+ * @param {string} username - The username
+ * @returns {Array} Array of { sessionId, items }
+ */
+export function getQueuesForUser(username) {
+  return [...queues.entries()]
+    .filter(([, q]) => q.username === username && q.items.length > 0)
+    .map(([sessionId, q]) => ({ sessionId, items: [...q.items] }));
+}
+
+/**
+ * Check that a session's queue belongs to a user
+ * @returns {boolean} True if the queue exists and is owned by username
+ */
+export function isQueueOwner(sessionId, username) {
+  return queues.get(sessionId)?.username === username;
+}
+
+/**
+ * Move a user's queues to their new username after a rename
+ */
+export function renameQueueOwner(from, to) {
+  for (const queue of queues.values()) {
+    if (queue.username === from) queue.username = to;
+  }
+}
+
+/**
+ * Drop a removed account's queued messages
+ */
+export function deleteQueueOwner(username) {
+  for (const [sessionId, queue] of queues) {
+    if (queue.username === username) queues.delete(sessionId);
+  }
+}
+
+/**
+ * Edit the content of a queued item
+ * @returns {Object|null} Updated item or null if not found
+ */
+export function updateItem(sessionId, itemId, content) {
+  if (!content || !content.trim()) return null;
+  const item = queues.get(sessionId)?.items.find(i => i.id === itemId);
+  if (!item) return null;
+  item.content = content;
+  return item;
+}
+
+/**
+ * Remove a queued item
+ * @returns {boolean} True if the item was removed
+ */
+export function removeItem(sessionId, itemId) {
+  const queue = queues.get(sessionId);
+  if (!queue) return false;
+  const index = queue.items.findIndex(i => i.id === itemId);
+  if (index === -1) return false;
+  queue.items.splice(index, 1);
+  return true;
+}
+
+/**
+ * Move a queued item to the front so it is dispatched next
+ * @returns {boolean} True if the item was found
+ */
+export function moveToFront(sessionId, itemId) {
+  const queue = queues.get(sessionId);
+  if (!queue) return false;
+  const index = queue.items.findIndex(i => i.id === itemId);
+  if (index === -1) return false;
+  const [item] = queue.items.splice(index, 1);
+  queue.items.unshift(item);
+  return true;
+}
+
+/**
+ * Take the next item off a session's queue
+ * @returns {Object|null} The oldest item, or null if the queue is empty
+ */
+export function dequeue(sessionId) {
+  const queue = queues.get(sessionId);
+  if (!queue || queue.items.length === 0) return null;
+  const item = queue.items.shift();
+  if (queue.items.length === 0) queues.delete(sessionId);
+  return item;
+}
+
+/**
+ * Drop a session's queue entirely
+ * @param {string} sessionId - The session ID
+ */
+export function clearQueue(sessionId) {
+  queues.delete(sessionId);
+}
@@ -0,0 +1,400 @@
+import express from 'express';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { openDatabase } from './db.js';
+import { requireScope } from './scopes.js';
+import { canAccessProject } from './access.js';
+
+const router = express.Router();
+
+// Tools covered by an Edit(...) rule, same as the Claude CLI
+const EDIT_TOOLS = new Set(['Edit', 'MultiEdit', 'Write', 'NotebookEdit']);
+
+// Shell operators that chain extra commands onto an allowed prefix
+const SHELL_CHAIN_PATTERN = /&&|\|\||[;|`\n]|\$\(/;
+
+const BEHAVIORS = ['allow', 'deny'];
+
+let db = null;
+
+/**
+ * Lazily open permissions.db so importing this module has no side effects
+ */
+function getDb() {
+  if (!db) {
+    db = openDatabase('permissions.db');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS permission_rules (
+        id INTEGER PRIMARY KEY,
+        username TEXT NOT NULL,
+        project_path TEXT NOT NULL,
+        rule TEXT NOT NULL,
+        behavior TEXT NOT NULL CHECK (behavior IN ('allow', 'deny')),
+        source TEXT NOT NULL DEFAULT 'user',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (username, project_path, rule, behavior)
+      )
+    `);
+  }
+  return db;
+}
+
+// ==================== Rule parsing and matching ====================
+
+/**
+ * Parse a rule string like "Bash(npm test:*)" or "Edit(src/**)"
+ * @returns {{ tool: string, content: string|null }|null} null if malformed
+ */
+export function parseRule(rule) {
+  if (typeof rule !== 'string') return null;
+  const match = rule.trim().match(/^([A-Za-z0-9_-]+)(?:\(([\s\S]*)\))?$/);
+  if (!match) return null;
+  const content = match[2] !== undefined ? match[2].trim() : null;
+  return { tool: match[1], content: content || null };
+}
+
+/**
+ * Convert a gitignore-style glob to a RegExp (supports **, * and ?)
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories, trailing "**" matches everything
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Resolve a path pattern to an absolute glob
+ * "//abs" is absolute, "~/x" is home-relative, everything else is project-relative
+ */
+function resolvePathPattern(pattern, projectPath) {
+  if (pattern.startsWith('//')) return pattern.slice(1);
+  if (pattern.startsWith('~/')) return path.join(os.homedir(), pattern.slice(2));
+  const relative = pattern.replace(/^\.?\//, '');
+  // Bare patterns like "*.env" match at any depth
+  const scoped = relative.includes('/') ? relative : `**/${relative}`;
+  return path.posix.join(projectPath || '/', scoped);
+}
+
+function getInputPath(input) {
+  return input?.file_path || input?.notebook_path || input?.path || null;
+}
+
+function ruleAppliesToTool(ruleTool, toolName) {
+  if (ruleTool === toolName) return true;
+  if (ruleTool === 'Edit' && EDIT_TOOLS.has(toolName)) return true;
+  // "mcp__server" and "mcp__server__*" cover every tool on that server
+  if (ruleTool.startsWith('mcp__')) {
+    const prefix = ruleTool.replace(/__\*$/, '');
+    return toolName.startsWith(`${prefix}__`);
+  }
+  return false;
+}
+
+function matchBashCommand(content, command, behavior) {
+  const cmd = (command || '').trim();
+  const segments = behavior === 'deny'
+    ? cmd.split(/&&|\|\||[;|\n]/).map(s => s.trim()).filter(Boolean)
+    : [cmd];
+
+  // Never let an allow rule cover chained commands
+  if (behavior === 'allow' && SHELL_CHAIN_PATTERN.test(cmd)) return false;
+
+  return segments.some(segment => {
+    if (content.endsWith(':*')) {
+      return segment.startsWith(content.slice(0, -2));
+    }
+    if (content.includes('*')) {
+      const source = content.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      return new RegExp(`^${source}$`).test(segment);
+    }
+    return segment === content;
+  });
+}
+
+/**
+ * Check a single parsed rule against a tool call
+ */
+export function ruleMatches(parsed, behavior, toolName, input, projectPath) {
+  if (!parsed || !ruleAppliesToTool(parsed.tool, toolName)) return false;
+  if (!parsed.content) return true;
+
+  if (toolName === 'Bash') {
+    return matchBashCommand(parsed.content, input?.command, behavior);
+  }
+
+  if (toolName === 'WebFetch' && parsed.content.startsWith('domain:')) {
+    try {
+      const host = new URL(input?.url).hostname;
+      const domain = parsed.content.slice('domain:'.length);
+      return host === domain || host.endsWith(`.${domain}`);
+    } catch {
+      return false;
+    }
+  }
+
+  const filePath = getInputPath(input);
+  if (filePath) {
+    // Resolve '..' segments so they can't slip past allow or deny globs
+    const absolute = path.resolve(projectPath || '/', filePath);
+    return globToRegExp(resolvePathPattern(parsed.content, projectPath)).test(absolute);
+  }
+
+  return false;
+}
+
+/**
+ * Evaluate rules for a tool call - deny rules win over allow rules
+ * @param {Array<{rule: string, behavior: string}>} rules
+ * @returns {{ behavior: 'allow'|'deny', rule: string }|null} null when no rule matches
+ */
+export function evaluateRules(rules, toolName, input, projectPath) {
+  for (const behavior of ['deny', 'allow']) {
+    const match = rules.find(r =>
+      r.behavior === behavior && ruleMatches(parseRule(r.rule), behavior, toolName, input, projectPath)
+    );
+    if (match) return { behavior, rule: match.rule };
+  }
+  return null;
+}
+
+/**
+ * Build the rules to save for an "allow always" decision
+ * Prefers the SDK's suggestions, falling back to a rule for this exact call
+ */
+export function rulesForAlwaysAllow(toolName, input, projectPath, suggestions) {
+  const suggested = (suggestions || [])
+    .filter(s => s.type === 'addRules' && s.behavior === 'allow')
+    .flatMap(s => s.rules || [])
+    .map(r => (r.ruleContent ? `${r.toolName}(${r.ruleContent})` : r.toolName));
+  if (suggested.length > 0) return [...new Set(suggested)];
+
+  if (toolName === 'Bash' && input?.command) {
+    return [`Bash(${input.command.trim()})`];
+  }
+
+  const filePath = getInputPath(input);
+  if (EDIT_TOOLS.has(toolName) && filePath) {
+    const relative = projectPath ? path.relative(projectPath, filePath) : filePath;
+    const pattern = relative && !relative.startsWith('..') && !path.isAbsolute(relative)
+      ? relative
+      : `/${filePath}`;
+    return [`Edit(${pattern})`];
+  }
+
+  return [toolName];
+}
+
+// ==================== Storage ====================
+
+export function listRules(username, projectPath = null) {
+  const stmt = projectPath
+    ? getDb().prepare('SELECT * FROM permission_rules WHERE username = ? AND project_path = ? ORDER BY behavior, rule')
+    : getDb().prepare('SELECT * FROM permission_rules WHERE username = ? ORDER BY project_path, behavior, rule');
+  return projectPath ? stmt.all(username, projectPath) : stmt.all(username);
+}
+
+/**
+ * Move a user's rules to their new username after a rename
+ * A duplicate left over from a deleted account with the new name is replaced.
+ */
+export function renameRuleOwner(from, to) {
+  getDb().prepare('UPDATE OR REPLACE permission_rules SET username = ? WHERE username = ?').run(to, from);
+}
+
+/**
+ * Delete a removed account's rules
+ */
+export function deleteRuleOwner(username) {
+  getDb().prepare('DELETE FROM permission_rules WHERE username = ?').run(username);
+}
+
+/**
+ * Add a rule (duplicates are ignored)
+ * @throws {Error} if the rule or behavior is invalid
+ */
+export function addRule(username, projectPath, rule, behavior, source = 'user') {
+  if (!projectPath) throw new Error('Project path is required');
+  if (!parseRule(rule)) throw new Error(`Invalid rule: ${rule}`);
+  if (!BEHAVIORS.includes(behavior)) throw new Error(`Invalid behavior: ${behavior}`);
+
+  const normalized = rule.trim();
+  getDb().prepare(`
+    INSERT OR IGNORE INTO permission_rules (username, project_path, rule, behavior, source)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(username, projectPath, normalized, behavior, source);
+
+  return getDb().prepare(
+    'SELECT * FROM permission_rules WHERE username = ? AND project_path = ? AND rule = ? AND behavior = ?'
+  ).get(username, projectPath, normalized, behavior);
+}
+
+/**
+ * Update a user-created rule
+ * @returns {object|null} Updated rule, or null if not found
+ */
+export function updateRule(username, id, rule, behavior) {
+  if (!parseRule(rule)) throw new Error(`Invalid rule: ${rule}`);
+  if (!BEHAVIORS.includes(behavior)) throw new Error(`Invalid behavior: ${behavior}`);
+
+  const existing = getDb().prepare('SELECT * FROM permission_rules WHERE id = ? AND username = ?').get(id, username);
+  if (!existing) return null;
+  if (existing.source !== 'user') throw new Error('Rules imported from settings must be changed in .claude/settings.json');
+
+  getDb().prepare('UPDATE permission_rules SET rule = ?, behavior = ? WHERE id = ?').run(rule.trim(), behavior, id);
+  return getDb().prepare('SELECT * FROM permission_rules WHERE id = ?').get(id);
+}
+
+/**
+ * Revoke a user-created rule
+ * @returns {boolean} false if not found
+ */
+export function deleteRule(username, id) {
+  const existing = getDb().prepare('SELECT * FROM permission_rules WHERE id = ? AND username = ?').get(id, username);
+  if (!existing) return false;
+  if (existing.source !== 'user') throw new Error('Rules imported from settings must be removed from .claude/settings.json');
+
+  getDb().prepare('DELETE FROM permission_rules WHERE id = ?').run(id);
+  return true;
+}
+
+/**
+ * Sync rules from the project's .claude/settings.json permissions.allow/deny
+ * Replaces previously imported rules so edits to the file are picked up
+ * @returns {number} Number of rules imported
+ */
+export async function importSettingsRules(username, projectPath) {
+  if (!projectPath) return 0;
+
+  let permissions = {};
+  try {
+    const raw = await fs.readFile(path.join(projectPath, '.claude', 'settings.json'), 'utf8');
+    permissions = JSON.parse(raw).permissions || {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`[Permissions] Failed to read settings for ${projectPath}:`, err.message);
+    }
+  }
+
+  const entries = BEHAVIORS.flatMap(behavior =>
+    (Array.isArray(permissions[behavior]) ? permissions[behavior] : [])
+      .filter(rule => parseRule(rule))
+      .map(rule => ({ rule: rule.trim(), behavior }))
+  );
+
+  const conn = getDb();
+  const remove = conn.prepare("DELETE FROM permission_rules WHERE username = ? AND project_path = ? AND source = 'settings'");
+  const insert = conn.prepare(`
+    INSERT OR IGNORE INTO permission_rules (username, project_path, rule, behavior, source)
+    VALUES (?, ?, ?, ?, 'settings')
+  `);
+  conn.transaction(() => {
+    remove.run(username, projectPath);
+    for (const { rule, behavior } of entries) {
+      insert.run(username, projectPath, rule, behavior);
+    }
+  })();
+
+  return entries.length;
+}
+
+/**
+ * Check stored rules for a tool call
+ * @returns {{ behavior: 'allow'|'deny', rule: string }|null}
+ */
+export function checkPermission(username, projectPath, toolName, input) {
+  if (!username || !projectPath) return null;
+  return evaluateRules(listRules(username, projectPath), toolName, input, projectPath);
+}
+
+// ==================== Routes ====================
+
+/**
+ * GET /api/permissions/rules?projectPath=/path/to/project
+ * List rules for the current user (all projects if projectPath is omitted).
+ * With a projectPath, the project's .claude/settings.json rules are imported
+ * first, so the user needs access to it.
+ */
+router.get('/rules', requireScope('read'), async (req, res) => {
+  try {
+    const projectPath = req.query.projectPath || null;
+    if (projectPath) {
+      if (!canAccessProject(req.user.username, projectPath, 'read')) {
+        return res.status(403).json({ error: 'No access to this project' });
+      }
+      await importSettingsRules(req.user.username, projectPath);
+    }
+    res.json({ rules: listRules(req.user.username, projectPath) });
+  } catch (err) {
+    console.error('[Permissions] Error listing rules:', err);
+    res.status(500).json({ error: 'Failed to load permission rules' });
+  }
+});
+
+/**
+ * POST /api/permissions/rules
+ * Body: { projectPath, rule, behavior }
+ */
+router.post('/rules', requireScope('admin'), (req, res) => {
+  const { projectPath, rule, behavior } = req.body || {};
+  if (projectPath && !canAccessProject(req.user.username, projectPath, 'write')) {
+    return res.status(403).json({ error: 'No access to this project' });
+  }
+  try {
+    res.json({ rule: addRule(req.user.username, projectPath, rule, behavior) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /api/permissions/rules/:id
+ * Body: { rule, behavior }
+ */
+router.put('/rules/:id', requireScope('admin'), (req, res) => {
+  const { rule, behavior } = req.body || {};
+  try {
+    const updated = updateRule(req.user.username, Number(req.params.id), rule, behavior);
+    if (!updated) return res.status(404).json({ error: 'Rule not found' });
+    res.json({ rule: updated });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/permissions/rules/:id
+ * Revoke a rule
+ */
+router.delete('/rules/:id', requireScope('admin'), (req, res) => {
+  try {
+    if (!deleteRule(req.user.username, Number(req.params.id))) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+export { router as permissionRoutes };
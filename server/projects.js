@@ -3,6 +3,16 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
 import { glob } from 'glob';
+import { forkSession, getLineage } from './forks.js';
+import { requireScope } from './scopes.js';
+import { canAccessProject } from './access.js';
+import { ensureAutoTitle, getProjectSessionMeta, getSessionMeta, updateSessionMeta } from './session-meta.js';
+import { setTitle } from './session-registry.js';
+import { publish } from './bus.js';
+import { getSessionMessages, parseMessageEntry } from './transcripts.js';
+import { renderSessionExport, EXPORT_FORMATS, REDACTIONS, CONTENT_TYPES } from './session-export.js';
+import { createShare, listShares, revokeShare } from './shares.js';
+import { trashSessions, listTrash, restoreSession, purgeSession, getRetention, setRetention } from './session-trash.js';
 
 const router = express.Router();
 const CLAUDE_PROJECTS = path.join(os.homedir(), '.claude', 'projects');
@@ -10,15 +20,31 @@ const CLAUDE_PROJECTS = path.join(os.homedir(), '.claude', 'projects');
 // Constants
 const MAX_PROJECTS = 30;
 const MAX_SESSIONS = 30;
+const MAX_SESSIONS_PAGE = 200;
+const MAX_BULK_SESSIONS = 500;
 const MAX_FILE_RESULTS = 20;
 const SESSION_PREVIEW_LENGTH = 120;
 const FILE_SEARCH_LIMIT = 50;
 
+/**
+ * Middleware: Require project access for /:name routes
+ * @param {string} access - 'read' or 'write'
+ */
+function requireProjectAccess(access) {
+  return async (req, res, next) => {
+    const actualPath = await extractProjectPath(path.join(CLAUDE_PROJECTS, req.params.name), req.params.name);
+    if (!canAccessProject(req.user?.username, actualPath, access)) {
+      return res.status(403).json({ error: 'No access to this project' });
+    }
+    next();
+  };
+}
+
 /**
  * GET /api/projects/search?q=/path/to/project
  * Search projects by path substring
  */
-router.get('/search', async (req, res) => {
+router.get('/search', requireScope('read'), async (req, res) => {
   const query = (req.query.q || '').toLowerCase().trim();
 
   try {
@@ -41,8 +67,9 @@ router.get('/search', async (req, res) => {
       const projectDir = path.join(CLAUDE_PROJECTS, entry.name);
       const actualPath = await extractProjectPath(projectDir, entry.name);
       
-      // Filter by search query
+      // Filter by search query and the user's project grants
       if (query && !actualPath.toLowerCase().includes(query)) continue;
+      if (!canAccessProject(req.user?.username, actualPath)) continue;
 
       // Count sessions
       const files = await fs.readdir(projectDir);
@@ -67,12 +94,29 @@ router.get('/search', async (req, res) => {
   }
 });
 
+const SESSION_SORTS = ['recent', 'title'];
+
 /**
  * GET /api/projects/:name/sessions
- * List sessions for a project, sorted by most recent
+ * List sessions for a project, pinned first, then most recent (or sort=title)
+ * Query: archived=true|all (archived sessions are hidden by default), pinned=true, tag, sort,
+ * offset and limit (default 30, at most 200); X-Total-Count holds the number of matches
+ * Forked sessions carry parentSessionId; parents list their childSessionIds
  */
-router.get('/:name/sessions', async (req, res) => {
+router.get('/:name/sessions', requireScope('read'), requireProjectAccess('read'), async (req, res) => {
   const projectDir = path.join(CLAUDE_PROJECTS, req.params.name);
+  const { archived = 'false', pinned, tag, sort = 'recent' } = req.query;
+  if (!SESSION_SORTS.includes(sort)) {
+    return res.status(400).json({ error: `sort must be one of: ${SESSION_SORTS.join(', ')}` });
+  }
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  const limit = req.query.limit === undefined ? MAX_SESSIONS : Number(req.query.limit);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'offset must be a non-negative integer' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SESSIONS_PAGE) {
+    return res.status(400).json({ error: `limit must be an integer from 1 to ${MAX_SESSIONS_PAGE}` });
+  }
 
   try {
     let files;
@@ -80,6 +124,7 @@ router.get('/:name/sessions', async (req, res) => {
       files = await fs.readdir(projectDir);
     } catch (err) {
       if (err.code === 'ENOENT') {
+        res.set('X-Total-Count', '0');
         return res.json([]);
       }
       throw err;
@@ -104,10 +149,40 @@ router.get('/:name/sessions', async (req, res) => {
       };
     }));
 
-    // Sort by most recent first
-    sessions.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+    // Attach fork lineage
+    const lineage = getLineage(req.params.name);
+    for (const session of sessions) {
+      const fork = lineage.get(session.id);
+      session.parentSessionId = fork?.parentSessionId || null;
+      session.forkMessageUuid = fork?.forkMessageUuid || null;
+      session.childSessionIds = [...lineage.entries()]
+        .filter(([, f]) => f.parentSessionId === session.id)
+        .map(([childId]) => childId);
+    }
 
-    res.json(sessions.slice(0, MAX_SESSIONS));
+    // Attach titles, tags, pinned and archived state (auto-titling sessions seen for the first time)
+    let meta = getProjectSessionMeta(req.params.name);
+    const untitled = sessions.filter(s => !meta.get(s.id)?.autoTitle);
+    for (const session of untitled) await ensureAutoTitle(req.params.name, session.id);
+    if (untitled.length > 0) meta = getProjectSessionMeta(req.params.name);
+    for (const session of sessions) {
+      const info = meta.get(session.id) || getSessionMeta(session.id);
+      Object.assign(session, info, { title: info.title || session.preview });
+    }
+
+    const listed = sessions.filter(s =>
+      (archived === 'all' || s.archived === (archived === 'true')) &&
+      (pinned !== 'true' || s.pinned) &&
+      (!tag || s.tags.includes(String(tag).toLowerCase()))
+    );
+
+    // Pinned first, then by title or most recent
+    listed.sort((a, b) => (b.pinned - a.pinned) || (sort === 'title'
+      ? a.title.localeCompare(b.title)
+      : new Date(b.lastModified) - new Date(a.lastModified)));
+
+    res.set('X-Total-Count', String(listed.length));
+    res.json(listed.slice(offset, offset + limit));
 
   } catch (err) {
     console.error('[Projects] Sessions error:', err);
@@ -115,11 +190,197 @@ router.get('/:name/sessions', async (req, res) => {
   }
 });
 
+const BULK_ACTIONS = ['delete', 'archive', 'unarchive'];
+
+/**
+ * POST /api/projects/:name/sessions/bulk
+ * Delete, archive or unarchive several sessions (body: { action, sessionIds })
+ * Deleted sessions go to the project's trash. Returns { done, failed: [{ sessionId, error }] }
+ */
+router.post('/:name/sessions/bulk', requireScope('chat'), requireProjectAccess('write'), async (req, res) => {
+  const { name } = req.params;
+  const { action, sessionIds } = req.body || {};
+  if (!BULK_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of: ${BULK_ACTIONS.join(', ')}` });
+  }
+  if (!Array.isArray(sessionIds) || sessionIds.length === 0 || sessionIds.length > MAX_BULK_SESSIONS ||
+      !sessionIds.every(id => typeof id === 'string')) {
+    return res.status(400).json({ error: `sessionIds must be an array of 1 to ${MAX_BULK_SESSIONS} session IDs` });
+  }
+
+  try {
+    if (action === 'delete') {
+      const { trashed, failed } = await trashSessions(name, sessionIds, req.user?.username);
+      return res.json({ done: trashed, failed });
+    }
+
+    const result = { done: [], failed: [] };
+    for (const sessionId of sessionIds) {
+      if (!await sessionExists(name, sessionId)) {
+        result.failed.push({ sessionId, error: 'Session not found' });
+        continue;
+      }
+      updateSessionMeta(name, sessionId, { archived: action === 'archive' });
+      result.done.push(sessionId);
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('[Projects] Bulk session error:', err);
+    res.status(500).json({ error: 'Failed to update sessions' });
+  }
+});
+
+/**
+ * GET /api/projects/:name/sessions/:sessionId
+ * A session's title, tags, pinned and archived state
+ */
+router.get('/:name/sessions/:sessionId', requireScope('read'), requireProjectAccess('read'), async (req, res) => {
+  const { name, sessionId } = req.params;
+  try {
+    if (!await sessionExists(name, sessionId)) return res.status(404).json({ error: 'Session not found' });
+    await ensureAutoTitle(name, sessionId);
+    res.json({ id: sessionId, ...getSessionMeta(sessionId) });
+  } catch (err) {
+    console.error('[Projects] Session metadata error:', err);
+    res.status(500).json({ error: 'Failed to load session' });
+  }
+});
+
+/**
+ * PATCH /api/projects/:name/sessions/:sessionId
+ * Rename, tag, pin or archive a session (body: { title, tags, pinned, archived })
+ * An empty title reverts to the auto-generated one.
+ */
+router.patch('/:name/sessions/:sessionId', requireScope('chat'), requireProjectAccess('write'), async (req, res) => {
+  const { name, sessionId } = req.params;
+  if (!await sessionExists(name, sessionId)) return res.status(404).json({ error: 'Session not found' });
+
+  let meta;
+  try {
+    meta = updateSessionMeta(name, sessionId, req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (req.body?.title !== undefined) {
+    if (!meta.autoTitle) meta = { ...meta, autoTitle: await ensureAutoTitle(name, sessionId).catch(() => null) };
+    meta.title = meta.customTitle || meta.autoTitle;
+    setTitle(sessionId, meta.title);
+    publish(req.user?.username, { type: 'session-title', sessionId, title: meta.title });
+  }
+  res.json({ id: sessionId, ...meta });
+});
+
+/**
+ * DELETE /api/projects/:name/sessions/:sessionId
+ * Move a session to the project's trash (409 while it is running)
+ */
+router.delete('/:name/sessions/:sessionId', requireScope('chat'), requireProjectAccess('write'), async (req, res) => {
+  const { name, sessionId } = req.params;
+  if (!await sessionExists(name, sessionId)) return res.status(404).json({ error: 'Session not found' });
+
+  const { failed } = await trashSessions(name, [sessionId], req.user?.username);
+  if (failed.length > 0) return res.status(409).json({ error: failed[0].error });
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/projects/:name/trash
+ * Trashed sessions, most recently deleted first, with the date each will be purged
+ */
+router.get('/:name/trash', requireScope('read'), requireProjectAccess('read'), (req, res) => {
+  try {
+    res.json(listTrash(req.params.name));
+  } catch (err) {
+    console.error('[Projects] Trash error:', err);
+    res.status(500).json({ error: 'Failed to load trash' });
+  }
+});
+
+/**
+ * POST /api/projects/:name/trash/:sessionId/restore
+ * Move a trashed session back into the project
+ */
+router.post('/:name/trash/:sessionId/restore', requireScope('chat'), requireProjectAccess('write'), async (req, res) => {
+  const { name, sessionId } = req.params;
+  try {
+    if (!await restoreSession(name, sessionId)) return res.status(404).json({ error: 'Session not in trash' });
+    res.json({ success: true });
+  } catch (err) {
+    if (err.code) {
+      console.error('[Projects] Restore error:', err);
+      return res.status(500).json({ error: 'Failed to restore session' });
+    }
+    res.status(409).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/projects/:name/trash/:sessionId
+ * Delete a trashed session for good
+ */
+router.delete('/:name/trash/:sessionId', requireScope('chat'), requireProjectAccess('write'), async (req, res) => {
+  const { name, sessionId } = req.params;
+  try {
+    if (!await purgeSession(name, sessionId)) return res.status(404).json({ error: 'Session not in trash' });
+    res.json({ success: true });
+  } catch (err) {
+    if (err.code) {
+      console.error('[Projects] Purge error:', err);
+      return res.status(500).json({ error: 'Failed to delete session' });
+    }
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/projects/:name/retention
+ * The project's retention policy: { days } (null when sessions are kept forever)
+ */
+router.get('/:name/retention', requireScope('read'), requireProjectAccess('read'), (req, res) => {
+  res.json({ days: getRetention(req.params.name) });
+});
+
+/**
+ * PUT /api/projects/:name/retention
+ * Trash sessions untouched for more than N days (body: { days }, null to turn off)
+ * Pinned sessions are kept. The sweep runs hourly.
+ */
+router.put('/:name/retention', requireScope('chat'), requireProjectAccess('write'), (req, res) => {
+  const days = req.body?.days ?? null;
+  try {
+    res.json({ days: setRetention(req.params.name, days, req.user?.username) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/projects/:name/sessions/:sessionId/fork
+ * Fork a session at a message (body: { messageUuid })
+ */
+router.post('/:name/sessions/:sessionId/fork', requireScope('chat'), requireProjectAccess('write'), async (req, res) => {
+  const { name, sessionId } = req.params;
+
+  try {
+    const fork = await forkSession(name, sessionId, req.body?.messageUuid, req.user?.username);
+    if (!fork) return res.status(404).json({ error: 'Session or message not found' });
+    res.status(201).json(fork);
+  } catch (err) {
+    // Filesystem and database errors carry a code; validation errors do not
+    if (err.code) {
+      console.error('[Projects] Fork error:', err);
+      return res.status(500).json({ error: 'Failed to fork session' });
+    }
+    res.status(400).json({ error: err.message });
+  }
+});
+
 /**
  * GET /api/projects/:name/sessions/:sessionId/messages
  * Get messages for a specific session
  */
-router.get('/:name/sessions/:sessionId/messages', async (req, res) => {
+router.get('/:name/sessions/:sessionId/messages', requireScope('read'), requireProjectAccess('read'), async (req, res) => {
   const { name, sessionId } = req.params;
   const limit = parseInt(req.query.limit) || 100;
   
@@ -132,11 +393,93 @@ router.get('/:name/sessions/:sessionId/messages', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/projects/:name/sessions/:sessionId/export?format=md|html|json
+ * Download a session with its tool calls, their outputs and token usage
+ * Query: redact=tool-output,file-contents blanks out tool outputs and/or file contents
+ */
+router.get('/:name/sessions/:sessionId/export', requireScope('read'), requireProjectAccess('read'), async (req, res) => {
+  const { name, sessionId } = req.params;
+  const format = req.query.format || 'md';
+  const redact = req.query.redact ? String(req.query.redact).split(',').filter(Boolean) : [];
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+  const unknown = redact.find(r => !REDACTIONS.includes(r));
+  if (unknown) {
+    return res.status(400).json({ error: `redact must be a list of: ${REDACTIONS.join(', ')}` });
+  }
+
+  try {
+    const transcript = await getSessionExport(name, sessionId);
+    if (!transcript) return res.status(404).json({ error: 'Session not found' });
+    await ensureAutoTitle(name, sessionId);
+
+    const session = {
+      sessionId,
+      projectPath: await extractProjectPath(path.join(CLAUDE_PROJECTS, name), name),
+      title: getSessionMeta(sessionId).title,
+      usage: transcript.usage,
+      exportedAt: new Date().toISOString()
+    };
+    res.set('Content-Type', CONTENT_TYPES[format]);
+    res.attachment(`session-${sessionId.slice(0, 8)}.${format}`);
+    res.send(renderSessionExport(format, session, transcript.messages, redact));
+  } catch (err) {
+    console.error('[Projects] Export error:', err);
+    res.status(500).json({ error: 'Failed to export session' });
+  }
+});
+
+/**
+ * POST /api/projects/:name/sessions/:sessionId/shares
+ * Create a read-only share link (body: { live, expiresAt })
+ * live lets viewers follow the session while it streams. The link is only returned here.
+ */
+router.post('/:name/sessions/:sessionId/shares', requireScope('chat'), requireProjectAccess('write'), async (req, res) => {
+  const { name, sessionId } = req.params;
+  if (!await sessionExists(name, sessionId)) return res.status(404).json({ error: 'Session not found' });
+
+  const projectPath = await extractProjectPath(path.join(CLAUDE_PROJECTS, name), name);
+  try {
+    const { token, share } = createShare({
+      projectName: name,
+      projectLabel: path.basename(projectPath),
+      sessionId,
+      username: req.user?.username,
+      live: req.body?.live ?? false,
+      expiresAt: req.body?.expiresAt ?? null
+    });
+    res.status(201).json({ ...share, url: `/share/${token}` });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/projects/:name/sessions/:sessionId/shares
+ * A session's active share links (without their URLs)
+ */
+router.get('/:name/sessions/:sessionId/shares', requireScope('read'), requireProjectAccess('read'), (req, res) => {
+  res.json(listShares(req.params.sessionId));
+});
+
+/**
+ * DELETE /api/projects/:name/sessions/:sessionId/shares/:shareId
+ * Revoke a share link; anyone following it live is disconnected
+ */
+router.delete('/:name/sessions/:sessionId/shares/:shareId', requireScope('chat'), requireProjectAccess('write'), (req, res) => {
+  if (!revokeShare(req.params.sessionId, Number(req.params.shareId))) {
+    return res.status(404).json({ error: 'Share link not found' });
+  }
+  res.json({ success: true });
+});
+
 /**
  * GET /api/projects/:name/path
  * Get the actual filesystem path for a project
  */
-router.get('/:name/path', async (req, res) => {
+router.get('/:name/path', requireScope('read'), requireProjectAccess('read'), async (req, res) => {
   const projectDir = path.join(CLAUDE_PROJECTS, req.params.name);
   
   try {
@@ -148,6 +491,16 @@ router.get('/:name/path', async (req, res) => {
   }
 });
 
+// True if a project has a transcript for the session
+async function sessionExists(projectName, sessionId) {
+  try {
+    await fs.access(path.join(CLAUDE_PROJECTS, projectName, `${sessionId}.jsonl`));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Extract actual project path from session files (cwd field)
  * Falls back to decoding the directory name
@@ -185,7 +538,7 @@ async function extractProjectPath(projectDir, projectName) {
  * Decode project name back to path
  * Note: This is lossy for paths with actual dashes
  */
-function decodeProjectName(name) {
+export function decodeProjectName(name) {
   // Handle absolute paths (start with -)
   if (name.startsWith('-')) {
     return '/' + name.slice(1).replace(/-/g, '/');
@@ -234,131 +587,63 @@ async function getSessionPreview(filePath) {
   }
 }
 
-async function getSessionMessages(projectName, sessionId, limit = 100) {
-  const projectDir = path.join(CLAUDE_PROJECTS, projectName);
-  const files = await fs.readdir(projectDir);
-  const jsonlFiles = files.filter(f => f.endsWith('.jsonl') && !f.startsWith('agent-'));
-  
-  const messages = [];
-  
-  for (const file of jsonlFiles) {
-    const content = await fs.readFile(path.join(projectDir, file), 'utf8');
-    const lines = content.split('\n').filter(Boolean);
-    
-    for (const line of lines) {
-      try {
-        const entry = JSON.parse(line);
-        if (entry.sessionId !== sessionId) continue;
-        
-        const msg = parseMessageEntry(entry);
-        if (msg) messages.push(msg);
-        
-      } catch { /* skip malformed */ }
-    }
-  }
-  
-  messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-  return messages.slice(-limit);
-}
-
-function parseMessageEntry(entry) {
-  const timestamp = entry.timestamp || new Date().toISOString();
-  const messageId = entry.messageId || entry.id || null;
-  const model = entry.model || null;
-
-  if (entry.type === 'user' || entry.message?.role === 'user') {
-    let text = entry.message?.content;
-    if (Array.isArray(text)) {
-      text = text.filter(t => t.type === 'text').map(t => t.text).join('\n');
-    }
-    if (typeof text === 'string' && text.length > 0 && !text.startsWith('<') && !text.startsWith('{')) {
-      return { role: 'user', content: text, timestamp, messageId };
-    }
+/**
+ * Read a whole session for export
+ * Tool results are attached to their tool calls as output; token usage is
+ * totalled once per API message (a message split across entries repeats it).
+ * @returns {Promise<{ messages: Array, usage: Object }|null>} null if there is no transcript
+ */
+async function getSessionExport(projectName, sessionId) {
+  if (sessionId !== path.basename(sessionId)) return null;
+  let content;
+  try {
+    content = await fs.readFile(path.join(CLAUDE_PROJECTS, projectName, `${sessionId}.jsonl`), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
   }
 
-  if (entry.type === 'assistant' || entry.message?.role === 'assistant') {
-    const content = entry.message?.content;
-    if (Array.isArray(content)) {
-      const textParts = content.filter(c => c.type === 'text').map(c => c.text);
-      if (textParts.length > 0) {
-        return { role: 'assistant', content: textParts.join('\n'), timestamp, messageId, model };
-      }
-
-      const toolUse = content.find(c => c.type === 'tool_use');
-      if (toolUse) {
-        // Build enhanced summary object with full command details
-        const summary = buildToolSummary(toolUse.name, toolUse.input);
-        return {
-          role: 'tool',
-          tool: toolUse.name,
-          input: toolUse.input,
-          timestamp,
-          messageId,
-          model,
-          summary
-        };
+  const messages = [];
+  const toolCalls = new Map();
+  const usageByMessage = new Map();
+
+  for (const line of content.split('\n').filter(Boolean)) {
+    let entry;
+    try { entry = JSON.parse(line); } catch { continue; }
+
+    if (entry.message?.usage && entry.message.id) usageByMessage.set(entry.message.id, entry.message.usage);
+    if (Array.isArray(entry.message?.content)) {
+      for (const block of entry.message.content) {
+        const call = block.type === 'tool_result' && toolCalls.get(block.tool_use_id);
+        if (!call) continue;
+        call.output = Array.isArray(block.content)
+          ? block.content.filter(c => c.type === 'text').map(c => c.text).join('\n')
+          : String(block.content ?? '');
+        call.isError = Boolean(block.is_error);
       }
     }
-    if (typeof content === 'string') {
-      return { role: 'assistant', content, timestamp, messageId, model };
-    }
-  }
 
-  return null;
-}
-
-/**
- * Build enhanced tool summary with full command details
- * Returns object with summary string and full command details
- */
-function buildToolSummary(tool, input) {
-  if (!input) return { summary: tool };
-
-  const result = { summary: tool };
-
-  switch (tool) {
-    case 'Bash':
-      result.summary = `$ ${(input.command || '').slice(0, 80)}`;
-      result.fullCommand = input.command || '';
-      break;
-    case 'Read':
-      result.summary = `Read ${input.file_path || input.path || ''}`;
-      result.fullCommand = input.file_path || input.path || '';
-      result.filePath = input.file_path || input.path || '';
-      break;
-    case 'Write':
-      result.summary = `Write ${input.file_path || input.path || ''}`;
-      result.fullCommand = input.file_path || input.path || '';
-      result.filePath = input.file_path || input.path || '';
-      break;
-    case 'Edit':
-      result.summary = `Edit ${input.file_path || input.path || ''}`;
-      result.fullCommand = input.file_path || input.path || '';
-      result.filePath = input.file_path || input.path || '';
-      break;
-    case 'Glob':
-      result.summary = `Find ${input.pattern || ''}`;
-      result.fullCommand = input.pattern || '';
-      result.pattern = input.pattern || '';
-      break;
-    case 'Grep':
-      result.summary = `Search ${input.pattern || ''}`;
-      result.fullCommand = input.pattern || '';
-      result.pattern = input.pattern || '';
-      result.fullQuery = input.query || '';
-      break;
-    default:
-      result.summary = tool;
+    const msg = parseMessageEntry(entry);
+    if (!msg) continue;
+    if (msg.role === 'tool' && msg.toolUseId) toolCalls.set(msg.toolUseId, msg);
+    messages.push(msg);
   }
 
-  return result;
+  const usage = { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0 };
+  for (const u of usageByMessage.values()) {
+    usage.inputTokens += u.input_tokens || 0;
+    usage.outputTokens += u.output_tokens || 0;
+    usage.cacheReadTokens += u.cache_read_input_tokens || 0;
+    usage.cacheWriteTokens += u.cache_creation_input_tokens || 0;
+  }
+  return { messages, usage };
 }
 
 /**
  * GET /api/projects/:name/files/search?q=query
  * Search files within a project using glob patterns
  */
-router.get('/:name/files/search', async (req, res) => {
+router.get('/:name/files/search', requireScope('read'), requireProjectAccess('read'), async (req, res) => {
   const { name } = req.params;
   const query = (req.query.q || '').trim();
 
@@ -0,0 +1,344 @@
+/**
+ * Minimal QR code encoder (ISO/IEC 18004) for enrolment links
+ * Byte mode, error correction level M, versions 1-10 (up to 213 bytes),
+ * which covers otpauth:// URIs. Rendered here so secrets never leave the server
+ * for a third-party QR service.
+ */
+
+const MAX_VERSION = 10;
+// Level M, indexed by version - 1
+const ECC_PER_BLOCK = [10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const NUM_BLOCKS = [1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const FORMAT_BITS_LEVEL_M = 0;
+
+// ==================== Reed-Solomon over GF(256) ====================
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * Error correction codewords for a block of data codewords
+ * @param {number[]} data
+ * @param {number} degree - Number of EC codewords
+ * @returns {number[]}
+ */
+export function reedSolomon(data, degree) {
+  const divisor = rsDivisor(degree);
+  const result = new Array(degree).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  }
+  return result;
+}
+
+// ==================== Layout ====================
+
+function rawCodewords(version) {
+  let bits = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    bits -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) bits -= 36;
+  }
+  return Math.floor(bits / 8);
+}
+
+function dataCodewords(version) {
+  return rawCodewords(version) - ECC_PER_BLOCK[version - 1] * NUM_BLOCKS[version - 1];
+}
+
+function alignmentPositions(version, size) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < count; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+/**
+ * 15-bit format information for level M and a mask
+ * @returns {number}
+ */
+export function formatBits(mask) {
+  const data = (FORMAT_BITS_LEVEL_M << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  return ((data << 10) | rem) ^ 0x5412;
+}
+
+function versionBits(version) {
+  let rem = version;
+  for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+  return (version << 12) | rem;
+}
+
+const getBit = (value, i) => ((value >>> i) & 1) !== 0;
+
+// ==================== Encoding ====================
+
+// Data codewords: mode, length, bytes, terminator and padding
+function encodeData(bytes, version) {
+  const capacity = dataCodewords(version) * 8;
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  for (const byte of bytes) push(byte, 8);
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) codewords.push(pad);
+  return codewords;
+}
+
+// Split into blocks, add error correction and interleave
+function addErrorCorrection(data, version) {
+  const numBlocks = NUM_BLOCKS[version - 1];
+  const eccLength = ECC_PER_BLOCK[version - 1];
+  const shortLength = Math.floor(data.length / numBlocks);
+  const numLong = data.length % numBlocks;
+
+  const blocks = [];
+  let offset = 0;
+  for (let i = 0; i < numBlocks; i++) {
+    const length = shortLength + (i >= numBlocks - numLong ? 1 : 0);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    blocks.push({ data: block, ecc: reedSolomon(block, eccLength) });
+  }
+
+  const result = [];
+  for (let i = 0; i <= shortLength; i++) {
+    for (const block of blocks) if (i < block.data.length) result.push(block.data[i]);
+  }
+  for (let i = 0; i < eccLength; i++) {
+    for (const block of blocks) result.push(block.ecc[i]);
+  }
+  return result;
+}
+
+function createGrid(size) {
+  return {
+    size,
+    modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+    isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+  };
+}
+
+function setFunction(grid, x, y, dark) {
+  grid.modules[y][x] = dark;
+  grid.isFunction[y][x] = true;
+}
+
+function drawFormatBits(grid, mask) {
+  const { size } = grid;
+  const bits = formatBits(mask);
+  for (let i = 0; i <= 5; i++) setFunction(grid, 8, i, getBit(bits, i));
+  setFunction(grid, 8, 7, getBit(bits, 6));
+  setFunction(grid, 8, 8, getBit(bits, 7));
+  setFunction(grid, 7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i++) setFunction(grid, 14 - i, 8, getBit(bits, i));
+  for (let i = 0; i < 8; i++) setFunction(grid, size - 1 - i, 8, getBit(bits, i));
+  for (let i = 8; i < 15; i++) setFunction(grid, 8, size - 15 + i, getBit(bits, i));
+  setFunction(grid, 8, size - 8, true); // Dark module
+}
+
+function drawFunctionPatterns(grid, version) {
+  const { size } = grid;
+
+  for (let i = 0; i < size; i++) {
+    setFunction(grid, 6, i, i % 2 === 0);
+    setFunction(grid, i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        setFunction(grid, x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+
+  const positions = alignmentPositions(version, size);
+  const last = positions.length - 1;
+  positions.forEach((cy, i) => {
+    positions.forEach((cx, j) => {
+      // Skip the three corners occupied by finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(grid, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Reserve the format areas; real bits are drawn once the mask is chosen
+  drawFormatBits(grid, 0);
+
+  if (version >= 7) {
+    const bits = versionBits(version);
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(grid, a, b, getBit(bits, i));
+      setFunction(grid, b, a, getBit(bits, i));
+    }
+  }
+}
+
+// Zigzag placement of codeword bits, two columns at a time from the right
+function drawCodewords(grid, codewords) {
+  const { size } = grid;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // Skip the vertical timing pattern
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const y = upward ? size - 1 - vert : vert;
+        if (grid.isFunction[y][x]) continue;
+        if (i < codewords.length * 8) {
+          grid.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+function applyMask(grid, mask) {
+  for (let y = 0; y < grid.size; y++) {
+    for (let x = 0; x < grid.size; x++) {
+      if (!grid.isFunction[y][x] && MASKS[mask](x, y)) grid.modules[y][x] = !grid.modules[y][x];
+    }
+  }
+}
+
+const FINDER_LIKE = ['10111010000', '00001011101'];
+
+// Penalty score from the spec's four rules; lower reads more reliably
+function penalty(modules) {
+  const size = modules.length;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i].map(Number).join(''));
+    lines.push(modules.map(row => Number(row[i])).join(''));
+  }
+
+  let score = 0;
+  for (const line of lines) {
+    for (const run of line.match(/0{5,}|1{5,}/g) || []) score += 3 + run.length - 5;
+    for (const pattern of FINDER_LIKE) {
+      for (let i = line.indexOf(pattern); i !== -1; i = line.indexOf(pattern, i + 1)) score += 40;
+    }
+  }
+
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) score += 3;
+    }
+  }
+
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - UTF-8 text
+ * @returns {boolean[][]} Modules by row, true = dark (no quiet zone)
+ * @throws {Error} if the text does not fit in version 10
+ */
+export function encodeQr(text) {
+  const bytes = Buffer.from(text, 'utf8');
+  let version = 1;
+  while (4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCodewords(version) * 8) {
+    if (++version > MAX_VERSION) throw new Error('Text too long for QR code');
+  }
+
+  const grid = createGrid(version * 4 + 17);
+  drawFunctionPatterns(grid, version);
+  drawCodewords(grid, addErrorCorrection(encodeData(bytes, version), version));
+
+  let best = null;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    applyMask(grid, mask);
+    drawFormatBits(grid, mask);
+    const score = penalty(grid.modules);
+    if (!best || score < best.score) best = { mask, score };
+    applyMask(grid, mask); // XOR again to undo
+  }
+  applyMask(grid, best.mask);
+  drawFormatBits(grid, best.mask);
+  return grid.modules;
+}
+
+/**
+ * Render text as an SVG QR code
+ * @param {string} text
+ * @param {number} [quietZone] - Light border in modules
+ * @returns {string} SVG markup
+ */
+export function qrSvg(text, quietZone = 4) {
+  const modules = encodeQr(text);
+  const size = modules.length + quietZone * 2;
+  let path = '';
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) path += `M${x + quietZone} ${y + quietZone}h1v1h-1z`;
+    });
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">` +
+    `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
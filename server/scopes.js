@@ -0,0 +1,57 @@
+/**
+ * Token scopes and account roles
+ * Password logins (JWTs) carry no scopes and have full access; tokens are
+ * limited to the scopes they were created with, and 'admin' implies all others.
+ * Account roles cap both: viewers can never chat or write files.
+ */
+
+export const TOKEN_SCOPES = ['read', 'chat', 'files:write', 'admin'];
+
+// Scopes usable by each account role (the 'admin' scope covers a user's own tokens and rules)
+const ROLE_SCOPES = {
+  admin: TOKEN_SCOPES,
+  member: TOKEN_SCOPES,
+  viewer: ['read', 'admin']
+};
+
+/**
+ * Check whether an authenticated user may use a scope
+ * @param {Object} user - req.user / authenticateWebSocket result
+ * @param {string} scope - One of TOKEN_SCOPES
+ * @returns {boolean}
+ */
+export function hasScope(user, scope) {
+  if (!user) return false;
+  if (user.role && !ROLE_SCOPES[user.role]?.includes(scope)) return false;
+  if (!user.scopes) return true;
+  return user.scopes.includes('admin') || user.scopes.includes(scope);
+}
+
+/**
+ * Middleware: Require a token scope for a route
+ * Use after authenticateToken
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (!hasScope(req.user, scope)) {
+      const roleDenied = req.user?.role && !ROLE_SCOPES[req.user.role]?.includes(scope);
+      return res.status(403).json({
+        error: roleDenied ? `The ${req.user.role} role cannot use: ${scope}` : `Token lacks required scope: ${scope}`
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware: Require an account role for a route
+ * Use after authenticateToken
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (req.user?.role !== role) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
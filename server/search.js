@@ -0,0 +1,412 @@
+/**
+ * Full-text search across Claude session transcripts
+ * ~/.claude/projects/<project>/**.jsonl files are indexed into search.db with
+ * SQLite FTS5. The index is brought up to date every minute and before each
+ * search: files whose mtime or size changed are re-read from where indexing
+ * stopped (transcripts are append-only), shrunk files are re-indexed from
+ * scratch and deleted files are dropped. Each pass reads at most
+ * MAX_PASS_BYTES, so a large backlog is indexed over several passes.
+ */
+import express from 'express';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { glob } from 'glob';
+import { openDatabase } from './db.js';
+import { requireScope } from './scopes.js';
+import { canAccessProject } from './access.js';
+import { decodeProjectName } from './projects.js';
+
+const router = express.Router();
+const CLAUDE_PROJECTS = path.join(os.homedir(), '.claude', 'projects');
+
+export const SEARCH_ROLES = ['user', 'assistant', 'tool'];
+const DEFAULT_RESULTS = 50;
+const MAX_RESULTS = 200;
+const MAX_CONTENT_LENGTH = 20000;
+const READ_CHUNK_BYTES = 1024 * 1024;
+// Longer transcript lines (e.g. inline images) are skipped rather than buffered
+const MAX_LINE_BYTES = 8 * 1024 * 1024;
+const MAX_PASS_BYTES = 32 * 1024 * 1024;
+const INDEX_INTERVAL_MS = 60 * 1000;
+const SNIPPET_TOKENS = 16;
+// Snippet highlight markers; stripped from indexed text so they can't be forged
+const MARK_START = '\u0001';
+const MARK_END = '\u0002';
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+let db = null;
+let indexing = null;
+let indexTimer = null;
+
+/**
+ * Lazily open search.db so importing this module has no side effects
+ * transcript_fts is an external-content FTS5 index over transcript_messages,
+ * kept in sync by triggers.
+ */
+function getDb() {
+  if (!db) {
+    db = openDatabase('search.db');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS indexed_files (
+        id INTEGER PRIMARY KEY,
+        path TEXT NOT NULL UNIQUE,
+        project_name TEXT NOT NULL,
+        project_path TEXT,
+        mtime_ms REAL NOT NULL,
+        size INTEGER NOT NULL,
+        indexed_bytes INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS transcript_messages (
+        id INTEGER PRIMARY KEY,
+        file_id INTEGER NOT NULL,
+        project_name TEXT NOT NULL,
+        session_id TEXT NOT NULL,
+        role TEXT NOT NULL,
+        timestamp TEXT,
+        uuid TEXT,
+        content TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_transcript_messages_file ON transcript_messages(file_id);
+      CREATE VIRTUAL TABLE IF NOT EXISTS transcript_fts USING fts5(
+        content, content = 'transcript_messages', content_rowid = 'id'
+      );
+      CREATE TRIGGER IF NOT EXISTS transcript_messages_ai AFTER INSERT ON transcript_messages BEGIN
+        INSERT INTO transcript_fts (rowid, content) VALUES (new.id, new.content);
+      END;
+      CREATE TRIGGER IF NOT EXISTS transcript_messages_ad AFTER DELETE ON transcript_messages BEGIN
+        INSERT INTO transcript_fts (transcript_fts, rowid, content) VALUES ('delete', old.id, old.content);
+      END;
+    `);
+  }
+  return db;
+}
+
+// Text of a message content block list (or plain string)
+function blockText(content, type = 'text') {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter(block => block.type === type).map(block => block.text).join('\n');
+}
+
+// Searchable text for a tool call: the tool name and its input
+function toolUseText(block) {
+  const input = block.input || {};
+  const detail = input.command || input.file_path || input.pattern || input.url || '';
+  const rest = JSON.stringify(input);
+  return [block.name, detail, rest === '{}' ? '' : rest].filter(Boolean).join('\n');
+}
+
+/**
+ * Searchable messages in one transcript entry
+ * User text skips the same internal messages as the session view; tool calls
+ * and tool results (where error output usually lives) are indexed as 'tool'.
+ * @returns {Array<{ role: string, content: string }>}
+ */
+function extractMessages(entry) {
+  const content = entry.message?.content;
+  const messages = [];
+  const add = (role, text) => {
+    if (typeof text !== 'string' || !text.trim()) return;
+    messages.push({
+      role,
+      content: text.replace(/[\u0001\u0002]/g, '').slice(0, MAX_CONTENT_LENGTH)
+    });
+  };
+
+  if (entry.isMeta) return messages;
+
+  if (entry.type === 'user' || entry.message?.role === 'user') {
+    const text = blockText(content);
+    if (!text.startsWith('<') && !text.startsWith('{')) add('user', text);
+    if (Array.isArray(content)) {
+      for (const block of content.filter(b => b.type === 'tool_result')) add('tool', blockText(block.content));
+    }
+  } else if (entry.type === 'assistant' || entry.message?.role === 'assistant') {
+    add('assistant', blockText(content));
+    if (Array.isArray(content)) {
+      for (const block of content.filter(b => b.type === 'tool_use')) add('tool', toolUseText(block));
+    }
+  }
+  return messages;
+}
+
+/**
+ * Index the part of a transcript that hasn't been indexed yet, up to maxBytes of it
+ * The file is read in chunks and only complete lines are consumed; a
+ * half-written last line is picked up next time.
+ * @returns {Promise<number>} Bytes read
+ */
+async function indexFile(relativePath, stat, existing, maxBytes) {
+  const conn = getDb();
+  const filePath = path.join(CLAUDE_PROJECTS, relativePath);
+  const projectName = relativePath.split(path.sep)[0];
+  const defaultSessionId = path.basename(relativePath, '.jsonl');
+
+  // A shrunk file was rewritten rather than appended to
+  const start = existing && stat.size >= existing.indexed_bytes ? existing.indexed_bytes : 0;
+  const end = Math.min(stat.size, start + maxBytes);
+
+  let projectPath = start > 0 ? existing.project_path : null;
+  const rows = [];
+  const addLine = (line) => {
+    let entry;
+    try {
+      entry = JSON.parse(line.toString('utf8'));
+    } catch { return; /* skip malformed */ }
+    if (!projectPath && entry.cwd) projectPath = entry.cwd;
+    for (const message of extractMessages(entry)) {
+      rows.push({ ...message, sessionId: entry.sessionId || defaultSessionId, timestamp: entry.timestamp || null, uuid: entry.uuid || null });
+    }
+  };
+
+  // position is how far the file has been read, consumed how far whole lines have been handled
+  let position = start;
+  let consumed = start;
+  let pending = [];
+  let pendingBytes = 0;
+  let skipping = false;
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const chunk = Buffer.alloc(Math.max(Math.min(READ_CHUNK_BYTES, end - start), 1));
+    while (position < end) {
+      const { bytesRead } = await handle.read(chunk, 0, Math.min(chunk.length, end - position), position);
+      if (bytesRead === 0) break;
+      let lineStart = 0;
+      let newline;
+      while ((newline = chunk.indexOf(0x0a, lineStart)) !== -1 && newline < bytesRead) {
+        if (!skipping) addLine(Buffer.concat([...pending, chunk.subarray(lineStart, newline)]));
+        pending = [];
+        pendingBytes = 0;
+        skipping = false;
+        lineStart = newline + 1;
+        consumed = position + lineStart;
+      }
+      if (!skipping) {
+        pending.push(Buffer.from(chunk.subarray(lineStart, bytesRead)));
+        pendingBytes += bytesRead - lineStart;
+        if (pendingBytes > MAX_LINE_BYTES) {
+          pending = [];
+          pendingBytes = 0;
+          skipping = true;
+        }
+      }
+      position += bytesRead;
+    }
+  } finally {
+    await handle.close();
+  }
+  // What was read of an oversized line stays skipped; its tail fails to parse next time
+  if (skipping) consumed = position;
+
+  conn.transaction(() => {
+    let fileId = existing?.id;
+    if (fileId && start === 0) conn.prepare('DELETE FROM transcript_messages WHERE file_id = ?').run(fileId);
+    // Until the whole file has been read, size records how far, so the next pass carries on
+    const values = [projectName, projectPath || decodeProjectName(projectName), stat.mtimeMs, position, consumed];
+    if (fileId) {
+      conn.prepare(`
+        UPDATE indexed_files SET project_name = ?, project_path = ?, mtime_ms = ?, size = ?, indexed_bytes = ? WHERE id = ?
+      `).run(...values, fileId);
+    } else {
+      fileId = conn.prepare(`
+        INSERT INTO indexed_files (path, project_name, project_path, mtime_ms, size, indexed_bytes) VALUES (?, ?, ?, ?, ?, ?)
+      `).run(relativePath, ...values).lastInsertRowid;
+    }
+    const insert = conn.prepare(`
+      INSERT INTO transcript_messages (file_id, project_name, session_id, role, timestamp, uuid, content)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const row of rows) insert.run(fileId, projectName, row.sessionId, row.role, row.timestamp, row.uuid, row.content);
+  })();
+  return position - start;
+}
+
+async function runIndex(maxBytes) {
+  const conn = getDb();
+  let files;
+  try {
+    files = await glob('*/**/*.jsonl', { cwd: CLAUDE_PROJECTS, ignore: '**/agent-*.jsonl', nodir: true });
+  } catch {
+    files = [];
+  }
+
+  const indexed = new Map(conn.prepare('SELECT * FROM indexed_files').all().map(row => [row.path, row]));
+  let budget = maxBytes;
+  for (const relativePath of files) {
+    const existing = indexed.get(relativePath);
+    indexed.delete(relativePath);
+    if (budget <= 0) continue;
+    try {
+      const stat = await fs.stat(path.join(CLAUDE_PROJECTS, relativePath));
+      if (existing && existing.mtime_ms === stat.mtimeMs && existing.size === stat.size) continue;
+      budget -= await indexFile(relativePath, stat, existing, budget);
+    } catch (err) {
+      console.error(`[Search] Failed to index ${relativePath}:`, err.message);
+    }
+  }
+
+  // Whatever is left in the map no longer exists on disk
+  const remove = conn.transaction(rows => {
+    for (const row of rows) {
+      conn.prepare('DELETE FROM transcript_messages WHERE file_id = ?').run(row.id);
+      conn.prepare('DELETE FROM indexed_files WHERE id = ?').run(row.id);
+    }
+  });
+  remove([...indexed.values()]);
+}
+
+/**
+ * Run one indexing pass over the transcripts on disk
+ * Concurrent callers share one pass.
+ * @param {number} [maxBytes] - Most transcript bytes the pass reads
+ * @returns {Promise<void>}
+ */
+export function updateIndex(maxBytes = MAX_PASS_BYTES) {
+  if (!indexing) {
+    indexing = runIndex(maxBytes).finally(() => { indexing = null; });
+  }
+  return indexing;
+}
+
+/**
+ * Update the index now and then every minute, so searches find it mostly current
+ */
+export function startIndexing() {
+  if (indexTimer) return;
+  const update = () => updateIndex().catch(err => console.error('[Search] Indexing error:', err));
+  update();
+  indexTimer = setInterval(update, INDEX_INTERVAL_MS);
+  indexTimer.unref();
+}
+
+export function stopIndexing() {
+  clearInterval(indexTimer);
+  indexTimer = null;
+}
+
+/**
+ * Turn a search box query into an FTS5 expression
+ * Every word (or "quoted phrase") must match; a trailing * makes a word a prefix.
+ * @returns {string|null} null when there is nothing to search for
+ */
+export function toMatchQuery(query) {
+  const terms = String(query || '').match(/"[^"]*"|\S+/g) || [];
+  const parts = [];
+  for (const term of terms) {
+    const prefix = !term.startsWith('"') && term.length > 1 && term.endsWith('*');
+    const text = term.replace(/"/g, '').replace(/\*+$/, '').trim();
+    if (text) parts.push(`"${text}"${prefix ? '*' : ''}`);
+  }
+  return parts.length ? parts.join(' ') : null;
+}
+
+// Parse an ISO date filter
+function toTimestamp(value, name) {
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) throw new Error(`Invalid ${name} date: ${value}`);
+  return time.toISOString();
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// FTS5 snippet (with marker characters) to HTML with <mark> around matches
+function snippetHtml(snippet) {
+  return escapeHtml(snippet).replaceAll(MARK_START, '<mark>').replaceAll(MARK_END, '</mark>');
+}
+
+/**
+ * Validate search filters
+ * @param {Object} filters - { q, project, role, since, until, limit }
+ *   project is a project directory name, as in /api/projects/:name
+ * @returns {Object} The search for searchTranscripts()
+ * @throws {Error} on an empty query, an unknown role or a bad date
+ */
+export function parseSearch(filters) {
+  const match = toMatchQuery(filters.q);
+  if (!match) throw new Error('Search query is required');
+  if (filters.role && !SEARCH_ROLES.includes(filters.role)) throw new Error(`Invalid role: ${filters.role}`);
+  return {
+    match,
+    project: filters.project || null,
+    role: filters.role || null,
+    since: filters.since ? toTimestamp(filters.since, 'since') : null,
+    until: filters.until ? toTimestamp(filters.until, 'until') : null,
+    // A bare date as the upper bound covers that whole day
+    untilWholeDay: DATE_ONLY.test(filters.until),
+    limit: Math.min(Math.max(Number(filters.limit) || DEFAULT_RESULTS, 1), MAX_RESULTS)
+  };
+}
+
+/**
+ * Search the transcripts a user can access, best matches first
+ * @param {Object} search - From parseSearch()
+ * @param {string} username - The requesting user
+ * @returns {Promise<Array>} Matches with an HTML snippet and a deep link
+ */
+export async function searchTranscripts({ match, project, role, since, until, untilWholeDay, limit }, username) {
+  await updateIndex();
+  const conn = getDb();
+
+  const projectPaths = new Map();
+  for (const row of conn.prepare('SELECT DISTINCT project_name, project_path FROM indexed_files').all()) {
+    if (project && row.project_name !== project) continue;
+    if (canAccessProject(username, row.project_path)) projectPaths.set(row.project_name, row.project_path);
+  }
+  if (projectPaths.size === 0) return [];
+
+  const where = [`m.project_name IN (${[...projectPaths.keys()].map(() => '?').join(', ')})`];
+  const params = [...projectPaths.keys()];
+  if (role) { where.push('m.role = ?'); params.push(role); }
+  if (since) { where.push('m.timestamp >= ?'); params.push(since); }
+  if (until) {
+    where.push(untilWholeDay ? "m.timestamp < strftime('%Y-%m-%dT%H:%M:%fZ', ?, '+1 day')" : 'm.timestamp <= ?');
+    params.push(until);
+  }
+
+  const rows = conn.prepare(`
+    SELECT m.project_name, m.session_id, m.role, m.timestamp, m.uuid,
+      snippet(transcript_fts, 0, ?, ?, '…', ${SNIPPET_TOKENS}) AS snippet
+    FROM transcript_fts JOIN transcript_messages m ON m.id = transcript_fts.rowid
+    WHERE transcript_fts MATCH ? AND ${where.join(' AND ')}
+    ORDER BY bm25(transcript_fts) LIMIT ?
+  `).all(MARK_START, MARK_END, match, ...params, limit);
+
+  return rows.map(row => ({
+    projectName: row.project_name,
+    projectPath: projectPaths.get(row.project_name),
+    sessionId: row.session_id,
+    role: row.role,
+    timestamp: row.timestamp,
+    uuid: row.uuid,
+    snippet: snippetHtml(row.snippet),
+    link: `#/project/${encodeURIComponent(row.project_name)}/session/${encodeURIComponent(row.session_id)}`
+  }));
+}
+
+// ==================== Routes ====================
+
+/**
+ * GET /api/search?q=query
+ * Query: q, project, role (user|assistant|tool), since, until, limit
+ * Snippets are HTML with <mark> around the matching words.
+ */
+router.get('/', requireScope('read'), async (req, res) => {
+  let search;
+  try {
+    search = parseSearch(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    res.json({ results: await searchTranscripts(search, req.user?.username) });
+  } catch (err) {
+    console.error('[Search] Search failed:', err);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+export { router as searchRoutes };
@@ -0,0 +1,190 @@
+/**
+ * Session export - render a transcript as Markdown, HTML or JSON
+ * Takes the messages parsed from a transcript (with tool outputs attached)
+ * and renders a shareable document. Tool outputs and file contents can be
+ * redacted before anything is rendered.
+ */
+
+export const EXPORT_FORMATS = ['md', 'html', 'json'];
+export const REDACTIONS = ['tool-output', 'file-contents'];
+
+const REDACTED = '[redacted]';
+
+export const CONTENT_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+// Tool input fields that carry file contents
+const FILE_CONTENT_FIELDS = {
+  Write: ['content'],
+  Edit: ['old_string', 'new_string'],
+  NotebookEdit: ['new_source']
+};
+// Tools whose output is a file's contents
+const FILE_OUTPUT_TOOLS = ['Read', 'NotebookRead'];
+
+/**
+ * Blank out tool outputs and/or file contents
+ * @param {Array} messages - Parsed messages ({ role, content } or { role: 'tool', tool, input, output })
+ * @param {string[]} redact - Any of REDACTIONS
+ * @returns {Array} Copies of the messages with the chosen parts replaced by "[redacted]"
+ */
+export function redactMessages(messages, redact) {
+  const outputs = redact.includes('tool-output');
+  const files = redact.includes('file-contents');
+
+  return messages.map(msg => {
+    if (msg.role !== 'tool') return msg;
+    const copy = { ...msg };
+    if (copy.output !== undefined && (outputs || (files && FILE_OUTPUT_TOOLS.includes(copy.tool)))) {
+      copy.output = REDACTED;
+    }
+    if (files && copy.input) {
+      copy.input = { ...copy.input };
+      for (const field of FILE_CONTENT_FIELDS[copy.tool] || []) {
+        if (copy.input[field] !== undefined) copy.input[field] = REDACTED;
+      }
+      if (copy.tool === 'MultiEdit' && Array.isArray(copy.input.edits)) {
+        copy.input.edits = copy.input.edits.map(edit => ({ ...edit, old_string: REDACTED, new_string: REDACTED }));
+      }
+    }
+    return copy;
+  });
+}
+
+function formatUsage(usage) {
+  const n = (value) => value.toLocaleString('en-US');
+  let text = `${n(usage.inputTokens)} input · ${n(usage.outputTokens)} output`;
+  if (usage.cacheReadTokens || usage.cacheWriteTokens) {
+    text += ` (${n(usage.cacheReadTokens)} cache read, ${n(usage.cacheWriteTokens)} cache write)`;
+  }
+  return text;
+}
+
+function formatInput(input) {
+  return JSON.stringify(input ?? {}, null, 2);
+}
+
+// A code fence longer than any backtick run in the text, so the text can't close it
+function fence(text, lang = '') {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const marks = '`'.repeat(longest + 1);
+  return `${marks}${lang}\n${text}\n${marks}`;
+}
+
+function renderMarkdown(session, messages) {
+  const lines = [
+    `# ${session.title || 'Session'}`,
+    '',
+    `- Project: \`${session.projectPath}\``,
+    `- Session: \`${session.sessionId}\``,
+    `- Exported: ${session.exportedAt}`,
+    `- Tokens: ${formatUsage(session.usage)}`
+  ];
+  if (session.redact.length > 0) lines.push(`- Redacted: ${session.redact.join(', ')}`);
+
+  for (const msg of messages) {
+    lines.push('', '---', '');
+    if (msg.role === 'tool') {
+      lines.push(`### 🔧 ${msg.summary?.summary || msg.tool} · ${msg.timestamp}`, '', '**Input**', '', fence(formatInput(msg.input), 'json'));
+      if (msg.output !== undefined) {
+        lines.push('', msg.isError ? '**Output (error)**' : '**Output**', '', fence(msg.output));
+      }
+    } else {
+      const heading = msg.role === 'user' ? '👤 User' : `🤖 Assistant${msg.model ? ` (${msg.model})` : ''}`;
+      lines.push(`### ${heading} · ${msg.timestamp}`, '', msg.content);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// The app's neon theme, inlined so the export opens anywhere
+const HTML_STYLE = `
+  :root { --bg: #0a0a0f; --bg-light: #12111a; --bg-lighter: #1a1825; --border: #2a2640;
+    --text: #e8e6f0; --text-dim: #8b85a0; --neon-pink: #ff2d95; --neon-cyan: #00f0ff;
+    --neon-purple: #b829ff; --neon-green: #39ff14; --neon-red: #ff1744; }
+  * { box-sizing: border-box; }
+  body { margin: 0 auto; max-width: 900px; padding: 24px 16px; background: var(--bg); color: var(--text);
+    font: 15px/1.6 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+  h1 { color: var(--neon-pink); text-shadow: 0 0 10px rgba(255, 45, 149, 0.6); font-size: 24px; }
+  .meta { color: var(--text-dim); font-size: 13px; margin-bottom: 24px; }
+  .meta code { color: var(--neon-cyan); }
+  .message { margin: 12px 0; padding: 12px 16px; border-radius: 8px; border: 1px solid var(--border);
+    background: var(--bg-light); white-space: pre-wrap; overflow-wrap: anywhere; }
+  .message.user { border-color: var(--neon-purple); background: rgba(184, 41, 255, 0.12); }
+  .message.tool { border-left: 3px solid var(--neon-cyan); white-space: normal; }
+  .role { display: block; margin-bottom: 6px; color: var(--text-dim); font-size: 12px; white-space: normal; }
+  .user .role { color: var(--neon-purple); }
+  .assistant .role { color: var(--neon-pink); }
+  .tool .role { color: var(--neon-cyan); }
+  details { margin-top: 6px; }
+  summary { cursor: pointer; color: var(--text-dim); font-size: 12px; }
+  pre { margin: 6px 0 0; padding: 10px; background: var(--bg-lighter); border-radius: 6px;
+    overflow-x: auto; font: 12px/1.5 'SF Mono', Menlo, Consolas, monospace; white-space: pre-wrap; }
+  .error pre { border: 1px solid var(--neon-red); }
+`;
+
+function renderHtml(session, messages) {
+  const title = escapeHtml(session.title || 'Session');
+  const body = messages.map(msg => {
+    if (msg.role === 'tool') {
+      const output = msg.output === undefined ? '' : `
+      <details class="${msg.isError ? 'error' : ''}"><summary>${msg.isError ? 'Output (error)' : 'Output'}</summary><pre>${escapeHtml(msg.output)}</pre></details>`;
+      return `
+    <div class="message tool">
+      <span class="role">🔧 ${escapeHtml(msg.summary?.summary || msg.tool)} · ${escapeHtml(msg.timestamp)}</span>
+      <details><summary>Input</summary><pre>${escapeHtml(formatInput(msg.input))}</pre></details>${output}
+    </div>`;
+    }
+    const role = msg.role === 'user' ? 'User' : `Assistant${msg.model ? ` (${escapeHtml(msg.model)})` : ''}`;
+    return `
+    <div class="message ${msg.role}"><span class="role">${role} · ${escapeHtml(msg.timestamp)}</span>${escapeHtml(msg.content)}</div>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+  <style>${HTML_STYLE}</style>
+</head>
+<body>
+  <h1>${title}</h1>
+  <div class="meta">
+    <div>Project: <code>${escapeHtml(session.projectPath)}</code></div>
+    <div>Session: <code>${escapeHtml(session.sessionId)}</code></div>
+    <div>Exported: ${escapeHtml(session.exportedAt)}</div>
+    <div>Tokens: ${escapeHtml(formatUsage(session.usage))}</div>${session.redact.length > 0 ? `
+    <div>Redacted: ${escapeHtml(session.redact.join(', '))}</div>` : ''}
+  </div>${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a session export
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} session - { sessionId, projectPath, title, usage, exportedAt }
+ * @param {Array} messages - Parsed messages, tool outputs attached
+ * @param {string[]} [redact] - Any of REDACTIONS
+ * @returns {string} The document
+ */
+export function renderSessionExport(format, session, messages, redact = []) {
+  const info = { ...session, redact };
+  const shown = redactMessages(messages, redact);
+  if (format === 'html') return renderHtml(info, shown);
+  if (format === 'json') return JSON.stringify({ ...info, messages: shown }, null, 2);
+  return renderMarkdown(info, shown);
+}
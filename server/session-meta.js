@@ -0,0 +1,213 @@
+/**
+ * Session metadata - titles, tags, pins and archiving
+ * Stored in sessions.db next to fork lineage, keyed by session ID. A custom
+ * title wins over the auto title, which is derived from the first exchange of
+ * the transcript the first time it is needed.
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { openDatabase } from './db.js';
+
+const CLAUDE_PROJECTS = path.join(os.homedir(), '.claude', 'projects');
+
+export const MAX_TITLE_LENGTH = 200;
+export const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const AUTO_TITLE_LENGTH = 60;
+// Lines read when looking for the first exchange
+const FIRST_EXCHANGE_LINES = 200;
+
+let db = null;
+
+function getDb() {
+  if (db) return db;
+  db = openDatabase('sessions.db');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS session_meta (
+      session_id TEXT PRIMARY KEY,
+      project_name TEXT NOT NULL,
+      title TEXT,
+      auto_title TEXT,
+      tags TEXT NOT NULL DEFAULT '[]',
+      pinned INTEGER NOT NULL DEFAULT 0,
+      archived INTEGER NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_session_meta_project ON session_meta(project_name);
+  `);
+  return db;
+}
+
+function toMeta(row) {
+  return {
+    title: row?.title || row?.auto_title || null,
+    customTitle: row?.title || null,
+    autoTitle: row?.auto_title || null,
+    tags: row ? JSON.parse(row.tags) : [],
+    pinned: Boolean(row?.pinned),
+    archived: Boolean(row?.archived)
+  };
+}
+
+// Text of a user or assistant transcript entry, skipping internal messages
+function entryText(entry) {
+  let content = entry.message?.content;
+  if (Array.isArray(content)) {
+    content = content.filter(c => c.type === 'text').map(c => c.text).join('\n');
+  }
+  if (typeof content !== 'string' || entry.isMeta) return '';
+  return content.startsWith('<') || content.startsWith('{') ? '' : content.trim();
+}
+
+// First line of a message without markdown decoration, shortened on a word boundary
+function titleLine(text) {
+  const line = text.split('\n').map(l => l.replace(/^[#>*\-\s]+/, '').replace(/[`*_]/g, '').trim()).find(Boolean) || '';
+  const clean = line.replace(/\s+/g, ' ');
+  if (clean.length <= AUTO_TITLE_LENGTH) return clean;
+  const cut = clean.slice(0, AUTO_TITLE_LENGTH);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > AUTO_TITLE_LENGTH / 2 ? cut.slice(0, space) : cut).replace(/[\s,.;:]+$/, '')}…`;
+}
+
+/**
+ * Derive a title from a session's first exchange
+ * Uses the first prompt; a prompt of one or two words ("continue", "fix it")
+ * says little, so the first sentence of the reply is used if it says more.
+ * @param {string} userText - First user prompt
+ * @param {string} [assistantText] - First assistant reply
+ * @returns {string|null}
+ */
+export function deriveTitle(userText, assistantText = '') {
+  const prompt = titleLine(userText || '');
+  if (prompt.split(' ').filter(Boolean).length >= 3 || !assistantText) return prompt || null;
+  const reply = titleLine(assistantText.trim().split(/(?<=[.!?])\s/)[0]);
+  return reply.split(' ').length >= 3 ? reply : prompt || reply || null;
+}
+
+/**
+ * Read the first user prompt and assistant reply from a transcript
+ * @returns {Promise<{ user: string, assistant: string }|null>} null if the file doesn't exist
+ */
+async function readFirstExchange(filePath) {
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+
+  const exchange = { user: '', assistant: '' };
+  let count = 0;
+  try {
+    for await (const line of handle.readLines()) {
+      if (++count > FIRST_EXCHANGE_LINES) break;
+      let entry;
+      try { entry = JSON.parse(line); } catch { continue; }
+      const role = entry.type === 'user' || entry.message?.role === 'user' ? 'user'
+        : entry.type === 'assistant' || entry.message?.role === 'assistant' ? 'assistant' : null;
+      // The reply that counts is the one after the first real prompt
+      if (!role || exchange[role] || (role === 'assistant' && !exchange.user)) continue;
+      exchange[role] = entryText(entry);
+      if (exchange.user && exchange.assistant) break;
+    }
+  } finally {
+    await handle.close();
+  }
+  return exchange;
+}
+
+/**
+ * Make sure a session has an auto title, deriving it from the transcript if needed
+ * Sessions without a prompt yet are left untitled and retried next time.
+ * @param {string} projectName - Encoded project directory name
+ * @param {string} sessionId - The session
+ * @returns {Promise<string|null>} The auto title
+ */
+export async function ensureAutoTitle(projectName, sessionId) {
+  const existing = getDb().prepare('SELECT auto_title FROM session_meta WHERE session_id = ?').get(sessionId);
+  if (existing?.auto_title) return existing.auto_title;
+
+  const exchange = await readFirstExchange(path.join(CLAUDE_PROJECTS, projectName, `${sessionId}.jsonl`));
+  const title = exchange?.user ? deriveTitle(exchange.user, exchange.assistant) : null;
+  if (!title) return null;
+
+  getDb().prepare(`
+    INSERT INTO session_meta (session_id, project_name, auto_title) VALUES (?, ?, ?)
+    ON CONFLICT(session_id) DO UPDATE SET auto_title = excluded.auto_title
+  `).run(sessionId, projectName, title);
+  return title;
+}
+
+/**
+ * Metadata for a project's sessions
+ * @param {string} projectName - Encoded project directory name
+ * @returns {Map<string, Object>} sessionId -> { title, customTitle, autoTitle, tags, pinned, archived }
+ */
+export function getProjectSessionMeta(projectName) {
+  const rows = getDb().prepare('SELECT * FROM session_meta WHERE project_name = ?').all(projectName);
+  return new Map(rows.map(row => [row.session_id, toMeta(row)]));
+}
+
+/**
+ * Metadata for one session (defaults when none is stored)
+ */
+export function getSessionMeta(sessionId) {
+  return toMeta(getDb().prepare('SELECT * FROM session_meta WHERE session_id = ?').get(sessionId));
+}
+
+/**
+ * Clean up a tag list: trimmed, lower case, no duplicates
+ * @throws {Error} on a non-array, too many tags or an over-long tag
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) throw new Error('tags must be an array');
+  const normalized = [...new Set(tags.map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, '-')).filter(Boolean))];
+  if (normalized.length > MAX_TAGS) throw new Error(`At most ${MAX_TAGS} tags`);
+  const long = normalized.find(tag => tag.length > MAX_TAG_LENGTH);
+  if (long) throw new Error(`Tag too long: ${long}`);
+  return normalized;
+}
+
+/**
+ * Update a session's title, tags, pinned or archived state
+ * Fields left undefined are unchanged; an empty title reverts to the auto title.
+ * @param {string} projectName - Encoded project directory name
+ * @param {string} sessionId - The session
+ * @param {Object} changes - { title, tags, pinned, archived }
+ * @returns {Object} The updated metadata
+ * @throws {Error} on invalid values
+ */
+export function updateSessionMeta(projectName, sessionId, { title, tags, pinned, archived }) {
+  const updates = {};
+  if (title !== undefined) {
+    if (title !== null && typeof title !== 'string') throw new Error('title must be a string');
+    const clean = (title || '').replace(/\s+/g, ' ').trim();
+    if (clean.length > MAX_TITLE_LENGTH) throw new Error(`Title must be at most ${MAX_TITLE_LENGTH} characters`);
+    updates.title = clean || null;
+  }
+  if (tags !== undefined) updates.tags = JSON.stringify(normalizeTags(tags));
+  for (const [field, value] of Object.entries({ pinned, archived })) {
+    if (value === undefined) continue;
+    if (typeof value !== 'boolean') throw new Error(`${field} must be true or false`);
+    updates[field] = value ? 1 : 0;
+  }
+
+  const columns = Object.keys(updates);
+  const conn = getDb();
+  conn.prepare('INSERT OR IGNORE INTO session_meta (session_id, project_name) VALUES (?, ?)').run(sessionId, projectName);
+  if (columns.length > 0) {
+    conn.prepare(`
+      UPDATE session_meta SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE session_id = ?
+    `).run(...Object.values(updates), sessionId);
+  }
+  return getSessionMeta(sessionId);
+}
+
+/**
+ * Forget a session's metadata once its transcript is gone for good
+ */
+export function deleteSessionMeta(sessionId) {
+  getDb().prepare('DELETE FROM session_meta WHERE session_id = ?').run(sessionId);
+}
@@ -3,7 +3,7 @@
  * Tracks sessions across query() calls, survives between streaming sessions
  */
 
-// Map of sessionId -> { username, projectPath, projectName, displayName, status, createdAt, lastActiveAt }
+// Map of sessionId -> { username, projectPath, projectName, displayName, title, status, createdAt, lastActiveAt }
 const sessions = new Map();
 
 /**
@@ -13,7 +13,8 @@ const sessions = new Map();
  * @param {string} metadata.username - Username who owns this session
  * @param {string} metadata.projectPath - Path to the project
  * @param {string} metadata.projectName - Name of the project
- * @param {string} metadata.displayName - Display name for the session
+ * @param {string} metadata.displayName - Display name for the session (its title, else the project name)
+ * @param {string|null} [metadata.title] - Session title (custom or auto-generated)
  * @param {string} [metadata.status] - Status ('idle' or 'streaming', defaults to 'streaming')
  */
 export function register(sessionId, metadata) {
@@ -39,6 +40,19 @@ export function setStatus(sessionId, status) {
   }
 }
 
+/**
+ * Update a session's title after it is renamed or auto-titled
+ * @param {string} sessionId - The session ID
+ * @param {string|null} title - New title (null falls back to the project name)
+ */
+export function setTitle(sessionId, title) {
+  const session = sessions.get(sessionId);
+  if (session) {
+    session.title = title;
+    session.displayName = title || session.projectName;
+  }
+}
+
 /**
  * Get all sessions for a specific user
  * @param {string} username - The username
@@ -68,6 +82,17 @@ export function getSession(sessionId) {
   return sessions.get(sessionId) || null;
 }
 
+/**
+ * Move a user's sessions to their new username after a rename
+ * @param {string} from - Old username
+ * @param {string} to - New username
+ */
+export function renameSessionOwner(from, to) {
+  for (const session of sessions.values()) {
+    if (session.username === from) session.username = to;
+  }
+}
+
 /**
  * Remove a session from the registry (explicit cleanup only)
  * @param {string} sessionId - The session ID
@@ -0,0 +1,322 @@
+/**
+ * Session deletion, trash and retention
+ * Deleting a session moves its transcript (and its sidecar directory, if any)
+ * out of ~/.claude/projects/<project>/ into the data directory's trash/<project>/,
+ * where it can be restored until it is purged. Per-project retention policies
+ * move sessions older than N days to the trash; trashed sessions are purged
+ * after TRASH_RETENTION_DAYS.
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { openDatabase, DATA_DIR } from './db.js';
+import { isStreaming, getSession, remove as removeFromRegistry } from './session-registry.js';
+import { clearSessionBuffer } from './broadcast.js';
+import { clearQueue } from './message-queue.js';
+import { publishAll } from './bus.js';
+import { getProjectSessionMeta, getSessionMeta, deleteSessionMeta } from './session-meta.js';
+import { deleteForkRecord } from './forks.js';
+import { deleteSessionShares } from './shares.js';
+import { deleteSessionChanges } from './change-sets.js';
+import { canAccessProject } from './access.js';
+
+const CLAUDE_PROJECTS = path.join(os.homedir(), '.claude', 'projects');
+const TRASH_DIR = path.join(DATA_DIR, 'trash');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RETENTION_DAYS = 3650;
+// TRASH_RETENTION_DAYS=0 keeps trashed sessions until they are deleted by hand
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+// The cwd is near the top of a transcript
+const CWD_SCAN_BYTES = 64 * 1024;
+
+let db = null;
+let sweepTimer = null;
+
+function getDb() {
+  if (db) return db;
+  db = openDatabase('sessions.db');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS session_trash (
+      project_name TEXT NOT NULL,
+      session_id TEXT NOT NULL,
+      deleted_at TEXT NOT NULL,
+      deleted_by TEXT,
+      reason TEXT NOT NULL,
+      PRIMARY KEY (project_name, session_id)
+    );
+    CREATE TABLE IF NOT EXISTS retention_policies (
+      project_name TEXT PRIMARY KEY,
+      days INTEGER NOT NULL,
+      updated_by TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  return db;
+}
+
+// Project and session IDs become path segments, so they must be plain names
+function checkNames(projectName, sessionId) {
+  for (const value of [projectName, sessionId]) {
+    if (!value || value !== path.basename(value) || value.startsWith('.')) {
+      throw new Error('Invalid project or session');
+    }
+  }
+}
+
+// Move a file or directory, copying when the trash is on another filesystem
+async function move(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    if (err.code !== 'EXDEV') throw err;
+    await fs.cp(from, to, { recursive: true });
+    await fs.rm(from, { recursive: true, force: true });
+  }
+  return true;
+}
+
+// Move a session's transcript and sidecar directory between two project folders
+async function moveSession(fromDir, toDir, sessionId) {
+  await fs.mkdir(toDir, { recursive: true });
+  const moved = await move(path.join(fromDir, `${sessionId}.jsonl`), path.join(toDir, `${sessionId}.jsonl`));
+  if (moved) await move(path.join(fromDir, sessionId), path.join(toDir, sessionId));
+  return moved;
+}
+
+// The project path a transcript was recorded in, or null if it has no cwd
+async function readTranscriptCwd(filePath) {
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r');
+    const buffer = Buffer.alloc(CWD_SCAN_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    for (const line of buffer.subarray(0, bytesRead).toString('utf8').split('\n')) {
+      try {
+        const entry = JSON.parse(line);
+        if (entry.cwd) return entry.cwd;
+      } catch { /* skip malformed or cut-off lines */ }
+    }
+    return null;
+  } catch {
+    return null;
+  } finally {
+    await handle?.close();
+  }
+}
+
+/**
+ * Drop a deleted session's server-side state and tell the open tabs of its
+ * owner and of users who can see its project
+ * @param {string} sessionId - The session ID
+ * @param {string} transcriptPath - Where its transcript is now
+ */
+async function forgetSession(sessionId, transcriptPath) {
+  const session = getSession(sessionId);
+  const projectPath = session?.projectPath || await readTranscriptCwd(transcriptPath);
+  removeFromRegistry(sessionId);
+  clearSessionBuffer(sessionId);
+  clearQueue(sessionId);
+  publishAll({ type: 'session-deleted', sessionId }, (username) =>
+    username === session?.username || canAccessProject(username, projectPath, 'read'));
+}
+
+/**
+ * Move sessions to the trash
+ * Running sessions are skipped; each failure is reported rather than aborting the batch.
+ * @param {string} projectName - Encoded project directory name
+ * @param {string[]} sessionIds - Sessions to delete
+ * @param {string|null} username - Who deleted them (null for the retention sweep)
+ * @param {string} [reason] - 'deleted' or 'retention'
+ * @returns {Promise<{ trashed: string[], failed: Array<{ sessionId, error }> }>}
+ */
+export async function trashSessions(projectName, sessionIds, username, reason = 'deleted') {
+  const result = { trashed: [], failed: [] };
+  for (const sessionId of sessionIds) {
+    try {
+      checkNames(projectName, sessionId);
+      if (isStreaming(sessionId)) throw new Error('Session is running; stop it first');
+
+      // A copy trashed earlier under the same ID is replaced
+      const trashDir = path.join(TRASH_DIR, projectName);
+      await fs.rm(path.join(trashDir, sessionId), { recursive: true, force: true });
+      if (!await moveSession(path.join(CLAUDE_PROJECTS, projectName), trashDir, sessionId)) {
+        throw new Error('Session not found');
+      }
+
+      getDb().prepare(`
+        INSERT OR REPLACE INTO session_trash (project_name, session_id, deleted_at, deleted_by, reason) VALUES (?, ?, ?, ?, ?)
+      `).run(projectName, sessionId, new Date().toISOString(), username || null, reason);
+      await forgetSession(sessionId, path.join(trashDir, `${sessionId}.jsonl`));
+      result.trashed.push(sessionId);
+    } catch (err) {
+      result.failed.push({ sessionId, error: err.message });
+    }
+  }
+  if (result.trashed.length > 0) {
+    console.log(`[Trash] Moved ${result.trashed.length} session(s) from ${projectName} to the trash (${reason})`);
+  }
+  return result;
+}
+
+/**
+ * A project's trashed sessions, most recently deleted first
+ * @returns {Array} { id, title, deletedAt, deletedBy, reason, purgeAt }
+ */
+export function listTrash(projectName) {
+  return getDb().prepare('SELECT * FROM session_trash WHERE project_name = ? ORDER BY deleted_at DESC').all(projectName)
+    .map(row => ({
+      id: row.session_id,
+      title: getSessionMeta(row.session_id).title,
+      deletedAt: row.deleted_at,
+      deletedBy: row.deleted_by,
+      reason: row.reason,
+      purgeAt: TRASH_RETENTION_DAYS > 0
+        ? new Date(new Date(row.deleted_at).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString()
+        : null
+    }));
+}
+
+/**
+ * Credit a user's deletions and retention policies to their new username after a rename
+ */
+export function renameTrashOwner(from, to) {
+  getDb().prepare('UPDATE session_trash SET deleted_by = ? WHERE deleted_by = ?').run(to, from);
+  getDb().prepare('UPDATE retention_policies SET updated_by = ? WHERE updated_by = ?').run(to, from);
+}
+
+/**
+ * Move a session back out of the trash
+ * @returns {Promise<boolean>} false if it isn't in the trash
+ * @throws {Error} if a session with the same ID exists again
+ */
+export async function restoreSession(projectName, sessionId) {
+  checkNames(projectName, sessionId);
+  const row = getDb().prepare('SELECT 1 FROM session_trash WHERE project_name = ? AND session_id = ?').get(projectName, sessionId);
+  if (!row) return false;
+
+  const projectDir = path.join(CLAUDE_PROJECTS, projectName);
+  try {
+    await fs.access(path.join(projectDir, `${sessionId}.jsonl`));
+    throw new Error('A session with this ID already exists');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  await moveSession(path.join(TRASH_DIR, projectName), projectDir, sessionId);
+  getDb().prepare('DELETE FROM session_trash WHERE project_name = ? AND session_id = ?').run(projectName, sessionId);
+  return true;
+}
+
+/**
+ * Delete a trashed session for good, with its title, tags, fork record, share links and change set
+ * @returns {Promise<boolean>} false if it isn't in the trash
+ */
+export async function purgeSession(projectName, sessionId) {
+  checkNames(projectName, sessionId);
+  const trashDir = path.join(TRASH_DIR, projectName);
+  const removed = getDb().prepare('DELETE FROM session_trash WHERE project_name = ? AND session_id = ?').run(projectName, sessionId);
+  if (removed.changes === 0) return false;
+
+  await fs.rm(path.join(trashDir, `${sessionId}.jsonl`), { force: true });
+  await fs.rm(path.join(trashDir, sessionId), { recursive: true, force: true });
+  deleteSessionMeta(sessionId);
+  deleteForkRecord(sessionId);
+  deleteSessionShares(sessionId);
+  deleteSessionChanges(sessionId);
+  return true;
+}
+
+// ==================== Retention ====================
+
+/**
+ * @returns {number|null} Days a project's sessions are kept, or null for no policy
+ */
+export function getRetention(projectName) {
+  return getDb().prepare('SELECT days FROM retention_policies WHERE project_name = ?').get(projectName)?.days ?? null;
+}
+
+/**
+ * Set or clear a project's retention policy
+ * @param {number|null} days - Sessions untouched for longer move to the trash; null turns it off
+ * @returns {number|null} The policy now in effect
+ * @throws {Error} unless days is null or a whole number from 1 to MAX_RETENTION_DAYS
+ */
+export function setRetention(projectName, days, username) {
+  if (days === null) {
+    getDb().prepare('DELETE FROM retention_policies WHERE project_name = ?').run(projectName);
+    return null;
+  }
+  if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+    throw new Error(`days must be a whole number from 1 to ${MAX_RETENTION_DAYS}, or null`);
+  }
+  getDb().prepare(`
+    INSERT INTO retention_policies (project_name, days, updated_by) VALUES (?, ?, ?)
+    ON CONFLICT(project_name) DO UPDATE SET days = excluded.days, updated_by = excluded.updated_by, updated_at = CURRENT_TIMESTAMP
+  `).run(projectName, days, username || null);
+  return days;
+}
+
+/**
+ * Apply every retention policy and purge expired trash
+ * Pinned sessions are never pruned.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{ trashed: number, purged: number }>}
+ */
+export async function applyRetention(now = new Date()) {
+  const conn = getDb();
+  let trashed = 0;
+  let purged = 0;
+
+  for (const policy of conn.prepare('SELECT * FROM retention_policies').all()) {
+    const projectDir = path.join(CLAUDE_PROJECTS, policy.project_name);
+    let files;
+    try {
+      files = await fs.readdir(projectDir);
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      throw err;
+    }
+
+    const cutoff = now.getTime() - policy.days * DAY_MS;
+    const meta = getProjectSessionMeta(policy.project_name);
+    const expired = [];
+    for (const file of files.filter(f => f.endsWith('.jsonl') && !f.startsWith('agent-'))) {
+      const sessionId = path.basename(file, '.jsonl');
+      if (meta.get(sessionId)?.pinned) continue;
+      const stats = await fs.stat(path.join(projectDir, file));
+      if (stats.mtimeMs < cutoff) expired.push(sessionId);
+    }
+    if (expired.length > 0) {
+      trashed += (await trashSessions(policy.project_name, expired, null, 'retention')).trashed.length;
+    }
+  }
+
+  if (TRASH_RETENTION_DAYS > 0) {
+    const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+    for (const row of conn.prepare('SELECT project_name, session_id FROM session_trash WHERE deleted_at < ?').all(cutoff)) {
+      if (await purgeSession(row.project_name, row.session_id)) purged++;
+    }
+  }
+
+  if (trashed || purged) console.log(`[Trash] Retention: ${trashed} session(s) trashed, ${purged} purged`);
+  return { trashed, purged };
+}
+
+/**
+ * Run the retention sweep now and then hourly
+ */
+export function startRetentionSweep() {
+  if (sweepTimer) return;
+  const sweep = () => applyRetention().catch(err => console.error('[Trash] Retention sweep error:', err));
+  sweep();
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+export function stopRetentionSweep() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
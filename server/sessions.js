@@ -0,0 +1,241 @@
+/**
+ * REST API for agent runs - start, observe and abort sessions without a WebSocket
+ * Runs go through the same handleChat pipeline as the UI and stream the same
+ * bus events, so scripts and CI see exactly what the browser sees.
+ */
+import express from 'express';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { handleChat, handleAbort, handleQueueMessage, isSessionBusy, getPendingPrompts } from './claude.js';
+import { getSession } from './session-registry.js';
+import { getQueue } from './message-queue.js';
+import { replayBufferToSSE } from './broadcast.js';
+import { subscribe, publish } from './bus.js';
+import { requireScope } from './scopes.js';
+import { canAccessProject } from './access.js';
+import { getChangeSetOwner, listChanges, revertChanges } from './change-sets.js';
+import { recordAudit } from './audit.js';
+
+const router = express.Router();
+
+const MODES = ['default', 'plan', 'bypass'];
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Start a run and resolve as soon as its session ID is known
+ * New sessions only get an ID once the SDK reports one, so this waits for
+ * the onSessionId callback rather than for the whole run.
+ * @returns {Promise<string>} The session ID
+ * @throws {Error} if the run fails before a session exists
+ */
+function startRun(msg, username) {
+  return new Promise((resolve, reject) => {
+    handleChat({ ...msg, onSessionId: resolve }, null, username)
+      .then(result => {
+        if (result.sessionId) resolve(result.sessionId);
+        else reject(new Error(result.error || 'Run failed to start'));
+      })
+      .catch(reject);
+  });
+}
+
+// Registry entry for a session the user owns, or null
+function getOwnedSession(sessionId, username) {
+  const session = getSession(sessionId);
+  return session?.username === username ? { sessionId, ...session } : null;
+}
+
+/**
+ * POST /api/sessions
+ * Body: { projectPath, prompt, sessionId?, mode?, model? }
+ * Starts a new run, or continues sessionId. A prompt for a session that is
+ * still streaming is queued as a follow-up, as in the UI.
+ */
+router.post('/', requireScope('chat'), async (req, res) => {
+  const { projectPath, prompt, sessionId, mode = 'default', model } = req.body || {};
+
+  if (!prompt || !String(prompt).trim()) {
+    return res.status(400).json({ error: 'Prompt is required' });
+  }
+  if (!MODES.includes(mode)) {
+    return res.status(400).json({ error: `Invalid mode: ${mode}` });
+  }
+  if (!projectPath || !path.isAbsolute(projectPath)) {
+    return res.status(400).json({ error: 'Project path must be absolute' });
+  }
+  const stat = await fs.stat(projectPath).catch(() => null);
+  if (!stat?.isDirectory()) {
+    return res.status(400).json({ error: `Project directory not found: ${projectPath}` });
+  }
+  if (!canAccessProject(req.user.username, projectPath, 'write')) {
+    return res.status(403).json({ error: 'No access to this project' });
+  }
+
+  const msg = { content: prompt, projectPath, sessionId: sessionId || null, isNewSession: !sessionId, mode, model: model || null };
+  const username = req.user.username;
+
+  try {
+    if (sessionId && isSessionBusy(sessionId)) {
+      const item = handleQueueMessage(msg, null, username);
+      return res.status(202).json({ sessionId, status: 'streaming', queued: item });
+    }
+
+    const runSessionId = await startRun(msg, username);
+    res.status(202).json({ sessionId: runSessionId, status: 'streaming' });
+  } catch (err) {
+    console.error('[Sessions] Failed to start run:', err.message);
+    res.status(err.message === 'Session not found' ? 404 : 500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/sessions/:id
+ * Status of a session started since the server came up
+ */
+router.get('/:id', requireScope('read'), (req, res) => {
+  const session = getOwnedSession(req.params.id, req.user.username);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+
+  res.json({
+    session,
+    pendingPrompts: getPendingPrompts(req.user.username, session.sessionId),
+    queue: getQueue(session.sessionId)
+  });
+});
+
+/**
+ * GET /api/sessions/:id/stream
+ * SSE stream of one session's events: a state-snapshot, the replay buffer of
+ * the latest run, then live events. The stream ends once the session goes
+ * idle (right after the replay if it already is), so `curl -N` returns when
+ * the run is done.
+ */
+router.get('/:id/stream', requireScope('read'), (req, res) => {
+  const username = req.user.username;
+  const session = getOwnedSession(req.params.id, username);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  const { sessionId } = session;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  if (res.socket) res.socket.setNoDelay(true);
+  res.flushHeaders();
+
+  const write = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+  write({
+    type: 'state-snapshot',
+    sessions: [session],
+    pendingPrompts: getPendingPrompts(username, sessionId),
+    queues: [{ sessionId, items: getQueue(sessionId) }]
+  });
+
+  // The buffer outlives the run, so a client that connects after it finished still gets its events
+  replayBufferToSSE(sessionId, res);
+  if (session.status !== 'streaming') {
+    res.end();
+    return;
+  }
+
+  const heartbeat = setInterval(() => write({ type: 'heartbeat' }), HEARTBEAT_INTERVAL_MS);
+  const unsubscribe = subscribe(username, (event) => {
+    if (event.sessionId !== sessionId) return;
+    try {
+      write(event);
+    } catch (err) {
+      console.error('[Sessions] SSE write error:', err.message);
+    }
+    if (event.type === 'session-status' && event.status === 'idle') {
+      close();
+      res.end();
+    }
+  });
+
+  function close() {
+    unsubscribe();
+    clearInterval(heartbeat);
+  }
+  req.on('close', close);
+});
+
+/**
+ * POST /api/sessions/:id/abort
+ * Stop a streaming session
+ */
+router.post('/:id/abort', requireScope('chat'), async (req, res) => {
+  const session = getOwnedSession(req.params.id, req.user.username);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+
+  const success = await handleAbort(session.sessionId, req.user.username);
+  publish(req.user.username, { type: 'abort-result', sessionId: session.sessionId, success });
+  res.json({ success });
+});
+
+/**
+ * GET /api/sessions/:id/changes
+ * Files the agent changed in the session, each with a diff from before its
+ * first change. Works for any of the user's sessions with recorded changes,
+ * not just live ones.
+ */
+router.get('/:id/changes', requireScope('read'), async (req, res) => {
+  const sessionId = req.params.id;
+  const owner = getChangeSetOwner(sessionId);
+  if (!owner) return res.json({ sessionId, projectPath: null, files: [] });
+  const { projectPath } = owner;
+  if (owner.username !== req.user.username || !canAccessProject(req.user.username, projectPath, 'read')) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  try {
+    res.json({ sessionId, projectPath, files: await listChanges(sessionId) });
+  } catch (err) {
+    console.error('[Sessions] Changes error:', err);
+    res.status(500).json({ error: 'Failed to list changes' });
+  }
+});
+
+/**
+ * POST /api/sessions/:id/revert
+ * Body: { path? } - one project-relative file, or every change when omitted
+ * Restores files to how they were before the session changed them (files it
+ * created are deleted). Refused while the session is streaming.
+ */
+router.post('/:id/revert', requireScope('files:write'), async (req, res) => {
+  const sessionId = req.params.id;
+  const filePath = req.body?.path ?? null;
+  const owner = getChangeSetOwner(sessionId);
+  if (!owner || owner.username !== req.user.username || !canAccessProject(req.user.username, owner.projectPath, 'write')) {
+    return res.status(404).json({ error: 'No changes recorded for this session' });
+  }
+  const { projectPath } = owner;
+  if (filePath !== null && typeof filePath !== 'string') {
+    return res.status(400).json({ error: 'path must be a string' });
+  }
+  if (isSessionBusy(sessionId)) {
+    return res.status(409).json({ error: 'Wait for the session to finish before reverting' });
+  }
+
+  try {
+    const result = await revertChanges(sessionId, filePath);
+    for (const file of result.reverted) {
+      recordAudit({
+        username: req.user.username,
+        action: 'file-revert',
+        sessionId,
+        projectPath,
+        outcome: file.status,
+        detail: { path: file.path }
+      });
+    }
+    res.json(result);
+  } catch (err) {
+    if (err.message.includes('No changes recorded')) return res.status(404).json({ error: err.message });
+    console.error('[Sessions] Revert error:', err);
+    res.status(500).json({ error: 'Failed to revert changes' });
+  }
+});
+
+export { router as sessionRoutes };
@@ -0,0 +1,255 @@
+/**
+ * Read-only share links for sessions
+ * A share link lets anyone with the URL read a session's transcript, and
+ * optionally follow it live while it streams, without an account. Links can
+ * expire and can be revoked; only a hash of each link's token is stored.
+ */
+import express from 'express';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { createHash, randomBytes } from 'crypto';
+import { openDatabase } from './db.js';
+import { getSessionMessages } from './transcripts.js';
+import { getSessionMeta } from './session-meta.js';
+import { getSession } from './session-registry.js';
+import { replayBufferToSSE } from './broadcast.js';
+import { subscribeSession } from './bus.js';
+
+const router = express.Router();
+const CLAUDE_PROJECTS = path.join(os.homedir(), '.claude', 'projects');
+
+const MAX_SHARED_MESSAGES = 1000;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Events a live share forwards; permission prompts, queues and activity stay private
+const SHARED_EVENT_TYPES = ['claude-message', 'claude-done', 'token-usage', 'error', 'session-status', 'session-title', 'queue-dispatched'];
+// Prompts travel as claude-message events too; their tool inputs and answers stay private
+const PRIVATE_MESSAGE_TYPES = ['permission-request', 'question', 'plan-confirmation', 'prompt-resolved'];
+
+// shareId -> Set of functions that end that share's open live feeds
+const liveFeeds = new Map();
+
+let db = null;
+
+function getDb() {
+  if (db) return db;
+  db = openDatabase('sessions.db');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS session_shares (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      token_hash TEXT NOT NULL UNIQUE,
+      project_name TEXT NOT NULL,
+      project_label TEXT,
+      session_id TEXT NOT NULL,
+      live INTEGER NOT NULL DEFAULT 0,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at TEXT,
+      revoked_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_session_shares_session ON session_shares(session_id);
+  `);
+  return db;
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function toShare(row) {
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    live: Boolean(row.live),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at
+  };
+}
+
+/**
+ * Create a share link for a session
+ * Only the token's hash is stored; the link is returned once.
+ * @param {Object} options - { projectName, projectLabel, sessionId, username, live?, expiresAt?: ISO string }
+ * @returns {{ token: string, share: Object }}
+ * @throws {Error} if the expiry isn't a future date
+ */
+export function createShare({ projectName, projectLabel = null, sessionId, username, live = false, expiresAt = null }) {
+  if (typeof live !== 'boolean') throw new Error('live must be true or false');
+  if (expiresAt !== null && !(new Date(expiresAt).getTime() > Date.now())) {
+    throw new Error('Expiry must be a future date');
+  }
+
+  const token = randomBytes(24).toString('base64url');
+  const result = getDb().prepare(`
+    INSERT INTO session_shares (token_hash, project_name, project_label, session_id, live, created_by, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(hashToken(token), projectName, projectLabel, sessionId, live ? 1 : 0, username || null,
+    expiresAt && new Date(expiresAt).toISOString());
+  return { token, share: toShare(getDb().prepare('SELECT * FROM session_shares WHERE id = ?').get(result.lastInsertRowid)) };
+}
+
+/**
+ * A session's share links that are neither revoked nor expired
+ */
+export function listShares(sessionId) {
+  return getDb().prepare(`
+    SELECT * FROM session_shares
+    WHERE session_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+    ORDER BY created_at DESC, id DESC
+  `).all(sessionId, new Date().toISOString()).map(toShare);
+}
+
+/**
+ * Revoke a share link, ending anyone following it live
+ * @returns {boolean} false if the session has no such active link
+ */
+export function revokeShare(sessionId, shareId) {
+  const result = getDb().prepare(`
+    UPDATE session_shares SET revoked_at = ? WHERE id = ? AND session_id = ? AND revoked_at IS NULL
+  `).run(new Date().toISOString(), shareId, sessionId);
+  for (const end of liveFeeds.get(Number(shareId)) || []) end();
+  return result.changes > 0;
+}
+
+/**
+ * Move a user's share links to their new username after a rename
+ */
+export function renameShareOwner(from, to) {
+  getDb().prepare('UPDATE session_shares SET created_by = ? WHERE created_by = ?').run(to, from);
+}
+
+/**
+ * Revoke every link a removed account created, ending anyone following them live
+ */
+export function revokeUserShares(username) {
+  const ids = getDb().prepare('SELECT id FROM session_shares WHERE created_by = ? AND revoked_at IS NULL').all(username).map(row => row.id);
+  getDb().prepare('UPDATE session_shares SET revoked_at = ? WHERE created_by = ? AND revoked_at IS NULL')
+    .run(new Date().toISOString(), username);
+  for (const id of ids) {
+    for (const end of liveFeeds.get(id) || []) end();
+  }
+}
+
+/**
+ * Forget a session's share links once the session is deleted for good
+ */
+export function deleteSessionShares(sessionId) {
+  const ids = getDb().prepare('SELECT id FROM session_shares WHERE session_id = ?').all(sessionId).map(row => row.id);
+  getDb().prepare('DELETE FROM session_shares WHERE session_id = ?').run(sessionId);
+  for (const id of ids) {
+    for (const end of liveFeeds.get(id) || []) end();
+  }
+}
+
+// The share a token opens, or null if it is unknown, revoked or expired
+function resolveShare(token) {
+  const row = getDb().prepare('SELECT * FROM session_shares WHERE token_hash = ?').get(hashToken(String(token)));
+  if (!row || row.revoked_at) return null;
+  if (row.expires_at && new Date(row.expires_at).getTime() <= Date.now()) return null;
+  return row;
+}
+
+async function transcriptExists(row) {
+  try {
+    await fs.access(path.join(CLAUDE_PROJECTS, row.project_name, `${row.session_id}.jsonl`));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * GET /api/share/:token
+ * Public: a shared session's title and messages (no authentication)
+ */
+router.get('/:token', async (req, res) => {
+  const row = resolveShare(req.params.token);
+  if (!row || !await transcriptExists(row)) return res.status(404).json({ error: 'Share link not found or expired' });
+
+  try {
+    res.json({
+      sessionId: row.session_id,
+      title: getSessionMeta(row.session_id).title,
+      projectName: row.project_label,
+      live: Boolean(row.live),
+      streaming: getSession(row.session_id)?.status === 'streaming',
+      expiresAt: row.expires_at,
+      messages: await getSessionMessages(row.project_name, row.session_id, MAX_SHARED_MESSAGES)
+    });
+  } catch (err) {
+    console.error('[Shares] Load error:', err);
+    res.status(500).json({ error: 'Failed to load session' });
+  }
+});
+
+/**
+ * GET /api/share/:token/events
+ * Public SSE feed of a live share: the replay buffer if the session is
+ * streaming, then its chat events as they happen. Ends with a share-ended
+ * event when the link is revoked, expires or the session is deleted.
+ */
+router.get('/:token/events', async (req, res) => {
+  const row = resolveShare(req.params.token);
+  if (!row || !row.live || !await transcriptExists(row)) {
+    return res.status(404).json({ error: 'Share link not found or expired' });
+  }
+  const sessionId = row.session_id;
+  const shared = (event) => SHARED_EVENT_TYPES.includes(event.type) &&
+    !(event.type === 'claude-message' && PRIVATE_MESSAGE_TYPES.includes(event.data?.type));
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  if (res.socket) res.socket.setNoDelay(true);
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const write = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+  const streaming = getSession(sessionId)?.status === 'streaming';
+  write({ type: 'session-status', sessionId, status: streaming ? 'streaming' : 'idle' });
+  if (streaming) replayBufferToSSE(sessionId, res, shared);
+
+  const heartbeat = setInterval(() => write({ type: 'heartbeat' }), HEARTBEAT_INTERVAL_MS);
+  const unsubscribe = subscribeSession(sessionId, (event) => {
+    if (event.type === 'session-deleted' || !resolveShare(req.params.token)) {
+      end();
+      return;
+    }
+    if (!shared(event)) return;
+    try {
+      write(event);
+    } catch (err) {
+      console.error('[Shares] SSE write error:', err.message);
+    }
+  });
+
+  // Later expiries are caught by the check on each event
+  const expiresIn = row.expires_at && new Date(row.expires_at).getTime() - Date.now();
+  const expiry = expiresIn && expiresIn <= MAX_TIMER_MS ? setTimeout(end, expiresIn) : null;
+
+  if (!liveFeeds.has(row.id)) liveFeeds.set(row.id, new Set());
+  liveFeeds.get(row.id).add(end);
+
+  function close() {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    const feeds = liveFeeds.get(row.id);
+    feeds?.delete(end);
+    if (feeds?.size === 0) liveFeeds.delete(row.id);
+  }
+  function end() {
+    close();
+    write({ type: 'share-ended', sessionId });
+    res.end();
+  }
+  req.on('close', close);
+});
+
+export { router as shareRoutes };
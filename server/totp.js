@@ -0,0 +1,118 @@
+/**
+ * Time-based one-time passwords (RFC 6238, as used by authenticator apps)
+ * HMAC-SHA1, 6 digits, 30-second steps. Every function takes the time as an
+ * argument so callers and tests control the clock.
+ */
+import { createHmac, randomBytes } from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as unpadded base32 (the format authenticator apps expect)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} text
+ * @returns {Buffer}
+ * @throws {Error} on characters outside the base32 alphabet
+ */
+export function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new shared secret
+ * @returns {string} 160-bit secret, base32
+ */
+export function generateSecret() {
+  return base32Encode(randomBytes(20));
+}
+
+// Time step containing a timestamp
+function counterAt(time) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+// HOTP (RFC 4226) value for one counter
+function hotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * The code an authenticator app shows at a given time
+ * @param {string} secret - base32 secret
+ * @param {number} time - Unix time in milliseconds
+ * @returns {string} 6-digit code
+ */
+export function generateTotp(secret, time) {
+  return hotp(base32Decode(secret), counterAt(time));
+}
+
+/**
+ * Check a code, allowing for clock drift of one step either way
+ * @param {string} secret - base32 secret
+ * @param {string} code - Code as typed (spaces are ignored)
+ * @param {number} time - Unix time in milliseconds
+ * @param {number} [afterCounter] - Reject steps at or before this one (replay protection)
+ * @returns {number|null} The matching time step, or null
+ */
+export function verifyTotp(secret, code, time, afterCounter = -1) {
+  const digits = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(digits)) return null;
+
+  const key = base32Decode(secret);
+  const current = counterAt(time);
+  for (const counter of [current - 1, current, current + 1]) {
+    if (counter > afterCounter && hotp(key, counter) === digits) return counter;
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for enrolling an authenticator app (usually shown as a QR code)
+ * @param {Object} options - { secret, account, issuer }
+ * @returns {string}
+ */
+export function otpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
@@ -0,0 +1,152 @@
+/**
+ * Transcript parsing - turns Claude session JSONL entries into chat messages
+ * Shared by the session history, export and share routes.
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { snippetEditDiff } from './edit-diffs.js';
+
+const CLAUDE_PROJECTS = path.join(os.homedir(), '.claude', 'projects');
+
+/**
+ * Messages from every transcript in a project that belong to a session
+ * @param {string} projectName - Encoded project directory name
+ * @param {string} sessionId - The session
+ * @param {number} [limit] - Most recent messages to return
+ * @returns {Promise<Array>} Parsed messages, oldest first
+ */
+export async function getSessionMessages(projectName, sessionId, limit = 100) {
+  const projectDir = path.join(CLAUDE_PROJECTS, projectName);
+  const files = await fs.readdir(projectDir);
+  const jsonlFiles = files.filter(f => f.endsWith('.jsonl') && !f.startsWith('agent-'));
+  
+  const messages = [];
+  
+  for (const file of jsonlFiles) {
+    const content = await fs.readFile(path.join(projectDir, file), 'utf8');
+    const lines = content.split('\n').filter(Boolean);
+    
+    for (const line of lines) {
+      try {
+        const entry = JSON.parse(line);
+        if (entry.sessionId !== sessionId) continue;
+        
+        const msg = parseMessageEntry(entry);
+        if (msg) messages.push(msg);
+        
+      } catch { /* skip malformed */ }
+    }
+  }
+  
+  messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const recent = messages.slice(-limit);
+
+  // The file as it was before a Write isn't in the transcript, so only edits get a diff
+  for (const msg of recent) {
+    const diff = msg.role === 'tool' && snippetEditDiff(msg.tool, msg.input);
+    if (diff) msg.diff = diff;
+  }
+  return recent;
+}
+
+/**
+ * Turn a transcript entry into a user, assistant or tool message
+ * @returns {Object|null} null for entries that aren't shown (tool results, internal messages)
+ */
+export function parseMessageEntry(entry) {
+  const timestamp = entry.timestamp || new Date().toISOString();
+  const messageId = entry.messageId || entry.id || null;
+  const model = entry.model || entry.message?.model || null;
+  // Transcript entry UUID, used to fork from this message
+  const uuid = entry.uuid || null;
+
+  if (entry.type === 'user' || entry.message?.role === 'user') {
+    let text = entry.message?.content;
+    if (Array.isArray(text)) {
+      text = text.filter(t => t.type === 'text').map(t => t.text).join('\n');
+    }
+    if (typeof text === 'string' && text.length > 0 && !text.startsWith('<') && !text.startsWith('{')) {
+      return { role: 'user', content: text, timestamp, messageId, uuid };
+    }
+  }
+
+  if (entry.type === 'assistant' || entry.message?.role === 'assistant') {
+    const content = entry.message?.content;
+    if (Array.isArray(content)) {
+      const textParts = content.filter(c => c.type === 'text').map(c => c.text);
+      if (textParts.length > 0) {
+        return { role: 'assistant', content: textParts.join('\n'), timestamp, messageId, model, uuid };
+      }
+
+      const toolUse = content.find(c => c.type === 'tool_use');
+      if (toolUse) {
+        // Build enhanced summary object with full command details
+        const summary = buildToolSummary(toolUse.name, toolUse.input);
+        return {
+          role: 'tool',
+          tool: toolUse.name,
+          toolUseId: toolUse.id || null,
+          input: toolUse.input,
+          timestamp,
+          messageId,
+          model,
+          uuid,
+          summary
+        };
+      }
+    }
+    if (typeof content === 'string') {
+      return { role: 'assistant', content, timestamp, messageId, model, uuid };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build enhanced tool summary with full command details
+ * Returns object with summary string and full command details
+ */
+export function buildToolSummary(tool, input) {
+  if (!input) return { summary: tool };
+
+  const result = { summary: tool };
+
+  switch (tool) {
+    case 'Bash':
+      result.summary = `$ ${(input.command || '').slice(0, 80)}`;
+      result.fullCommand = input.command || '';
+      break;
+    case 'Read':
+      result.summary = `Read ${input.file_path || input.path || ''}`;
+      result.fullCommand = input.file_path || input.path || '';
+      result.filePath = input.file_path || input.path || '';
+      break;
+    case 'Write':
+      result.summary = `Write ${input.file_path || input.path || ''}`;
+      result.fullCommand = input.file_path || input.path || '';
+      result.filePath = input.file_path || input.path || '';
+      break;
+    case 'Edit':
+      result.summary = `Edit ${input.file_path || input.path || ''}`;
+      result.fullCommand = input.file_path || input.path || '';
+      result.filePath = input.file_path || input.path || '';
+      break;
+    case 'Glob':
+      result.summary = `Find ${input.pattern || ''}`;
+      result.fullCommand = input.pattern || '';
+      result.pattern = input.pattern || '';
+      break;
+    case 'Grep':
+      result.summary = `Search ${input.pattern || ''}`;
+      result.fullCommand = input.pattern || '';
+      result.pattern = input.pattern || '';
+      result.fullQuery = input.query || '';
+      break;
+    default:
+      result.summary = tool;
+  }
+
+  return result;
+}
@@ -0,0 +1,162 @@
+/**
+ * Two-factor authentication (TOTP) storage and checks
+ * Secrets live in auth.db next to the accounts; recovery codes are stored as
+ * SHA-256 hashes and work once each. Functions that check codes take the
+ * current time so tests can run against a fixed clock.
+ */
+import { createHash, randomBytes } from 'crypto';
+import { openDatabase } from './db.js';
+import { generateSecret, verifyTotp, otpauthUri, base32Encode } from './totp.js';
+import { qrSvg } from './qrcode.js';
+
+const ISSUER = 'Cleon';
+const RECOVERY_CODE_COUNT = 10;
+
+let db = null;
+
+/**
+ * Lazily open auth.db (the users table itself is owned by auth.js)
+ */
+function getDb() {
+  if (!db) {
+    db = openDatabase('auth.db');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS two_factor (
+        user_id INTEGER PRIMARY KEY,
+        secret TEXT NOT NULL,
+        enabled_at TEXT,
+        last_counter INTEGER NOT NULL DEFAULT -1
+      );
+      CREATE TABLE IF NOT EXISTS recovery_codes (
+        id INTEGER PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL,
+        used_at TEXT
+      );
+      CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `);
+  }
+  return db;
+}
+
+// Recovery codes are compared case- and dash-insensitively
+function hashRecoveryCode(code) {
+  return createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+}
+
+function newRecoveryCode() {
+  const code = base32Encode(randomBytes(7)).slice(0, 10).toLowerCase();
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+export function isTwoFactorEnabled(userId) {
+  return Boolean(getDb().prepare('SELECT enabled_at FROM two_factor WHERE user_id = ?').get(userId)?.enabled_at);
+}
+
+/**
+ * @returns {{ enabled: boolean, recoveryCodesRemaining: number }}
+ */
+export function getTwoFactorStatus(userId) {
+  return {
+    enabled: isTwoFactorEnabled(userId),
+    recoveryCodesRemaining: getDb().prepare('SELECT COUNT(*) AS count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL')
+      .get(userId).count
+  };
+}
+
+/**
+ * Start enrolment: store a new, not yet active secret
+ * @param {number} userId - The user
+ * @param {string} account - Shown in the authenticator app (the username)
+ * @returns {{ secret: string, uri: string, qrSvg: string }}
+ * @throws {Error} if 2FA is already enabled
+ */
+export function beginEnrollment(userId, account) {
+  if (isTwoFactorEnabled(userId)) throw new Error('Two-factor authentication is already enabled');
+  const secret = generateSecret();
+  getDb().prepare(`
+    INSERT INTO two_factor (user_id, secret, enabled_at, last_counter) VALUES (?, ?, NULL, -1)
+    ON CONFLICT(user_id) DO UPDATE SET secret = excluded.secret, enabled_at = NULL, last_counter = -1
+  `).run(userId, secret);
+  const uri = otpauthUri({ secret, account, issuer: ISSUER });
+  return { secret, uri, qrSvg: qrSvg(uri) };
+}
+
+/**
+ * Finish enrolment with a code from the authenticator app
+ * @param {number} now - Unix time in milliseconds
+ * @returns {string[]} Recovery codes, shown once
+ * @throws {Error} if enrolment wasn't started or the code is wrong
+ */
+export function confirmEnrollment(userId, code, now) {
+  const row = getDb().prepare('SELECT * FROM two_factor WHERE user_id = ?').get(userId);
+  if (!row || row.enabled_at) throw new Error('Start two-factor setup first');
+  const counter = verifyTotp(row.secret, code, now);
+  if (counter === null) throw new Error('Invalid code');
+
+  getDb().prepare('UPDATE two_factor SET enabled_at = ?, last_counter = ? WHERE user_id = ?')
+    .run(new Date(now).toISOString(), counter, userId);
+  return regenerateRecoveryCodes(userId);
+}
+
+/**
+ * Replace a user's recovery codes
+ * @returns {string[]} The new codes (only their hashes are stored)
+ */
+export function regenerateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+  const conn = getDb();
+  const insert = conn.prepare('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)');
+  conn.transaction(() => {
+    conn.prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(userId);
+    for (const code of codes) insert.run(userId, hashRecoveryCode(code));
+  })();
+  return codes;
+}
+
+/**
+ * Check a second factor: an authenticator code or an unused recovery code
+ * Accepted codes can't be used again.
+ * @param {number} now - Unix time in milliseconds
+ * @returns {boolean}
+ */
+export function verifySecondFactor(userId, code, now) {
+  const conn = getDb();
+  const row = conn.prepare('SELECT * FROM two_factor WHERE user_id = ? AND enabled_at IS NOT NULL').get(userId);
+  if (!row || !code) return false;
+
+  const counter = verifyTotp(row.secret, code, now, row.last_counter);
+  if (counter !== null) {
+    conn.prepare('UPDATE two_factor SET last_counter = ? WHERE user_id = ?').run(counter, userId);
+    return true;
+  }
+
+  const used = conn.prepare(`
+    UPDATE recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+  `).run(new Date(now).toISOString(), userId, hashRecoveryCode(code));
+  return used.changes > 0;
+}
+
+export function disableTwoFactor(userId) {
+  const conn = getDb();
+  conn.transaction(() => {
+    conn.prepare('DELETE FROM two_factor WHERE user_id = ?').run(userId);
+    conn.prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(userId);
+  })();
+}
+
+// ==================== Policy ====================
+
+export function isTwoFactorRequired() {
+  return getDb().prepare("SELECT value FROM settings WHERE key = 'require_two_factor'").get()?.value === 'true';
+}
+
+export function setTwoFactorRequired(required) {
+  getDb().prepare(`
+    INSERT INTO settings (key, value) VALUES ('require_two_factor', ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value
+  `).run(String(Boolean(required)));
+}
@@ -0,0 +1,5 @@
+/**
+ * Stand-in for server/access.js that grants every project
+ * Use as vi.mock('../../server/access.js', () => import('../helpers/allow-access.js'))
+ */
+export const canAccessProject = () => true;
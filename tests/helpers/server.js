@@ -0,0 +1,137 @@
+/**
+ * Shared setup for tests that run server modules and routes
+ * Server modules resolve ~/.claude and the data dir when they are first
+ * imported, so tests call useTempHome() before importing them.
+ */
+import { mkdtempSync, rmSync } from 'fs';
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import express from 'express';
+
+/**
+ * Point HOME and CLEON_DATA_DIR at fresh temporary directories
+ * @param {string} name - Included in the directory names
+ * @returns {{home: string, dataDir: string, restore: Function}} restore()
+ *   puts HOME back and removes both directories
+ */
+export function useTempHome(name) {
+  const originalHome = process.env.HOME;
+  const home = mkdtempSync(join(tmpdir(), `cleon-${name}-home-`));
+  const dataDir = mkdtempSync(join(tmpdir(), `cleon-${name}-data-`));
+  process.env.HOME = home;
+  process.env.CLEON_DATA_DIR = dataDir;
+
+  return {
+    home,
+    dataDir,
+    restore() {
+      process.env.HOME = originalHome;
+      delete process.env.CLEON_DATA_DIR;
+      rmSync(home, { recursive: true, force: true });
+      rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Stands in for authenticateToken: the user named by x-user, alice by default
+export function asUser(req, res, next) {
+  req.user = { username: req.get('x-user') || 'alice' };
+  next();
+}
+
+/**
+ * Serve an Express app with JSON bodies on an ephemeral port
+ * @param {Function} mount - Called with the app to add middleware and routes
+ * @returns {Promise<{origin: string, close: Function}>}
+ */
+export async function startServer(mount) {
+  const app = express();
+  app.use(express.json());
+  mount(app);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  return {
+    origin: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Run the real server (server/index.js) in a child process on a free port
+ * It inherits HOME and CLEON_DATA_DIR, so call useTempHome() first.
+ * @returns {Promise<{origin: string, stop: Function}>}
+ */
+export async function startAppServer() {
+  const port = await new Promise(done => {
+    const probe = createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => done(port));
+    });
+  });
+  const child = spawn(process.execPath, [resolve('server/index.js')], {
+    env: { ...process.env, PORT: String(port), HOST: '127.0.0.1' },
+    stdio: 'ignore'
+  });
+  const origin = `http://127.0.0.1:${port}`;
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      await fetch(`${origin}/api/events`);
+      return { origin, stop: () => child.kill() };
+    } catch {
+      await new Promise(r => setTimeout(r, 100));
+    }
+  }
+  child.kill();
+  throw new Error('server/index.js did not start');
+}
+
+/**
+ * A fetch helper for JSON requests under a base URL
+ * Requests are made as the user `as` (null for nobody): with a bearer token
+ * from tokens when given, else the x-user header asUser reads.
+ * @param {Function} baseUrl - Returns the base URL, which is only known once the server listens
+ * @param {Object} [options]
+ * @param {Object|null} [options.tokens] - Bearer tokens by username
+ * @param {string|null} [options.as='alice'] - Default user for requests
+ * @returns {Function} (path, { as, token, method, body, headers }) => Promise<Response>;
+ *   token is a bearer token to send instead of the user's, and method
+ *   defaults to POST with a body and GET without
+ */
+export function createRequest(baseUrl, { tokens = null, as: defaultUser = 'alice' } = {}) {
+  const identify = (as) => {
+    if (tokens) return tokens[as] ? { Authorization: `Bearer ${tokens[as]}` } : {};
+    return as ? { 'x-user': as } : {};
+  };
+  return (path, { as = defaultUser, token, method, body, headers = {} } = {}) => fetch(`${baseUrl()}${path}`, {
+    method: method || (body ? 'POST' : 'GET'),
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : identify(as)), ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  });
+}
+
+// Read SSE events until one matches, then stop reading
+export async function readEvents(res, until) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffered = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) return events;
+    buffered += decoder.decode(value, { stream: true });
+    const chunks = buffered.split('\n\n');
+    buffered = chunks.pop();
+    for (const chunk of chunks) {
+      const data = chunk.split('\n').find(line => line.startsWith('data: '));
+      if (!data) continue;
+      events.push(JSON.parse(data.slice(6)));
+      if (until(events.at(-1))) {
+        await reader.cancel();
+        return events;
+      }
+    }
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Integration tests for follow-up message queueing
+ *
+ * Drives handleChat with a stubbed SDK query that blocks until released, and
+ * verifies that messages queued meanwhile are dispatched in order once the
+ * turn completes, and that "send now" interrupts the running turn.
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { tmpdir } from 'os';
+
+const sdk = vi.hoisted(() => ({ prompts: [], cwds: [], gates: [], interrupts: 0 }));
+
+vi.mock('@anthropic-ai/claude-agent-sdk', () => ({
+  query: ({ prompt, options }) => {
+    let release;
+    const gate = new Promise(r => { release = r; });
+    sdk.prompts.push(prompt);
+    sdk.cwds.push(options.cwd);
+    sdk.gates.push(release);
+    async function* run() {
+      yield { type: 'system', subtype: 'init', session_id: sdk.sessionId };
+      await gate;
+    }
+    const instance = run();
+    instance.setPermissionMode = async () => {};
+    instance.interrupt = async () => { sdk.interrupts++; release(); };
+    return instance;
+  }
+}));
+
+vi.mock('../../server/permissions.js', () => ({
+  checkPermission: () => null,
+  addRule: () => null,
+  importSettingsRules: async () => 0,
+  rulesForAlwaysAllow: () => []
+}));
+
+vi.mock('../../server/access.js', () => import('../helpers/allow-access.js'));
+
+vi.mock('../../server/audit.js', () => ({
+  recordAudit: () => {}
+}));
+
+vi.mock('../../server/session-meta.js', () => ({
+  ensureAutoTitle: async () => null,
+  getSessionMeta: () => ({ title: null })
+}));
+
+const { handleChat, handleQueueMessage, handleQueueSendNow, handleAbort, isSessionBusy } = await import('../../server/claude.js');
+const { getQueue } = await import('../../server/message-queue.js');
+const { subscribe } = await import('../../server/bus.js');
+
+const flush = () => new Promise(r => setImmediate(r));
+
+async function waitFor(check) {
+  for (let i = 0; i < 1000; i++) {
+    if (check()) return;
+    await flush();
+  }
+  throw new Error('Condition never became true');
+}
+
+const ws = { readyState: 1, send: vi.fn() };
+
+function startChat(username, sessionId) {
+  sdk.sessionId = sessionId;
+  handleChat({ content: 'first', projectPath: tmpdir(), isNewSession: true, mode: 'default' }, ws, username);
+  return waitFor(() => isSessionBusy(sessionId) && sdk.prompts.length === 1);
+}
+
+const queue = (username, sessionId, content, projectPath = tmpdir()) =>
+  handleQueueMessage({ sessionId, content, projectPath, mode: 'default' }, ws, username);
+
+beforeEach(() => {
+  sdk.prompts = [];
+  sdk.cwds = [];
+  sdk.gates = [];
+  sdk.interrupts = 0;
+});
+
+describe('message queue dispatch', () => {
+  it('dispatches queued follow-ups in order after each turn completes', async () => {
+    const events = [];
+    const unsubscribe = subscribe('alice', (e) => events.push(e));
+    await startChat('alice', 'sess-q1');
+
+    queue('alice', 'sess-q1', 'second');
+    queue('alice', 'sess-q1', 'third');
+    expect(getQueue('sess-q1').map(i => i.content)).toEqual(['second', 'third']);
+    expect(sdk.prompts).toHaveLength(1);
+
+    sdk.gates[0]();
+    await waitFor(() => sdk.prompts.length === 2);
+    expect(sdk.prompts[1]).toBe('second');
+    expect(getQueue('sess-q1').map(i => i.content)).toEqual(['third']);
+
+    sdk.gates[1]();
+    await waitFor(() => sdk.prompts.length === 3);
+    expect(sdk.prompts[2]).toBe('third');
+
+    sdk.gates[2]();
+    await waitFor(() => !isSessionBusy('sess-q1'));
+    unsubscribe();
+
+    const dispatched = events.filter(e => e.type === 'queue-dispatched').map(e => e.item.content);
+    expect(dispatched).toEqual(['second', 'third']);
+  });
+
+  it('sends a queued message now by interrupting the running turn', async () => {
+    await startChat('bob', 'sess-q2');
+    queue('bob', 'sess-q2', 'later');
+    const urgent = queue('bob', 'sess-q2', 'urgent');
+
+    expect(await handleQueueSendNow('sess-q2', urgent.id, ws, 'bob')).toBe(true);
+    expect(sdk.interrupts).toBe(1);
+
+    await waitFor(() => sdk.prompts.length === 2);
+    expect(sdk.prompts[1]).toBe('urgent');
+    expect(getQueue('sess-q2').map(i => i.content)).toEqual(['later']);
+
+    await handleAbort('sess-q2', 'bob');
+  });
+
+  it('keeps the queue when the user stops the session', async () => {
+    await startChat('carol', 'sess-q3');
+    queue('carol', 'sess-q3', 'pending');
+
+    await handleAbort('sess-q3', 'carol');
+    await flush();
+    await flush();
+
+    expect(sdk.prompts).toHaveLength(1);
+    expect(getQueue('sess-q3').map(i => i.content)).toEqual(['pending']);
+  });
+
+  it('rejects queue changes from another user', async () => {
+    expect(await handleQueueSendNow('sess-q3', getQueue('sess-q3')[0].id, ws, 'mallory')).toBe(false);
+  });
+
+  it('runs follow-ups in the session\'s own project', async () => {
+    await startChat('dave', 'sess-q4');
+    queue('dave', 'sess-q4', 'elsewhere', '/etc');
+    expect(getQueue('sess-q4')[0].projectPath).toBe(tmpdir());
+
+    sdk.gates[0]();
+    await waitFor(() => sdk.prompts.length === 2);
+    expect(sdk.cwds).toEqual([tmpdir(), tmpdir()]);
+    await handleAbort('sess-q4', 'dave');
+  });
+
+  it('rejects follow-ups for unknown sessions and other users\' sessions', () => {
+    expect(() => queue('dave', 'sess-unknown', 'hello')).toThrow('Session not found');
+    expect(() => queue('mallory', 'sess-q4', 'hello')).toThrow('Session not found');
+    expect(getQueue('sess-unknown')).toEqual([]);
+    expect(getQueue('sess-q4')).toEqual([]);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Integration tests for pending-prompt recovery
+ *
+ * Drives handleChat with a stubbed SDK query whose canUseTool calls block on
+ * user prompts, and verifies that outstanding prompts are listed with their
+ * full payloads, resolve when answered, and auto-deny after the timeout.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { tmpdir } from 'os';
+
+const sdk = vi.hoisted(() => ({ toolCalls: [], results: [] }));
+
+vi.mock('@anthropic-ai/claude-agent-sdk', () => ({
+  query: ({ options }) => {
+    async function* run() {
+      yield { type: 'system', subtype: 'init', session_id: sdk.sessionId };
+      for (const call of sdk.toolCalls) {
+        const controller = new AbortController();
+        sdk.results.push(await options.canUseTool(call.name, call.input, {
+          toolUseID: call.id,
+          signal: controller.signal
+        }));
+      }
+    }
+    const instance = run();
+    instance.setPermissionMode = async () => {};
+    instance.interrupt = async () => {};
+    return instance;
+  }
+}));
+
+vi.mock('../../server/permissions.js', () => ({
+  checkPermission: () => null,
+  addRule: () => null,
+  importSettingsRules: async () => 0,
+  rulesForAlwaysAllow: () => []
+}));
+
+vi.mock('../../server/access.js', () => import('../helpers/allow-access.js'));
+
+vi.mock('../../server/audit.js', () => ({
+  recordAudit: () => {}
+}));
+
+vi.mock('../../server/session-meta.js', () => ({
+  ensureAutoTitle: async () => null,
+  getSessionMeta: () => ({ title: null })
+}));
+
+const { handleChat, handleQuestionResponse, getPendingPrompts } = await import('../../server/claude.js');
+const { subscribe } = await import('../../server/bus.js');
+
+const flush = () => new Promise(r => setImmediate(r));
+
+async function waitForPrompts(username, count = 1) {
+  for (let i = 0; i < 1000; i++) {
+    const prompts = getPendingPrompts(username);
+    if (prompts.length >= count) return prompts;
+    await flush();
+  }
+  throw new Error('Prompt never became pending');
+}
+
+function startChat(username, sessionId) {
+  sdk.sessionId = sessionId;
+  const ws = { readyState: 1, send: vi.fn() };
+  return handleChat({ content: 'hi', projectPath: tmpdir(), isNewSession: true, mode: 'default' }, ws, username);
+}
+
+beforeEach(() => {
+  sdk.toolCalls = [];
+  sdk.results = [];
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('getPendingPrompts', () => {
+  it('returns an empty list when nothing is pending', () => {
+    expect(getPendingPrompts('nobody')).toEqual([]);
+  });
+
+  it('lists a blocked question with its full payload until it is answered', async () => {
+    const events = [];
+    const unsubscribe = subscribe('alice', (e) => events.push(e));
+    const questions = [{ question: 'Which DB?', options: [{ label: 'SQLite' }] }];
+    sdk.toolCalls = [{ name: 'AskUserQuestion', id: 'tool-q1', input: { questions } }];
+
+    const chat = startChat('alice', 'sess-alice');
+    const [prompt] = await waitForPrompts('alice');
+
+    expect(prompt).toMatchObject({
+      sessionId: 'sess-alice',
+      toolUseId: 'tool-q1',
+      type: 'question',
+      data: { type: 'question', id: 'tool-q1', questions }
+    });
+    expect(getPendingPrompts('bob')).toEqual([]);
+    expect(getPendingPrompts('alice', 'other-session')).toEqual([]);
+
+    // Other users can't answer it
+    expect(await handleQuestionResponse('sess-alice', 'tool-q1', { 0: ['Postgres'] }, 'bob')).toBe(false);
+    expect(getPendingPrompts('alice')).toHaveLength(1);
+
+    expect(await handleQuestionResponse('sess-alice', 'tool-q1', { 0: ['SQLite'] }, 'alice')).toBe(true);
+    await chat;
+    unsubscribe();
+
+    expect(sdk.results[0]).toMatchObject({ behavior: 'allow', updatedInput: { answers: { 0: ['SQLite'] } } });
+    expect(getPendingPrompts('alice')).toEqual([]);
+    const resolved = events.find(e => e.data?.type === 'prompt-resolved');
+    expect(resolved).toMatchObject({ sessionId: 'sess-alice', data: { id: 'tool-q1', reason: 'answered' } });
+  });
+
+  it('auto-denies a permission request nobody answers', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    sdk.toolCalls = [{ name: 'Bash', id: 'tool-b1', input: { command: 'rm -rf build' } }];
+
+    const chat = startChat('carol', 'sess-carol');
+    const [prompt] = await waitForPrompts('carol');
+    expect(prompt.type).toBe('permission-request');
+    expect(prompt.data.summary.fullCommand).toBe('rm -rf build');
+
+    vi.advanceTimersByTime(30 * 60 * 1000);
+    await chat;
+
+    expect(sdk.results[0].behavior).toBe('deny');
+    expect(sdk.results[0].message).toContain('timed out');
+    expect(getPendingPrompts('carol')).toEqual([]);
+  });
+});
+
+describe('pending prompt delivery wiring', () => {
+  const indexJs = readFileSync(resolve('server/index.js'), 'utf8');
+  const appJs = readFileSync(resolve('public/app.js'), 'utf8');
+
+  it('includes pending prompts in the SSE state-snapshot', () => {
+    const sseStart = indexJs.indexOf("app.get('/api/events'");
+    const sseBody = indexJs.slice(sseStart, indexJs.indexOf("req.on('close'", sseStart));
+    expect(sseBody).toContain('pendingPrompts: getPendingPrompts(user.username)');
+  });
+
+  it('exposes GET /api/prompts behind authentication', () => {
+    expect(indexJs).toContain("app.get('/api/prompts', authenticateToken");
+  });
+
+  it('re-renders prompts from the snapshot and after history load', () => {
+    const fnStart = appJs.indexOf('function handleServerEvent(event)');
+    const fnBody = appJs.slice(fnStart, appJs.indexOf('\n}', fnStart));
+    expect(fnBody).toContain('event.pendingPrompts');
+    expect(appJs).toContain('await restorePendingPrompts(session);');
+  });
+
+  it('closes out cards the server has stopped waiting on', () => {
+    expect(appJs).toContain("data.type === 'prompt-resolved'");
+    expect(appJs).toMatch(/function resolvePromptCard\(data, session\)/);
+  });
+});
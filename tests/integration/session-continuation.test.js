@@ -0,0 +1,180 @@
+/**
+ * Integration tests for session continuation
+ *
+ * Drives handleChat with a stubbed SDK query against a temporary
+ * ~/.claude/projects tree, and verifies that resumed sessions rely on SDK
+ * resume (prompt carries only the new message) while history is replayed
+ * into the prompt only when the transcript is missing, and that edited
+ * prompts branch from an earlier message via resumeSessionAt.
+ */
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import { mkdirSync, writeFileSync, readFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { useTempHome } from '../helpers/server.js';
+
+const sdk = vi.hoisted(() => ({ calls: [] }));
+
+vi.mock('@anthropic-ai/claude-agent-sdk', () => ({
+  query: ({ prompt, options }) => {
+    sdk.calls.push({ prompt, options });
+    async function* run() {
+      const sessionId = options.resume && !options.forkSession ? options.resume : sdk.newSessionId;
+      yield { type: 'system', subtype: 'init', session_id: sessionId };
+    }
+    const instance = run();
+    instance.setPermissionMode = async () => {};
+    instance.interrupt = async () => {};
+    return instance;
+  }
+}));
+
+vi.mock('../../server/permissions.js', () => ({
+  checkPermission: () => null,
+  addRule: () => null,
+  importSettingsRules: async () => 0,
+  rulesForAlwaysAllow: () => []
+}));
+
+vi.mock('../../server/access.js', () => import('../helpers/allow-access.js'));
+
+const PROJECT = '/work/shop.app';
+const MESSAGE = 'Add a checkout test';
+
+let env;
+let home;
+let claude;
+let bus;
+
+// Write a transcript with `turns` user/assistant exchanges of long text
+function writeTranscript(projectDir, sessionId, turns = 20) {
+  const dir = join(home, '.claude', 'projects', projectDir);
+  mkdirSync(dir, { recursive: true });
+  const lines = [];
+  for (let i = 0; i < turns; i++) {
+    const timestamp = new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString();
+    lines.push(JSON.stringify({ sessionId, type: 'user', timestamp, message: { role: 'user', content: `question ${i} `.repeat(50) } }));
+    lines.push(JSON.stringify({ sessionId, type: 'assistant', timestamp, message: { role: 'assistant', content: [{ type: 'text', text: `answer ${i} `.repeat(500) }] } }));
+  }
+  writeFileSync(join(dir, `${sessionId}.jsonl`), lines.join('\n'));
+}
+
+async function continueChat(sessionId, username = 'alice', extra = {}) {
+  const events = [];
+  const unsubscribe = bus.subscribe(username, (e) => events.push(e));
+  await claude.handleChat({ content: MESSAGE, projectPath: PROJECT, sessionId, isNewSession: false, mode: 'default', ...extra }, null, username);
+  unsubscribe();
+  return { call: sdk.calls.at(-1), events };
+}
+
+beforeAll(async () => {
+  // CLAUDE_PROJECTS_DIR is derived from the home directory at import time
+  env = useTempHome('continuation');
+  home = env.home;
+  claude = await import('../../server/claude.js');
+  bus = await import('../../server/bus.js');
+});
+
+afterAll(() => {
+  env.restore();
+});
+
+beforeEach(() => {
+  sdk.calls = [];
+  sdk.newSessionId = 'sess-fresh';
+});
+
+describe('resolveContinuation', () => {
+  it('resumes when the transcript is in the SDK project directory', async () => {
+    writeTranscript('-work-shop-app', 'sess-resume');
+    expect(await claude.resolveContinuation(PROJECT, 'sess-resume')).toEqual({ strategy: 'resume', historyMessages: 0, historyBlock: '' });
+  });
+
+  it('replays history when the transcript only exists under another project', async () => {
+    writeTranscript('-old-location-shop-app', 'sess-moved', 3);
+    const result = await claude.resolveContinuation(PROJECT, 'sess-moved');
+    expect(result.strategy).toBe('replay');
+    expect(result.historyMessages).toBe(6);
+    expect(result.historyBlock).toContain('<conversation-history>');
+  });
+
+  it('starts fresh when no transcript exists', async () => {
+    expect((await claude.resolveContinuation(PROJECT, 'sess-missing')).strategy).toBe('new');
+  });
+});
+
+describe('handleChat continuation', () => {
+  it('sends only the new message when resuming, regardless of transcript size', async () => {
+    writeTranscript('-work-shop-app', 'sess-big', 40);
+    const { call, events } = await continueChat('sess-big');
+
+    expect(call.options.resume).toBe('sess-big');
+    expect(call.prompt).toBe(MESSAGE);
+    expect(call.prompt.length).toBe(MESSAGE.length);
+
+    const indicator = events.find(e => e.data?.type === 'session-continuation');
+    expect(indicator).toMatchObject({ sessionId: 'sess-big', data: { strategy: 'resume' } });
+  });
+
+  it('prepends replayed history only for the fallback', async () => {
+    writeTranscript('-work-shop-app', 'sess-small', 5);
+    const resumed = await continueChat('sess-small');
+
+    writeTranscript('-elsewhere', 'sess-elsewhere', 5);
+    const replayed = await continueChat('sess-elsewhere');
+
+    expect(replayed.call.options.resume).toBeUndefined();
+    expect(replayed.call.prompt).toContain('<conversation-history>');
+    expect(replayed.call.prompt.endsWith(`User asks: ${MESSAGE}`)).toBe(true);
+    expect(replayed.call.prompt.length).toBeGreaterThan(resumed.call.prompt.length * 100);
+  });
+
+  it('reports the new session ID when a session continues without resume', async () => {
+    writeTranscript('-elsewhere', 'sess-orphan', 2);
+    const { events } = await continueChat('sess-orphan');
+
+    const created = events.find(e => e.type === 'session-created');
+    expect(created).toMatchObject({ sessionId: 'sess-fresh', previousSessionId: 'sess-orphan' });
+    const indicator = events.find(e => e.data?.type === 'session-continuation');
+    expect(indicator).toMatchObject({ sessionId: 'sess-fresh', data: { strategy: 'replay', historyMessages: 4 } });
+  });
+});
+
+describe('edit and resend', () => {
+  it('branches from an earlier assistant message into a new session', async () => {
+    writeTranscript('-work-shop-app', 'sess-edit', 3);
+    const { call, events } = await continueChat('sess-edit', 'alice', { resumeAt: 'assistant-uuid-1' });
+
+    expect(call.options).toMatchObject({ resume: 'sess-edit', resumeSessionAt: 'assistant-uuid-1', forkSession: true });
+    expect(call.prompt).toBe(MESSAGE);
+
+    const created = events.find(e => e.type === 'session-created');
+    expect(created).toMatchObject({ sessionId: 'sess-fresh', previousSessionId: 'sess-edit' });
+
+    const { getLineage } = await import('../../server/forks.js');
+    expect(getLineage('-work-shop-app').get('sess-fresh')).toMatchObject({
+      parentSessionId: 'sess-edit',
+      forkMessageUuid: 'assistant-uuid-1'
+    });
+  });
+
+  it('refuses to branch when the transcript is missing', async () => {
+    const { events } = await continueChat('sess-gone', 'alice', { resumeAt: 'assistant-uuid-1' });
+
+    expect(sdk.calls).toHaveLength(0);
+    const error = events.find(e => e.type === 'error');
+    expect(error).toMatchObject({ sessionId: 'sess-gone' });
+    expect(error.message).toContain('transcript was not found');
+  });
+
+  it('adds an edit action to user bubbles and sends resumeAt', () => {
+    const appJs = readFileSync(resolve('public/app.js'), 'utf8');
+    const fnStart = appJs.indexOf('function appendMessage(');
+    const fnBody = appJs.slice(fnStart, appJs.indexOf('\n}', fnStart));
+    expect(fnBody).toContain('message-edit-btn');
+
+    const resendStart = appJs.indexOf('function resendEditedMessage(');
+    const resendBody = appJs.slice(resendStart, appJs.indexOf('\n}', resendStart));
+    expect(resendBody).toContain('resumeAt');
+    expect(resendBody).toContain('nextElementSibling.remove()');
+  });
+});
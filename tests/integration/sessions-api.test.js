@@ -0,0 +1,199 @@
+/**
+ * Integration tests for the sessions REST API
+ *
+ * Mounts server/sessions.js on an express app with a stubbed SDK query that
+ * blocks until released, and drives runs over plain HTTP: start, status,
+ * the per-session SSE stream, follow-up queueing and abort.
+ */
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import { tmpdir } from 'os';
+import { useTempHome, asUser, startServer, startAppServer, createRequest } from '../helpers/server.js';
+
+const sdk = vi.hoisted(() => ({ prompts: [], gates: [] }));
+
+vi.mock('@anthropic-ai/claude-agent-sdk', () => ({
+  query: ({ prompt }) => {
+    let release;
+    const gate = new Promise(r => { release = r; });
+    sdk.prompts.push(prompt);
+    sdk.gates.push(release);
+    async function* run() {
+      yield { type: 'system', subtype: 'init', session_id: sdk.sessionId };
+      await gate;
+      yield { type: 'assistant', session_id: sdk.sessionId, message: { content: [{ type: 'text', text: 'Done.' }] } };
+    }
+    const instance = run();
+    instance.setPermissionMode = async () => {};
+    instance.interrupt = async () => { release(); };
+    return instance;
+  }
+}));
+
+vi.mock('../../server/permissions.js', () => ({
+  checkPermission: () => null,
+  addRule: () => null,
+  importSettingsRules: async () => 0,
+  rulesForAlwaysAllow: () => []
+}));
+
+vi.mock('../../server/access.js', () => import('../helpers/allow-access.js'));
+
+vi.mock('../../server/audit.js', () => ({
+  recordAudit: () => {}
+}));
+
+vi.mock('../../server/session-meta.js', () => ({
+  ensureAutoTitle: async () => null,
+  getSessionMeta: () => ({ title: null })
+}));
+
+const env = useTempHome('sessions-api');
+const { sessionRoutes } = await import('../../server/sessions.js');
+const { isSessionBusy } = await import('../../server/claude.js');
+
+const flush = () => new Promise(r => setImmediate(r));
+
+// Queued dispatch looks for a transcript on disk, so allow real time rather than ticks
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (check()) return;
+    await flush();
+  }
+  throw new Error('Condition never became true');
+}
+
+let server;
+let baseUrl;
+
+const request = createRequest(() => baseUrl);
+
+// Parse the data: lines of an SSE response body
+const parseEvents = (text) => text.split('\n\n')
+  .filter(chunk => chunk.startsWith('data: '))
+  .map(chunk => JSON.parse(chunk.slice(6)));
+
+async function startRun(sessionId, prompt = 'Run the tests') {
+  sdk.sessionId = sessionId;
+  const res = await request('', { body: { projectPath: tmpdir(), prompt, mode: 'bypass' } });
+  return { res, body: await res.json() };
+}
+
+beforeAll(async () => {
+  server = await startServer(app => {
+    app.use(asUser);
+    app.use('/api/sessions', sessionRoutes);
+  });
+  baseUrl = `${server.origin}/api/sessions`;
+});
+
+afterAll(async () => {
+  sdk.gates.forEach(release => release());
+  await server.close();
+  env.restore();
+});
+
+beforeEach(() => {
+  sdk.prompts = [];
+  sdk.gates = [];
+});
+
+describe('POST /api/sessions', () => {
+  it('starts a run and returns the new session ID', async () => {
+    const { res, body } = await startRun('sess-api-start');
+    expect(res.status).toBe(202);
+    expect(body).toEqual({ sessionId: 'sess-api-start', status: 'streaming' });
+    expect(sdk.prompts).toEqual(['Run the tests']);
+
+    sdk.gates[0]();
+    await waitFor(() => !isSessionBusy('sess-api-start'));
+  });
+
+  it('queues a prompt for a session that is still streaming', async () => {
+    await startRun('sess-api-queue');
+    const res = await request('', { body: { projectPath: tmpdir(), prompt: 'And lint', sessionId: 'sess-api-queue' } });
+    expect(res.status).toBe(202);
+    expect((await res.json()).queued).toMatchObject({ content: 'And lint' });
+
+    sdk.gates[0]();
+    await waitFor(() => sdk.prompts.length === 2);
+    sdk.gates[1]();
+    await waitFor(() => !isSessionBusy('sess-api-queue'));
+  });
+
+  it('validates the request', async () => {
+    const post = (body) => request('', { body });
+    expect((await post({ projectPath: tmpdir() })).status).toBe(400);
+    expect((await post({ projectPath: 'relative', prompt: 'x' })).status).toBe(400);
+    expect((await post({ projectPath: '/definitely/not/here', prompt: 'x' })).status).toBe(400);
+    const badMode = await post({ projectPath: tmpdir(), prompt: 'x', mode: 'yolo' });
+    expect(badMode.status).toBe(400);
+    expect((await badMode.json()).error).toBe('Invalid mode: yolo');
+    expect(sdk.prompts).toEqual([]);
+  });
+});
+
+describe('GET /api/sessions/:id and /stream', () => {
+  it('reports status and streams one session until it goes idle', async () => {
+    await startRun('sess-api-stream');
+
+    const status = await (await request('/sess-api-stream')).json();
+    expect(status.session).toMatchObject({ sessionId: 'sess-api-stream', status: 'streaming', projectPath: tmpdir() });
+    expect(status).toMatchObject({ pendingPrompts: [], queue: [] });
+
+    const stream = await request('/sess-api-stream/stream');
+    expect(stream.headers.get('content-type')).toBe('text/event-stream');
+    sdk.gates[0]();
+    const events = parseEvents(await stream.text());
+
+    expect(events[0]).toMatchObject({ type: 'state-snapshot', sessions: [{ sessionId: 'sess-api-stream' }] });
+    expect(events.every(e => !e.sessionId || e.sessionId === 'sess-api-stream')).toBe(true);
+    const types = events.map(e => e.type);
+    expect(types).toContain('claude-message');
+    expect(types).toContain('claude-done');
+    expect(events.at(-1)).toMatchObject({ type: 'session-status', status: 'idle' });
+
+    expect((await (await request('/sess-api-stream')).json()).session.status).toBe('idle');
+  });
+
+  it('replays the finished run and ends the stream for an idle session', async () => {
+    const events = parseEvents(await (await request('/sess-api-stream/stream')).text());
+    const types = events.map(e => e.type);
+    expect(types.slice(0, 2)).toEqual(['state-snapshot', 'replay-start']);
+    expect(types).toContain('claude-done');
+    expect(types.at(-1)).toBe('replay-end');
+  });
+
+  it('hides sessions owned by other users', async () => {
+    expect((await request('/sess-api-stream', { as: 'bob' })).status).toBe(404);
+    expect((await request('/sess-api-stream/stream', { as: 'bob' })).status).toBe(404);
+    expect((await request('/unknown')).status).toBe(404);
+  });
+});
+
+describe('POST /api/sessions/:id/abort', () => {
+  it('stops a streaming session', async () => {
+    await startRun('sess-api-abort');
+    expect((await request('/sess-api-abort/abort', { method: 'POST', as: 'bob' })).status).toBe(404);
+
+    const res = await request('/sess-api-abort/abort', { method: 'POST' });
+    expect(await res.json()).toEqual({ success: true });
+    await waitFor(() => !isSessionBusy('sess-api-abort'));
+  });
+});
+
+describe('sessions API wiring', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startAppServer();
+  }, 20000);
+
+  afterAll(() => {
+    app?.stop();
+  });
+
+  it('mounts the routes behind authentication', async () => {
+    expect((await fetch(`${app.origin}/api/sessions/sess-api-stream`)).status).toBe(401);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Unit tests for account settings
+ * Tests password changes, renames (with sessions, queues, rules, jobs, share
+ * links and trash records moving along), admin password resets, account
+ * deletion and the server/admin.js CLI
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { execFileSync } from 'child_process';
+import { resolve } from 'path';
+import { useTempHome, startServer, createRequest } from '../helpers/server.js';
+
+let auth;
+let registry;
+let queue;
+let permissions;
+let jobs;
+let jobsDb;
+let forks;
+let changeSets;
+let shares;
+let trash;
+let sessionsDb;
+let openDatabase;
+let bus;
+let env;
+let server;
+let baseUrl;
+const sessions = {};
+
+const request = createRequest(() => baseUrl, { as: null });
+
+const login = async (username, password = 'secret123') =>
+  (await request('/auth/login', { body: { username, password } })).json();
+
+beforeAll(async () => {
+  env = useTempHome('account');
+  auth = await import('../../server/auth.js');
+  registry = await import('../../server/session-registry.js');
+  queue = await import('../../server/message-queue.js');
+  permissions = await import('../../server/permissions.js');
+  jobs = await import('../../server/jobs.js');
+  bus = await import('../../server/bus.js');
+  ({ openDatabase } = await import('../../server/db.js'));
+  jobsDb = openDatabase('jobs.db');
+  forks = await import('../../server/forks.js');
+  changeSets = await import('../../server/change-sets.js');
+  shares = await import('../../server/shares.js');
+  trash = await import('../../server/session-trash.js');
+  sessionsDb = openDatabase('sessions.db');
+
+  server = await startServer(app => app.use('/api/auth', auth.authRoutes));
+  baseUrl = `${server.origin}/api`;
+
+  await request('/auth/register', { body: { username: 'alice', password: 'secret123' } });
+  sessions.alice = await login('alice');
+  await request('/auth/users', { token: sessions.alice.token, body: { username: 'bob', password: 'secret123' } });
+});
+
+afterAll(async () => {
+  await server.close();
+  env.restore();
+});
+
+// ─── Password ────────────────────────────────────────────────────
+describe('changing the password', () => {
+  it('requires the current password', async () => {
+    const { token } = await login('bob');
+    const wrong = await request('/auth/password', { token, method: 'PUT', body: { currentPassword: 'nope', newPassword: 'another123' } });
+    expect(wrong.status).toBe(401);
+    expect((await wrong.json()).error).toBe('Invalid password');
+    expect((await request('/auth/password', { token, method: 'PUT', body: { currentPassword: 'secret123', newPassword: 'short' } })).status).toBe(400);
+  });
+
+  it('keeps the current device and logs out the others', async () => {
+    const phone = await login('bob');
+    const laptop = await login('bob');
+    const res = await request('/auth/password', { token: laptop.token, method: 'PUT', body: { currentPassword: 'secret123', newPassword: 'another123' } });
+    expect(res.status).toBe(200);
+
+    expect((await request('/auth/me', { token: laptop.token })).status).toBe(200);
+    expect((await request('/auth/me', { token: phone.token })).status).toBe(403);
+    expect((await login('bob')).error).toBe('Invalid credentials');
+    expect((await login('bob', 'another123')).token).toBeTruthy();
+  });
+});
+
+// ─── Username ────────────────────────────────────────────────────
+describe('changing the username', () => {
+  it('validates the new name and re-checks the password', async () => {
+    const { token } = await login('bob', 'another123');
+    expect((await request('/auth/username', { token, method: 'PUT', body: { username: 'al', password: 'another123' } })).status).toBe(400);
+    expect((await request('/auth/username', { token, method: 'PUT', body: { username: 'robert', password: 'secret123' } })).status).toBe(401);
+    expect((await request('/auth/username', { token, method: 'PUT', body: { username: 'alice', password: 'another123' } })).status).toBe(409);
+  });
+
+  it('moves sessions, queues, rules, jobs, share links and trash records to the new name', async () => {
+    const { token } = await login('bob', 'another123');
+    registry.register('sess-bob', { username: 'bob', projectPath: '/work/app', projectName: 'app', displayName: 'app', status: 'idle' });
+    queue.enqueue('sess-bob', 'bob', { content: 'next', projectPath: '/work/app' });
+    permissions.addRule('bob', '/work/app', 'Bash(npm test)', 'allow');
+    jobs.listJobs('bob');
+    jobsDb.prepare("INSERT INTO jobs (username, name, cron, project_path, prompt) VALUES ('bob', 'nightly', '0 3 * * *', '/work/app', 'hi')").run();
+    shares.createShare({ projectName: '-work-app', sessionId: 'sess-bob', username: 'bob' });
+    trash.setRetention('-work-app', 30, 'bob');
+    sessionsDb.prepare(`
+      INSERT INTO session_trash (project_name, session_id, deleted_at, deleted_by, reason)
+      VALUES ('-work-app', 'sess-old', '2026-01-01T00:00:00.000Z', 'bob', 'deleted')
+    `).run();
+
+    const events = [];
+    const unsubscribe = bus.subscribe('bob', e => events.push(e));
+    const res = await request('/auth/username', { token, method: 'PUT', body: { username: 'robert', password: 'another123' } });
+    unsubscribe();
+    expect(res.status).toBe(200);
+    expect((await res.json()).user.username).toBe('robert');
+
+    expect(events).toContainEqual(expect.objectContaining({ type: 'user-renamed', username: 'robert' }));
+    expect(registry.getSession('sess-bob').username).toBe('robert');
+    expect(registry.getSessionsForUser('bob')).toEqual([]);
+    expect(queue.isQueueOwner('sess-bob', 'robert')).toBe(true);
+    expect(permissions.listRules('robert').map(r => r.rule)).toEqual(['Bash(npm test)']);
+    expect(jobs.listJobs('robert').map(j => j.name)).toEqual(['nightly']);
+    expect(shares.listShares('sess-bob').map(share => share.createdBy)).toEqual(['robert']);
+    expect(trash.listTrash('-work-app').map(entry => entry.deletedBy)).toEqual(['robert']);
+    expect(sessionsDb.prepare("SELECT updated_by FROM retention_policies WHERE project_name = '-work-app'").get()).toEqual({ updated_by: 'robert' });
+  });
+
+  it('applies to existing access tokens and logins', async () => {
+    const { token } = await login('robert', 'another123');
+    expect((await (await request('/auth/me', { token })).json()).user.username).toBe('robert');
+    expect((await login('bob', 'another123')).error).toBe('Invalid credentials');
+  });
+});
+
+// ─── Admin reset ─────────────────────────────────────────────────
+describe('admin password reset', () => {
+  it('is admin-only and not for your own account', async () => {
+    const robert = await login('robert', 'another123');
+    const { users } = await (await request('/auth/users', { token: sessions.alice.token })).json();
+    const ids = Object.fromEntries(users.map(u => [u.username, u.id]));
+
+    expect((await request(`/auth/users/${ids.alice}/reset-password`, { token: robert.token, body: {} })).status).toBe(403);
+    expect((await request(`/auth/users/${ids.alice}/reset-password`, { token: sessions.alice.token, body: {} })).status).toBe(400);
+    expect((await request('/auth/users/999/reset-password', { token: sessions.alice.token, body: {} })).status).toBe(404);
+  });
+
+  it('generates a temporary password and logs the user out', async () => {
+    const robert = await login('robert', 'another123');
+    const { users } = await (await request('/auth/users', { token: sessions.alice.token })).json();
+    const id = users.find(u => u.username === 'robert').id;
+
+    const res = await request(`/auth/users/${id}/reset-password`, { token: sessions.alice.token, body: {} });
+    const { password } = await res.json();
+    expect(password.length).toBeGreaterThanOrEqual(16);
+    expect((await request('/auth/me', { token: robert.token })).status).toBe(403);
+    expect((await login('robert', password)).token).toBeTruthy();
+
+    expect((await request(`/auth/users/${id}/reset-password`, { token: sessions.alice.token, body: { password: 'abc' } })).status).toBe(400);
+    await request(`/auth/users/${id}/reset-password`, { token: sessions.alice.token, body: { password: 'chosen123' } });
+    expect((await login('robert', 'chosen123')).token).toBeTruthy();
+  });
+});
+
+// ─── Deleting an account ─────────────────────────────────────────
+describe('deleting an account', () => {
+  it('leaves nothing behind for a new account with the same name', async () => {
+    const admin = { token: sessions.alice.token };
+    const { user } = await (await request('/auth/users', { ...admin, body: { username: 'carol', password: 'secret123' } })).json();
+    queue.enqueue('sess-carol', 'carol', { content: 'next', projectPath: '/work/app' });
+    permissions.addRule('carol', '/work/app', 'Bash(rm:*)', 'allow');
+    jobsDb.prepare("INSERT INTO jobs (username, name, cron, project_path, prompt) VALUES ('carol', 'hourly', '0 * * * *', '/work/app', 'hi')").run();
+    forks.recordFork('sess-carol-fork', 'sess-carol', 'uuid-1', '-work-app', 'carol');
+    shares.createShare({ projectName: '-work-app', sessionId: 'sess-carol', username: 'carol' });
+    changeSets.getChangeSetOwner('sess-carol'); // creates the table
+    openDatabase('changes.db').prepare(`
+      INSERT INTO file_snapshots (session_id, file_path, project_path, username, existed, captured_at, touched_at)
+      VALUES ('sess-carol', 'a.js', '/work/app', 'carol', 0, '', '')
+    `).run();
+
+    expect((await request(`/auth/users/${user.id}`, { ...admin, method: 'DELETE' })).status).toBe(200);
+    await request('/auth/users', { ...admin, body: { username: 'carol', password: 'secret123' } });
+
+    expect(queue.isQueueOwner('sess-carol', 'carol')).toBe(false);
+    expect(permissions.listRules('carol')).toEqual([]);
+    expect(jobs.listJobs('carol')).toEqual([]);
+    expect(sessionsDb.prepare("SELECT username FROM session_forks WHERE session_id = 'sess-carol-fork'").get()).toEqual({ username: null });
+    expect(forks.getLineage('-work-app').get('sess-carol-fork').parentSessionId).toBe('sess-carol');
+    expect(changeSets.getChangeSetOwner('sess-carol')).toBeNull();
+    expect(shares.listShares('sess-carol')).toEqual([]);
+  });
+});
+
+// ─── CLI ─────────────────────────────────────────────────────────
+describe('server/admin.js', () => {
+  const run = (...args) => {
+    try {
+      return { status: 0, stdout: execFileSync('node', [resolve('server/admin.js'), ...args], {
+        env: { ...process.env, CLEON_DATA_DIR: env.dataDir }, encoding: 'utf8', stdio: 'pipe', timeout: 30000
+      }) };
+    } catch (err) {
+      return { status: err.status, stdout: err.stdout, stderr: err.stderr };
+    }
+  };
+
+  it('resets a password from the host', async () => {
+    const { stdout, status } = run('reset-password', 'alice');
+    expect(status).toBe(0);
+    const password = stdout.match(/Temporary password: (\S+)/)[1];
+    expect((await request('/auth/me', { token: sessions.alice.token })).status).toBe(403);
+    expect((await login('alice', password)).token).toBeTruthy();
+  });
+
+  it('reports unknown users and usage errors', () => {
+    expect(run('reset-password', 'nobody')).toMatchObject({ status: 1, stderr: expect.stringContaining('No such user: nobody') });
+    expect(run()).toMatchObject({ status: 1, stderr: expect.stringContaining('Usage:') });
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Unit tests for personal access tokens
+ * Tests server/auth.js token storage and verification, server/scopes.js,
+ * and scope enforcement on the /api/auth/tokens, projects and files routes
+ * and on the SSE and WebSocket endpoints of server/index.js
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import WebSocket from 'ws';
+import { useTempHome, startServer, startAppServer, createRequest } from '../helpers/server.js';
+
+let auth;
+let scopes;
+let authDb;
+let env;
+let server;
+let baseUrl;
+let jwtToken;
+let userId;
+
+const api = createRequest(() => baseUrl, { as: null });
+const request = (path, { token = jwtToken, ...options } = {}) => api(path, { token, ...options });
+
+const inDays = (days) => new Date(Date.now() + days * 86400000).toISOString();
+
+beforeAll(async () => {
+  env = useTempHome('tokens');
+  auth = await import('../../server/auth.js');
+  scopes = await import('../../server/scopes.js');
+  const { openDatabase } = await import('../../server/db.js');
+  const { projectRoutes } = await import('../../server/projects.js');
+  const { fileRoutes } = await import('../../server/files.js');
+  authDb = openDatabase('auth.db');
+
+  server = await startServer(app => {
+    app.use('/api/auth', auth.authRoutes);
+    app.use('/api/projects', auth.authenticateToken, projectRoutes);
+    app.use('/api/files', auth.authenticateToken, fileRoutes);
+  });
+  baseUrl = `${server.origin}/api`;
+
+  await request('/auth/register', { token: null, body: { username: 'alice', password: 'secret123' } });
+  const login = await (await request('/auth/login', { token: null, body: { username: 'alice', password: 'secret123' } })).json();
+  jwtToken = login.token;
+  userId = authDb.prepare('SELECT id FROM users WHERE username = ?').get('alice').id;
+});
+
+afterAll(async () => {
+  await server.close();
+  env.restore();
+});
+
+// ─── hasScope ────────────────────────────────────────────────────
+describe('hasScope', () => {
+  it('gives password logins full access', () => {
+    expect(scopes.hasScope({ username: 'alice' }, 'files:write')).toBe(true);
+  });
+
+  it('limits tokens to their scopes, with admin implying all', () => {
+    expect(scopes.hasScope({ scopes: ['read'] }, 'read')).toBe(true);
+    expect(scopes.hasScope({ scopes: ['read'] }, 'chat')).toBe(false);
+    expect(scopes.hasScope({ scopes: ['admin'] }, 'files:write')).toBe(true);
+    expect(scopes.hasScope(null, 'read')).toBe(false);
+  });
+});
+
+// ─── Storage ─────────────────────────────────────────────────────
+describe('token storage', () => {
+  it('stores only a hash and verifies the plaintext', () => {
+    const { token, apiToken } = auth.createApiToken(userId, { name: 'CI', scopes: ['read', 'chat'] });
+    expect(token).toMatch(/^cln_/);
+    expect(apiToken).toMatchObject({ name: 'CI', scopes: ['read', 'chat'], lastUsedAt: null, expiresAt: null });
+    expect(token.startsWith(apiToken.prefix)).toBe(true);
+
+    const row = authDb.prepare('SELECT * FROM api_tokens WHERE id = ?').get(apiToken.id);
+    expect(JSON.stringify(row)).not.toContain(token);
+
+    expect(auth.verifyApiToken(token)).toEqual({ id: userId, username: 'alice', scopes: ['read', 'chat'], tokenId: apiToken.id });
+    expect(auth.listApiTokens(userId).find(t => t.id === apiToken.id).lastUsedAt).not.toBeNull();
+    expect(auth.verifyApiToken(token + 'x')).toBeNull();
+  });
+
+  it('rejects expired and revoked tokens', () => {
+    const expiring = auth.createApiToken(userId, { name: 'Short', scopes: ['read'], expiresAt: inDays(1) });
+    expect(auth.verifyApiToken(expiring.token)).not.toBeNull();
+    authDb.prepare('UPDATE api_tokens SET expires_at = ? WHERE id = ?').run(inDays(-1), expiring.apiToken.id);
+    expect(auth.verifyApiToken(expiring.token)).toBeNull();
+
+    const revoked = auth.createApiToken(userId, { name: 'Gone', scopes: ['read'] });
+    expect(auth.revokeApiToken(userId + 1, revoked.apiToken.id)).toBe(false);
+    expect(auth.revokeApiToken(userId, revoked.apiToken.id)).toBe(true);
+    expect(auth.verifyApiToken(revoked.token)).toBeNull();
+  });
+
+  it('validates name, scopes and expiry', () => {
+    expect(() => auth.createApiToken(userId, { name: '', scopes: ['read'] })).toThrow('name is required');
+    expect(() => auth.createApiToken(userId, { name: 'x', scopes: [] })).toThrow('At least one scope');
+    expect(() => auth.createApiToken(userId, { name: 'x', scopes: ['root'] })).toThrow('Invalid scope: root');
+    expect(() => auth.createApiToken(userId, { name: 'x', scopes: ['read'], expiresAt: inDays(-1) })).toThrow('future');
+  });
+
+  it('opens WebSocket and SSE connections through a ticket with the same scopes', async () => {
+    const { token } = auth.createApiToken(userId, { name: 'WS', scopes: ['chat'] });
+    const { ticket } = await (await request('/auth/ticket', { token, body: {} })).json();
+    expect(auth.authenticateWebSocket(ticket)).toMatchObject({ username: 'alice', scopes: ['chat'] });
+    expect(auth.authenticateHeader(`Bearer ${token}`)).toMatchObject({ username: 'alice', scopes: ['chat'] });
+    expect(auth.authenticateWebSocket(token)).toBeNull();
+    expect(auth.authenticateWebSocket('cln_nope')).toBeNull();
+  });
+});
+
+// ─── Routes ──────────────────────────────────────────────────────
+describe('token routes and scope enforcement', () => {
+  it('creates, lists and revokes tokens without exposing values', async () => {
+    const created = await request('/auth/tokens', { body: { name: 'Deploy', scopes: ['chat'], expiresAt: inDays(30) } });
+    expect(created.status).toBe(201);
+    const { token, apiToken } = await created.json();
+
+    const listed = await (await request('/auth/tokens')).json();
+    expect(listed.scopes).toEqual(scopes.TOKEN_SCOPES);
+    expect(listed.tokens.find(t => t.id === apiToken.id)).toMatchObject({ name: 'Deploy', scopes: ['chat'] });
+    expect(JSON.stringify(listed)).not.toContain(token);
+
+    expect((await request('/auth/tokens', { token })).status).toBe(403);
+    expect((await request(`/auth/tokens/${apiToken.id}`, { method: 'DELETE' })).status).toBe(200);
+    expect((await request('/projects/search', { token })).status).toBe(403);
+  });
+
+  it('enforces route scopes for tokens', async () => {
+    const read = auth.createApiToken(userId, { name: 'Reader', scopes: ['read'] }).token;
+    const chat = auth.createApiToken(userId, { name: 'Chatter', scopes: ['chat'] }).token;
+
+    expect((await request('/projects/search', { token: read })).status).toBe(200);
+    const denied = await request('/projects/search', { token: chat });
+    expect(denied.status).toBe(403);
+    expect((await denied.json()).error).toBe('Token lacks required scope: read');
+
+    const write = await request('/files/some-project/a.txt', { token: read, method: 'PUT', body: { content: 'x' } });
+    expect(write.status).toBe(403);
+    expect((await request('/auth/tokens', { token: 'cln_unknown' })).status).toBe(403);
+  });
+});
+
+// ─── Wiring ──────────────────────────────────────────────────────
+describe('token scope wiring', () => {
+  const denied = async (res, scope) => {
+    expect(res.status).toBe(403);
+    expect((await res.json()).error).toBe(`Token lacks required scope: ${scope}`);
+  };
+
+  it('guards project and file routes', async () => {
+    const read = auth.createApiToken(userId, { name: 'Read-only', scopes: ['read'] }).token;
+    const chat = auth.createApiToken(userId, { name: 'Chat-only', scopes: ['chat'] }).token;
+    const session = '/projects/-work-app/sessions/sess-1';
+
+    await denied(await request('/projects/-work-app/sessions', { token: chat }), 'read');
+    await denied(await request('/files/-work-app/tree', { token: chat }), 'read');
+    await denied(await request(session, { token: read, method: 'PATCH', body: { pinned: true } }), 'chat');
+    await denied(await request(`${session}/fork`, { token: read, body: { messageUuid: 'u1' } }), 'chat');
+    await denied(await request('/projects/-work-app/retention', { token: read, method: 'PUT', body: { days: 7 } }), 'chat');
+    for (const method of ['POST', 'PATCH', 'DELETE']) {
+      await denied(await request('/files/-work-app/a.txt', { token: read, method, body: {} }), 'files:write');
+    }
+  });
+
+  describe('server/index.js', () => {
+    let app;
+    let origin;
+
+    beforeAll(async () => {
+      app = await startAppServer();
+      origin = app.origin;
+    }, 20000);
+
+    afterAll(() => {
+      app?.stop();
+    });
+
+    it('refuses the event stream to tokens without the read scope', async () => {
+      const chat = auth.createApiToken(userId, { name: 'SSE chat', scopes: ['chat'] }).token;
+      await denied(await fetch(`${origin}/api/events`, { headers: { Authorization: `Bearer ${chat}` } }), 'read');
+    });
+
+    it('refuses WebSocket messages other than ping to tokens without the chat scope', async () => {
+      const read = auth.createApiToken(userId, { name: 'WS read', scopes: ['read'] }).token;
+      const ws = new WebSocket(`${origin.replace('http', 'ws')}/ws`, { headers: { Authorization: `Bearer ${read}` } });
+      const reply = new Promise((done, fail) => {
+        ws.on('message', data => {
+          const message = JSON.parse(data.toString());
+          if (message.type === 'error') done(message);
+        });
+        ws.on('error', fail);
+      });
+      await new Promise((done, fail) => { ws.on('open', done); ws.on('error', fail); });
+      ws.send(JSON.stringify({ type: 'chat', sessionId: 'sess-1', content: 'hi', projectPath: '/work/app' }));
+
+      expect(await reply).toEqual({ type: 'error', sessionId: 'sess-1', message: 'Token lacks required scope: chat' });
+      ws.close();
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Unit tests for per-session change sets
+ * Tests server/change-sets.js, the snapshot hook handleChat gives the SDK, and
+ * the changes/revert routes in server/sessions.js
+ */
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { mkdirSync, writeFileSync, readFileSync, existsSync, symlinkSync, rmSync } from 'fs';
+import { join } from 'path';
+import { useTempHome, asUser, startServer, createRequest } from '../helpers/server.js';
+
+const sdk = vi.hoisted(() => ({ run: null }));
+
+vi.mock('@anthropic-ai/claude-agent-sdk', () => ({
+  query: ({ options }) => {
+    const instance = sdk.run(options);
+    instance.setPermissionMode = async () => {};
+    instance.interrupt = async () => {};
+    return instance;
+  }
+}));
+
+vi.mock('../../server/access.js', () => ({
+  canAccessProject: (username) => username !== 'mallory'
+}));
+
+const SESSION = 'sess-changes';
+
+let env;
+let projectPath;
+let outside;
+let changes;
+let claude;
+let audit;
+let server;
+let baseUrl;
+
+const api = createRequest(() => baseUrl);
+const request = (path, options) => api(`/${SESSION}/${path}`, options);
+const snapshot = (tool, input) => changes.recordSnapshots({ sessionId: SESSION, username: 'alice', projectPath, tool, input });
+const read = (file) => readFileSync(join(projectPath, file), 'utf8');
+
+beforeAll(async () => {
+  env = useTempHome('changes');
+  projectPath = join(env.home, 'shop');
+  outside = join(env.home, 'private');
+  mkdirSync(join(projectPath, 'src'), { recursive: true });
+  mkdirSync(outside);
+
+  changes = await import('../../server/change-sets.js');
+  claude = await import('../../server/claude.js');
+  audit = await import('../../server/audit.js');
+  const { sessionRoutes } = await import('../../server/sessions.js');
+  server = await startServer(app => app.use('/api/sessions', asUser, sessionRoutes));
+  baseUrl = `${server.origin}/api/sessions`;
+});
+
+afterAll(async () => {
+  await server.close();
+  env.restore();
+});
+
+// ─── Bash ────────────────────────────────────────────────────────
+describe('bashWriteTargets', () => {
+  it('finds redirections and files written by common commands', () => {
+    expect(changes.bashWriteTargets('npm test 2>&1 | tee log.txt && echo done >> "notes/build log.md"'))
+      .toEqual(['log.txt', 'notes/build log.md']);
+    expect(changes.bashWriteTargets("sed -i 's/a/b/' src/a.js src/b.js; rm -f old.js")).toEqual(['src/a.js', 'src/b.js', 'old.js']);
+    expect(changes.bashWriteTargets('mv a.js lib')).toEqual(['a.js', 'lib', 'lib/a.js']);
+  });
+
+  it('ignores reads, /dev files and paths it can\'t resolve', () => {
+    expect(changes.bashWriteTargets('cat src/a.js > /dev/null; grep -r x . < input.txt')).toEqual([]);
+    expect(changes.bashWriteTargets('rm *.log $OUT/x.txt; sed s/a/b/ file.js')).toEqual([]);
+  });
+});
+
+// ─── Snapshots ───────────────────────────────────────────────────
+describe('recordSnapshots / listChanges', () => {
+  it('lists each file changed since the session first touched it', async () => {
+    writeFileSync(join(projectPath, 'src', 'cart.js'), 'const total = 0;\n');
+    writeFileSync(join(projectPath, 'old.txt'), 'legacy\n');
+
+    expect(snapshot('Edit', { file_path: join(projectPath, 'src', 'cart.js') })).toEqual(['src/cart.js']);
+    writeFileSync(join(projectPath, 'src', 'cart.js'), 'const total = 1;\n');
+    // Later snapshots of the same file keep the first version
+    snapshot('Write', { file_path: join(projectPath, 'src', 'cart.js') });
+    writeFileSync(join(projectPath, 'src', 'cart.js'), 'const total = 2;\n');
+
+    snapshot('Write', { file_path: join(projectPath, 'src', 'new.js') });
+    writeFileSync(join(projectPath, 'src', 'new.js'), 'export {};\n');
+    snapshot('Bash', { command: 'rm old.txt && echo x > tmp.txt' });
+    rmSync(join(projectPath, 'old.txt'));
+
+    const files = await changes.listChanges(SESSION);
+    expect(files.map(f => [f.path, f.status, f.tool])).toEqual([
+      ['old.txt', 'deleted', 'Bash'],
+      ['src/cart.js', 'modified', 'Write'],
+      ['src/new.js', 'added', 'Write']
+    ]);
+    const cart = files.find(f => f.path === 'src/cart.js');
+    expect(cart.diff.hunks[0].lines.map(l => [l.type, l.text])).toEqual([['remove', 'const total = 0;'], ['add', 'const total = 2;']]);
+  });
+
+  it('only tracks regular files inside the project', () => {
+    symlinkSync(join(outside, 'secret.txt'), join(projectPath, 'link.txt'));
+    expect(snapshot('Write', { file_path: join(outside, 'secret.txt') })).toEqual([]);
+    expect(snapshot('Write', { file_path: join(projectPath, 'link.txt') })).toEqual([]);
+    expect(snapshot('Bash', { command: 'echo x > ../private/escape.txt' })).toEqual([]);
+    expect(snapshot('Read', { file_path: join(projectPath, 'src', 'cart.js') })).toEqual([]);
+  });
+
+  it('snapshots from the PreToolUse hook, before a tool that runs ahead of its message', async () => {
+    const file = join(projectPath, 'src', 'total.js');
+    writeFileSync(file, 'let total = 0;\n');
+    const input = { file_path: file, content: 'let total = 1;\n' };
+    sdk.run = async function* (options) {
+      yield { type: 'system', subtype: 'init', session_id: 'sess-hook' };
+      const [preToolUse] = options.hooks.PreToolUse[0].hooks;
+      await preToolUse({ hook_event_name: 'PreToolUse', session_id: 'sess-hook', tool_name: 'Write', tool_input: input, tool_use_id: 'tool-1' },
+        'tool-1', { signal: new AbortController().signal });
+      // Without a prompt the tool can finish before the message carrying its call is yielded
+      writeFileSync(file, input.content);
+      yield { type: 'assistant', session_id: 'sess-hook', message: { content: [{ type: 'tool_use', id: 'tool-1', name: 'Write', input }] } };
+    };
+    await claude.handleChat({ content: 'Bump it', projectPath, isNewSession: true, mode: 'bypass' }, { readyState: 1, send: () => {} }, 'alice');
+
+    const [change] = await changes.listChanges('sess-hook');
+    expect(change).toMatchObject({ path: 'src/total.js', status: 'modified', tool: 'Write' });
+    expect(change.diff.hunks[0].lines.map(l => [l.type, l.text])).toEqual([['remove', 'let total = 0;'], ['add', 'let total = 1;']]);
+  });
+});
+
+// ─── Routes ──────────────────────────────────────────────────────
+describe('GET /api/sessions/:id/changes', () => {
+  it('lists the session\'s changes to its owner while they can access the project', async () => {
+    const body = await (await request('changes')).json();
+    expect(body.projectPath).toBe(projectPath);
+    expect(body.files.map(f => f.path)).toEqual(['old.txt', 'src/cart.js', 'src/new.js']);
+
+    expect((await request('changes', { as: 'bob' })).status).toBe(404);
+    expect((await request('changes', { as: 'mallory' })).status).toBe(404);
+    const none = await (await api('/sess-untouched/changes')).json();
+    expect(none.files).toEqual([]);
+  });
+});
+
+describe('POST /api/sessions/:id/revert', () => {
+  it('reverts a single file', async () => {
+    const res = await request('revert', { body: { path: 'src/cart.js' } });
+    expect(await res.json()).toEqual({ reverted: [{ path: 'src/cart.js', status: 'modified' }], failed: [] });
+    expect(read('src/cart.js')).toBe('const total = 0;\n');
+    expect((await changes.listChanges(SESSION)).map(f => f.path)).toEqual(['old.txt', 'src/new.js']);
+    expect(audit.listAudit({ action: 'file-revert' }, { username: 'alice', role: 'admin' }).entries[0])
+      .toMatchObject({ outcome: 'modified', sessionId: SESSION, detail: { path: 'src/cart.js' } });
+  });
+
+  it('reverts the whole session, restoring deleted files and removing created ones', async () => {
+    const { reverted } = await (await request('revert', { body: {} })).json();
+    expect(reverted.map(f => f.path)).toEqual(['old.txt', 'src/new.js']);
+    expect(read('old.txt')).toBe('legacy\n');
+    expect(existsSync(join(projectPath, 'src', 'new.js'))).toBe(false);
+    expect(await changes.listChanges(SESSION)).toEqual([]);
+  });
+
+  it('rejects unknown files, other users and users without write access', async () => {
+    expect((await request('revert', { body: { path: 'nope.js' } })).status).toBe(404);
+    expect((await request('revert', { body: { path: 42 } })).status).toBe(400);
+    expect((await request('revert', { body: {}, as: 'bob' })).status).toBe(404);
+    expect((await request('revert', { body: {}, as: 'mallory' })).status).toBe(404);
+  });
+
+  it('will not write through a symlinked directory', async () => {
+    snapshot('Write', { file_path: join(projectPath, 'out', 'report.md') });
+    mkdirSync(join(projectPath, 'out'));
+    writeFileSync(join(projectPath, 'out', 'report.md'), 'report');
+    snapshot('Edit', { file_path: join(projectPath, 'src', 'cart.js') });
+    rmSync(join(projectPath, 'src'), { recursive: true });
+    symlinkSync(outside, join(projectPath, 'src'));
+
+    const { reverted, failed } = await (await request('revert', { body: {} })).json();
+    expect(reverted.map(f => f.path)).toEqual(['out/report.md']);
+    expect(failed).toEqual([{ path: 'src/cart.js', error: 'Path escapes the project through a symlink' }]);
+    expect(existsSync(join(outside, 'cart.js'))).toBe(false);
+  });
+});
+
+describe('deleteSessionChanges', () => {
+  it('forgets a purged session\'s snapshots', async () => {
+    changes.deleteSessionChanges(SESSION);
+    expect(changes.getChangeSetOwner(SESSION)).toBeNull();
+    expect(await changes.listChanges(SESSION)).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Unit tests for cron expression parsing
+ * Tests server/cron.js: field syntax, validation and next-run computation
+ */
+import { describe, it, expect } from 'vitest';
+import { parseCron, nextRun } from '../../server/cron.js';
+
+// Local-time dates, matching how the scheduler evaluates expressions
+const at = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+
+describe('parseCron', () => {
+  it('expands lists, ranges and steps', () => {
+    const schedule = parseCron('0,30 9-11 */10 * 1-5');
+    expect([...schedule.minutes]).toEqual([0, 30]);
+    expect([...schedule.hours]).toEqual([9, 10, 11]);
+    expect([...schedule.daysOfMonth]).toEqual([1, 11, 21, 31]);
+    expect([...schedule.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('accepts month and day names and treats 7 as Sunday', () => {
+    const schedule = parseCron('0 0 * jan,DEC sun-tue,7');
+    expect([...schedule.months]).toEqual([1, 12]);
+    expect([...schedule.daysOfWeek].sort()).toEqual([0, 1, 2]);
+  });
+
+  it('expands macros', () => {
+    expect(parseCron('@daily')).toEqual(parseCron('0 0 * * *'));
+    expect(parseCron('@hourly')).toEqual(parseCron('0 * * * *'));
+  });
+
+  it('rejects invalid expressions', () => {
+    expect(() => parseCron('')).toThrow('required');
+    expect(() => parseCron('* * * *')).toThrow('5 fields');
+    expect(() => parseCron('60 * * * *')).toThrow('out of range');
+    expect(() => parseCron('*/0 * * * *')).toThrow('Invalid step');
+    expect(() => parseCron('5-1 * * * *')).toThrow('Invalid range');
+    expect(() => parseCron('x * * * *')).toThrow('Invalid minute');
+  });
+});
+
+describe('nextRun', () => {
+  it('returns the next matching minute strictly after the start time', () => {
+    expect(nextRun('*/15 * * * *', at(2026, 3, 4, 10, 15))).toEqual(at(2026, 3, 4, 10, 30));
+    expect(nextRun('0 9 * * *', at(2026, 3, 4, 9, 0))).toEqual(at(2026, 3, 5, 9, 0));
+  });
+
+  it('skips to the next allowed weekday', () => {
+    // 2026-03-06 is a Friday
+    expect(nextRun('0 9 * * 1-5', at(2026, 3, 6, 10, 0))).toEqual(at(2026, 3, 9, 9, 0));
+  });
+
+  it('rolls over months and years', () => {
+    expect(nextRun('@monthly', at(2026, 3, 4))).toEqual(at(2026, 4, 1));
+    expect(nextRun('@yearly', at(2026, 3, 4))).toEqual(at(2027, 1, 1));
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // The 15th or any Monday; 2026-03-09 is a Monday
+    expect(nextRun('0 0 15 * mon', at(2026, 3, 5))).toEqual(at(2026, 3, 9));
+    expect(nextRun('0 0 15 * mon', at(2026, 3, 13))).toEqual(at(2026, 3, 15));
+  });
+
+  it('returns null for schedules that never fire', () => {
+    expect(nextRun('0 0 30 2 *', at(2026, 1, 1))).toBeNull();
+  });
+});
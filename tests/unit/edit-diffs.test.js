@@ -0,0 +1,200 @@
+/**
+ * Unit tests for edit diffs
+ * Tests server/edit-diffs.js, the diffs handleChat takes from the PreToolUse
+ * hook, and the diffs attached to session history
+ */
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { mkdirSync, writeFileSync, symlinkSync } from 'fs';
+import { join } from 'path';
+import { useTempHome } from '../helpers/server.js';
+
+const sdk = vi.hoisted(() => ({ run: null }));
+
+vi.mock('@anthropic-ai/claude-agent-sdk', () => ({
+  query: ({ options }) => {
+    const instance = sdk.run(options);
+    instance.setPermissionMode = async () => {};
+    instance.interrupt = async () => {};
+    return instance;
+  }
+}));
+
+vi.mock('../../server/access.js', () => import('../helpers/allow-access.js'));
+
+let env;
+let home;
+let projectPath;
+let diffs;
+let claude;
+let bus;
+let transcripts;
+
+const changed = (diff) => diff.hunks.flatMap(h => h.lines).filter(l => l.type !== 'context');
+
+beforeAll(async () => {
+  env = useTempHome('diffs');
+  home = env.home;
+  projectPath = join(home, 'app');
+  mkdirSync(join(projectPath, 'src'), { recursive: true });
+
+  diffs = await import('../../server/edit-diffs.js');
+  claude = await import('../../server/claude.js');
+  bus = await import('../../server/bus.js');
+  transcripts = await import('../../server/transcripts.js');
+});
+
+afterAll(() => {
+  env.restore();
+});
+
+// ─── Line diffs ──────────────────────────────────────────────────
+describe('diffLines / buildHunks', () => {
+  it('finds changed lines and keeps three lines of context', () => {
+    const before = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n';
+    const after = 'a\nB\nc\nd\ne\nf\ng\nh\ni\nj\nk\n';
+    const hunks = diffs.buildHunks(diffs.diffLines(before, after));
+
+    expect(hunks).toHaveLength(2);
+    expect(hunks[0]).toMatchObject({ oldStart: 1, oldLines: 5, newStart: 1, newLines: 5 });
+    expect(hunks[0].lines.slice(0, 3)).toEqual([
+      { type: 'context', text: 'a', oldLine: 1, newLine: 1 },
+      { type: 'remove', text: 'b', oldLine: 2, newLine: null },
+      { type: 'add', text: 'B', oldLine: null, newLine: 2 }
+    ]);
+    expect(hunks[1]).toMatchObject({ oldStart: 8, newStart: 8, newLines: 4 });
+    expect(hunks[1].lines.at(-1)).toEqual({ type: 'add', text: 'k', oldLine: null, newLine: 11 });
+  });
+
+  it('returns no hunks for identical text', () => {
+    expect(diffs.buildHunks(diffs.diffLines('same\n', 'same\n'))).toEqual([]);
+  });
+});
+
+// ─── Capturing tool calls ────────────────────────────────────────
+describe('captureEditDiff', () => {
+  it('diffs an Edit against the file so line numbers are the file\'s', async () => {
+    const file = join(projectPath, 'src', 'math.js');
+    writeFileSync(file, Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n') + '\n');
+
+    const diff = await diffs.captureEditDiff('Edit', { file_path: file, old_string: 'line 15', new_string: 'line fifteen' }, projectPath);
+    expect(diff).toMatchObject({ filePath: file, lineNumbers: true, added: 1, removed: 1, truncated: false });
+    expect(changed(diff)).toEqual([
+      { type: 'remove', text: 'line 15', oldLine: 15, newLine: null },
+      { type: 'add', text: 'line fifteen', oldLine: null, newLine: 15 }
+    ]);
+  });
+
+  it('applies MultiEdit edits in order and resolves relative paths', async () => {
+    writeFileSync(join(projectPath, 'src', 'names.txt'), 'ada\ngrace\nlinus\n');
+    const diff = await diffs.captureEditDiff('MultiEdit', {
+      file_path: 'src/names.txt',
+      edits: [{ old_string: 'ada', new_string: 'Ada' }, { old_string: 'linus', new_string: 'Linus', replace_all: true }]
+    }, projectPath);
+    expect(changed(diff).map(l => [l.type, l.text, l.newLine ?? l.oldLine])).toEqual([
+      ['remove', 'ada', 1], ['add', 'Ada', 1], ['remove', 'linus', 3], ['add', 'Linus', 3]
+    ]);
+  });
+
+  it('falls back to the edit strings when the file no longer matches', async () => {
+    const diff = await diffs.captureEditDiff('Edit', { file_path: join(projectPath, 'src', 'math.js'), old_string: 'not there', new_string: 'here' }, projectPath);
+    expect(diff).toMatchObject({ lineNumbers: false, added: 1, removed: 1 });
+  });
+
+  it('diffs a Write against the previous content, or marks the file new', async () => {
+    const file = join(projectPath, 'README.md');
+    expect(await diffs.captureEditDiff('Write', { file_path: file, content: '# App\n' }, projectPath)).toMatchObject({ created: true, added: 1, removed: 0 });
+
+    writeFileSync(file, '# App\n\nOld intro\n');
+    const diff = await diffs.captureEditDiff('Write', { file_path: file, content: '# App\n\nNew intro\n' }, projectPath);
+    expect(diff).toMatchObject({ created: false, added: 1, removed: 1 });
+    expect(changed(diff)[1]).toMatchObject({ text: 'New intro', newLine: 3 });
+  });
+
+  it('skips other tools and Writes over files too big to diff', async () => {
+    expect(await diffs.captureEditDiff('Read', { file_path: join(projectPath, 'README.md') }, projectPath)).toBeNull();
+    const big = join(projectPath, 'big.log');
+    writeFileSync(big, 'x'.repeat(600 * 1024));
+    expect(await diffs.captureEditDiff('Write', { file_path: big, content: 'small' }, projectPath)).toBeNull();
+  });
+
+  it('never reads files outside the project', async () => {
+    const secret = join(home, 'secret.txt');
+    writeFileSync(secret, 'token = abc\n');
+    symlinkSync(secret, join(projectPath, 'linked.txt'));
+
+    expect(await diffs.captureEditDiff('Write', { file_path: secret, content: 'x\n' }, projectPath)).toBeNull();
+    expect(await diffs.captureEditDiff('Write', { file_path: join(projectPath, 'linked.txt'), content: 'x\n' }, projectPath)).toBeNull();
+    expect(await diffs.captureEditDiff('Write', { file_path: '../secret.txt', content: 'x\n' }, projectPath)).toBeNull();
+    const edit = await diffs.captureEditDiff('Edit', { file_path: secret, old_string: 'abc', new_string: 'xyz' }, projectPath);
+    expect(edit).toMatchObject({ lineNumbers: false });
+    expect(JSON.stringify(edit)).not.toContain('token');
+  });
+});
+
+// ─── PreToolUse hook ─────────────────────────────────────────────
+describe('edit diffs in handleChat', () => {
+  // Run a Write through handleChat; the hook, tool and tool_use message come in `order`
+  async function runWrite(sessionId, file, content, order) {
+    const input = { file_path: file, content };
+    const toolUse = { type: 'assistant', session_id: sessionId, message: { content: [{ type: 'tool_use', id: `${sessionId}-tool`, name: 'Write', input }] } };
+    sdk.run = async function* (options) {
+      yield { type: 'system', subtype: 'init', session_id: sessionId };
+      const [preToolUse] = options.hooks.PreToolUse[0].hooks;
+      for (const step of order) {
+        if (step === 'message') yield toolUse;
+        if (step === 'hook') {
+          await preToolUse({ hook_event_name: 'PreToolUse', session_id: sessionId, tool_name: 'Write', tool_input: input, tool_use_id: `${sessionId}-tool` },
+            `${sessionId}-tool`, { signal: new AbortController().signal });
+        }
+        if (step === 'tool') writeFileSync(file, content);
+      }
+    };
+    const messages = [];
+    const unsubscribe = bus.subscribeSession(sessionId, event => {
+      if (event.type === 'claude-message') messages.push(event.data);
+    });
+    await claude.handleChat({ content: 'Update it', projectPath, isNewSession: true, mode: 'bypass' }, { readyState: 1, send: () => {} }, 'alice');
+    unsubscribe();
+    return messages.filter(m => m.type === 'tool_use' || m.type === 'tool-diff');
+  }
+
+  it('diffs against the file before the tool runs, even when its message comes after', async () => {
+    const file = join(projectPath, 'src', 'config.js');
+    writeFileSync(file, 'export const port = 80;\n');
+    const [toolUse, ...rest] = await runWrite('sess-hook-first', file, 'export const port = 8080;\n', ['hook', 'tool', 'message']);
+
+    expect(rest).toEqual([]);
+    expect(changed(toolUse.diff).map(l => [l.type, l.text])).toEqual([
+      ['remove', 'export const port = 80;'], ['add', 'export const port = 8080;']
+    ]);
+  });
+
+  it('sends the diff as a tool-diff when the message went out first', async () => {
+    const file = join(projectPath, 'src', 'host.js');
+    writeFileSync(file, 'export const host = "a";\n');
+    const [toolUse, toolDiff] = await runWrite('sess-message-first', file, 'export const host = "b";\n', ['message', 'hook', 'tool']);
+
+    expect(toolUse.diff).toBeUndefined();
+    expect(toolDiff).toMatchObject({ type: 'tool-diff', id: 'sess-message-first-tool', diff: { created: false, added: 1, removed: 1 } });
+  });
+});
+
+// ─── History ─────────────────────────────────────────────────────
+describe('getSessionMessages', () => {
+  it('attaches edit diffs to Edit tool messages', async () => {
+    const projectDir = join(home, '.claude', 'projects', '-app');
+    mkdirSync(projectDir, { recursive: true });
+    const toolUse = (name, input) => JSON.stringify({
+      type: 'assistant', sessionId: 'sess-1',
+      message: { role: 'assistant', content: [{ type: 'tool_use', id: name, name, input }] }
+    });
+    writeFileSync(join(projectDir, 'sess-1.jsonl'), [
+      toolUse('Edit', { file_path: '/app/a.js', old_string: 'let x = 1;', new_string: 'let x = 2;' }),
+      toolUse('Write', { file_path: '/app/b.js', content: 'new' })
+    ].join('\n') + '\n');
+
+    const [edit, write] = await transcripts.getSessionMessages('-app', 'sess-1');
+    expect(edit.diff).toMatchObject({ filePath: '/app/a.js', lineNumbers: false, added: 1, removed: 1 });
+    expect(write.diff).toBeUndefined();
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit tests for file save conflict detection
+ * Tests the ETag / If-Match handling of the file routes in server/files.js
+ */
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { mkdirSync, writeFileSync, readFileSync, existsSync, symlinkSync, rmSync } from 'fs';
+import { join } from 'path';
+import { useTempHome, asUser, startServer, createRequest } from '../helpers/server.js';
+
+vi.mock('../../server/access.js', () => import('../helpers/allow-access.js'));
+
+let env;
+let projectPath;
+let server;
+let baseUrl;
+
+const request = createRequest(() => baseUrl);
+const read = (file) => request(`/${file}`);
+const save = (file, content, ifMatch) => request(`/${file}`, {
+  method: 'PUT',
+  body: { content },
+  headers: ifMatch ? { 'If-Match': ifMatch } : {}
+});
+
+beforeAll(async () => {
+  env = useTempHome('files');
+  projectPath = join(env.home, 'site');
+  mkdirSync(projectPath);
+
+  const projectDir = join(env.home, '.claude', 'projects', '-site');
+  mkdirSync(projectDir, { recursive: true });
+  writeFileSync(join(projectDir, 'sess-1.jsonl'), JSON.stringify({ type: 'user', cwd: projectPath, message: { role: 'user', content: 'hi' } }) + '\n');
+
+  const { fileRoutes } = await import('../../server/files.js');
+  server = await startServer(app => app.use('/api/files', asUser, fileRoutes));
+  baseUrl = `${server.origin}/api/files/-site`;
+});
+
+afterAll(async () => {
+  await server.close();
+  env.restore();
+});
+
+describe('file saves with If-Match', () => {
+  it('returns a content ETag and accepts a save that matches it', async () => {
+    writeFileSync(join(projectPath, 'index.html'), '<h1>Hi</h1>');
+    const res = await read('index.html');
+    const { etag } = await res.json();
+    expect(res.headers.get('etag')).toBe(etag);
+
+    const saved = await save('index.html', '<h1>Hello</h1>', etag);
+    expect(saved.status).toBe(200);
+    const { etag: next } = await saved.json();
+    expect(next).not.toBe(etag);
+    expect(next).toBe((await (await read('index.html')).json()).etag);
+  });
+
+  it('requires If-Match to overwrite an existing file', async () => {
+    expect((await save('index.html', 'clobbered')).status).toBe(428);
+    expect(readFileSync(join(projectPath, 'index.html'), 'utf8')).toBe('<h1>Hello</h1>');
+  });
+
+  it('refuses a stale save with the current content', async () => {
+    const { etag } = await (await read('index.html')).json();
+    writeFileSync(join(projectPath, 'index.html'), '<h1>Hello from the agent</h1>');
+
+    const res = await save('index.html', '<h1>Mine</h1>', etag);
+    expect(res.status).toBe(409);
+    const conflict = await res.json();
+    expect(conflict.content).toBe('<h1>Hello from the agent</h1>');
+    expect(readFileSync(join(projectPath, 'index.html'), 'utf8')).toBe('<h1>Hello from the agent</h1>');
+
+    // Saving the merge against the version it was merged with succeeds
+    expect((await save('index.html', '<h1>Merged</h1>', conflict.etag)).status).toBe(200);
+  });
+
+  it('only counts content changes as conflicts', async () => {
+    const { etag } = await (await read('index.html')).json();
+    writeFileSync(join(projectPath, 'index.html'), '<h1>Merged</h1>');
+    expect((await save('index.html', 'same bytes rewritten', etag)).status).toBe(200);
+  });
+
+  it('creates new files without If-Match and reports deletions as conflicts', async () => {
+    expect((await save('pages/about.md', '# About')).status).toBe(200);
+    expect(existsSync(join(projectPath, 'pages', 'about.md'))).toBe(true);
+
+    const { etag } = await (await read('pages/about.md')).json();
+    rmSync(join(projectPath, 'pages', 'about.md'));
+    const res = await save('pages/about.md', '# About us', etag);
+    expect(res.status).toBe(409);
+    expect(await res.json()).toMatchObject({ content: null, etag: null });
+    expect((await read('pages/about.md')).status).toBe(404);
+  });
+  it('will not create a file through a dangling symlink', async () => {
+    const target = join(env.home, 'outside.txt');
+    symlinkSync(target, join(projectPath, 'link.md'));
+    symlinkSync(join(env.home, 'missing-dir'), join(projectPath, 'gone'));
+
+    expect((await save('link.md', 'escaped')).status).toBe(403);
+    expect((await save('gone/new.md', 'escaped')).status).toBe(403);
+    expect(existsSync(target)).toBe(false);
+    expect(existsSync(join(env.home, 'missing-dir'))).toBe(false);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for file operations
+ * Tests the create, rename/move and delete routes in server/files.js
+ */
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { mkdirSync, writeFileSync, readFileSync, existsSync, symlinkSync } from 'fs';
+import { join } from 'path';
+import { useTempHome, asUser, startServer, createRequest } from '../helpers/server.js';
+
+vi.mock('../../server/access.js', () => import('../helpers/allow-access.js'));
+
+let env;
+let projectPath;
+let outside;
+let audit;
+let server;
+let baseUrl;
+
+const api = createRequest(() => baseUrl);
+const request = (file, { method = 'POST', body } = {}) => api(`/${encodeURIComponent(file)}`, { method, body });
+const auditEntries = (action) => audit.listAudit({ action }, { username: 'alice', role: 'admin' }).entries;
+
+beforeAll(async () => {
+  env = useTempHome('fileops');
+  projectPath = join(env.home, 'notes');
+  outside = join(env.home, 'private');
+  mkdirSync(projectPath);
+  mkdirSync(outside);
+  writeFileSync(join(outside, 'secret.txt'), 'keep out');
+
+  const projectDir = join(env.home, '.claude', 'projects', '-notes');
+  mkdirSync(projectDir, { recursive: true });
+  writeFileSync(join(projectDir, 'sess-1.jsonl'), JSON.stringify({ type: 'user', cwd: projectPath, message: { role: 'user', content: 'hi' } }) + '\n');
+
+  audit = await import('../../server/audit.js');
+  const { fileRoutes } = await import('../../server/files.js');
+  server = await startServer(app => app.use('/api/files', asUser, fileRoutes));
+  baseUrl = `${server.origin}/api/files/-notes`;
+});
+
+afterAll(async () => {
+  await server.close();
+  env.restore();
+});
+
+// ─── Create ──────────────────────────────────────────────────────
+describe('POST /api/files/:project/*', () => {
+  it('creates folders and empty files, with missing parents', async () => {
+    expect((await request('drafts', { body: { type: 'directory' } })).status).toBe(201);
+    const res = await request('drafts/2026/todo.md', { body: { type: 'file' } });
+    expect(res.status).toBe(201);
+    expect(await res.json()).toEqual({ path: 'drafts/2026/todo.md', type: 'file' });
+    expect(readFileSync(join(projectPath, 'drafts', '2026', 'todo.md'), 'utf8')).toBe('');
+
+    expect(auditEntries('file-create').map(e => [e.outcome, e.detail.path])).toEqual([
+      ['file', 'drafts/2026/todo.md'],
+      ['directory', 'drafts']
+    ]);
+  });
+
+  it('will not overwrite an existing entry', async () => {
+    writeFileSync(join(projectPath, 'drafts', '2026', 'todo.md'), '- [ ] write');
+    expect((await request('drafts/2026/todo.md', { body: { type: 'file' } })).status).toBe(409);
+    expect((await request('drafts', { body: { type: 'directory' } })).status).toBe(409);
+    expect(readFileSync(join(projectPath, 'drafts', '2026', 'todo.md'), 'utf8')).toBe('- [ ] write');
+  });
+
+  it('rejects bad types and paths outside the project', async () => {
+    expect((await request('x.md', { body: { type: 'socket' } })).status).toBe(400);
+    expect((await request('../escape.md', { body: { type: 'file' } })).status).toBe(403);
+    expect(existsSync(join(env.home, 'escape.md'))).toBe(false);
+  });
+});
+
+// ─── Rename / move ───────────────────────────────────────────────
+describe('PATCH /api/files/:project/*', () => {
+  it('renames and moves files and folders', async () => {
+    let res = await request('drafts/2026/todo.md', { method: 'PATCH', body: { to: 'drafts/2026/plan.md' } });
+    expect(await res.json()).toEqual({ from: 'drafts/2026/todo.md', path: 'drafts/2026/plan.md', type: 'file' });
+    res = await request('drafts/2026', { method: 'PATCH', body: { to: 'archive/2026' } });
+    expect(res.status).toBe(200);
+    expect(readFileSync(join(projectPath, 'archive', '2026', 'plan.md'), 'utf8')).toBe('- [ ] write');
+    expect(existsSync(join(projectPath, 'drafts', '2026'))).toBe(false);
+
+    expect(auditEntries('file-rename')[0]).toMatchObject({ outcome: 'directory', detail: { from: 'drafts/2026', to: 'archive/2026' } });
+  });
+
+  it('refuses taken names, missing sources, moves into itself and out of the project', async () => {
+    writeFileSync(join(projectPath, 'a.md'), 'a');
+    writeFileSync(join(projectPath, 'b.md'), 'b');
+    expect((await request('a.md', { method: 'PATCH', body: { to: 'b.md' } })).status).toBe(409);
+    expect((await request('nope.md', { method: 'PATCH', body: { to: 'c.md' } })).status).toBe(404);
+    expect((await request('archive', { method: 'PATCH', body: { to: 'archive/inner' } })).status).toBe(400);
+    expect((await request('a.md', { method: 'PATCH', body: { to: '../a.md' } })).status).toBe(403);
+    expect((await request('a.md', { method: 'PATCH', body: {} })).status).toBe(400);
+    expect(readFileSync(join(projectPath, 'a.md'), 'utf8')).toBe('a');
+  });
+});
+
+// ─── Delete ──────────────────────────────────────────────────────
+describe('DELETE /api/files/:project/*', () => {
+  it('deletes files and whole folders', async () => {
+    expect(await (await request('a.md', { method: 'DELETE' })).json()).toEqual({ path: 'a.md', type: 'file' });
+    expect((await request('archive', { method: 'DELETE' })).status).toBe(200);
+    expect(existsSync(join(projectPath, 'archive'))).toBe(false);
+    expect((await request('a.md', { method: 'DELETE' })).status).toBe(404);
+    expect(auditEntries('file-delete').map(e => e.detail.path)).toEqual(['archive', 'a.md']);
+  });
+
+  it('removes a symlink itself, never what it points to', async () => {
+    symlinkSync(join(outside, 'secret.txt'), join(projectPath, 'link.txt'));
+    expect((await request('link.txt', { method: 'DELETE' })).status).toBe(200);
+    expect(existsSync(join(outside, 'secret.txt'))).toBe(true);
+
+    symlinkSync(outside, join(projectPath, 'private'));
+    expect((await request('private/secret.txt', { method: 'DELETE' })).status).toBe(403);
+    expect((await request('private/new.md', { body: { type: 'file' } })).status).toBe(403);
+    expect(existsSync(join(outside, 'secret.txt'))).toBe(true);
+  });
+
+  it('refuses to delete the project root', async () => {
+    const res = await request('./', { method: 'DELETE' });
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toBe('Cannot change the project root');
+    expect(existsSync(projectPath)).toBe(true);
+  });
+
+  it('handles root entries named like other file routes', async () => {
+    expect((await request('watch', { body: { type: 'file' } })).status).toBe(201);
+    expect(existsSync(join(projectPath, 'watch'))).toBe(true);
+    expect((await request('watch', { method: 'DELETE' })).status).toBe(200);
+    expect(existsSync(join(projectPath, 'watch'))).toBe(false);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for file-change notifications
+ * Tests server/file-watcher.js and the watch routes in server/files.js
+ */
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { useTempHome, asUser, startServer, createRequest } from '../helpers/server.js';
+
+vi.mock('../../server/access.js', () => import('../helpers/allow-access.js'));
+
+let env;
+let home;
+let projectPath;
+let watcher;
+let bus;
+let server;
+let baseUrl;
+
+const request = createRequest(() => baseUrl);
+const watch = (method = 'POST') => request('/watch/-game', { method });
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Collect alice's file-changed events while running fn
+async function changesDuring(fn) {
+  const events = [];
+  const unsubscribe = bus.subscribe('alice', event => {
+    if (event.type === 'file-changed') events.push(event);
+  });
+  await fn();
+  await sleep(600);
+  unsubscribe();
+  return events;
+}
+
+beforeAll(async () => {
+  env = useTempHome('watch');
+  home = env.home;
+  projectPath = join(home, 'game');
+  mkdirSync(join(projectPath, 'src'), { recursive: true });
+  mkdirSync(join(projectPath, 'node_modules', 'dep'), { recursive: true });
+
+  const projectDir = join(home, '.claude', 'projects', '-game');
+  mkdirSync(projectDir, { recursive: true });
+  writeFileSync(join(projectDir, 'sess-1.jsonl'), JSON.stringify({ type: 'user', cwd: projectPath, message: { role: 'user', content: 'hi' } }) + '\n');
+
+  watcher = await import('../../server/file-watcher.js');
+  bus = await import('../../server/bus.js');
+  const { fileRoutes } = await import('../../server/files.js');
+  server = await startServer(app => {
+    app.use(asUser);
+    app.use('/api/files', fileRoutes);
+  });
+  baseUrl = `${server.origin}/api/files`;
+});
+
+afterAll(async () => {
+  watcher.stopAllWatchers();
+  await server.close();
+  env.restore();
+});
+
+describe('ignorePatternToRegExp', () => {
+  it('matches the tree route ignore patterns', () => {
+    const dir = watcher.ignorePatternToRegExp('**/node_modules/**');
+    expect(dir.test('node_modules')).toBe(true);
+    expect(dir.test('node_modules/dep/index.js')).toBe(true);
+    expect(dir.test('web/node_modules/dep')).toBe(true);
+    expect(dir.test('src/node_modules.js')).toBe(false);
+
+    const minified = watcher.ignorePatternToRegExp('**/*.min.js');
+    expect(minified.test('lib/app.min.js')).toBe(true);
+    expect(minified.test('lib/app.js')).toBe(false);
+    expect(watcher.ignorePatternToRegExp('**/.env.*.local').test('.env.dev.local')).toBe(true);
+  });
+});
+
+describe('POST /api/files/watch/:project', () => {
+  it('publishes debounced file-changed events to the watcher', async () => {
+    expect(await (await watch()).json()).toEqual({ watching: true, leaseMs: watcher.WATCH_LEASE_MS });
+
+    const events = await changesDuring(async () => {
+      writeFileSync(join(projectPath, 'src', 'main.js'), 'let score = 0;');
+      writeFileSync(join(projectPath, 'src', 'main.js'), 'let score = 1;');
+      writeFileSync(join(projectPath, 'README.md'), '# Game');
+    });
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ project: '-game', truncated: false });
+    expect(events[0].paths).toEqual(expect.arrayContaining(['README.md', 'src/main.js']));
+  });
+
+  it('leaves out ignored paths without watching ignored directories', async () => {
+    const events = await changesDuring(() => {
+      writeFileSync(join(projectPath, 'node_modules', 'dep', 'index.js'), 'module.exports = 1;');
+    });
+    expect(events).toEqual([]);
+    expect(watcher.getWatchedDirs('-game')).toEqual(['', 'src']);
+  });
+
+  it('watches directories created after the watch started', async () => {
+    const events = await changesDuring(async () => {
+      mkdirSync(join(projectPath, 'src', 'levels'));
+      await sleep(100);
+      writeFileSync(join(projectPath, 'src', 'levels', 'one.json'), '{}');
+    });
+    expect(events.flatMap(e => e.paths)).toEqual(expect.arrayContaining(['src/levels', 'src/levels/one.json']));
+    expect(watcher.getWatchedDirs('-game')).toContain('src/levels');
+
+    await changesDuring(() => rmSync(join(projectPath, 'src', 'levels'), { recursive: true }));
+    expect(watcher.getWatchedDirs('-game')).toEqual(['', 'src']);
+  });
+
+  it('stops publishing once the lease is given up', async () => {
+    expect((await watch('DELETE')).status).toBe(200);
+    const events = await changesDuring(() => {
+      writeFileSync(join(projectPath, 'src', 'main.js'), 'let score = 2;');
+    });
+    expect(events).toEqual([]);
+  });
+
+  it('404s for a project directory that does not exist', async () => {
+    rmSync(projectPath, { recursive: true, force: true });
+    expect((await watch()).status).toBe(404);
+  });
+});
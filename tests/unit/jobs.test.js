@@ -0,0 +1,216 @@
+/**
+ * Unit tests for scheduled jobs
+ * Tests server/jobs.js storage, the headless runner and the /api/jobs routes,
+ * with handleChat stubbed out
+ */
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import { mkdirSync } from 'fs';
+import { join } from 'path';
+import { useTempHome, asUser, startServer, startAppServer, createRequest } from '../helpers/server.js';
+
+const chat = vi.hoisted(() => ({ calls: [], result: null, transcript: [] }));
+
+vi.mock('../../server/claude.js', () => ({
+  handleChat: async (msg, ws, username) => {
+    chat.calls.push({ msg, ws, username });
+    return chat.result;
+  },
+  getSessionTranscript: async () => chat.transcript
+}));
+
+vi.mock('../../server/access.js', () => import('../helpers/allow-access.js'));
+
+let jobs;
+let bus;
+let jobsDb;
+let env;
+let projectDir;
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  env = useTempHome('jobs');
+  projectDir = join(env.home, 'project');
+  mkdirSync(projectDir);
+  jobs = await import('../../server/jobs.js');
+  bus = await import('../../server/bus.js');
+  const { openDatabase } = await import('../../server/db.js');
+  jobsDb = openDatabase('jobs.db');
+
+  server = await startServer(app => {
+    app.use(asUser);
+    app.use('/api/jobs', jobs.jobRoutes);
+  });
+  baseUrl = `${server.origin}/api/jobs`;
+});
+
+afterAll(async () => {
+  await server.close();
+  env.restore();
+});
+
+beforeEach(() => {
+  chat.calls = [];
+  chat.result = { sessionId: 'sess-job', status: 'success', error: null };
+  chat.transcript = [];
+});
+
+const newJob = (fields = {}) => jobs.createJob('alice', {
+  name: 'Nightly audit',
+  cron: '0 3 * * *',
+  projectPath: projectDir,
+  prompt: 'Run npm audit and summarise',
+  ...fields
+});
+
+// ─── Storage ─────────────────────────────────────────────────────
+describe('job storage', () => {
+  it('creates jobs with a computed next run', async () => {
+    const job = await newJob({ mode: 'plan' });
+    expect(job).toMatchObject({ name: 'Nightly audit', mode: 'plan', enabled: true, running: false, model: null });
+    expect(new Date(job.nextRunAt).getTime()).toBeGreaterThan(Date.now());
+    expect(jobs.getJob('bob', job.id)).toBeNull();
+  });
+
+  it('pauses and resumes via partial updates', async () => {
+    const job = await newJob();
+    const paused = await jobs.updateJob('alice', job.id, { enabled: false });
+    expect(paused.enabled).toBe(false);
+    expect(paused.nextRunAt).toBeNull();
+    expect(paused.prompt).toBe(job.prompt);
+
+    const resumed = await jobs.updateJob('alice', job.id, { enabled: true, cron: '@hourly' });
+    expect(resumed.cron).toBe('@hourly');
+    expect(resumed.nextRunAt).not.toBeNull();
+    expect(await jobs.updateJob('bob', job.id, { enabled: false })).toBeNull();
+  });
+
+  it('rejects invalid jobs', async () => {
+    await expect(newJob({ cron: 'every day' })).rejects.toThrow('5 fields');
+    await expect(newJob({ cron: '0 0 31 2 *' })).rejects.toThrow('never fires');
+    await expect(newJob({ mode: 'yolo' })).rejects.toThrow('Invalid mode');
+    await expect(newJob({ projectPath: 'relative/dir' })).rejects.toThrow('absolute');
+    await expect(newJob({ projectPath: join(projectDir, 'missing') })).rejects.toThrow('not found');
+    await expect(newJob({ prompt: '  ' })).rejects.toThrow('Prompt is required');
+  });
+});
+
+// ─── Runner ──────────────────────────────────────────────────────
+describe('runJob', () => {
+  it('runs headless through handleChat and records the transcript', async () => {
+    const job = await newJob({ mode: 'bypass', model: 'sonnet' });
+    chat.transcript = [{ role: 'user', content: job.prompt }, { role: 'assistant', content: '0 vulnerabilities' }];
+    const events = [];
+    const unsubscribe = bus.subscribe('alice', e => events.push(e));
+
+    const run = await jobs.runJob(job, 'alice', 'manual');
+    unsubscribe();
+
+    expect(chat.calls).toHaveLength(1);
+    expect(chat.calls[0]).toMatchObject({
+      ws: null,
+      username: 'alice',
+      msg: { content: job.prompt, projectPath: projectDir, isNewSession: true, mode: 'bypass', model: 'sonnet' }
+    });
+    expect(run).toMatchObject({ jobId: job.id, trigger: 'manual', status: 'success', sessionId: 'sess-job' });
+    expect(run.transcript).toEqual(chat.transcript);
+    expect(events.filter(e => e.type === 'job-run').map(e => e.run.status)).toEqual(['running', 'success']);
+    expect(jobs.getJob('alice', job.id).lastRunAt).toBe(run.startedAt);
+  });
+
+  it('records failures', async () => {
+    const job = await newJob();
+    chat.result = { sessionId: null, status: 'error', error: 'Rate limit reached' };
+    const run = await jobs.runJob(job, 'alice');
+    expect(run).toMatchObject({ status: 'error', error: 'Rate limit reached', transcript: [] });
+    expect(jobs.listRuns('alice', job.id).map(r => r.status)).toEqual(['error']);
+    expect(jobs.getRun('bob', job.id, run.id)).toBeNull();
+  });
+
+  it('runs due jobs once and advances their schedule', async () => {
+    const job = await newJob({ cron: '*/5 * * * *', prompt: 'Check the build' });
+    const now = new Date(new Date(job.nextRunAt).getTime() + 1000);
+    const runsOfJob = () => chat.calls.filter(c => c.msg.content === job.prompt);
+
+    await Promise.all(jobs.runDueJobs(now));
+    expect(runsOfJob()).toHaveLength(1);
+    expect(new Date(jobs.getJob('alice', job.id).nextRunAt).getTime()).toBeGreaterThan(now.getTime());
+    expect(jobs.listRuns('alice', job.id)[0].trigger).toBe('schedule');
+
+    await Promise.all(jobs.runDueJobs(now));
+    expect(runsOfJob()).toHaveLength(1);
+  });
+});
+
+// ─── Routes ──────────────────────────────────────────────────────
+describe('/api/jobs routes', () => {
+  const request = createRequest(() => baseUrl);
+  const send = (path, body, method = 'POST', as = 'alice') => request(path, { body, method, as });
+
+  it('creates, lists, triggers and deletes jobs', async () => {
+    const created = await send('', { name: 'Docs', cron: '@daily', projectPath: projectDir, prompt: 'Update docs' });
+    expect(created.status).toBe(201);
+    const { job } = await created.json();
+
+    const { jobs: listed } = await (await request('')).json();
+    expect(listed.map(j => j.id)).toContain(job.id);
+
+    expect((await send(`/${job.id}/run`, {})).status).toBe(202);
+    await vi.waitFor(() => expect(jobs.listRuns('alice', job.id)[0]?.status).toBe('success'));
+
+    const { runs } = await (await request(`/${job.id}/runs`)).json();
+    const detail = await (await request(`/${job.id}/runs/${runs[0].id}`)).json();
+    expect(detail.run).toMatchObject({ id: runs[0].id, status: 'success', transcript: [] });
+
+    expect((await send(`/${job.id}`, null, 'DELETE', 'bob')).status).toBe(404);
+    expect((await send(`/${job.id}`, null, 'DELETE')).status).toBe(200);
+    expect((await request(`/${job.id}/runs`)).status).toBe(404);
+  });
+
+  it('returns 400 for invalid jobs and 404 for unknown ones', async () => {
+    const bad = await send('', { name: 'Bad', cron: '* *', projectPath: projectDir, prompt: 'x' });
+    expect(bad.status).toBe(400);
+    expect((await bad.json()).error).toContain('5 fields');
+    expect((await send('/9999', { enabled: false }, 'PUT')).status).toBe(404);
+    expect((await send('/9999/run', {})).status).toBe(404);
+  });
+});
+
+// ─── Wiring ──────────────────────────────────────────────────────
+describe('scheduled jobs wiring', () => {
+  it('runs due jobs from the scheduler and fails runs a restart cut short', async () => {
+    const job = await newJob({ cron: '*/5 * * * *', prompt: 'Check the scheduler' });
+    const cutShort = await jobs.runJob(job, 'alice');
+    jobsDb.prepare("UPDATE job_runs SET status = 'running', finished_at = NULL WHERE id = ?").run(cutShort.id);
+
+    vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval', 'Date'] });
+    vi.setSystemTime(new Date(new Date(job.nextRunAt).getTime() + 1000));
+    try {
+      jobs.startScheduler();
+      expect(jobs.getRun('alice', job.id, cutShort.id)).toMatchObject({ status: 'error', error: 'Server restarted during run' });
+      vi.advanceTimersByTime(30 * 1000);
+    } finally {
+      jobs.stopScheduler();
+      vi.useRealTimers();
+    }
+
+    await vi.waitFor(() => expect(jobs.listRuns('alice', job.id)[0]).toMatchObject({ trigger: 'schedule', status: 'success' }));
+    expect(chat.calls.filter(c => c.msg.content === job.prompt)).toHaveLength(2);
+  });
+
+  describe('server/index.js', () => {
+    let app;
+
+    beforeAll(async () => {
+      app = await startAppServer();
+    }, 20000);
+
+    afterAll(() => {
+      app?.stop();
+    });
+
+    it('mounts job routes behind authentication', async () => {
+      expect((await fetch(`${app.origin}/api/jobs`)).status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Unit tests for the per-session follow-up message queue
+ * Tests server/message-queue.js storage, dispatch from server/claude.js with
+ * a stubbed SDK, plus the frontend/server wiring
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import WebSocket from 'ws';
+import { useTempHome, startAppServer, createRequest, readEvents } from '../helpers/server.js';
+import {
+  enqueue, getQueue, getQueuesForUser, isQueueOwner,
+  updateItem, removeItem, moveToFront, dequeue, clearQueue
+} from '../../server/message-queue.js';
+
+const sdk = vi.hoisted(() => ({ prompts: [], gates: [] }));
+
+vi.mock('@anthropic-ai/claude-agent-sdk', () => ({
+  query: ({ prompt }) => {
+    let release;
+    const gate = new Promise(r => { release = r; });
+    sdk.prompts.push(prompt);
+    sdk.gates.push(release);
+    async function* run() {
+      yield { type: 'system', subtype: 'init', session_id: sdk.sessionId };
+      await gate;
+    }
+    const instance = run();
+    instance.setPermissionMode = async () => {};
+    instance.interrupt = async () => { release(); };
+    return instance;
+  }
+}));
+
+vi.mock('../../server/access.js', () => import('../helpers/allow-access.js'));
+
+const SESSION = 'sess-queue';
+const message = (content) => ({ content, mode: 'default', model: null, projectPath: '/tmp/app' });
+
+beforeEach(() => {
+  clearQueue(SESSION);
+  clearQueue('sess-other');
+});
+
+describe('message queue storage', () => {
+  it('queues messages in order and dequeues oldest first', () => {
+    const first = enqueue(SESSION, 'alice', message('one'));
+    enqueue(SESSION, 'alice', message('two'));
+
+    expect(first).toMatchObject({ content: 'one', mode: 'default', projectPath: '/tmp/app' });
+    expect(first.id).toBeTruthy();
+    expect(getQueue(SESSION).map(i => i.content)).toEqual(['one', 'two']);
+
+    expect(dequeue(SESSION).content).toBe('one');
+    expect(dequeue(SESSION).content).toBe('two');
+    expect(dequeue(SESSION)).toBeNull();
+    expect(getQueue(SESSION)).toEqual([]);
+  });
+
+  it('rejects empty messages', () => {
+    expect(() => enqueue(SESSION, 'alice', message('   '))).toThrow('empty');
+  });
+
+  it('caps the queue length', () => {
+    for (let i = 0; i < 20; i++) enqueue(SESSION, 'alice', message(`m${i}`));
+    expect(() => enqueue(SESSION, 'alice', message('overflow'))).toThrow('Queue is full');
+  });
+
+  it('edits, cancels and reorders items', () => {
+    const a = enqueue(SESSION, 'alice', message('a'));
+    const b = enqueue(SESSION, 'alice', message('b'));
+    const c = enqueue(SESSION, 'alice', message('c'));
+
+    expect(updateItem(SESSION, b.id, 'b2').content).toBe('b2');
+    expect(updateItem(SESSION, b.id, '')).toBeNull();
+    expect(updateItem(SESSION, 'missing', 'x')).toBeNull();
+
+    expect(removeItem(SESSION, a.id)).toBe(true);
+    expect(removeItem(SESSION, a.id)).toBe(false);
+
+    expect(moveToFront(SESSION, c.id)).toBe(true);
+    expect(getQueue(SESSION).map(i => i.content)).toEqual(['c', 'b2']);
+  });
+
+  it('scopes queues to their owner', () => {
+    enqueue(SESSION, 'alice', message('mine'));
+    enqueue('sess-other', 'bob', message('theirs'));
+
+    expect(isQueueOwner(SESSION, 'alice')).toBe(true);
+    expect(isQueueOwner(SESSION, 'bob')).toBe(false);
+    expect(getQueuesForUser('alice')).toEqual([{ sessionId: SESSION, items: getQueue(SESSION) }]);
+  });
+
+  it('returns copies so callers cannot mutate the queue', () => {
+    enqueue(SESSION, 'alice', message('a'));
+    getQueue(SESSION).pop();
+    expect(getQueue(SESSION)).toHaveLength(1);
+  });
+});
+
+// ─── Dispatch ────────────────────────────────────────────────────
+describe('message queue dispatch', () => {
+  let env;
+  let claude;
+  let bus;
+
+  beforeAll(async () => {
+    env = useTempHome('queue');
+    claude = await import('../../server/claude.js');
+    bus = await import('../../server/bus.js');
+  });
+
+  afterAll(() => {
+    env.restore();
+  });
+
+  it('tells clients when a follow-up is queued and when it starts after the turn', async () => {
+    const events = [];
+    const unsubscribe = bus.subscribe('alice', ({ timestamp, ...event }) => {
+      if (event.type?.startsWith('queue-')) events.push(event);
+    });
+    sdk.sessionId = 'sess-dispatch';
+    const ws = { readyState: 1, send: () => {} };
+    const turn = claude.handleChat({ content: 'first', projectPath: env.home, isNewSession: true, mode: 'default' }, ws, 'alice');
+    await vi.waitFor(() => expect(claude.isSessionBusy('sess-dispatch')).toBe(true));
+
+    const item = claude.handleQueueMessage({ sessionId: 'sess-dispatch', content: 'next', mode: 'plan' }, ws, 'alice');
+    expect(events).toEqual([{ type: 'queue-updated', sessionId: 'sess-dispatch', queue: [item] }]);
+    expect(sdk.prompts).toEqual(['first']);
+
+    sdk.gates[0]();
+    await turn;
+    await vi.waitFor(() => expect(sdk.prompts).toEqual(['first', 'next']));
+    expect(events.slice(1)).toEqual([
+      { type: 'queue-updated', sessionId: 'sess-dispatch', queue: [] },
+      { type: 'queue-dispatched', sessionId: 'sess-dispatch', item }
+    ]);
+    expect(claude.isSessionBusy('sess-dispatch')).toBe(true);
+
+    sdk.gates[1]();
+    await vi.waitFor(() => expect(claude.isSessionBusy('sess-dispatch')).toBe(false));
+    unsubscribe();
+  });
+
+  describe('server/index.js', () => {
+    let app;
+    let token;
+
+    beforeAll(async () => {
+      app = await startAppServer();
+      const request = createRequest(() => `${app.origin}/api`, { as: null });
+      await request('/auth/register', { body: { username: 'alice', password: 'secret123' } });
+      ({ token } = await (await request('/auth/login', { body: { username: 'alice', password: 'secret123' } })).json());
+    }, 20000);
+
+    afterAll(() => {
+      app?.stop();
+    });
+
+    it('sends queues in the state-snapshot and answers queue commands over the WebSocket', async () => {
+      const events = await fetch(`${app.origin}/api/events`, { headers: { Authorization: `Bearer ${token}` } });
+      const ws = new WebSocket(`${app.origin.replace('http', 'ws')}/ws`, { headers: { Authorization: `Bearer ${token}` } });
+      await new Promise((done, fail) => { ws.once('open', done); ws.once('error', fail); });
+      const commands = ['queue-message', 'queue-edit', 'queue-cancel', 'queue-send-now'];
+      for (const type of commands) {
+        ws.send(JSON.stringify({ type, sessionId: 'sess-gone', itemId: 'item-gone', content: 'hello' }));
+      }
+
+      let results = 0;
+      const received = await readEvents(events, e => e.type === 'queue-result' && ++results === commands.length);
+      ws.close();
+      expect(received[0]).toMatchObject({ type: 'state-snapshot', queues: [] });
+      expect(received.filter(e => e.type === 'queue-result')).toEqual(commands.map(action => expect.objectContaining({
+        sessionId: 'sess-gone', action, success: false
+      })));
+      expect(received.find(e => e.action === 'queue-message').error).toBe('Session not found');
+    });
+  });
+});
+
+// ─── Client ──────────────────────────────────────────────────────
+describe('public/app.js - message queue', () => {
+  const appJs = readFileSync(resolve('public/app.js'), 'utf8');
+
+  it('restores queues from the SSE state-snapshot', () => {
+    expect(appJs).toContain('event.queues');
+  });
+
+  it('queues instead of blocking input while streaming', () => {
+    const fnStart = appJs.indexOf('function sendMessage(content)');
+    const fnBody = appJs.slice(fnStart, appJs.indexOf('\n}', fnStart));
+    expect(fnBody).toContain('queueMessage(session, content)');
+    expect(appJs).toContain("case 'queue-updated':");
+    expect(appJs).toContain("case 'queue-dispatched':");
+  });
+});
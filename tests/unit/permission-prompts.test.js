@@ -0,0 +1,207 @@
+/**
+ * Unit tests for interactive tool permission prompts
+ * Tests server/claude.js: requiresPermissionPrompt and the canUseTool prompt
+ * answered through handlePermissionResponse, plus wiring in server/index.js
+ * and public/app.js
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import WebSocket from 'ws';
+import { useTempHome, startAppServer, createRequest, readEvents } from '../helpers/server.js';
+
+const sdk = vi.hoisted(() => ({ toolCalls: [], results: [] }));
+
+vi.mock('@anthropic-ai/claude-agent-sdk', () => ({
+  query: ({ options }) => {
+    async function* run() {
+      yield { type: 'system', subtype: 'init', session_id: sdk.sessionId };
+      for (const call of sdk.toolCalls) {
+        sdk.results.push(await options.canUseTool(call.name, call.input, {
+          toolUseID: call.id,
+          signal: new AbortController().signal,
+          suggestions: call.suggestions
+        }));
+      }
+    }
+    const instance = run();
+    instance.setPermissionMode = async () => {};
+    instance.interrupt = async () => {};
+    return instance;
+  }
+}));
+
+vi.mock('../../server/access.js', () => import('../helpers/allow-access.js'));
+
+let env;
+let claude;
+let bus;
+let perms;
+
+beforeAll(async () => {
+  env = useTempHome('prompts');
+  claude = await import('../../server/claude.js');
+  bus = await import('../../server/bus.js');
+  perms = await import('../../server/permissions.js');
+});
+
+afterAll(() => {
+  env.restore();
+});
+
+beforeEach(() => {
+  sdk.toolCalls = [];
+  sdk.results = [];
+});
+
+// ─── requiresPermissionPrompt ────────────────────────────────────
+describe('requiresPermissionPrompt', () => {
+  it('prompts for Bash, Write and Edit', () => {
+    expect(claude.requiresPermissionPrompt('Bash')).toBe(true);
+    expect(claude.requiresPermissionPrompt('Write')).toBe(true);
+    expect(claude.requiresPermissionPrompt('Edit')).toBe(true);
+    expect(claude.requiresPermissionPrompt('MultiEdit')).toBe(true);
+  });
+
+  it('prompts for MCP tools', () => {
+    expect(claude.requiresPermissionPrompt('mcp__github__create_issue')).toBe(true);
+  });
+
+  it('does not prompt for read-only tools', () => {
+    expect(claude.requiresPermissionPrompt('Read')).toBe(false);
+    expect(claude.requiresPermissionPrompt('Glob')).toBe(false);
+    expect(claude.requiresPermissionPrompt('Grep')).toBe(false);
+  });
+
+  it('returns false for missing tool name', () => {
+    expect(claude.requiresPermissionPrompt(undefined)).toBe(false);
+    expect(claude.requiresPermissionPrompt('')).toBe(false);
+  });
+});
+
+// ─── canUseTool permission flow ──────────────────────────────────
+describe('canUseTool permission flow', () => {
+  // Run one tool call through handleChat, answering its prompt with `answer`
+  async function runTool(sessionId, call, { mode = 'default', answer } = {}) {
+    sdk.sessionId = sessionId;
+    sdk.toolCalls = [call];
+    const requests = [];
+    const unsubscribe = bus.subscribe('alice', (event) => {
+      if (event.data?.type === 'permission-request') requests.push(event.data);
+    });
+
+    const chat = claude.handleChat({ content: 'hi', projectPath: env.home, isNewSession: true, mode }, { readyState: 1, send: () => {} }, 'alice');
+    if (answer) {
+      await vi.waitFor(() => expect(claude.getPendingPrompts('alice', sessionId)).toHaveLength(1));
+      await answer();
+    }
+    await chat;
+    unsubscribe();
+    return { requests, result: sdk.results[0] };
+  }
+
+  it('publishes a permission-request and allows the tool once', async () => {
+    const input = { command: 'npm run build' };
+    const { requests, result } = await runTool('sess-allow', { name: 'Bash', id: 'tool-allow', input }, {
+      answer: async () => {
+        expect(await claude.handlePermissionResponse('sess-allow', 'tool-allow', 'allow', null, 'bob')).toBe(false);
+        expect(await claude.handlePermissionResponse('sess-allow', 'tool-allow', 'allow', null, 'alice')).toBe(true);
+      }
+    });
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0]).toMatchObject({ type: 'permission-request', id: 'tool-allow', tool: 'Bash', summary: { fullCommand: 'npm run build' } });
+    expect(result).toEqual({ behavior: 'allow', updatedInput: input });
+    expect(perms.listRules('alice', env.home)).toEqual([]);
+  });
+
+  it('returns the SDK suggestions and saves a rule on allow-always', async () => {
+    const suggestions = [{ type: 'addRules', behavior: 'allow', destination: 'session', rules: [{ toolName: 'Bash', ruleContent: 'npm test:*' }] }];
+    const { requests, result } = await runTool('sess-always', { name: 'Bash', id: 'tool-always', input: { command: 'npm test' }, suggestions }, {
+      answer: () => claude.handlePermissionResponse('sess-always', 'tool-always', 'allow-always', null, 'alice')
+    });
+
+    expect(requests[0].alwaysAllowRules).toEqual(['Bash(npm test:*)']);
+    expect(result).toMatchObject({ behavior: 'allow', updatedPermissions: suggestions });
+    expect(perms.listRules('alice', env.home).map(r => `${r.behavior}:${r.rule}`)).toEqual(['allow:Bash(npm test:*)']);
+  });
+
+  it('denies with the reason, or stops the turn without one', async () => {
+    const withReason = await runTool('sess-deny', { name: 'Edit', id: 'tool-deny', input: { file_path: '/tmp/a.js' } }, {
+      answer: () => claude.handlePermissionResponse('sess-deny', 'tool-deny', 'deny', 'use the helper instead', 'alice')
+    });
+    expect(withReason.result).toEqual({ behavior: 'deny', message: 'User denied Edit: use the helper instead' });
+
+    sdk.results = [];
+    const withoutReason = await runTool('sess-stop', { name: 'Write', id: 'tool-stop', input: { file_path: '/tmp/b.js' } }, {
+      answer: () => claude.handlePermissionResponse('sess-stop', 'tool-stop', 'deny', null, 'alice')
+    });
+    expect(withoutReason.result).toEqual({ behavior: 'deny', message: 'User denied Write', interrupt: true });
+  });
+
+  it('rejects unknown decisions and leaves the prompt pending', async () => {
+    await runTool('sess-invalid', { name: 'Bash', id: 'tool-invalid', input: { command: 'ls' } }, {
+      answer: async () => {
+        expect(await claude.handlePermissionResponse('sess-invalid', 'tool-invalid', 'maybe', null, 'alice')).toBe(false);
+        expect(claude.getPendingPrompts('alice', 'sess-invalid')).toHaveLength(1);
+        await claude.handlePermissionResponse('sess-invalid', 'tool-invalid', 'allow', null, 'alice');
+      }
+    });
+    expect(sdk.results[0].behavior).toBe('allow');
+  });
+
+  it('only prompts in default mode', async () => {
+    const { requests, result } = await runTool('sess-bypass', { name: 'Bash', id: 'tool-bypass', input: { command: 'ls' } }, { mode: 'bypass' });
+    expect(requests).toEqual([]);
+    expect(result.behavior).toBe('allow');
+  });
+
+  it('returns false when no request is pending', async () => {
+    expect(await claude.handlePermissionResponse('session-1', 'unknown-tool-use', 'allow', null, 'alice')).toBe(false);
+  });
+});
+
+// ─── server/index.js ─────────────────────────────────────────────
+describe('server/index.js - permission-response', () => {
+  let app;
+  let token;
+
+  beforeAll(async () => {
+    app = await startAppServer();
+    const request = createRequest(() => `${app.origin}/api`, { as: null });
+    await request('/auth/register', { body: { username: 'alice', password: 'secret123' } });
+    ({ token } = await (await request('/auth/login', { body: { username: 'alice', password: 'secret123' } })).json());
+  }, 20000);
+
+  afterAll(() => {
+    app?.stop();
+  });
+
+  it('answers permission-response messages with a permission-response-result', async () => {
+    const events = await fetch(`${app.origin}/api/events`, { headers: { Authorization: `Bearer ${token}` } });
+    const ws = new WebSocket(`${app.origin.replace('http', 'ws')}/ws`, { headers: { Authorization: `Bearer ${token}` } });
+    await new Promise((done, fail) => { ws.once('open', done); ws.once('error', fail); });
+    ws.send(JSON.stringify({ type: 'permission-response', sessionId: 'sess-gone', toolUseId: 'tool-gone', decision: 'allow' }));
+
+    const received = await readEvents(events, e => e.type === 'permission-response-result');
+    ws.close();
+    expect(received.at(-1)).toMatchObject({ type: 'permission-response-result', sessionId: 'sess-gone', success: false });
+  });
+});
+
+// ─── public/app.js ───────────────────────────────────────────────
+describe('public/app.js - permission request UI', () => {
+  const appJs = readFileSync(resolve('public/app.js'), 'utf8');
+
+  it('renders permission-request messages', () => {
+    expect(appJs).toContain("data.type === 'permission-request'");
+    expect(appJs).toMatch(/function renderPermissionRequest\(data, session\)/);
+  });
+
+  it('sends allow, allow-always and deny decisions', () => {
+    expect(appJs).toContain("type: 'permission-response'");
+    expect(appJs).toContain("sendPermissionResponse(session, data.id, 'allow', null)");
+    expect(appJs).toContain("sendPermissionResponse(session, data.id, 'allow-always', null)");
+    expect(appJs).toContain("sendPermissionResponse(session, data.id, 'deny', reason || null)");
+  });
+});
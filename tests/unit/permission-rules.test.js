@@ -0,0 +1,289 @@
+/**
+ * Unit tests for the persistent permission rules engine
+ * Tests server/permissions.js: rule parsing, matching, evaluation,
+ * "allow always" rule derivation, SQLite storage/import and the rules routes
+ */
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { useTempHome, asUser, startServer, startAppServer, createRequest } from '../helpers/server.js';
+
+const sdk = vi.hoisted(() => ({ run: null }));
+
+vi.mock('@anthropic-ai/claude-agent-sdk', () => ({
+  query: ({ options }) => {
+    const instance = sdk.run(options);
+    instance.setPermissionMode = async () => {};
+    instance.interrupt = async () => {};
+    return instance;
+  }
+}));
+
+vi.mock('../../server/access.js', () => ({
+  canAccessProject: (username) => username !== 'mallory'
+}));
+
+const PROJECT = '/home/dev/app';
+
+let perms;
+let env;
+let dataDir;
+let server;
+let baseUrl;
+
+const request = createRequest(() => baseUrl, { as: 'erin' });
+
+beforeAll(async () => {
+  env = useTempHome('perms');
+  dataDir = env.dataDir;
+  perms = await import('../../server/permissions.js');
+
+  server = await startServer(app => {
+    app.use(asUser);
+    app.use('/api/permissions', perms.permissionRoutes);
+  });
+  baseUrl = `${server.origin}/api/permissions`;
+});
+
+afterAll(async () => {
+  await server.close();
+  env.restore();
+});
+
+// ─── parseRule ───────────────────────────────────────────────────
+describe('parseRule', () => {
+  it('parses tool with content', () => {
+    expect(perms.parseRule('Bash(npm test:*)')).toEqual({ tool: 'Bash', content: 'npm test:*' });
+  });
+
+  it('parses bare tool name', () => {
+    expect(perms.parseRule('WebSearch')).toEqual({ tool: 'WebSearch', content: null });
+  });
+
+  it('rejects malformed rules', () => {
+    expect(perms.parseRule('Bash(npm')).toBeNull();
+    expect(perms.parseRule('')).toBeNull();
+    expect(perms.parseRule(null)).toBeNull();
+  });
+});
+
+// ─── evaluateRules ───────────────────────────────────────────────
+describe('evaluateRules', () => {
+  const evaluate = (rules, tool, input) => perms.evaluateRules(rules, tool, input, PROJECT);
+
+  it('matches Bash prefix rules', () => {
+    const rules = [{ rule: 'Bash(npm test:*)', behavior: 'allow' }];
+    expect(evaluate(rules, 'Bash', { command: 'npm test -- --watch=false' })).toEqual({ behavior: 'allow', rule: 'Bash(npm test:*)' });
+    expect(evaluate(rules, 'Bash', { command: 'npm install' })).toBeNull();
+  });
+
+  it('matches exact Bash rules only exactly', () => {
+    const rules = [{ rule: 'Bash(git status)', behavior: 'allow' }];
+    expect(evaluate(rules, 'Bash', { command: 'git status' })?.behavior).toBe('allow');
+    expect(evaluate(rules, 'Bash', { command: 'git status --short' })).toBeNull();
+  });
+
+  it('does not let allow rules cover chained commands', () => {
+    const rules = [{ rule: 'Bash(npm test:*)', behavior: 'allow' }];
+    expect(evaluate(rules, 'Bash', { command: 'npm test && rm -rf /' })).toBeNull();
+  });
+
+  it('applies deny rules to any segment of a chained command', () => {
+    const rules = [{ rule: 'Bash(rm:*)', behavior: 'deny' }];
+    expect(evaluate(rules, 'Bash', { command: 'npm test && rm -rf build' })?.behavior).toBe('deny');
+  });
+
+  it('matches Edit globs relative to the project', () => {
+    const rules = [{ rule: 'Edit(src/**)', behavior: 'allow' }];
+    expect(evaluate(rules, 'Edit', { file_path: `${PROJECT}/src/lib/util.js` })?.behavior).toBe('allow');
+    expect(evaluate(rules, 'Edit', { file_path: `${PROJECT}/package.json` })).toBeNull();
+    expect(evaluate(rules, 'Edit', { file_path: '/etc/src/passwd' })).toBeNull();
+  });
+
+  it('normalizes .. segments before matching', () => {
+    const allow = [{ rule: 'Edit(src/**)', behavior: 'allow' }];
+    expect(evaluate(allow, 'Edit', { file_path: `${PROJECT}/src/../../etc/passwd` })).toBeNull();
+    expect(evaluate(allow, 'Edit', { file_path: 'src/../package.json' })).toBeNull();
+
+    const deny = [{ rule: 'Edit(secrets/**)', behavior: 'deny' }];
+    expect(evaluate(deny, 'Edit', { file_path: `${PROJECT}/x/../secrets/key` })?.behavior).toBe('deny');
+    expect(evaluate(deny, 'Edit', { file_path: 'lib/../secrets/key' })?.behavior).toBe('deny');
+  });
+
+  it('applies Edit rules to Write and MultiEdit', () => {
+    const rules = [{ rule: 'Edit(src/**)', behavior: 'allow' }];
+    expect(evaluate(rules, 'Write', { file_path: `${PROJECT}/src/new.js` })?.behavior).toBe('allow');
+    expect(evaluate(rules, 'MultiEdit', { file_path: `${PROJECT}/src/a.js` })?.behavior).toBe('allow');
+  });
+
+  it('matches bare filename patterns at any depth', () => {
+    const rules = [{ rule: 'Read(.env)', behavior: 'deny' }];
+    expect(evaluate(rules, 'Read', { file_path: `${PROJECT}/config/.env` })?.behavior).toBe('deny');
+  });
+
+  it('matches absolute path patterns', () => {
+    const rules = [{ rule: 'Edit(//tmp/**)', behavior: 'allow' }];
+    expect(evaluate(rules, 'Edit', { file_path: '/tmp/scratch.txt' })?.behavior).toBe('allow');
+  });
+
+  it('matches MCP server rules', () => {
+    const rules = [{ rule: 'mcp__github', behavior: 'allow' }];
+    expect(evaluate(rules, 'mcp__github__create_issue', {})?.behavior).toBe('allow');
+    expect(evaluate(rules, 'mcp__gitlab__create_issue', {})).toBeNull();
+  });
+
+  it('matches WebFetch domain rules', () => {
+    const rules = [{ rule: 'WebFetch(domain:example.com)', behavior: 'allow' }];
+    expect(evaluate(rules, 'WebFetch', { url: 'https://docs.example.com/a' })?.behavior).toBe('allow');
+    expect(evaluate(rules, 'WebFetch', { url: 'https://example.org' })).toBeNull();
+  });
+
+  it('lets deny rules win over allow rules', () => {
+    const rules = [
+      { rule: 'Bash', behavior: 'allow' },
+      { rule: 'Bash(git push:*)', behavior: 'deny' }
+    ];
+    expect(evaluate(rules, 'Bash', { command: 'git push origin main' })).toEqual({ behavior: 'deny', rule: 'Bash(git push:*)' });
+    expect(evaluate(rules, 'Bash', { command: 'git status' })?.behavior).toBe('allow');
+  });
+});
+
+// ─── rulesForAlwaysAllow ─────────────────────────────────────────
+describe('rulesForAlwaysAllow', () => {
+  it('prefers SDK suggestions', () => {
+    const suggestions = [{
+      type: 'addRules',
+      behavior: 'allow',
+      destination: 'session',
+      rules: [{ toolName: 'Bash', ruleContent: 'npm test:*' }]
+    }];
+    expect(perms.rulesForAlwaysAllow('Bash', { command: 'npm test' }, PROJECT, suggestions)).toEqual(['Bash(npm test:*)']);
+  });
+
+  it('falls back to the exact Bash command', () => {
+    expect(perms.rulesForAlwaysAllow('Bash', { command: 'make build' }, PROJECT)).toEqual(['Bash(make build)']);
+  });
+
+  it('falls back to a project-relative Edit rule', () => {
+    expect(perms.rulesForAlwaysAllow('Write', { file_path: `${PROJECT}/src/a.js` }, PROJECT)).toEqual(['Edit(src/a.js)']);
+  });
+
+  it('uses absolute syntax for files outside the project', () => {
+    expect(perms.rulesForAlwaysAllow('Edit', { file_path: '/tmp/a.txt' }, PROJECT)).toEqual(['Edit(//tmp/a.txt)']);
+  });
+});
+
+// ─── Storage ─────────────────────────────────────────────────────
+describe('rule storage', () => {
+  it('adds, lists, updates and revokes rules per user and project', () => {
+    const added = perms.addRule('alice', PROJECT, 'Bash(npm test:*)', 'allow');
+    perms.addRule('alice', '/other/project', 'Bash(ls)', 'allow');
+    perms.addRule('bob', PROJECT, 'Bash(ls)', 'allow');
+
+    expect(perms.listRules('alice', PROJECT).map(r => r.rule)).toEqual(['Bash(npm test:*)']);
+    expect(perms.checkPermission('alice', PROJECT, 'Bash', { command: 'npm test' })?.behavior).toBe('allow');
+    expect(perms.checkPermission('bob', PROJECT, 'Bash', { command: 'npm test' })).toBeNull();
+
+    const updated = perms.updateRule('alice', added.id, 'Bash(npm test:*)', 'deny');
+    expect(updated.behavior).toBe('deny');
+
+    expect(perms.deleteRule('bob', added.id)).toBe(false);
+    expect(perms.deleteRule('alice', added.id)).toBe(true);
+    expect(perms.listRules('alice', PROJECT)).toEqual([]);
+  });
+
+  it('ignores duplicate rules', () => {
+    const first = perms.addRule('carol', PROJECT, 'Edit(src/**)', 'allow');
+    const second = perms.addRule('carol', PROJECT, 'Edit(src/**)', 'allow');
+    expect(second.id).toBe(first.id);
+  });
+
+  it('rejects invalid rules and behaviors', () => {
+    expect(() => perms.addRule('alice', PROJECT, 'Bash(', 'allow')).toThrow('Invalid rule');
+    expect(() => perms.addRule('alice', PROJECT, 'Bash', 'maybe')).toThrow('Invalid behavior');
+  });
+
+  it('imports and re-syncs .claude/settings.json rules as read-only', async () => {
+    const projectDir = join(dataDir, 'project');
+    mkdirSync(join(projectDir, '.claude'), { recursive: true });
+    const settingsPath = join(projectDir, '.claude', 'settings.json');
+    writeFileSync(settingsPath, JSON.stringify({
+      permissions: { allow: ['Bash(npm run lint)'], deny: ['Read(.env)'] }
+    }));
+
+    expect(await perms.importSettingsRules('dave', projectDir)).toBe(2);
+    const rules = perms.listRules('dave', projectDir);
+    expect(rules.map(r => `${r.behavior}:${r.rule}:${r.source}`)).toEqual([
+      'allow:Bash(npm run lint):settings',
+      'deny:Read(.env):settings'
+    ]);
+    expect(() => perms.deleteRule('dave', rules[0].id)).toThrow('settings');
+
+    writeFileSync(settingsPath, JSON.stringify({ permissions: { allow: [] } }));
+    await perms.importSettingsRules('dave', projectDir);
+    expect(perms.listRules('dave', projectDir)).toEqual([]);
+  });
+});
+
+// ─── Routes ──────────────────────────────────────────────────────
+describe('/api/permissions/rules', () => {
+  it('only reads or adds rules for projects the user can access', async () => {
+    const projectDir = join(dataDir, 'private');
+    mkdirSync(join(projectDir, '.claude'), { recursive: true });
+    writeFileSync(join(projectDir, '.claude', 'settings.json'), JSON.stringify({ permissions: { allow: ['Bash(make)'] } }));
+    const query = `/rules?projectPath=${encodeURIComponent(projectDir)}`;
+
+    expect((await request(query, { as: 'mallory' })).status).toBe(403);
+    expect(perms.listRules('mallory')).toEqual([]);
+    expect((await request('/rules', { as: 'mallory', body: { projectPath: projectDir, rule: 'Bash', behavior: 'allow' } })).status).toBe(403);
+
+    expect((await (await request(query)).json()).rules.map(r => r.rule)).toEqual(['Bash(make)']);
+    expect((await request('/rules', { body: { projectPath: projectDir, rule: 'Bash(ls)', behavior: 'allow' } })).status).toBe(200);
+  });
+});
+
+// ─── Wiring ──────────────────────────────────────────────────────
+describe('permission rules wiring', () => {
+  it('canUseTool applies stored rules without prompting', async () => {
+    const projectDir = join(dataDir, 'ruled');
+    mkdirSync(projectDir, { recursive: true });
+    perms.addRule('frank', projectDir, 'Bash(npm test:*)', 'allow');
+    perms.addRule('frank', projectDir, 'Bash(rm:*)', 'deny');
+
+    const results = [];
+    sdk.run = async function* (options) {
+      yield { type: 'system', subtype: 'init', session_id: 'sess-rules' };
+      const signal = new AbortController().signal;
+      results.push(await options.canUseTool('Bash', { command: 'npm test -- --run' }, { toolUseID: 'tool-allow', signal }));
+      results.push(await options.canUseTool('Bash', { command: 'rm -rf build' }, { toolUseID: 'tool-deny', signal }));
+    };
+    const { handleChat, getPendingPrompts } = await import('../../server/claude.js');
+    const { subscribe } = await import('../../server/bus.js');
+    const events = [];
+    const unsubscribe = subscribe('frank', e => events.push(e));
+    await handleChat({ content: 'hi', projectPath: projectDir, isNewSession: true, mode: 'default' }, { readyState: 1, send: () => {} }, 'frank');
+    unsubscribe();
+
+    expect(results[0]).toMatchObject({ behavior: 'allow', updatedInput: { command: 'npm test -- --run' } });
+    expect(results[1].behavior).toBe('deny');
+    expect(results[1].message).toContain('Bash(rm:*)');
+    expect(events.filter(e => e.data?.type === 'permission-request')).toEqual([]);
+    expect(getPendingPrompts('frank')).toEqual([]);
+  });
+
+  describe('server/index.js', () => {
+    let app;
+
+    beforeAll(async () => {
+      app = await startAppServer();
+    }, 20000);
+
+    afterAll(() => {
+      app?.stop();
+    });
+
+    it('mounts permission routes behind authentication', async () => {
+      expect((await fetch(`${app.origin}/api/permissions/rules`)).status).toBe(401);
+    });
+  });
+});
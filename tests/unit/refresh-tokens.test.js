@@ -0,0 +1,213 @@
+/**
+ * Unit tests for refresh tokens, devices and connection tickets
+ * Tests server/auth.js login/refresh rotation, device revocation and the
+ * single-use tickets used by /api/events and the WebSocket
+ */
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import WebSocket from 'ws';
+import { useTempHome, startServer, startAppServer, createRequest } from '../helpers/server.js';
+
+let auth;
+let bus;
+let authDb;
+let env;
+let server;
+let baseUrl;
+
+const request = createRequest(() => baseUrl, { as: null });
+
+const login = async (userAgent = 'test-agent') =>
+  (await request('/auth/login', { body: { username: 'alice', password: 'secret123' }, headers: { 'User-Agent': userAgent } })).json();
+
+const refresh = (refreshToken) => request('/auth/refresh', { body: { refreshToken } });
+
+beforeAll(async () => {
+  env = useTempHome('refresh');
+  auth = await import('../../server/auth.js');
+  bus = await import('../../server/bus.js');
+  const { openDatabase } = await import('../../server/db.js');
+  authDb = openDatabase('auth.db');
+
+  server = await startServer(app => app.use('/api/auth', auth.authRoutes));
+  baseUrl = `${server.origin}/api`;
+
+  await request('/auth/register', { body: { username: 'alice', password: 'secret123' } });
+});
+
+afterAll(async () => {
+  await server.close();
+  env.restore();
+});
+
+// ─── Login and refresh ───────────────────────────────────────────
+describe('refresh tokens', () => {
+  it('issues a short-lived access token and a refresh token at login', async () => {
+    const session = await login();
+    expect(session).toMatchObject({ username: 'alice', role: 'admin', expiresIn: 900 });
+    expect(session.refreshToken).toMatch(/^clr_/);
+    expect((await request('/auth/me', { token: session.token })).status).toBe(200);
+
+    const row = authDb.prepare('SELECT * FROM devices WHERE user_agent = ?').get('test-agent');
+    expect(JSON.stringify(row)).not.toContain(session.refreshToken);
+  });
+
+  it('rotates the refresh token on every use', async () => {
+    const session = await login();
+    const res = await refresh(session.refreshToken);
+    expect(res.status).toBe(200);
+    const next = await res.json();
+    expect(next.refreshToken).not.toBe(session.refreshToken);
+    expect((await request('/auth/me', { token: next.token })).status).toBe(200);
+    expect((await refresh(next.refreshToken)).status).toBe(200);
+  });
+
+  it('revokes the device when an old refresh token is replayed', async () => {
+    const session = await login('replayed');
+    const next = await (await refresh(session.refreshToken)).json();
+
+    // Within the grace period (a second tab racing) the replay just fails
+    expect((await refresh(session.refreshToken)).status).toBe(401);
+    expect((await request('/auth/me', { token: next.token })).status).toBe(200);
+
+    authDb.prepare('UPDATE devices SET last_used_at = ? WHERE user_agent = ?')
+      .run(new Date(Date.now() - 60000).toISOString(), 'replayed');
+    expect((await refresh(session.refreshToken)).status).toBe(401);
+    expect((await request('/auth/me', { token: next.token })).status).toBe(403);
+    expect((await refresh(next.refreshToken)).status).toBe(401);
+  });
+
+  it('rejects unknown and expired refresh tokens', async () => {
+    expect((await refresh('clr_nope')).status).toBe(401);
+    expect((await refresh(undefined)).status).toBe(401);
+
+    const session = await login('expiring');
+    authDb.prepare('UPDATE devices SET expires_at = ? WHERE user_agent = ?').run(new Date(Date.now() - 1000).toISOString(), 'expiring');
+    expect((await refresh(session.refreshToken)).status).toBe(401);
+  });
+});
+
+// ─── Devices ─────────────────────────────────────────────────────
+describe('devices', () => {
+  it('lists logged-in devices and marks the current one', async () => {
+    const session = await login('laptop');
+    const { devices } = await (await request('/auth/devices', { token: session.token })).json();
+    const current = devices.filter(d => d.current);
+    expect(current).toHaveLength(1);
+    expect(current[0].userAgent).toBe('laptop');
+    expect(JSON.stringify(devices)).not.toContain(session.refreshToken);
+  });
+
+  it('revokes a device immediately and closes its connections', async () => {
+    const phone = await login('phone');
+    const laptop = await login('laptop');
+    const { devices } = await (await request('/auth/devices', { token: phone.token })).json();
+    const phoneId = devices.find(d => d.current).id;
+
+    const events = [];
+    const unsubscribe = bus.subscribe('alice', e => events.push(e));
+    expect((await request(`/auth/devices/${phoneId}`, { token: laptop.token, method: 'DELETE' })).status).toBe(200);
+    unsubscribe();
+
+    expect(events).toContainEqual(expect.objectContaining({ type: 'device-revoked', deviceId: phoneId }));
+    expect((await request('/auth/me', { token: phone.token })).status).toBe(403);
+    expect((await refresh(phone.refreshToken)).status).toBe(401);
+    expect((await request('/auth/me', { token: laptop.token })).status).toBe(200);
+    expect((await request(`/auth/devices/${phoneId}`, { token: laptop.token, method: 'DELETE' })).status).toBe(404);
+  });
+
+  it('logs the current device out', async () => {
+    const session = await login();
+    expect((await request('/auth/logout', { token: session.token, body: {} })).status).toBe(200);
+    expect((await request('/auth/me', { token: session.token })).status).toBe(403);
+    expect((await refresh(session.refreshToken)).status).toBe(401);
+  });
+});
+
+// ─── Tickets ─────────────────────────────────────────────────────
+describe('connection tickets', () => {
+  it('are single-use and carry the caller identity', async () => {
+    const session = await login();
+    const res = await request('/auth/ticket', { token: session.token, body: {} });
+    const { ticket, expiresIn } = await res.json();
+    expect(ticket).toMatch(/^clt_/);
+    expect(expiresIn).toBe(30);
+
+    expect(auth.authenticateWebSocket(ticket)).toMatchObject({ username: 'alice', role: 'admin' });
+    expect(auth.authenticateWebSocket(ticket)).toBeNull();
+  });
+
+  it('expire quickly and never accept bearer tokens in their place', async () => {
+    const session = await login();
+    expect(auth.authenticateWebSocket(session.token)).toBeNull();
+    expect(auth.authenticateWebSocket(session.refreshToken)).toBeNull();
+
+    const ticket = auth.createTicket({ id: 1, username: 'alice' });
+    const now = Date.now();
+    vi.spyOn(Date, 'now').mockReturnValue(now + 31000);
+    try {
+      expect(auth.authenticateWebSocket(ticket)).toBeNull();
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+
+  it('require authentication', async () => {
+    expect((await request('/auth/ticket', { body: {} })).status).toBe(401);
+  });
+});
+
+// ─── Wiring ──────────────────────────────────────────────────────
+describe('client and server wiring', () => {
+  let app;
+  let serverRequest;
+
+  beforeAll(async () => {
+    app = await startAppServer();
+    serverRequest = createRequest(() => `${app.origin}/api`, { as: null });
+  }, 20000);
+
+  afterAll(() => {
+    app?.stop();
+  });
+
+  const serverLogin = async (userAgent) =>
+    (await serverRequest('/auth/login', { body: { username: 'alice', password: 'secret123' }, headers: { 'User-Agent': userAgent } })).json();
+
+  const openEvents = async (token) => {
+    const controller = new AbortController();
+    const res = await fetch(`${app.origin}/api/events?token=${encodeURIComponent(token)}`, { signal: controller.signal });
+    controller.abort();
+    return res.status;
+  };
+
+  it('opens the event stream once per ticket and never with a bearer token', async () => {
+    const session = await serverLogin('events');
+    const { ticket } = await (await serverRequest('/auth/ticket', { token: session.token, body: {} })).json();
+
+    expect(await openEvents(ticket)).toBe(200);
+    expect(await openEvents(ticket)).toBe(401);
+    expect(await openEvents(session.token)).toBe(401);
+    expect(await openEvents(session.refreshToken)).toBe(401);
+  });
+
+  it('closes the WebSocket of a device whose rotated refresh token is replayed', async () => {
+    const session = await serverLogin('socket');
+    const { ticket } = await (await serverRequest('/auth/ticket', { token: session.token, body: {} })).json();
+    const ws = new WebSocket(`${app.origin.replace('http', 'ws')}/ws?token=${encodeURIComponent(ticket)}`);
+    await new Promise((done, fail) => { ws.once('open', done); ws.once('error', fail); });
+    const closed = new Promise(done => ws.once('close', code => done(code)));
+
+    const rotated = await serverRequest('/auth/refresh', { body: { refreshToken: session.refreshToken } });
+    expect(rotated.status).toBe(200);
+    const next = await rotated.json();
+    expect(next.refreshToken).not.toBe(session.refreshToken);
+
+    // Past the grace period a replay means the old token leaked
+    authDb.prepare('UPDATE devices SET last_used_at = ? WHERE user_agent = ?')
+      .run(new Date(Date.now() - 60000).toISOString(), 'socket');
+    expect((await serverRequest('/auth/refresh', { body: { refreshToken: session.refreshToken } })).status).toBe(401);
+
+    expect(await closed).toBe(4001);
+    expect((await serverRequest('/auth/refresh', { body: { refreshToken: next.refreshToken } })).status).toBe(401);
+  });
+});
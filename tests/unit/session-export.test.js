@@ -0,0 +1,111 @@
+/**
+ * Unit tests for session export
+ * Tests server/session-export.js rendering and redaction, and the export
+ * route in server/projects.js
+ */
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { useTempHome, asUser, startServer, createRequest } from '../helpers/server.js';
+
+vi.mock('../../server/access.js', () => import('../helpers/allow-access.js'));
+
+const PROJECT = '-work-shop';
+const SESSION = 'sess-export';
+
+let env;
+let server;
+let baseUrl;
+
+const entry = (type, message, extra = {}) => JSON.stringify({
+  type, sessionId: SESSION, cwd: '/work/shop', timestamp: extra.timestamp || '2026-04-01T09:00:00.000Z', message, ...extra
+});
+const usage = (input, output) => ({ input_tokens: input, output_tokens: output, cache_read_input_tokens: 100, cache_creation_input_tokens: 0 });
+
+const TRANSCRIPT = [
+  entry('user', { role: 'user', content: 'Show me <config> and fix the ```fence``` bug' }, { uuid: 'u1' }),
+  entry('assistant', { id: 'm1', role: 'assistant', model: 'claude-sonnet', content: [{ type: 'text', text: 'Reading the config.' }], usage: usage(1000, 20) }),
+  // One API message split into two entries repeats its usage
+  entry('assistant', { id: 'm1', role: 'assistant', content: [{ type: 'tool_use', id: 't1', name: 'Read', input: { file_path: '/work/shop/config.json' } }], usage: usage(1000, 20) }),
+  entry('user', { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: '```json\n{"apiKey": "sk-secret"}\n```' }] }),
+  entry('assistant', { id: 'm2', role: 'assistant', content: [{ type: 'tool_use', id: 't2', name: 'Write', input: { file_path: '/work/shop/fix.js', content: 'const token = "hunter2";' } }], usage: usage(1500, 40) }),
+  entry('user', { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't2', content: [{ type: 'text', text: 'Permission denied' }], is_error: true }] }),
+  entry('assistant', { id: 'm3', role: 'assistant', content: [{ type: 'text', text: 'Done & dusted.' }], usage: usage(1600, 10) })
+].join('\n') + '\n';
+
+const request = createRequest(() => baseUrl);
+const get = (query) => request(`/sessions/${SESSION}/export${query}`);
+
+beforeAll(async () => {
+  env = useTempHome('export');
+  mkdirSync(join(env.home, '.claude', 'projects', PROJECT), { recursive: true });
+  writeFileSync(join(env.home, '.claude', 'projects', PROJECT, `${SESSION}.jsonl`), TRANSCRIPT);
+
+  const { projectRoutes } = await import('../../server/projects.js');
+  server = await startServer(app => app.use('/api/projects', asUser, projectRoutes));
+  baseUrl = `${server.origin}/api/projects/${PROJECT}`;
+});
+
+afterAll(async () => {
+  await server.close();
+  env.restore();
+});
+
+describe('GET /api/projects/:name/sessions/:sessionId/export', () => {
+  it('exports JSON with tool outputs attached and usage counted once per message', async () => {
+    const res = await get('?format=json');
+    expect(res.headers.get('content-disposition')).toContain('session-sess-exp.json');
+    const doc = await res.json();
+    expect(doc).toMatchObject({
+      sessionId: SESSION,
+      projectPath: '/work/shop',
+      title: 'Show me <config> and fix the fence bug',
+      usage: { inputTokens: 4100, outputTokens: 70, cacheReadTokens: 300, cacheWriteTokens: 0 },
+      redact: []
+    });
+    expect(doc.messages.map(m => m.role)).toEqual(['user', 'assistant', 'tool', 'tool', 'assistant']);
+    expect(doc.messages[2]).toMatchObject({ tool: 'Read', output: '```json\n{"apiKey": "sk-secret"}\n```', isError: false });
+    expect(doc.messages[3]).toMatchObject({ tool: 'Write', output: 'Permission denied', isError: true });
+  });
+
+  it('exports Markdown with fences the content cannot close', async () => {
+    const res = await get('');
+    expect(res.headers.get('content-type')).toContain('text/markdown');
+    const md = await res.text();
+    expect(md).toMatch(/^# Show me <config>/);
+    expect(md).toContain('- Tokens: 4,100 input · 70 output (300 cache read, 0 cache write)');
+    expect(md).toContain('### 🤖 Assistant (claude-sonnet)');
+    expect(md).toContain('### 🔧 Read /work/shop/config.json');
+    expect(md).toContain('**Output (error)**');
+    expect(md).toContain('````\n```json\n{"apiKey": "sk-secret"}\n```\n````');
+    expect(md).toContain('```\nPermission denied\n```');
+  });
+
+  it('exports self-contained, escaped HTML', async () => {
+    const html = await (await get('?format=html')).text();
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('--neon-pink: #ff2d95');
+    expect(html).not.toMatch(/<link|<script|src=/);
+    expect(html).toContain('Show me &lt;config&gt;');
+    expect(html).toContain('Done &amp; dusted.');
+  });
+
+  it('redacts tool outputs and file contents', async () => {
+    let doc = await (await get('?format=json&redact=file-contents')).json();
+    expect(doc.messages[2].output).toBe('[redacted]');
+    expect(doc.messages[3].input).toEqual({ file_path: '/work/shop/fix.js', content: '[redacted]' });
+    expect(doc.messages[3].output).toBe('Permission denied');
+
+    const md = await (await get('?redact=tool-output,file-contents')).text();
+    expect(md).not.toMatch(/sk-secret|hunter2|Permission denied/);
+    expect(md).toContain('- Redacted: tool-output, file-contents');
+    doc = await (await get('?format=json&redact=tool-output')).json();
+    expect(doc.messages[3]).toMatchObject({ output: '[redacted]', input: { content: 'const token = "hunter2";' } });
+  });
+
+  it('rejects unknown formats and redactions, and unknown sessions', async () => {
+    expect((await get('?format=pdf')).status).toBe(400);
+    expect((await get('?redact=secrets')).status).toBe(400);
+    expect((await request('/sessions/nope/export')).status).toBe(404);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit tests for session forking
+ * Tests server/forks.js transcript truncation and lineage storage, and the
+ * fork/list routes in server/projects.js against a temporary ~/.claude tree
+ */
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { mkdirSync, writeFileSync, readFileSync, existsSync } from 'fs';
+import { join, resolve } from 'path';
+import { useTempHome, asUser, startServer, createRequest } from '../helpers/server.js';
+
+vi.mock('../../server/access.js', () => import('../helpers/allow-access.js'));
+
+const PROJECT = '-work-app';
+const SESSION = 'sess-parent';
+
+let env;
+let forks;
+let server;
+let baseUrl;
+
+const request = createRequest(() => baseUrl);
+
+const user = (uuid, text) => ({ uuid, sessionId: SESSION, type: 'user', message: { role: 'user', content: text } });
+const assistant = (uuid, id, content) => ({ uuid, sessionId: SESSION, type: 'assistant', message: { id, role: 'assistant', content } });
+const toolResult = (uuid, toolUseId) => ({
+  uuid, sessionId: SESSION, type: 'user',
+  message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: toolUseId, content: 'ok' }] }
+});
+
+const TRANSCRIPT = [
+  { type: 'summary', summary: 'Checkout work', leafUuid: 'u6' },
+  user('u1', 'Add a checkout page'),
+  assistant('u2', 'msg_1', [{ type: 'text', text: 'Reading the router first.' }]),
+  assistant('u3', 'msg_1', [{ type: 'tool_use', id: 'tool_1', name: 'Read', input: { file_path: 'router.js' } }]),
+  toolResult('u4', 'tool_1'),
+  assistant('u5', 'msg_2', [{ type: 'text', text: 'Added the page.' }]),
+  user('u6', 'Now add tests')
+];
+
+function readTranscript(sessionId) {
+  const file = join(env.home, '.claude', 'projects', PROJECT, `${sessionId}.jsonl`);
+  return readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+beforeAll(async () => {
+  env = useTempHome('forks');
+
+  const projectDir = join(env.home, '.claude', 'projects', PROJECT);
+  mkdirSync(projectDir, { recursive: true });
+  writeFileSync(join(projectDir, `${SESSION}.jsonl`), TRANSCRIPT.map(e => JSON.stringify(e)).join('\n') + '\n');
+
+  forks = await import('../../server/forks.js');
+  const { projectRoutes } = await import('../../server/projects.js');
+
+  server = await startServer(app => app.use('/api/projects', asUser, projectRoutes));
+  baseUrl = `${server.origin}/api/projects/${PROJECT}`;
+});
+
+afterAll(async () => {
+  await server.close();
+  env.restore();
+});
+
+describe('findForkEnd', () => {
+  const entries = TRANSCRIPT;
+
+  it('keeps sibling blocks and tool results of an assistant message', () => {
+    expect(forks.findForkEnd(entries, 2)).toBe(4);
+  });
+
+  it('stops at the chosen message when nothing is pending', () => {
+    expect(forks.findForkEnd(entries, 1)).toBe(1);
+    expect(forks.findForkEnd(entries, 5)).toBe(5);
+  });
+});
+
+describe('forkSession', () => {
+  it('writes a truncated transcript under a new session ID', async () => {
+    const fork = await forks.forkSession(PROJECT, SESSION, 'u2', 'alice');
+
+    expect(fork).toMatchObject({ parentSessionId: SESSION, forkMessageUuid: 'u2', entryCount: 5 });
+    const entries = readTranscript(fork.sessionId);
+    expect(entries.map(e => e.uuid)).toEqual([undefined, 'u1', 'u2', 'u3', 'u4']);
+    expect(entries.slice(1).every(e => e.sessionId === fork.sessionId)).toBe(true);
+
+    // The parent transcript is untouched
+    expect(readTranscript(SESSION)).toHaveLength(TRANSCRIPT.length);
+  });
+
+  it('records lineage', async () => {
+    const fork = await forks.forkSession(PROJECT, SESSION, 'u5', 'alice');
+    expect(forks.getLineage(PROJECT).get(fork.sessionId)).toMatchObject({ parentSessionId: SESSION, forkMessageUuid: 'u5' });
+    expect(forks.getLineage('-other-project').size).toBe(0);
+  });
+
+  it('returns null for unknown sessions and messages', async () => {
+    expect(await forks.forkSession(PROJECT, 'missing', 'u1', 'alice')).toBeNull();
+    expect(await forks.forkSession(PROJECT, SESSION, 'missing', 'alice')).toBeNull();
+  });
+
+  it('rejects path traversal and missing message IDs', async () => {
+    await expect(forks.forkSession('..', SESSION, 'u1', 'alice')).rejects.toThrow('Invalid');
+    await expect(forks.forkSession(PROJECT, '../sess', 'u1', 'alice')).rejects.toThrow('Invalid');
+    await expect(forks.forkSession(PROJECT, SESSION, '', 'alice')).rejects.toThrow('messageUuid');
+  });
+});
+
+describe('fork routes', () => {
+  it('forks via POST and lists parent/child lineage', async () => {
+    const res = await request(`/sessions/${SESSION}/fork`, { body: { messageUuid: 'u1' } });
+    expect(res.status).toBe(201);
+    const fork = await res.json();
+    expect(existsSync(join(env.home, '.claude', 'projects', PROJECT, `${fork.sessionId}.jsonl`))).toBe(true);
+
+    const sessions = await (await request('/sessions')).json();
+    const parent = sessions.find(s => s.id === SESSION);
+    const child = sessions.find(s => s.id === fork.sessionId);
+    expect(parent.parentSessionId).toBeNull();
+    expect(parent.childSessionIds).toContain(fork.sessionId);
+    expect(child).toMatchObject({ parentSessionId: SESSION, forkMessageUuid: 'u1', childSessionIds: [] });
+  });
+
+  it('returns 404 for an unknown message and 400 without one', async () => {
+    const post = (body) => request(`/sessions/${SESSION}/fork`, { method: 'POST', body });
+    expect((await post({ messageUuid: 'nope' })).status).toBe(404);
+    expect((await post({})).status).toBe(400);
+  });
+
+  it('includes transcript UUIDs in session messages', async () => {
+    const { messages } = await (await request(`/sessions/${SESSION}/messages`)).json();
+    expect(messages.find(m => m.content === 'Add a checkout page').uuid).toBe('u1');
+  });
+});
+
+describe('fork wiring', () => {
+  const appJs = readFileSync(resolve('public/app.js'), 'utf8');
+  const html = readFileSync(resolve('public/index.html'), 'utf8');
+
+  it('offers "Fork from here" in the message context menu', () => {
+    expect(html).toContain('data-action="fork"');
+    expect(appJs).toContain("action === 'fork'");
+  });
+
+  it('opens the fork in a new session tab', () => {
+    const fnStart = appJs.indexOf('async function forkFromMessage(');
+    const fnBody = appJs.slice(fnStart, appJs.indexOf('\n}', fnStart));
+    expect(fnBody).toContain('createSession(');
+    expect(fnBody).toContain('/fork`');
+  });
+});
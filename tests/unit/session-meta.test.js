@@ -0,0 +1,142 @@
+/**
+ * Unit tests for session metadata
+ * Tests server/session-meta.js auto titles and storage, and the session
+ * list filters and PATCH route in server/projects.js
+ */
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { mkdirSync, writeFileSync, utimesSync } from 'fs';
+import { join } from 'path';
+import { useTempHome, asUser, startServer, createRequest } from '../helpers/server.js';
+
+vi.mock('../../server/access.js', () => import('../helpers/allow-access.js'));
+
+const PROJECT = '-work-app';
+
+let env;
+let meta;
+let registry;
+let bus;
+let server;
+let baseUrl;
+
+const transcript = (sessionId, prompt, reply) => [
+  { type: 'user', sessionId, message: { role: 'user', content: '<command-name>/model</command-name>' } },
+  { type: 'user', sessionId, message: { role: 'user', content: prompt } },
+  { type: 'assistant', sessionId, message: { role: 'assistant', content: [{ type: 'text', text: reply }] } }
+].map(e => JSON.stringify(e)).join('\n') + '\n';
+
+function writeSession(sessionId, prompt, reply, minutesAgo) {
+  const file = join(env.home, '.claude', 'projects', PROJECT, `${sessionId}.jsonl`);
+  writeFileSync(file, transcript(sessionId, prompt, reply));
+  const time = new Date(Date.now() - minutesAgo * 60000);
+  utimesSync(file, time, time);
+}
+
+const api = createRequest(() => baseUrl);
+const request = (path, body) => api(path, { method: body ? 'PATCH' : 'GET', body });
+const list = async (query = '') => (await (await request(`/sessions${query}`)).json());
+
+beforeAll(async () => {
+  env = useTempHome('meta');
+  mkdirSync(join(env.home, '.claude', 'projects', PROJECT), { recursive: true });
+  writeSession('sess-a', 'Fix the flaky login test on CI', 'Looking at it.', 30);
+  writeSession('sess-b', 'continue', 'Finishing the database migration now. Then the tests.', 20);
+  writeSession('sess-c', 'Add dark mode to the settings page', 'Sure.', 10);
+
+  meta = await import('../../server/session-meta.js');
+  registry = await import('../../server/session-registry.js');
+  bus = await import('../../server/bus.js');
+  const { projectRoutes } = await import('../../server/projects.js');
+
+  server = await startServer(app => app.use('/api/projects', asUser, projectRoutes));
+  baseUrl = `${server.origin}/api/projects/${PROJECT}`;
+});
+
+afterAll(async () => {
+  await server.close();
+  env.restore();
+});
+
+// ─── Auto titles ─────────────────────────────────────────────────
+describe('deriveTitle', () => {
+  it('uses the first line of the prompt without markdown', () => {
+    expect(meta.deriveTitle('## Refactor the **parser**\n\nIt is slow.')).toBe('Refactor the parser');
+  });
+
+  it('shortens long prompts on a word boundary', () => {
+    const title = meta.deriveTitle('Please investigate why the websocket reconnect loop keeps spinning after the laptop wakes from sleep');
+    expect(title.length).toBeLessThanOrEqual(61);
+    expect(title).toMatch(/^Please investigate why the websocket reconnect loop keeps…$/);
+  });
+
+  it('falls back to the reply for one- or two-word prompts', () => {
+    expect(meta.deriveTitle('continue', 'Finishing the migration script now. Then tests.')).toBe('Finishing the migration script now.');
+    expect(meta.deriveTitle('hi', 'Hello!')).toBe('hi');
+    expect(meta.deriveTitle('', '')).toBeNull();
+  });
+});
+
+// ─── Session list ────────────────────────────────────────────────
+describe('GET /api/projects/:name/sessions', () => {
+  it('titles sessions from their first exchange, skipping internal messages', async () => {
+    const sessions = await list();
+    expect(sessions.map(s => [s.id, s.title])).toEqual([
+      ['sess-c', 'Add dark mode to the settings page'],
+      ['sess-b', 'Finishing the database migration now.'],
+      ['sess-a', 'Fix the flaky login test on CI']
+    ]);
+    expect(sessions[0]).toMatchObject({ customTitle: null, tags: [], pinned: false, archived: false });
+  });
+
+  it('lists pinned sessions first and sorts by title on request', async () => {
+    await request('/sessions/sess-a', { pinned: true });
+    expect((await list()).map(s => s.id)).toEqual(['sess-a', 'sess-c', 'sess-b']);
+    expect((await list('?sort=title')).map(s => s.id)).toEqual(['sess-a', 'sess-c', 'sess-b']);
+    await request('/sessions/sess-a', { pinned: false });
+    expect((await list('?sort=title')).map(s => s.id)).toEqual(['sess-c', 'sess-b', 'sess-a']);
+    expect((await request('/sessions?sort=size')).status).toBe(400);
+  });
+
+  it('hides archived sessions unless asked', async () => {
+    await request('/sessions/sess-b', { archived: true });
+    expect((await list()).map(s => s.id)).toEqual(['sess-c', 'sess-a']);
+    expect((await list('?archived=true')).map(s => s.id)).toEqual(['sess-b']);
+    expect(await list('?archived=all')).toHaveLength(3);
+    await request('/sessions/sess-b', { archived: false });
+  });
+
+  it('filters by tag and pinned state', async () => {
+    await request('/sessions/sess-a', { tags: ['CI', ' flaky tests ', 'ci'] });
+    await request('/sessions/sess-c', { pinned: true });
+    expect((await list('?tag=ci')).map(s => [s.id, s.tags])).toEqual([['sess-a', ['ci', 'flaky-tests']]]);
+    expect((await list('?pinned=true')).map(s => s.id)).toEqual(['sess-c']);
+  });
+});
+
+// ─── Updates ─────────────────────────────────────────────────────
+describe('PATCH /api/projects/:name/sessions/:sessionId', () => {
+  it('renames a session, updates the registry and tells the user', async () => {
+    registry.register('sess-a', { username: 'alice', projectName: 'app', displayName: 'app', title: null });
+    const events = [];
+    const unsubscribe = bus.subscribe('alice', event => events.push(event));
+
+    const res = await request('/sessions/sess-a', { title: '  Login   flake ' });
+    expect(await res.json()).toMatchObject({ id: 'sess-a', title: 'Login flake', customTitle: 'Login flake', autoTitle: 'Fix the flaky login test on CI' });
+    expect(registry.getSession('sess-a')).toMatchObject({ title: 'Login flake', displayName: 'Login flake' });
+    expect(events).toContainEqual(expect.objectContaining({ type: 'session-title', sessionId: 'sess-a', title: 'Login flake' }));
+
+    // An empty title reverts to the auto title
+    expect((await (await request('/sessions/sess-a', { title: '' })).json()).title).toBe('Fix the flaky login test on CI');
+    expect((await (await request('/sessions/sess-a')).json()).customTitle).toBeNull();
+    unsubscribe();
+    registry.remove('sess-a');
+  });
+
+  it('rejects invalid values and unknown sessions', async () => {
+    for (const body of [{ title: 5 }, { title: 'x'.repeat(201) }, { tags: 'ci' }, { pinned: 'yes' }, { tags: ['x'.repeat(41)] }]) {
+      expect((await request('/sessions/sess-a', body)).status).toBe(400);
+    }
+    expect((await request('/sessions/nope', { pinned: true })).status).toBe(404);
+    expect((await request('/sessions/nope')).status).toBe(404);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Unit tests for read-only share links
+ * Tests server/shares.js (public transcript and live feed) and the share
+ * management routes in server/projects.js
+ */
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { useTempHome, asUser, startServer, createRequest, readEvents } from '../helpers/server.js';
+
+vi.mock('../../server/access.js', () => import('../helpers/allow-access.js'));
+
+const PROJECT = '-work-blog';
+const SESSION = 'sess-share';
+
+let env;
+let shares;
+let bus;
+let registry;
+let broadcast;
+let server;
+let baseUrl;
+let origin;
+
+const TRANSCRIPT = [
+  { type: 'user', sessionId: SESSION, uuid: 'u1', message: { role: 'user', content: 'Write a post about tides' } },
+  { type: 'assistant', sessionId: SESSION, uuid: 'a1', message: { id: 'm1', role: 'assistant', content: [{ type: 'text', text: 'Here is a draft.' }] } }
+].map(entry => JSON.stringify(entry)).join('\n') + '\n';
+
+const request = createRequest(() => baseUrl);
+const createShare = async (body = {}) => (await request(`/sessions/${SESSION}/shares`, { method: 'POST', body })).json();
+const tokenOf = (share) => share.url.split('/').pop();
+
+// Prompts carry tool inputs and answers, which must not reach share viewers
+const PROMPTS = [
+  { type: 'claude-message', sessionId: SESSION, data: { type: 'permission-request', id: 't1', tool: 'Bash', input: { command: 'cat .env' } } },
+  { type: 'claude-message', sessionId: SESSION, data: { type: 'question', id: 't2', questions: [{ question: 'Which API key?' }] } },
+  { type: 'claude-message', sessionId: SESSION, data: { type: 'plan-confirmation', id: 't3', plan: 'Rotate the keys' } },
+  { type: 'claude-message', sessionId: SESSION, data: { type: 'prompt-resolved', id: 't1', reason: 'answered' } }
+];
+
+beforeAll(async () => {
+  env = useTempHome('shares');
+  mkdirSync(join(env.home, '.claude', 'projects', PROJECT), { recursive: true });
+  writeFileSync(join(env.home, '.claude', 'projects', PROJECT, `${SESSION}.jsonl`), TRANSCRIPT);
+
+  shares = await import('../../server/shares.js');
+  bus = await import('../../server/bus.js');
+  registry = await import('../../server/session-registry.js');
+  broadcast = await import('../../server/broadcast.js');
+  const { projectRoutes } = await import('../../server/projects.js');
+
+  server = await startServer(app => {
+    app.use('/api/share', shares.shareRoutes);
+    app.use('/api/projects', asUser, projectRoutes);
+  });
+  origin = server.origin;
+  baseUrl = `${origin}/api/projects/${PROJECT}`;
+});
+
+afterAll(async () => {
+  await server.close();
+  env.restore();
+});
+
+// ─── Managing links ──────────────────────────────────────────────
+describe('share management routes', () => {
+  it('creates, lists and revokes links without exposing tokens again', async () => {
+    const res = await request(`/sessions/${SESSION}/shares`, { method: 'POST', body: { live: true } });
+    expect(res.status).toBe(201);
+    const share = await res.json();
+    expect(share).toMatchObject({ sessionId: SESSION, live: true, createdBy: 'alice', expiresAt: null });
+    expect(share.url).toMatch(/^\/share\/[\w-]{32}$/);
+
+    const listed = await (await request(`/sessions/${SESSION}/shares`)).json();
+    expect(listed.map(s => s.id)).toContain(share.id);
+    expect(JSON.stringify(listed)).not.toContain(tokenOf(share));
+
+    expect((await request(`/sessions/${SESSION}/shares/${share.id}`, { method: 'DELETE' })).status).toBe(200);
+    expect((await request(`/sessions/${SESSION}/shares/${share.id}`, { method: 'DELETE' })).status).toBe(404);
+    expect((await (await request(`/sessions/${SESSION}/shares`)).json()).map(s => s.id)).not.toContain(share.id);
+  });
+
+  it('rejects past expiries and bad options', async () => {
+    for (const body of [{ expiresAt: '2020-01-01T00:00:00Z' }, { expiresAt: 'soon' }, { live: 'yes' }]) {
+      expect((await request(`/sessions/${SESSION}/shares`, { method: 'POST', body })).status).toBe(400);
+    }
+  });
+});
+
+// ─── Public viewer ───────────────────────────────────────────────
+describe('GET /api/share/:token', () => {
+  it('serves the transcript without authentication', async () => {
+    const share = await createShare();
+    const res = await fetch(`${origin}/api/share/${tokenOf(share)}`);
+    expect(res.status).toBe(200);
+    const shared = await res.json();
+    expect(shared).toMatchObject({ sessionId: SESSION, live: false, streaming: false });
+    expect(shared.messages.map(m => m.content)).toEqual(['Write a post about tides', 'Here is a draft.']);
+  });
+
+  it('stops working once revoked or expired', async () => {
+    const share = await createShare();
+    await request(`/sessions/${SESSION}/shares/${share.id}`, { method: 'DELETE' });
+    expect((await fetch(`${origin}/api/share/${tokenOf(share)}`)).status).toBe(404);
+
+    const { token } = shares.createShare({ projectName: PROJECT, sessionId: SESSION, username: 'alice', expiresAt: new Date(Date.now() + 50).toISOString() });
+    await new Promise(r => setTimeout(r, 80));
+    expect((await fetch(`${origin}/api/share/${token}`)).status).toBe(404);
+    expect((await fetch(`${origin}/api/share/not-a-token`)).status).toBe(404);
+  });
+});
+
+// ─── Live follow ─────────────────────────────────────────────────
+describe('GET /api/share/:token/events', () => {
+  it('is only available on live links', async () => {
+    const share = await createShare();
+    expect((await fetch(`${origin}/api/share/${tokenOf(share)}/events`)).status).toBe(404);
+  });
+
+  it('forwards chat events but not prompts, and ends on revoke', async () => {
+    const share = await createShare({ live: true });
+    const res = await fetch(`${origin}/api/share/${tokenOf(share)}/events`);
+    expect(res.headers.get('content-type')).toBe('text/event-stream');
+
+    const reading = readEvents(res, event => event.type === 'share-ended');
+    await new Promise(r => setTimeout(r, 50));
+    bus.publish('alice', { type: 'permission-request', sessionId: SESSION, toolName: 'Bash' });
+    for (const prompt of PROMPTS) bus.publish('alice', prompt);
+    bus.publish('alice', { type: 'claude-message', sessionId: SESSION, data: { type: 'text', text: 'Tides rise' } });
+    bus.publish('alice', { type: 'claude-message', sessionId: 'other-session', data: { type: 'text', text: 'Private' } });
+    await new Promise(r => setTimeout(r, 50));
+    shares.revokeShare(SESSION, share.id);
+
+    const events = await reading;
+    expect(events.map(e => e.type)).toEqual(['session-status', 'claude-message', 'share-ended']);
+    expect(events[0].status).toBe('idle');
+    expect(events[1].data.text).toBe('Tides rise');
+  });
+
+  it('leaves prompts out of the replay of a streaming session', async () => {
+    registry.register(SESSION, { username: 'alice', projectName: PROJECT, displayName: 'Tides' });
+    broadcast.startSessionBuffer(SESSION);
+    broadcast.broadcastToSession(SESSION, { type: 'claude-message', sessionId: SESSION, data: { type: 'text', text: 'Checking config' } });
+    for (const prompt of PROMPTS) broadcast.broadcastToSession(SESSION, prompt);
+
+    const share = await createShare({ live: true });
+    const res = await fetch(`${origin}/api/share/${tokenOf(share)}/events`);
+    const reading = readEvents(res, event => event.type === 'share-ended');
+    await new Promise(r => setTimeout(r, 50));
+    shares.revokeShare(SESSION, share.id);
+
+    const events = await reading;
+    expect(events.map(e => e.type)).toEqual(['session-status', 'replay-start', 'claude-message', 'replay-end', 'share-ended']);
+    expect(events[2].data.text).toBe('Checking config');
+    broadcast.clearSessionBuffer(SESSION);
+    registry.remove(SESSION);
+  });
+});
+
+// ─── Cleanup ─────────────────────────────────────────────────────
+describe('deleteSessionShares', () => {
+  it('forgets every link to a purged session', async () => {
+    const share = await createShare();
+    shares.deleteSessionShares(SESSION);
+    expect(await (await request(`/sessions/${SESSION}/shares`)).json()).toEqual([]);
+    expect((await fetch(`${origin}/api/share/${tokenOf(share)}`)).status).toBe(404);
+  });
+});
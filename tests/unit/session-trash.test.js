@@ -0,0 +1,183 @@
+/**
+ * Unit tests for session deletion
+ * Tests server/session-trash.js (trash, restore, purge and retention) and the
+ * pagination, bulk, trash and retention routes in server/projects.js
+ */
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { mkdirSync, writeFileSync, utimesSync, existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { useTempHome, asUser, startServer, createRequest } from '../helpers/server.js';
+
+vi.mock('../../server/access.js', () => ({
+  canAccessProject: (username, projectPath) => username !== 'mallory' && projectPath === '/work/app'
+}));
+
+const PROJECT = '-work-app';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let env;
+let projectDir;
+let trash;
+let registry;
+let broadcast;
+let bus;
+let server;
+let baseUrl;
+
+function writeSession(sessionId, daysAgo = 0) {
+  const file = join(projectDir, `${sessionId}.jsonl`);
+  writeFileSync(file, JSON.stringify({ type: 'user', sessionId, cwd: '/work/app', message: { role: 'user', content: `Work on ${sessionId} please` } }) + '\n');
+  const time = new Date(Date.now() - daysAgo * DAY_MS);
+  utimesSync(file, time, time);
+}
+
+const request = createRequest(() => baseUrl);
+const ids = async (query = '') => (await (await request(`/sessions${query}`)).json()).map(s => s.id);
+
+beforeAll(async () => {
+  env = useTempHome('trash');
+  projectDir = join(env.home, '.claude', 'projects', PROJECT);
+  mkdirSync(projectDir, { recursive: true });
+  for (let i = 0; i < 5; i++) writeSession(`sess-${i}`, i);
+
+  trash = await import('../../server/session-trash.js');
+  registry = await import('../../server/session-registry.js');
+  broadcast = await import('../../server/broadcast.js');
+  bus = await import('../../server/bus.js');
+  const { projectRoutes } = await import('../../server/projects.js');
+
+  server = await startServer(app => app.use('/api/projects', asUser, projectRoutes));
+  baseUrl = `${server.origin}/api/projects/${PROJECT}`;
+});
+
+afterAll(async () => {
+  await server.close();
+  env.restore();
+});
+
+// ─── Pagination ──────────────────────────────────────────────────
+describe('GET /api/projects/:name/sessions pagination', () => {
+  it('pages with offset and limit and reports the total', async () => {
+    const res = await request('/sessions?limit=2&offset=1');
+    expect(res.headers.get('x-total-count')).toBe('5');
+    expect((await res.json()).map(s => s.id)).toEqual(['sess-1', 'sess-2']);
+    expect(await ids('?offset=4')).toEqual(['sess-4']);
+  });
+
+  it('rejects bad offsets and limits', async () => {
+    for (const query of ['?limit=0', '?limit=201', '?offset=-1', '?offset=x']) {
+      expect((await request(`/sessions${query}`)).status).toBe(400);
+    }
+  });
+});
+
+// ─── Deletion ────────────────────────────────────────────────────
+describe('deleting sessions', () => {
+  it('moves a session and its sidecar directory to the trash and clears its state', async () => {
+    mkdirSync(join(projectDir, 'sess-0', 'subagents'), { recursive: true });
+    registry.register('sess-0', { username: 'alice', projectName: 'app', displayName: 'app', title: null, status: 'idle' });
+    broadcast.startSessionBuffer('sess-0');
+    const events = [];
+    const hidden = [];
+    const unsubscribe = bus.subscribe('bob', event => events.push(event));
+    const unsubscribeMallory = bus.subscribe('mallory', event => hidden.push(event));
+
+    const res = await request('/sessions/sess-0', { method: 'DELETE' });
+    expect(res.status).toBe(200);
+    expect(existsSync(join(projectDir, 'sess-0.jsonl'))).toBe(false);
+    expect(existsSync(join(env.dataDir, 'trash', PROJECT, 'sess-0.jsonl'))).toBe(true);
+    expect(existsSync(join(env.dataDir, 'trash', PROJECT, 'sess-0', 'subagents'))).toBe(true);
+    expect(registry.getSession('sess-0')).toBeNull();
+    // Open tabs of users who can see the project hear about it, and nobody else's
+    expect(events).toContainEqual(expect.objectContaining({ type: 'session-deleted', sessionId: 'sess-0' }));
+    expect(hidden).toEqual([]);
+    unsubscribe();
+    unsubscribeMallory();
+
+    expect(await ids()).not.toContain('sess-0');
+    expect((await request('/sessions/sess-0', { method: 'DELETE' })).status).toBe(404);
+  });
+
+  it('refuses to delete a running session', async () => {
+    registry.register('sess-1', { username: 'alice', projectName: 'app', displayName: 'app', title: null });
+    expect((await request('/sessions/sess-1', { method: 'DELETE' })).status).toBe(409);
+    expect(existsSync(join(projectDir, 'sess-1.jsonl'))).toBe(true);
+    registry.remove('sess-1');
+  });
+
+  it('archives and deletes several sessions at once, reporting failures', async () => {
+    let res = await request('/sessions/bulk', { method: 'POST', body: { action: 'archive', sessionIds: ['sess-1', 'sess-2', 'nope'] } });
+    expect(await res.json()).toEqual({ done: ['sess-1', 'sess-2'], failed: [{ sessionId: 'nope', error: 'Session not found' }] });
+    expect(await ids('?archived=true')).toEqual(['sess-1', 'sess-2']);
+
+    res = await request('/sessions/bulk', { method: 'POST', body: { action: 'delete', sessionIds: ['sess-1', 'sess-2', '..'] } });
+    expect(await res.json()).toEqual({ done: ['sess-1', 'sess-2'], failed: [{ sessionId: '..', error: 'Invalid project or session' }] });
+    expect(await ids('?archived=all')).toEqual(['sess-3', 'sess-4']);
+  });
+
+  it('rejects invalid bulk requests', async () => {
+    for (const body of [{ action: 'shred', sessionIds: ['sess-3'] }, { action: 'delete', sessionIds: [] }, { action: 'delete', sessionIds: 'sess-3' }]) {
+      expect((await request('/sessions/bulk', { method: 'POST', body })).status).toBe(400);
+    }
+  });
+});
+
+// ─── Trash ───────────────────────────────────────────────────────
+describe('trash', () => {
+  it('lists trashed sessions with who deleted them', async () => {
+    const listed = await (await request('/trash')).json();
+    expect(listed.map(s => s.id).sort()).toEqual(['sess-0', 'sess-1', 'sess-2']);
+    expect(listed[0]).toMatchObject({ deletedBy: 'alice', reason: 'deleted' });
+    expect(new Date(listed[0].purgeAt) - new Date(listed[0].deletedAt)).toBe(30 * DAY_MS);
+  });
+
+  it('restores a session with its archived state', async () => {
+    expect((await request('/trash/sess-1/restore', { method: 'POST' })).status).toBe(200);
+    expect(await ids('?archived=true')).toEqual(['sess-1']);
+    expect((await request('/trash/sess-1/restore', { method: 'POST' })).status).toBe(404);
+  });
+
+  it('will not restore over a session with the same ID', async () => {
+    writeSession('sess-2');
+    expect((await request('/trash/sess-2/restore', { method: 'POST' })).status).toBe(409);
+    rmSync(join(projectDir, 'sess-2.jsonl'));
+  });
+
+  it('deletes a trashed session for good', async () => {
+    expect((await request('/trash/sess-0', { method: 'DELETE' })).status).toBe(200);
+    expect(existsSync(join(env.dataDir, 'trash', PROJECT, 'sess-0'))).toBe(false);
+    expect(existsSync(join(env.dataDir, 'trash', PROJECT, 'sess-0.jsonl'))).toBe(false);
+    expect((await request('/trash/sess-0', { method: 'DELETE' })).status).toBe(404);
+  });
+});
+
+// ─── Retention ───────────────────────────────────────────────────
+describe('retention', () => {
+  it('stores a per-project policy', async () => {
+    expect(await (await request('/retention')).json()).toEqual({ days: null });
+    for (const days of [0, 1.5, 'week', 4000]) {
+      expect((await request('/retention', { method: 'PUT', body: { days } })).status).toBe(400);
+    }
+    expect(await (await request('/retention', { method: 'PUT', body: { days: 2 } })).json()).toEqual({ days: 2 });
+  });
+
+  it('trashes old unpinned sessions and purges expired trash', async () => {
+    await request('/sessions/sess-4', { method: 'PATCH', body: { pinned: true } });
+
+    // sess-3 and sess-4 are older than two days; sess-4 is pinned
+    expect(await trash.applyRetention()).toEqual({ trashed: 1, purged: 0 });
+    expect(await ids('?archived=all')).toEqual(['sess-4', 'sess-1']);
+    expect((await (await request('/trash')).json()).find(s => s.id === 'sess-3').reason).toBe('retention');
+
+  });
+
+  it('can be turned off, leaving expired trash to be purged', async () => {
+    expect(await (await request('/retention', { method: 'PUT', body: { days: null } })).json()).toEqual({ days: null });
+    expect(trash.getRetention(PROJECT)).toBeNull();
+
+    // A month later sess-1 is kept but the trash is emptied
+    expect(await trash.applyRetention(new Date(Date.now() + 31 * DAY_MS))).toEqual({ trashed: 0, purged: 2 });
+    expect(await (await request('/trash')).json()).toEqual([]);
+    expect(await ids('?archived=all')).toEqual(['sess-4', 'sess-1']);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Unit tests for TOTP and the QR code encoder
+ * Tests server/totp.js against the RFC 6238 vectors and server/qrcode.js
+ * against known Reed-Solomon and format-information values
+ */
+import { describe, it, expect } from 'vitest';
+import { base32Encode, base32Decode, generateSecret, generateTotp, verifyTotp, otpauthUri } from '../../server/totp.js';
+import { reedSolomon, formatBits, encodeQr, qrSvg } from '../../server/qrcode.js';
+
+// RFC 6238 appendix B secret ("12345678901234567890"), SHA-1
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// ─── Base32 ──────────────────────────────────────────────────────
+describe('base32', () => {
+  it('round-trips bytes', () => {
+    expect(base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+    expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+    expect(base32Decode('gezd gnbv gy3t qojq====').toString()).toBe('1234567890');
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character: 1');
+  });
+
+  it('generates 160-bit secrets', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret)).toHaveLength(20);
+    expect(generateSecret()).not.toBe(secret);
+  });
+});
+
+// ─── TOTP ────────────────────────────────────────────────────────
+describe('TOTP', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    expect(generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(generateTotp(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateTotp(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+  });
+
+  it('accepts one step of clock drift either way', () => {
+    const now = 1234567890 * 1000;
+    const counter = Math.floor(now / 30000);
+    expect(verifyTotp(RFC_SECRET, '005924', now)).toBe(counter);
+    expect(verifyTotp(RFC_SECRET, '005 924', now + 30000)).toBe(counter);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 30000), now)).toBe(counter + 1);
+    expect(verifyTotp(RFC_SECRET, '005924', now + 60000)).toBeNull();
+  });
+
+  it('rejects malformed codes and steps already used', () => {
+    const now = 1234567890 * 1000;
+    expect(verifyTotp(RFC_SECRET, '', now)).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '05924', now)).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', now)).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '005924', now, Math.floor(now / 30000))).toBeNull();
+  });
+
+  it('builds otpauth URIs for authenticator apps', () => {
+    expect(otpauthUri({ secret: 'ABC', account: 'alice', issuer: 'Cleon' }))
+      .toBe('otpauth://totp/Cleon%3Aalice?secret=ABC&issuer=Cleon&algorithm=SHA1&digits=6&period=30');
+  });
+});
+
+// ─── QR codes ────────────────────────────────────────────────────
+describe('QR encoder', () => {
+  it('computes Reed-Solomon error correction codewords', () => {
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+    expect(reedSolomon(data, 10)).toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+  });
+
+  it('computes format information for level M', () => {
+    expect(formatBits(1).toString(2).padStart(15, '0')).toBe('101000100100101');
+    expect(formatBits(7).toString(2).padStart(15, '0')).toBe('100101010100000');
+  });
+
+  it('picks the smallest version that fits and draws finder patterns', () => {
+    expect(encodeQr('hello')).toHaveLength(21);
+    const modules = encodeQr(otpauthUri({ secret: generateSecret(), account: 'alice', issuer: 'Cleon' }));
+    expect(modules).toHaveLength(45);
+
+    const size = modules.length;
+    for (const [row, col] of [[0, 0], [0, size - 7], [size - 7, 0]]) {
+      expect(modules[row][col]).toBe(true);
+      expect(modules[row + 1][col + 1]).toBe(false);
+      expect(modules[row + 3][col + 3]).toBe(true);
+    }
+  });
+
+  it('writes format information that reads back as level M', () => {
+    const modules = encodeQr('otpauth://totp/test');
+    let bits = 0;
+    for (let i = 0; i <= 5; i++) bits = (bits << 1) | modules[8][i];
+    bits = (bits << 1) | modules[8][7];
+    bits = (bits << 1) | modules[8][8];
+    bits = (bits << 1) | modules[7][8];
+    for (let i = 5; i >= 0; i--) bits = (bits << 1) | modules[i][8];
+    const mask = [...Array(8).keys()].find(m => formatBits(m) === bits);
+    expect(mask).toBeGreaterThanOrEqual(0);
+  });
+
+  it('rejects text that does not fit', () => {
+    expect(() => encodeQr('x'.repeat(1000))).toThrow();
+  });
+
+  it('renders an SVG', () => {
+    const svg = qrSvg('hello');
+    expect(svg).toMatch(/^<svg[^>]*viewBox="0 0 29 29"/);
+    expect(svg).toContain('<path');
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Unit tests for full-text transcript search
+ * Tests server/search.js: incremental FTS5 indexing of ~/.claude/projects,
+ * filters, snippet highlighting, deep links and per-user project access
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdirSync, writeFileSync, appendFileSync, utimesSync, rmSync } from 'fs';
+import { join } from 'path';
+import { useTempHome, startServer, createRequest } from '../helpers/server.js';
+
+let search;
+let searchDb;
+let env;
+let projectsDir;
+let server;
+let baseUrl;
+const tokens = {};
+
+const request = createRequest(() => baseUrl, { tokens });
+
+const results = async (query, as = 'alice') => (await (await request(`/search?${query}`, { as })).json()).results;
+
+const line = (entry) => JSON.stringify(entry) + '\n';
+const userLine = (sessionId, text, timestamp, cwd) => line({
+  type: 'user', sessionId, cwd, timestamp, uuid: `u-${timestamp}`, message: { role: 'user', content: text }
+});
+const assistantLine = (sessionId, content, timestamp) => line({
+  type: 'assistant', sessionId, timestamp, uuid: `a-${timestamp}`, message: { role: 'assistant', content }
+});
+
+// Bump the mtime so the indexer notices a rewrite within the same millisecond
+function touch(file, seconds) {
+  const time = new Date(Date.now() + seconds * 1000);
+  utimesSync(file, time, time);
+}
+
+beforeAll(async () => {
+  env = useTempHome('search');
+  projectsDir = join(env.home, '.claude', 'projects');
+
+  mkdirSync(join(projectsDir, '-work-api'), { recursive: true });
+  mkdirSync(join(projectsDir, '-work-web'), { recursive: true });
+  writeFileSync(join(projectsDir, '-work-api', 'sess-api.jsonl'),
+    userLine('sess-api', 'Why does the build fail with ECONNRESET?', '2026-03-01T10:00:00.000Z', '/work/api') +
+    assistantLine('sess-api', [
+      { type: 'text', text: 'The retry wrapper in fetchWithRetry swallows the <error> object.' },
+      { type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'npm run build' } }
+    ], '2026-03-01T10:00:05.000Z') +
+    line({ type: 'user', sessionId: 'sess-api', timestamp: '2026-03-01T10:00:06.000Z', message: { role: 'user', content: [
+      { type: 'tool_result', tool_use_id: 't1', content: 'Error: ECONNRESET socket hang up' }
+    ] } }) +
+    userLine('sess-api', '<command-name>/clear</command-name> ECONNRESET', '2026-03-01T10:00:07.000Z') +
+    'not json\n');
+  writeFileSync(join(projectsDir, '-work-web', 'sess-web.jsonl'),
+    userLine('sess-web', 'Render the ECONNRESET banner', '2026-05-10T08:00:00.000Z', '/work/web'));
+  writeFileSync(join(projectsDir, '-work-web', 'agent-123.jsonl'),
+    userLine('sess-web', 'subagent ECONNRESET chatter', '2026-05-10T08:00:00.000Z', '/work/web'));
+
+  const auth = await import('../../server/auth.js');
+  search = await import('../../server/search.js');
+  const { openDatabase } = await import('../../server/db.js');
+  searchDb = openDatabase('search.db');
+
+  server = await startServer(app => {
+    app.use('/api/auth', auth.authRoutes);
+    app.use('/api/search', auth.authenticateToken, search.searchRoutes);
+  });
+  baseUrl = `${server.origin}/api`;
+
+  await request('/auth/register', { as: null, body: { username: 'alice', password: 'secret123' } });
+  tokens.alice = (await (await request('/auth/login', { as: null, body: { username: 'alice', password: 'secret123' } })).json()).token;
+  await request('/auth/users', { body: { username: 'bob', password: 'secret123', projects: ['/work/web'] } });
+  tokens.bob = (await (await request('/auth/login', { as: null, body: { username: 'bob', password: 'secret123' } })).json()).token;
+});
+
+afterAll(async () => {
+  await server.close();
+  env.restore();
+});
+
+// ─── Query parsing ───────────────────────────────────────────────
+describe('toMatchQuery', () => {
+  it('quotes every term so FTS5 syntax in the search box is literal', () => {
+    expect(search.toMatchQuery('socket hang-up')).toBe('"socket" "hang-up"');
+    expect(search.toMatchQuery('"hang up" fetch*')).toBe('"hang up" "fetch"*');
+    expect(search.toMatchQuery('AND OR NOT')).toBe('"AND" "OR" "NOT"');
+    expect(search.toMatchQuery('  "" * ')).toBeNull();
+  });
+});
+
+// ─── Searching ───────────────────────────────────────────────────
+describe('GET /api/search', () => {
+  it('finds user, assistant and tool text with highlighted snippets and deep links', async () => {
+    const found = await results('q=ECONNRESET');
+    expect(found.map(r => `${r.projectName}:${r.role}`).sort()).toEqual(['-work-api:tool', '-work-api:user', '-work-web:user']);
+
+    const [hit] = await results('q=fetchWithRetry');
+    expect(hit).toMatchObject({
+      projectName: '-work-api',
+      projectPath: '/work/api',
+      sessionId: 'sess-api',
+      role: 'assistant',
+      uuid: 'a-2026-03-01T10:00:05.000Z',
+      link: '#/project/-work-api/session/sess-api'
+    });
+    expect(hit.snippet).toContain('<mark>fetchWithRetry</mark>');
+    expect(hit.snippet).toContain('&lt;error&gt;');
+  });
+
+  it('skips internal user messages and subagent transcripts', async () => {
+    expect(await results('q=chatter')).toEqual([]);
+    expect(await results('q=clear')).toEqual([]);
+  });
+
+  it('matches phrases and prefixes', async () => {
+    expect(await results('q=%22socket%20hang%20up%22')).toHaveLength(1);
+    expect(await results('q=%22hang%20socket%22')).toEqual([]);
+    expect((await results('q=fetchWith*'))[0].role).toBe('assistant');
+  });
+
+  it('filters by project, role and date', async () => {
+    expect((await results('q=ECONNRESET&project=-work-web')).map(r => r.sessionId)).toEqual(['sess-web']);
+    expect((await results('q=ECONNRESET&role=tool')).map(r => r.role)).toEqual(['tool']);
+    expect((await results('q=ECONNRESET&since=2026-04-01')).map(r => r.sessionId)).toEqual(['sess-web']);
+    expect(await results('q=ECONNRESET&until=2026-03-01')).toHaveLength(2);
+    expect(await results('q=ECONNRESET&until=2026-02-28')).toEqual([]);
+  });
+
+  it('only searches projects the user can access', async () => {
+    expect((await results('q=ECONNRESET', 'bob')).map(r => r.projectName)).toEqual(['-work-web']);
+    expect(await results('q=fetchWithRetry', 'bob')).toEqual([]);
+  });
+
+  it('rejects empty queries, unknown roles and bad dates', async () => {
+    for (const query of ['q=', 'q=x&role=system', 'q=x&since=yesterday']) {
+      expect((await request(`/search?${query}`)).status).toBe(400);
+    }
+  });
+
+  it('reports server failures as 500', async () => {
+    searchDb.exec('ALTER TABLE indexed_files RENAME TO indexed_files_hidden');
+    try {
+      const res = await request('/search?q=ECONNRESET');
+      expect(res.status).toBe(500);
+      expect(await res.json()).toEqual({ error: 'Search failed' });
+    } finally {
+      searchDb.exec('ALTER TABLE indexed_files_hidden RENAME TO indexed_files');
+    }
+  });
+});
+
+// ─── Incremental indexing ────────────────────────────────────────
+describe('incremental indexing', () => {
+  it('indexes appended lines once, including a line finished after a partial write', async () => {
+    const file = join(projectsDir, '-work-web', 'sess-web.jsonl');
+    const next = userLine('sess-web', 'Add a websocket heartbeat', '2026-05-11T08:00:00.000Z');
+    appendFileSync(file, next.slice(0, 20));
+    touch(file, 1);
+    expect(await results('q=heartbeat')).toEqual([]);
+
+    appendFileSync(file, next.slice(20));
+    touch(file, 2);
+    expect(await results('q=heartbeat')).toHaveLength(1);
+    expect(await results('q=banner')).toHaveLength(1);
+  });
+
+  it('re-indexes rewritten files and drops deleted ones', async () => {
+    const file = join(projectsDir, '-work-web', 'sess-web.jsonl');
+    writeFileSync(file, userLine('sess-web', 'Short', '2026-05-12T08:00:00.000Z'));
+    touch(file, 3);
+    expect(await results('q=banner')).toEqual([]);
+    expect(await results('q=short')).toHaveLength(1);
+
+    rmSync(file);
+    expect(await results('q=short')).toEqual([]);
+  });
+
+  it('picks up new projects', async () => {
+    mkdirSync(join(projectsDir, '-work-cli'));
+    writeFileSync(join(projectsDir, '-work-cli', 'sess-cli.jsonl'),
+      userLine('sess-cli', 'Parse the argv flags', '2026-06-01T08:00:00.000Z', '/work/cli'));
+    expect((await results('q=argv'))[0].link).toBe('#/project/-work-cli/session/sess-cli');
+  });
+
+  it('reads a bounded amount per pass and carries on in the next one', async () => {
+    const file = join(projectsDir, '-work-cli', 'sess-budget.jsonl');
+    const first = userLine('sess-budget', 'Bump the lockfile', '2026-06-02T08:00:00.000Z', '/work/cli');
+    writeFileSync(file, first + userLine('sess-budget', 'Then tag the release', '2026-06-02T08:01:00.000Z'));
+
+    await search.updateIndex(first.length + 10);
+    const row = searchDb.prepare('SELECT size, indexed_bytes FROM indexed_files WHERE path LIKE ?').get('%sess-budget.jsonl');
+    expect(row).toEqual({ size: first.length + 10, indexed_bytes: first.length });
+    expect(await results('q=lockfile')).toHaveLength(1);
+    // The search's own pass picks up the rest
+    expect(await results('q=release')).toHaveLength(1);
+  });
+
+  it('reads lines across chunks and skips lines too long to index', async () => {
+    const file = join(projectsDir, '-work-cli', 'sess-long.jsonl');
+    writeFileSync(file,
+      userLine('sess-long', `Spanning ${'chunk '.repeat(300000)}`, '2026-06-03T08:00:00.000Z', '/work/cli') +
+      userLine('sess-long', `Oversized ${'x'.repeat(9 * 1024 * 1024)}`, '2026-06-03T08:01:00.000Z') +
+      userLine('sess-long', 'Afterwards the flags parse', '2026-06-03T08:02:00.000Z'));
+
+    expect(await results('q=spanning')).toHaveLength(1);
+    expect(await results('q=oversized')).toEqual([]);
+    expect(await results('q=afterwards')).toHaveLength(1);
+    rmSync(file);
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Unit tests for two-factor authentication
+ * Tests the TOTP login step, enrolment, recovery codes and the admin policy
+ * in server/auth.js and server/two-factor.js against a fixed clock
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { generateTotp } from '../../server/totp.js';
+import { useTempHome, startServer, createRequest } from '../helpers/server.js';
+
+let env;
+let server;
+let baseUrl;
+let now = Date.UTC(2026, 0, 1);
+const secrets = {};
+const tokens = {};
+
+const request = createRequest(() => baseUrl, { tokens, as: null });
+
+const login = async (username) => (await request('/auth/login', { body: { username, password: 'secret123' } })).json();
+
+// Each step moves the clock to the next 30-second window so codes aren't replays
+const nextCode = (username) => {
+  now += 30000;
+  vi.setSystemTime(now);
+  return generateTotp(secrets[username], now);
+};
+
+async function enroll(username) {
+  const { secret } = await (await request('/auth/2fa/setup', { as: username, body: {} })).json();
+  secrets[username] = secret;
+  const res = await request('/auth/2fa/enable', { as: username, body: { code: nextCode(username) } });
+  return (await res.json()).recoveryCodes;
+}
+
+beforeAll(async () => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(now);
+  env = useTempHome('2fa');
+  const auth = await import('../../server/auth.js');
+
+  server = await startServer(app => app.use('/api/auth', auth.authRoutes));
+  baseUrl = `${server.origin}/api`;
+
+  await request('/auth/register', { body: { username: 'alice', password: 'secret123' } });
+  tokens.alice = (await login('alice')).token;
+  await request('/auth/users', { as: 'alice', body: { username: 'bob', password: 'secret123' } });
+  tokens.bob = (await login('bob')).token;
+});
+
+afterAll(async () => {
+  await server.close();
+  vi.useRealTimers();
+  env.restore();
+});
+
+beforeEach(() => {
+  vi.setSystemTime(now);
+});
+
+// ─── Enrolment ───────────────────────────────────────────────────
+describe('enrolment', () => {
+  it('is off by default', async () => {
+    const status = await (await request('/auth/2fa', { as: 'alice' })).json();
+    expect(status).toEqual({ enabled: false, recoveryCodesRemaining: 0, required: false });
+  });
+
+  it('renders the QR code locally', async () => {
+    const setup = await (await request('/auth/2fa/setup', { as: 'alice', body: {} })).json();
+    expect(setup.secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(setup.uri).toBe(`otpauth://totp/Cleon%3Aalice?secret=${setup.secret}&issuer=Cleon&algorithm=SHA1&digits=6&period=30`);
+    expect(setup.qrSvg).toMatch(/^<svg/);
+  });
+
+  it('only turns on after a valid code', async () => {
+    expect((await request('/auth/2fa/enable', { as: 'alice', body: { code: '000000' } })).status).toBe(400);
+    expect((await (await request('/auth/2fa', { as: 'alice' })).json()).enabled).toBe(false);
+
+    const codes = await enroll('alice');
+    expect(codes).toHaveLength(10);
+    expect(codes[0]).toMatch(/^[a-z2-7]{5}-[a-z2-7]{5}$/);
+    expect(await (await request('/auth/2fa', { as: 'alice' })).json()).toMatchObject({ enabled: true, recoveryCodesRemaining: 10 });
+    expect((await request('/auth/2fa/setup', { as: 'alice', body: {} })).status).toBe(400);
+    secrets.aliceCodes = codes;
+  });
+});
+
+// ─── Login ───────────────────────────────────────────────────────
+describe('login second step', () => {
+  it('asks for a code instead of issuing tokens', async () => {
+    const first = await login('alice');
+    expect(first.token).toBeUndefined();
+    expect(first.twoFactor).toBe('verify');
+
+    const res = await request('/auth/login/2fa', { body: { challenge: first.challenge, code: nextCode('alice') } });
+    expect(res.status).toBe(200);
+    const session = await res.json();
+    expect(session.refreshToken).toMatch(/^clr_/);
+    tokens.alice = session.token;
+  });
+
+  it('rejects wrong, replayed and expired attempts', async () => {
+    const { challenge } = await login('alice');
+    expect((await request('/auth/login/2fa', { body: { challenge, code: '123456' } })).status).toBe(401);
+
+    const code = nextCode('alice');
+    expect((await request('/auth/login/2fa', { body: { challenge, code } })).status).toBe(200);
+    expect((await request('/auth/login/2fa', { body: { challenge, code } })).status).toBe(401);
+
+    now += 6 * 60 * 1000;
+    vi.setSystemTime(now);
+    const expired = await request('/auth/login/2fa', { body: { challenge, code: nextCode('alice') } });
+    expect(expired.status).toBe(401);
+    expect((await expired.json()).error).toBe('Login expired, please sign in again');
+  });
+
+  it('does not accept the challenge as an access token', async () => {
+    const { challenge } = await login('alice');
+    expect((await request('/auth/me', { headers: { Authorization: `Bearer ${challenge}` } })).status).toBe(403);
+  });
+
+  it('accepts each recovery code once', async () => {
+    const code = secrets.aliceCodes[0].toUpperCase().replace('-', '');
+    const first = await login('alice');
+    expect((await request('/auth/login/2fa', { body: { challenge: first.challenge, code } })).status).toBe(200);
+    const second = await login('alice');
+    expect((await request('/auth/login/2fa', { body: { challenge: second.challenge, code } })).status).toBe(401);
+    expect((await (await request('/auth/2fa', { as: 'alice' })).json()).recoveryCodesRemaining).toBe(9);
+  });
+
+  it('replaces recovery codes', async () => {
+    const res = await request('/auth/2fa/recovery-codes', { as: 'alice', body: { code: nextCode('alice') } });
+    const { recoveryCodes } = await res.json();
+    expect(recoveryCodes).toHaveLength(10);
+    const { challenge } = await login('alice');
+    expect((await request('/auth/login/2fa', { body: { challenge, code: secrets.aliceCodes[1] } })).status).toBe(401);
+    expect((await request('/auth/login/2fa', { body: { challenge, code: recoveryCodes[0] } })).status).toBe(200);
+  });
+});
+
+// ─── Policy ──────────────────────────────────────────────────────
+describe('admin policy', () => {
+  it('is admin-only', async () => {
+    expect((await request('/auth/policy', { as: 'bob', method: 'PUT', body: { requireTwoFactor: true } })).status).toBe(403);
+    expect((await request('/auth/policy', { as: 'alice', method: 'PUT', body: { requireTwoFactor: 'yes' } })).status).toBe(400);
+  });
+
+  it('cuts off sessions of users without 2FA and enrols them at login', async () => {
+    const before = await login('bob');
+    expect((await request('/auth/policy', { as: 'alice', method: 'PUT', body: { requireTwoFactor: true } })).status).toBe(200);
+    expect(await (await request('/auth/policy', { as: 'alice' })).json()).toEqual({ requireTwoFactor: true });
+
+    const refresh = await request('/auth/refresh', { body: { refreshToken: before.refreshToken } });
+    expect(refresh.status).toBe(401);
+    expect((await refresh.json()).error).toBe('Two-factor authentication required');
+
+    const first = await login('bob');
+    expect(first).toMatchObject({ twoFactor: 'enroll' });
+    const { secret } = await (await request('/auth/login/2fa/setup', { body: { challenge: first.challenge } })).json();
+    secrets.bob = secret;
+    expect((await request('/auth/login/2fa/enable', { body: { challenge: first.challenge, code: '000000' } })).status).toBe(400);
+
+    const res = await request('/auth/login/2fa/enable', { body: { challenge: first.challenge, code: nextCode('bob') } });
+    expect(res.status).toBe(200);
+    const session = await res.json();
+    expect(session.token).toBeTruthy();
+    expect(session.recoveryCodes).toHaveLength(10);
+    tokens.bob = session.token;
+  });
+
+  it('does not let users turn 2FA off while required', async () => {
+    const res = await request('/auth/2fa/disable', { as: 'bob', body: { password: 'secret123', code: nextCode('bob') } });
+    expect(res.status).toBe(400);
+    await request('/auth/policy', { as: 'alice', method: 'PUT', body: { requireTwoFactor: false } });
+  });
+
+  it('lets an admin reset a locked-out user', async () => {
+    const { users } = await (await request('/auth/users', { as: 'alice' })).json();
+    const bob = users.find(u => u.username === 'bob');
+    expect(bob.twoFactor).toBe(true);
+    expect((await request(`/auth/users/${bob.id}/2fa`, { as: 'bob', method: 'DELETE' })).status).toBe(403);
+    expect((await request(`/auth/users/${bob.id}/2fa`, { as: 'alice', method: 'DELETE' })).status).toBe(200);
+    expect((await login('bob')).token).toBeTruthy();
+  });
+});
+
+// ─── Disabling ───────────────────────────────────────────────────
+describe('disabling', () => {
+  it('requires the password and a current code', async () => {
+    expect((await request('/auth/2fa/disable', { as: 'alice', body: { password: 'wrong', code: nextCode('alice') } })).status).toBe(401);
+    expect((await request('/auth/2fa/disable', { as: 'alice', body: { password: 'secret123', code: '000000' } })).status).toBe(401);
+    expect((await request('/auth/2fa/disable', { as: 'alice', body: { password: 'secret123', code: nextCode('alice') } })).status).toBe(200);
+    expect((await login('alice')).token).toBeTruthy();
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Unit tests for multi-user accounts
+ * Tests roles and project grants (server/access.js), the /api/auth/users
+ * admin routes, and grant enforcement in projects, files and handleChat
+ */
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { useTempHome, startServer, createRequest } from '../helpers/server.js';
+
+const sdk = vi.hoisted(() => ({ query: null }));
+
+vi.mock('@anthropic-ai/claude-agent-sdk', () => ({
+  query: (...args) => sdk.query(...args)
+}));
+
+let access;
+let claude;
+let env;
+let server;
+let baseUrl;
+const tokens = {};
+const ids = {};
+
+const request = createRequest(() => baseUrl, { tokens });
+
+async function login(username) {
+  const res = await request('/auth/login', { as: null, body: { username, password: 'secret123' } });
+  const body = await res.json();
+  tokens[username] = body.token;
+  return body;
+}
+
+function writeProject(name, cwd) {
+  const dir = join(env.home, '.claude', 'projects', name);
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, 'sess-1.jsonl'), JSON.stringify({ type: 'user', cwd, message: { role: 'user', content: 'hi' } }) + '\n');
+}
+
+beforeAll(async () => {
+  env = useTempHome('users');
+  writeProject('-work-app', '/work/app');
+  writeProject('-work-other', '/work/other');
+
+  const auth = await import('../../server/auth.js');
+  access = await import('../../server/access.js');
+  claude = await import('../../server/claude.js');
+  const { projectRoutes } = await import('../../server/projects.js');
+  const { fileRoutes } = await import('../../server/files.js');
+
+  server = await startServer(app => {
+    app.use('/api/auth', auth.authRoutes);
+    app.use('/api/projects', auth.authenticateToken, projectRoutes);
+    app.use('/api/files', auth.authenticateToken, fileRoutes);
+  });
+  baseUrl = `${server.origin}/api`;
+
+  await request('/auth/register', { as: null, body: { username: 'alice', password: 'secret123' } });
+  await login('alice');
+});
+
+afterAll(async () => {
+  await server.close();
+  env.restore();
+});
+
+// ─── Accounts ────────────────────────────────────────────────────
+describe('user management', () => {
+  it('makes the first account the admin', async () => {
+    expect(tokens.alice).toBeTruthy();
+    const me = await (await request('/auth/me')).json();
+    expect(me.user).toMatchObject({ username: 'alice', role: 'admin', projects: [] });
+    expect(me.roles).toEqual(['admin', 'member', 'viewer']);
+    expect((await request('/auth/register', { as: null, body: { username: 'mallory', password: 'secret123' } })).status).toBe(403);
+  });
+
+  it('lets an admin create users with roles and grants', async () => {
+    const bob = await request('/auth/users', { body: { username: 'bob', password: 'secret123', projects: ['/work/app/'] } });
+    expect(bob.status).toBe(201);
+    const { user } = await bob.json();
+    expect(user).toMatchObject({ username: 'bob', role: 'member', projects: ['/work/app'] });
+    ids.bob = user.id;
+
+    const carol = await (await request('/auth/users', { body: { username: 'carol', password: 'secret123', role: 'viewer', projects: ['/work/app'] } })).json();
+    ids.carol = carol.user.id;
+
+    expect((await login('bob')).role).toBe('member');
+    await login('carol');
+
+    const listed = await (await request('/auth/users')).json();
+    expect(listed.users.map(u => `${u.username}:${u.role}`)).toEqual(['alice:admin', 'bob:member', 'carol:viewer']);
+  });
+
+  it('validates new users', async () => {
+    expect((await request('/auth/users', { body: { username: 'bob', password: 'secret123' } })).status).toBe(409);
+    expect((await request('/auth/users', { body: { username: 'dave', password: 'secret123', role: 'root' } })).status).toBe(400);
+    const relative = await request('/auth/users', { body: { username: 'dave', password: 'secret123', projects: ['work/app'] } });
+    expect(relative.status).toBe(400);
+    expect((await relative.json()).error).toContain('must be absolute');
+    const { users } = await (await request('/auth/users')).json();
+    expect(users.some(u => u.username === 'dave')).toBe(false);
+  });
+
+  it('keeps user management admin-only', async () => {
+    const denied = await request('/auth/users', { as: 'bob' });
+    expect(denied.status).toBe(403);
+    expect((await denied.json()).error).toBe('Requires admin role');
+    expect((await request(`/auth/users/${ids.bob}`, { as: 'bob', method: 'PUT', body: { role: 'admin' } })).status).toBe(403);
+  });
+
+  it('never leaves the install without an admin', async () => {
+    const aliceId = (await (await request('/auth/me')).json()).user.id;
+    expect((await request(`/auth/users/${aliceId}`, { method: 'PUT', body: { role: 'member' } })).status).toBe(400);
+    expect((await request(`/auth/users/${aliceId}`, { method: 'DELETE' })).status).toBe(400);
+  });
+
+  it('applies role changes and deletions to existing sessions', async () => {
+    const dave = await (await request('/auth/users', { body: { username: 'dave', password: 'secret123', role: 'admin' } })).json();
+    await login('dave');
+    expect((await request('/auth/users', { as: 'dave' })).status).toBe(200);
+
+    await request(`/auth/users/${dave.user.id}`, { method: 'PUT', body: { role: 'viewer' } });
+    expect((await request('/auth/users', { as: 'dave' })).status).toBe(403);
+
+    expect((await request(`/auth/users/${dave.user.id}`, { method: 'DELETE' })).status).toBe(200);
+    expect((await request('/auth/me', { as: 'dave' })).status).toBe(403);
+  });
+});
+
+// ─── Grants ──────────────────────────────────────────────────────
+describe('canAccessProject', () => {
+  it('covers granted paths and everything below them', () => {
+    expect(access.canAccessProject('bob', '/work/app')).toBe(true);
+    expect(access.canAccessProject('bob', '/work/app/packages/api', 'write')).toBe(true);
+    expect(access.canAccessProject('bob', '/work/application')).toBe(false);
+    expect(access.canAccessProject('bob', '/work/other')).toBe(false);
+  });
+
+  it('gives admins every project and viewers read-only access', () => {
+    expect(access.canAccessProject('alice', '/anywhere', 'write')).toBe(true);
+    expect(access.canAccessProject('carol', '/work/app')).toBe(true);
+    expect(access.canAccessProject('carol', '/work/app', 'write')).toBe(false);
+    expect(access.canAccessProject('nobody', '/work/app')).toBe(false);
+  });
+});
+
+// ─── Enforcement ─────────────────────────────────────────────────
+describe('project enforcement', () => {
+  it('only lists granted projects', async () => {
+    const forAlice = await (await request('/projects/search')).json();
+    expect(forAlice.map(p => p.path)).toEqual(['/work/app', '/work/other']);
+    const forBob = await (await request('/projects/search', { as: 'bob' })).json();
+    expect(forBob.map(p => p.path)).toEqual(['/work/app']);
+  });
+
+  it('blocks project and file routes outside the grants', async () => {
+    expect((await request('/projects/-work-app/sessions', { as: 'bob' })).status).toBe(200);
+    const denied = await request('/projects/-work-other/sessions', { as: 'bob' });
+    expect(denied.status).toBe(403);
+    expect((await denied.json()).error).toBe('No access to this project');
+
+    expect((await request('/files/-work-other/tree', { as: 'bob' })).status).toBe(403);
+    expect((await request('/files/-work-other/a.txt', { as: 'bob', method: 'PUT', body: { content: 'x' } })).status).toBe(403);
+  });
+
+  it('keeps viewers read-only', async () => {
+    expect((await request('/projects/-work-app/sessions', { as: 'carol' })).status).toBe(200);
+    const write = await request('/files/-work-app/a.txt', { as: 'carol', method: 'PUT', body: { content: 'x' } });
+    expect(write.status).toBe(403);
+    expect((await write.json()).error).toBe('The viewer role cannot use: files:write');
+    expect((await request('/projects/-work-app/sessions/sess-1/fork', { as: 'carol', body: { messageUuid: 'x' } })).status).toBe(403);
+  });
+
+  it('refuses to run the agent outside the grants', async () => {
+    sdk.query = vi.fn();
+    const ws = { readyState: 1, send: vi.fn() };
+    const result = await claude.handleChat({ content: 'hi', projectPath: '/work/other', isNewSession: true, mode: 'default' }, ws, 'bob');
+
+    expect(result).toEqual({ sessionId: null, status: 'error', error: 'No access to this project' });
+    expect(sdk.query).not.toHaveBeenCalled();
+    expect(JSON.parse(ws.send.mock.calls[0][0])).toMatchObject({ type: 'error', message: 'No access to this project' });
+  });
+});